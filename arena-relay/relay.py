@@ -0,0 +1,154 @@
+#!/usr/bin/env python3
+"""relay.py — WebSocket ⇆ TCP relay for the G6 Arena controller.
+
+Lets a browser without Web Serial (Firefox, Safari) or a machine away from the
+rig drive an arena: `arena_console.html` / Arena Studio open a WebSocket to this
+process (`?arena_ws=ws://host:8766`), and the relay owns the TCP connection to the
+controller's Ethernet port (:62222 — the same [len, cmd, ...] framing as USB
+serial). It is a byte pipe, nothing more:
+
+  browser (ArenaLink + WebSocketTransport) ──(ws://host:8766, binary)──▶ relay ──(TCP)──▶ controller :62222
+                                            ◀────── reply bytes ──────────┘
+
+WebSocket messages are raw chunks of the byte stream in both directions — NOT
+one frame per message — so the browser's ArenaLink keeps doing all de-framing,
+single-flight correlation and bulk-read handling exactly as over serial. The
+relay never parses or rewrites frames.
+
+One client at a time: the controller has one host conversation, and the link's
+echo-verified single-flight model assumes it owns it. A second client is turned
+away with close code 1013 ("try again later"). Each client gets a fresh TCP
+connection to the controller; it is closed when the client goes away, and the
+client is closed (1011, with the reason) when the controller drops.
+"""
+
+from __future__ import annotations
+
+import argparse
+import asyncio
+import signal
+import sys
+
+from websockets.asyncio.server import serve
+from websockets.exceptions import ConnectionClosed
+
+# Relay build tag, printed by --version and in the startup banner.
+RELAY_VERSION = "1.0 · raw byte stream"
+
+# Largest inbound WebSocket message. A 0x85 pattern upload is one host write of
+# the whole file; G6 patterns run to a few MB, so leave generous headroom.
+WS_MAX_SIZE = 32 * 1024 * 1024
+
+# TCP read size per chunk forwarded to the browser (bulk 0x84 / 0x8A downloads
+# arrive as several messages; the link reassembles them).
+READ_CHUNK = 64 * 1024
+
+
+class Relay:
+    """Pairs at most one WebSocket client with a TCP connection to the controller."""
+
+    def __init__(self, host: str, port: int, connect_timeout: float) -> None:
+        self.host = host
+        self.port = port
+        self.connect_timeout = connect_timeout
+        self.active = None  # the WebSocket currently holding the controller
+
+    async def serve_client(self, websocket) -> None:
+        peer = websocket.remote_address
+        if self.active is not None:
+            print(f"[ws] refused {peer}: another client holds the controller", file=sys.stderr)
+            await websocket.close(1013, "relay busy: another client holds the controller")
+            return
+        self.active = websocket
+        try:
+            try:
+                reader, writer = await asyncio.wait_for(
+                    asyncio.open_connection(self.host, self.port), self.connect_timeout
+                )
+            except (OSError, asyncio.TimeoutError) as e:
+                reason = f"cannot reach controller {self.host}:{self.port}: {e or 'timeout'}"
+                print(f"[tcp] {reason}", file=sys.stderr)
+                await websocket.close(1011, reason[:120])
+                return
+            print(f"[ws] {peer} ⇆ controller {self.host}:{self.port}", file=sys.stderr)
+            await self._pump(websocket, reader, writer)
+        finally:
+            self.active = None
+            print(f"[ws] {peer} released the controller", file=sys.stderr)
+
+    async def _pump(self, websocket, reader, writer) -> None:
+        async def to_controller() -> None:
+            async for message in websocket:
+                if isinstance(message, str):
+                    continue  # not part of the byte stream
+                writer.write(message)
+                await writer.drain()
+
+        async def to_browser() -> None:
+            while True:
+                chunk = await reader.read(READ_CHUNK)
+                if not chunk:
+                    await websocket.close(1011, "controller closed the connection")
+                    return
+                await websocket.send(chunk)
+
+        tasks = [asyncio.create_task(to_controller()), asyncio.create_task(to_browser())]
+        try:
+            done, _ = await asyncio.wait(tasks, return_when=asyncio.FIRST_COMPLETED)
+            for t in done:
+                exc = t.exception()
+                if exc is not None and not isinstance(exc, ConnectionClosed):
+                    print(f"[relay] {type(exc).__name__}: {exc}", file=sys.stderr)
+                    await websocket.close(1011, str(exc)[:120])
+        finally:
+            for t in tasks:
+                t.cancel()
+            await asyncio.gather(*tasks, return_exceptions=True)
+            writer.close()
+            try:
+                await writer.wait_closed()
+            except OSError:
+                pass
+
+
+async def run(args: argparse.Namespace) -> None:
+    relay = Relay(args.host, args.port, args.connect_timeout)
+
+    stop = asyncio.Event()
+    loop = asyncio.get_running_loop()
+    for sig in (signal.SIGINT, signal.SIGTERM):
+        try:
+            loop.add_signal_handler(sig, stop.set)
+        except NotImplementedError:  # e.g. Windows
+            pass
+
+    async with serve(relay.serve_client, args.ws_host, args.ws_port, max_size=WS_MAX_SIZE):
+        print(
+            f"[ws] serving ws://{args.ws_host}:{args.ws_port}  "
+            f"(relay {RELAY_VERSION}; controller={args.host}:{args.port})",
+            file=sys.stderr,
+        )
+        await stop.wait()
+
+    print("\n[relay] shutting down", file=sys.stderr)
+
+
+def main(argv: list[str] | None = None) -> int:
+    p = argparse.ArgumentParser(description=__doc__, formatter_class=argparse.RawDescriptionHelpFormatter)
+    p.add_argument("--version", action="version", version=f"arena-relay {RELAY_VERSION}")
+    p.add_argument("--host", required=True, help="controller IP / hostname (its Ethernet TCP server)")
+    p.add_argument("--port", type=int, default=62222, help="controller TCP port (default: 62222)")
+    p.add_argument("--ws-host", default="127.0.0.1", help="WebSocket bind host (default: 127.0.0.1; 0.0.0.0 exposes the arena to the network)")
+    p.add_argument("--ws-port", type=int, default=8766, help="WebSocket port (default: 8766; the FicTrac bridge uses 8765)")
+    p.add_argument("--connect-timeout", type=float, default=3.0, help="seconds to wait for the controller per client (default: 3)")
+    args = p.parse_args(argv)
+
+    try:
+        asyncio.run(run(args))
+    except KeyboardInterrupt:
+        pass
+    return 0
+
+
+if __name__ == "__main__":
+    raise SystemExit(main())
@@ -4,6 +4,15 @@
     const K =
         global.Kinematics ||
         (typeof require === 'function' ? require('./vendor/kinematics.js') : null);
+    const CE =
+        global.CriterionEval ||
+        (typeof require === 'function' ? require('./vendor/criterion-eval.js') : null);
+    const CS =
+        global.CircularStats ||
+        (typeof require === 'function' ? require('./vendor/circular-stats.js') : null);
+    const BE =
+        global.BehaviorEvents ||
+        (typeof require === 'function' ? require('./vendor/behavior-events.js') : null);
     const DEFAULT_BALL_DIAMETER_MM = 9;
     const DEFAULT_SMOOTH_WINDOW_S = 0.5;
     const ANALOG_OFF_FLOOR_MV = 4900;
@@ -52,6 +61,10 @@
         return K ? K.wrapToDeg180(value) : mod(value + 180, 360) - 180;
     }
 
+    function degreesToRadians(values) {
+        return values.map((value) => (value * Math.PI) / 180);
+    }
+
     function normalizeKey(key) {
         if (key === 'idx') return 'index';
         if (key === 'ts') return 'ft';
@@ -1025,10 +1038,9 @@
         const threshold = Number.isFinite(finite(movementThresholdMmS))
             ? Math.max(0, finite(movementThresholdMmS))
             : 1;
-        const angles = p3TrialAngles(run, step, 0);
-        const doubledRadians = angles.map((angle) => (angle * Math.PI) / 90);
-        const meanCos = mean(doubledRadians.map(Math.cos));
-        const meanSin = mean(doubledRadians.map(Math.sin));
+        const cue = CS.meanResultant(degreesToRadians(p3TrialAngles(run, step, 0)), {
+            order: 2
+        });
         const speeds = frames.map((frame) => frame.speedMmS).filter(Number.isFinite);
         const turning = frames.map((frame) => frame.turningDegS).filter(Number.isFinite);
         const skippedFrames = frames.reduce(
@@ -1038,10 +1050,7 @@
         return {
             phase: p3Phase(step && step.condition),
             variant: p3TrialVariant(step && step.condition),
-            cueStabilizationStrength:
-                Number.isFinite(meanCos) && Number.isFinite(meanSin)
-                    ? Math.sqrt(meanCos ** 2 + meanSin ** 2)
-                    : NaN,
+            cueStabilizationStrength: cue.r,
             movementThresholdMmS: threshold,
             movementFraction: speeds.length
                 ? speeds.filter((speed) => speed > threshold).length / speeds.length
@@ -1099,17 +1108,367 @@
 
     function preferenceMetrics(angles) {
         if (!angles.length) return { harmonic: NaN, quadrant: NaN };
-        const harmonic = mean(angles.map((angle) => Math.cos((2 * angle * Math.PI) / 180)));
+        const harmonic = CS.meanResultant(degreesToRadians(angles), { order: 2 }).c;
         const front = angles.filter((angle) => Math.abs(angle) < 45).length / angles.length;
         const outside = angles.filter((angle) => Math.abs(angle) > 45).length / angles.length;
         return { harmonic, quadrant: front - outside };
     }
 
+    // Angles a step is summarized by on the circular-statistics page: the
+    // object/cue position for p2 choice and p3 trials (axial, order 2 — the
+    // paired objects sit 180 deg apart), the fly's heading otherwise.
+    function circularStepAngles(run, step) {
+        const family = run.protocolInfo && run.protocolInfo.family;
+        if (family && family.startsWith('p3-'))
+            return {
+                source: 'cue position',
+                order: 2,
+                angles: degreesToRadians(p3TrialAngles(run, step, 0))
+            };
+        if (choiceInfo(step.condition))
+            return {
+                source: 'object position',
+                order: 2,
+                angles: degreesToRadians(choiceAngles(run, step, 2))
+            };
+        return {
+            source: 'heading',
+            order: 1,
+            angles: (run.framesByStep.get(step.index) || []).map((frame) => frame.hd)
+        };
+    }
+
+    function circularStepMetric(run, step, metric) {
+        const { angles, order } = circularStepAngles(run, step);
+        return CS.metric(metric, angles, { order });
+    }
+
+    // Parsed frames back as behavior_v1 rows, for the shared js/ modules.
+    function behaviorSamples(frames) {
+        return frames.map((frame) => ({
+            ms: frame.ms,
+            ft: Number.isFinite(frame.ftMs) ? frame.ftMs : frame.ms,
+            x: frame.x,
+            y: frame.y,
+            hd: frame.hd,
+            fc: frame.fc,
+            idx: frame.index
+        }));
+    }
+
+    function runBallRadiusMm(run, options) {
+        const opts = options || {};
+        const settings = run.analysisSettings || {};
+        return K
+            ? K.ballRadiusMm(
+                  finite(opts.ballDiameterMm) ||
+                      finite(settings.ballDiameterMm) ||
+                      DEFAULT_BALL_DIAMETER_MM
+              )
+            : NaN;
+    }
+
+    // Saccades, walking bouts and stops within one step, with their per-step
+    // rates. Cached per step object: three event pages read the same steps.
+    const stepEventCache = new WeakMap();
+    function stepBehaviorEvents(run, step, options) {
+        const ballRadiusMm = runBallRadiusMm(run, options);
+        const cached = stepEventCache.get(step);
+        if (cached && cached.ballRadiusMm === ballRadiusMm) return cached.result;
+        const frames = run.framesByStep.get(step.index) || [];
+        const events = frames.length
+            ? BE.detectEvents(behaviorSamples(frames), step.startMs, step.endMs, {
+                  ballRadiusMm
+              })
+            : { saccades: [], bouts: [], stops: [] };
+        const result = {
+            ...events,
+            summary: BE.summarize(
+                events,
+                frames.length ? frames[0].ms : 0,
+                frames.length ? frames[frames.length - 1].ms : 0
+            )
+        };
+        stepEventCache.set(step, { ballRadiusMm, result });
+        return result;
+    }
+
+    // Offline audit of the runner's flow-control decisions: every logged
+    // trial_check attempt / repeat_until boundary is re-evaluated against this
+    // run's own behavior_v1 frames through the same shared evaluator the live
+    // runner used, so a disagreement points at the data, not at forked math.
+    function flowControlDecisions(run, options) {
+        const ballRadiusMm = runBallRadiusMm(run, options);
+        const samples = behaviorSamples(run.frames);
+        const out = [];
+        for (const rec of run.events) {
+            if (rec.event !== 'runner') continue;
+            const record =
+                rec.phase === 'trial-check'
+                    ? rec.trialCheck
+                    : rec.phase === 'repeat-until'
+                      ? rec.repeatUntil
+                      : null;
+            if (!record) continue;
+            out.push({
+                kind: rec.phase === 'trial-check' ? 'trial_check' : 'repeat_until',
+                index: finite(rec.index),
+                condition: safeText(rec.condition),
+                record,
+                reevaluated: CE ? CE.reevaluate(record, samples, { ballRadiusMm }) : null
+            });
+        }
+        return out;
+    }
+
+    // Group statistics. Inputs are one value per fly (trials already averaged
+    // within fly). Resampling uses a seeded generator so exported p-values and
+    // intervals are reproducible.
+    const P_VALUE_CORRECTIONS = ['holm', 'bh', 'bonferroni', 'none'];
+
+    // Mulberry32, the same generator as createSeededRandom in
+    // js/pattern-editor/tools/generator.js: an integer seed gives the same stream
+    // in both. Kept here because the dashboard does not load the pattern editor;
+    // change the two together.
+    function seededRandom(seed) {
+        let state = finite(seed) >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function binomial(n, k) {
+        let value = 1;
+        for (let i = 1; i <= k; i += 1) value = (value * (n - k + i)) / i;
+        return Math.round(value);
+    }
+
+    function quantile(sorted, q) {
+        if (!sorted.length) return NaN;
+        const at = (sorted.length - 1) * q;
+        const lower = Math.floor(at);
+        const upper = Math.ceil(at);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (at - lower);
+    }
+
+    // Two-sided test of the difference in means. Every relabelling is counted
+    // when there are at most `iterations` of them; otherwise random relabellings
+    // are drawn and p = (extreme + 1) / (iterations + 1).
+    function permutationTest(a, b, options) {
+        const opts = { iterations: 10000, seed: 1, ...options };
+        const x = a.filter(Number.isFinite);
+        const y = b.filter(Number.isFinite);
+        const difference = mean(x) - mean(y);
+        if (!x.length || !y.length)
+            return { difference: NaN, p: NaN, exact: false, permutations: 0 };
+        const pooled = [...x, ...y];
+        const total = pooled.reduce((sum, value) => sum + value, 0);
+        const observed = Math.abs(difference);
+        const tolerance = 1e-9 * Math.max(1, observed);
+        const isExtreme = (sumX) =>
+            Math.abs(sumX / x.length - (total - sumX) / y.length) >= observed - tolerance;
+        let extreme = 0;
+        if (binomial(pooled.length, x.length) <= opts.iterations) {
+            let count = 0;
+            const visit = (start, left, sum) => {
+                if (!left) {
+                    count += 1;
+                    if (isExtreme(sum)) extreme += 1;
+                    return;
+                }
+                for (let i = start; i <= pooled.length - left; i += 1)
+                    visit(i + 1, left - 1, sum + pooled[i]);
+            };
+            visit(0, x.length, 0);
+            return { difference, p: extreme / count, exact: true, permutations: count };
+        }
+        const random = seededRandom(opts.seed);
+        const shuffled = pooled.slice();
+        for (let iteration = 0; iteration < opts.iterations; iteration += 1) {
+            let sum = 0;
+            for (let i = 0; i < x.length; i += 1) {
+                const j = i + Math.floor(random() * (shuffled.length - i));
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+                sum += shuffled[i];
+            }
+            if (isExtreme(sum)) extreme += 1;
+        }
+        return {
+            difference,
+            p: (extreme + 1) / (opts.iterations + 1),
+            exact: false,
+            permutations: opts.iterations
+        };
+    }
+
+    // Percentile bootstrap interval for mean(a) - mean(b), or for mean(a) when
+    // b is omitted. Each group is resampled with replacement on its own.
+    function bootstrapCi(a, b, options) {
+        const opts = { iterations: 2000, level: 0.95, seed: 1, ...options };
+        const x = a.filter(Number.isFinite);
+        const y = b ? b.filter(Number.isFinite) : null;
+        const estimate = y ? mean(x) - mean(y) : mean(x);
+        if (!x.length || (y && !y.length))
+            return { estimate: NaN, low: NaN, high: NaN, level: opts.level };
+        const random = seededRandom(opts.seed);
+        const resampledMean = (values) => {
+            let sum = 0;
+            for (let i = 0; i < values.length; i += 1)
+                sum += values[Math.floor(random() * values.length)];
+            return sum / values.length;
+        };
+        const draws = new Float64Array(opts.iterations);
+        for (let iteration = 0; iteration < opts.iterations; iteration += 1)
+            draws[iteration] = y ? resampledMean(x) - resampledMean(y) : resampledMean(x);
+        draws.sort();
+        const tail = (1 - opts.level) / 2;
+        return {
+            estimate,
+            low: quantile(draws, tail),
+            high: quantile(draws, 1 - tail),
+            level: opts.level
+        };
+    }
+
+    // Wilcoxon rank-sum (Mann-Whitney U for a). Exact two-sided p for small
+    // samples without ties; otherwise the normal approximation with tie and
+    // continuity corrections.
+    function rankSumTest(a, b) {
+        const x = a.filter(Number.isFinite);
+        const y = b.filter(Number.isFinite);
+        const n = x.length;
+        const m = y.length;
+        if (!n || !m) return { u: NaN, z: NaN, p: NaN, exact: false };
+        const pooled = [
+            ...x.map((value) => ({ value, a: true })),
+            ...y.map((value) => ({ value }))
+        ].sort((left, right) => left.value - right.value);
+        let rankSumA = 0;
+        let tieTerm = 0;
+        let start = 0;
+        while (start < pooled.length) {
+            let end = start;
+            while (end + 1 < pooled.length && pooled[end + 1].value === pooled[start].value)
+                end += 1;
+            const rank = (start + end) / 2 + 1;
+            const size = end - start + 1;
+            tieTerm += size ** 3 - size;
+            for (let i = start; i <= end; i += 1) if (pooled[i].a) rankSumA += rank;
+            start = end + 1;
+        }
+        const u = rankSumA - (n * (n + 1)) / 2;
+        const total = n + m;
+        if (!tieTerm && total <= 50) {
+            // ways[k][s]: k-subsets of ranks 1..total summing to s
+            const maxSum = (total * (total + 1)) / 2;
+            const ways = Array.from({ length: n + 1 }, () => new Float64Array(maxSum + 1));
+            ways[0][0] = 1;
+            for (let rank = 1; rank <= total; rank += 1) {
+                for (let k = Math.min(n, rank); k >= 1; k -= 1) {
+                    for (let s = maxSum; s >= rank; s -= 1) ways[k][s] += ways[k - 1][s - rank];
+                }
+            }
+            const offset = (n * (n + 1)) / 2;
+            let below = 0;
+            let above = 0;
+            let all = 0;
+            for (let s = offset; s <= maxSum; s += 1) {
+                const count = ways[n][s];
+                all += count;
+                if (s - offset <= u) below += count;
+                if (s - offset >= u) above += count;
+            }
+            return { u, z: NaN, p: Math.min(1, (2 * Math.min(below, above)) / all), exact: true };
+        }
+        const sigma = Math.sqrt(((n * m) / 12) * (total + 1 - tieTerm / (total * (total - 1))));
+        if (!(sigma > 0)) return { u, z: 0, p: 1, exact: false };
+        const z = Math.max(0, Math.abs(u - (n * m) / 2) - 0.5) / sigma;
+        return { u, z, p: Math.min(1, 2 * (1 - CS.normalCdf(z))), exact: false };
+    }
+
+    // Multiple-comparison correction; non-finite p-values pass through and do
+    // not count toward the number of tests.
+    function adjustPValues(pValues, method) {
+        const correction = method || 'holm';
+        if (!P_VALUE_CORRECTIONS.includes(correction))
+            throw new Error(`Unknown p-value correction: ${correction}`);
+        const adjusted = pValues.map(finite);
+        const order = adjusted
+            .map((p, index) => ({ p, index }))
+            .filter((item) => Number.isFinite(item.p))
+            .sort((left, right) => left.p - right.p);
+        const count = order.length;
+        if (correction === 'bonferroni')
+            order.forEach((item) => (adjusted[item.index] = Math.min(1, item.p * count)));
+        else if (correction === 'holm') {
+            let running = 0;
+            order.forEach((item, rank) => {
+                running = Math.max(running, Math.min(1, (count - rank) * item.p));
+                adjusted[item.index] = running;
+            });
+        } else if (correction === 'bh') {
+            let running = 1;
+            for (let rank = count - 1; rank >= 0; rank -= 1) {
+                const item = order[rank];
+                running = Math.min(running, (count / (rank + 1)) * item.p);
+                adjusted[item.index] = running;
+            }
+        }
+        return adjusted;
+    }
+
+    // Every pair of groups ({label, values}) with at least `minN` finite values.
+    // p-values are uncorrected; pass the set that forms one family to
+    // adjustPValues.
+    function compareGroups(groups, options) {
+        const opts = { minN: 2, ...options };
+        const usable = groups
+            .map((group) => ({ label: group.label, values: group.values.filter(Number.isFinite) }))
+            .filter((group) => group.values.length >= opts.minN);
+        const comparisons = [];
+        for (let i = 0; i < usable.length; i += 1) {
+            for (let j = i + 1; j < usable.length; j += 1) {
+                const first = usable[i];
+                const second = usable[j];
+                const permutation = permutationTest(first.values, second.values, opts);
+                const interval = bootstrapCi(first.values, second.values, opts);
+                const rankSum = rankSumTest(first.values, second.values);
+                comparisons.push({
+                    groupA: first.label,
+                    groupB: second.label,
+                    nA: first.values.length,
+                    nB: second.values.length,
+                    meanA: mean(first.values),
+                    meanB: mean(second.values),
+                    difference: permutation.difference,
+                    ciLow: interval.low,
+                    ciHigh: interval.high,
+                    ciLevel: interval.level,
+                    permutationP: permutation.p,
+                    permutationExact: permutation.exact,
+                    rankSumU: rankSum.u,
+                    rankSumP: rankSum.p,
+                    rankSumExact: rankSum.exact
+                });
+            }
+        }
+        return comparisons;
+    }
+
     function metricLabel(metric) {
         if (metric === 'turning') return 'Turning velocity (deg/s)';
         if (metric === 'forward') return 'Forward velocity (mm/s)';
         if (metric === 'heading') return 'Relative heading (deg)';
         if (metric === 'displayIndex') return 'Arena frame index';
+        if (CS && CS.isMetric(metric)) {
+            const { label, unit } = CS.METRICS[metric];
+            const text = label.charAt(0).toUpperCase() + label.slice(1);
+            return unit ? `${text} (${unit})` : text;
+        }
         return metric;
     }
 
@@ -1153,6 +1512,16 @@
         occupancyHistogram,
         circularBoxcar,
         preferenceMetrics,
+        circularStepAngles,
+        circularStepMetric,
+        stepBehaviorEvents,
+        flowControlDecisions,
+        P_VALUE_CORRECTIONS,
+        permutationTest,
+        bootstrapCi,
+        rankSumTest,
+        adjustPValues,
+        compareGroups,
         metricLabel
     };
 
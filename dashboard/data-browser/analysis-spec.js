@@ -0,0 +1,322 @@
+(function (global) {
+    'use strict';
+
+    const A =
+        global.DashboardAnalysis ||
+        (typeof require === 'function' ? require('./analysis-core.js') : null);
+    const CONTRACT_VERSION = 1;
+    const PLOT_TYPES = ['timeseries', 'tuning', 'summary'];
+    const METRICS = ['turning', 'forward', 'heading'];
+    const EPOCH_ALIGNMENTS = ['visual', 'moving', 'opto', 'sham'];
+
+    function specError(message) {
+        return new Error(`Analysis spec: ${message}`);
+    }
+
+    function isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function asList(value) {
+        if (value === undefined || value === null) return [];
+        return Array.isArray(value) ? value : [value];
+    }
+
+    function slug(value) {
+        return A.safeText(value)
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+    }
+
+    function compilePattern(pattern, where) {
+        try {
+            return new RegExp(pattern);
+        } catch (error) {
+            throw specError(`${where}: invalid pattern ${JSON.stringify(pattern)}`);
+        }
+    }
+
+    function normalizeAlign(value, where) {
+        const align = value === undefined || value === null ? 'default' : A.safeText(value);
+        if (align === 'default' || align === 'step' || EPOCH_ALIGNMENTS.includes(align))
+            return align;
+        if (/^command:\S+$/.test(align)) return align;
+        throw specError(
+            `${where}: unknown alignment "${align}" (use default, step, ${EPOCH_ALIGNMENTS.join(', ')} or command:<op>)`
+        );
+    }
+
+    function normalizeWindow(value, where) {
+        if (value === undefined || value === null) return null;
+        if (
+            !Array.isArray(value) ||
+            value.length !== 2 ||
+            !value.every((item) => typeof item === 'number' && Number.isFinite(item)) ||
+            !(value[1] > value[0])
+        )
+            throw specError(`${where}: window must be [start, end] seconds with start < end`);
+        return { startSec: value[0], endSec: value[1] };
+    }
+
+    // A level key reads one value per step: a regex over the condition name
+    // (first capture group, else the whole match) or a logged trial parameter.
+    function normalizeKey(value, where) {
+        if (value === undefined || value === null) return null;
+        if (typeof value === 'string')
+            return { pattern: compilePattern(value, where), source: value };
+        if (isObject(value) && typeof value.param === 'string' && value.param)
+            return { param: value.param, abs: value.abs === true, source: value.param };
+        throw specError(`${where}: expected a condition pattern or { param: <name> }`);
+    }
+
+    function normalizeGroup(name, raw) {
+        const where = `groups.${name}`;
+        if (!isObject(raw)) throw specError(`${where} must be a mapping`);
+        const group = {
+            key: name,
+            label: A.safeText(raw.label) || name,
+            color: raw.color ? A.safeText(raw.color) : '',
+            sign: raw.sign === undefined ? 1 : Number(raw.sign),
+            conditions: asList(raw.conditions).map(String),
+            pattern: raw.match === undefined ? null : compilePattern(raw.match, `${where}.match`),
+            params: raw.params === undefined ? null : raw.params
+        };
+        if (group.sign !== 1 && group.sign !== -1) throw specError(`${where}.sign must be 1 or -1`);
+        if (group.params !== null && !isObject(group.params))
+            throw specError(`${where}.params must be a mapping of trial parameters`);
+        if (!group.conditions.length && !group.pattern && !group.params)
+            throw specError(`${where} needs conditions, match or params`);
+        return group;
+    }
+
+    function normalizePage(raw, index, spec) {
+        const where = `pages[${index}]`;
+        if (!isObject(raw)) throw specError(`${where} must be a mapping`);
+        const plot = A.safeText(raw.plot);
+        if (!PLOT_TYPES.includes(plot))
+            throw specError(`${where}: unknown plot "${plot}" (expected ${PLOT_TYPES.join(', ')})`);
+        const metrics = asList(raw.metrics === undefined ? raw.metric : raw.metrics).map(String);
+        if (!metrics.length) metrics.push('turning');
+        const badMetric = metrics.find((metric) => !METRICS.includes(metric));
+        if (badMetric)
+            throw specError(
+                `${where}: unknown metric "${badMetric}" (expected ${METRICS.join(', ')})`
+            );
+        const seriesNames =
+            raw.series === undefined ? Object.keys(spec.groups) : asList(raw.series);
+        const series = seriesNames.map((name) => {
+            if (!spec.groups[name]) throw specError(`${where}: unknown group "${name}"`);
+            return spec.groups[name];
+        });
+        const page = {
+            id: slug(raw.id) || `${slug(spec.family) || 'spec'}-${index + 1}`,
+            title: A.safeText(raw.title),
+            description: A.safeText(raw.description),
+            plot,
+            metrics,
+            series,
+            align: raw.align === undefined ? spec.align : normalizeAlign(raw.align, where),
+            window: normalizeWindow(raw.window, where),
+            panels: normalizeKey(raw.panels, `${where}.panels`),
+            x: normalizeKey(raw.x, `${where}.x`),
+            xLabel: A.safeText(raw.x_label)
+        };
+        if (plot !== 'timeseries' && !page.window)
+            throw specError(`${where}: ${plot} plots need a window`);
+        if (plot === 'tuning' && !page.x) throw specError(`${where}: tuning plots need x`);
+        return page;
+    }
+
+    function normalizeSpec(raw) {
+        if (!isObject(raw)) throw specError('expected a mapping');
+        if (raw.analysis_contract_version !== CONTRACT_VERSION)
+            throw specError(
+                `unsupported analysis_contract_version ${JSON.stringify(raw.analysis_contract_version)} (expected ${CONTRACT_VERSION})`
+            );
+        if (!isObject(raw.groups) || !Object.keys(raw.groups).length)
+            throw specError('groups must name at least one condition group');
+        if (!Array.isArray(raw.pages) || !raw.pages.length)
+            throw specError('pages must list at least one page');
+        const hz = raw.hz === undefined ? 10 : Number(raw.hz);
+        if (!(hz > 0)) throw specError('hz must be > 0');
+        const spec = {
+            version: CONTRACT_VERSION,
+            family: A.safeText(raw.protocol_family),
+            protocols: asList(raw.protocols).map(String),
+            align: normalizeAlign(raw.align, 'align'),
+            hz,
+            groups: {}
+        };
+        for (const [name, group] of Object.entries(raw.groups))
+            spec.groups[name] = normalizeGroup(name, group);
+        spec.pages = raw.pages.map((page, index) => normalizePage(page, index, spec));
+        return spec;
+    }
+
+    // Accepts a spec on its own (sidecar file) or a v3 protocol carrying one
+    // under its top-level `analysis:` key.
+    function specFromDocument(doc) {
+        if (isObject(doc) && doc.analysis_contract_version === undefined && 'analysis' in doc) {
+            const name = isObject(doc.experiment_info) ? doc.experiment_info.name : '';
+            return normalizeSpec(
+                isObject(doc.analysis) && !doc.analysis.protocol_family
+                    ? { ...doc.analysis, protocol_family: name }
+                    : doc.analysis
+            );
+        }
+        return normalizeSpec(doc);
+    }
+
+    function stepParams(step) {
+        return (step.intervals && step.intervals[0] && step.intervals[0].params) || {};
+    }
+
+    function stepInGroup(step, group) {
+        if (group.conditions.length && !group.conditions.includes(step.condition)) return false;
+        if (group.pattern && !group.pattern.test(step.condition)) return false;
+        if (group.params) {
+            const params = stepParams(step);
+            for (const [name, value] of Object.entries(group.params)) {
+                if (String(params[name]) !== String(value)) return false;
+            }
+        }
+        return true;
+    }
+
+    function levelOf(step, key) {
+        if (key.param) {
+            const value = Number(stepParams(step)[key.param]);
+            return key.abs ? Math.abs(value) : value;
+        }
+        const match = step.condition.match(key.pattern);
+        if (!match) return '';
+        return match.length > 1 ? A.safeText(match[1]) : match[0];
+    }
+
+    function alignStep(step, align) {
+        let alignMs = NaN;
+        if (align === 'default') alignMs = step.alignMs;
+        else if (align === 'step') alignMs = step.startMs;
+        else if (align.startsWith('command:')) {
+            const op = align.slice('command:'.length);
+            const command = step.commands.find((candidate) => candidate.op === op);
+            alignMs = command ? command.ms : NaN;
+        } else {
+            const epoch = step.epochs.find((candidate) =>
+                align === 'moving'
+                    ? candidate.type === 'visual' &&
+                      Math.abs(Number(candidate.params && candidate.params.frameRate)) > 0
+                    : candidate.type === align
+            );
+            alignMs = epoch ? epoch.startMs : NaN;
+        }
+        if (!Number.isFinite(alignMs)) return null;
+        return {
+            ...step,
+            alignMs,
+            relStartSec: (step.startMs - alignMs) / 1000,
+            relEndSec: (step.endMs - alignMs) / 1000
+        };
+    }
+
+    // Aligned steps of one group, optionally limited to one panel level
+    function groupSteps(run, group, page, level) {
+        return run.steps
+            .filter(
+                (step) =>
+                    stepInGroup(step, group) &&
+                    (level === undefined || !page.panels || levelOf(step, page.panels) === level)
+            )
+            .map((step) => alignStep(step, page.align))
+            .filter(Boolean);
+    }
+
+    function stepSeries(run, step, metric, group, page, hz) {
+        const curve = A.trialSeries(run, step, metric, {
+            hz,
+            startSec: page.window ? page.window.startSec : undefined,
+            endSec: page.window ? page.window.endSec : undefined
+        });
+        return group.sign === 1 ? curve : { ...curve, y: curve.y.map((y) => y * group.sign) };
+    }
+
+    function stepValue(run, step, metric, group, page) {
+        return A.stepMean(run, step, metric, page.window.startSec, page.window.endSec) * group.sign;
+    }
+
+    // Trial means within one run, averaged per x level (tuning plots)
+    function runPoints(run, group, metric, page, level) {
+        const byLevel = new Map();
+        for (const step of groupSteps(run, group, page, level)) {
+            const x = Number(levelOf(step, page.x));
+            if (!Number.isFinite(x)) continue;
+            if (!byLevel.has(x)) byLevel.set(x, []);
+            byLevel.get(x).push(stepValue(run, step, metric, group, page));
+        }
+        return [...byLevel.entries()]
+            .map(([x, values]) => ({ x, y: A.mean(values) }))
+            .sort((a, b) => a.x - b.x);
+    }
+
+    // Mean of the group's trials within one run (summary plots)
+    function runValue(run, group, metric, page, level) {
+        return A.mean(
+            groupSteps(run, group, page, level).map((step) =>
+                stepValue(run, step, metric, group, page)
+            )
+        );
+    }
+
+    function panelLevels(runs, page) {
+        const levels = new Set();
+        for (const run of runs) {
+            for (const group of page.series) {
+                for (const step of groupSteps(run, group, page)) {
+                    const level = levelOf(step, page.panels);
+                    if (level !== '' && !Number.isNaN(level)) levels.add(level);
+                }
+            }
+        }
+        return [...levels].sort((a, b) => {
+            const numberA = Number(a);
+            const numberB = Number(b);
+            return Number.isFinite(numberA) && Number.isFinite(numberB)
+                ? numberA - numberB
+                : String(a).localeCompare(String(b));
+        });
+    }
+
+    function unmatchedRuns(spec, runs) {
+        if (!spec.protocols.length) return [];
+        const stems = spec.protocols.map((name) => name.toLowerCase().replace(/\.ya?ml$/, ''));
+        return runs.filter((run) => {
+            const filename = A.safeText(run.metadata && run.metadata.protocol_filename)
+                .toLowerCase()
+                .split('/')
+                .pop()
+                .replace(/\.ya?ml$/, '');
+            return !stems.includes(filename);
+        });
+    }
+
+    const DashboardAnalysisSpec = {
+        CONTRACT_VERSION,
+        PLOT_TYPES,
+        normalizeSpec,
+        specFromDocument,
+        stepInGroup,
+        levelOf,
+        alignStep,
+        groupSteps,
+        stepSeries,
+        stepValue,
+        runPoints,
+        runValue,
+        panelLevels,
+        unmatchedRuns
+    };
+
+    if (typeof module !== 'undefined' && module.exports) module.exports = DashboardAnalysisSpec;
+    global.DashboardAnalysisSpec = DashboardAnalysisSpec;
+})(typeof window !== 'undefined' ? window : globalThis);
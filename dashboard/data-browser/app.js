@@ -3,6 +3,9 @@
 const A = window.DashboardAnalysis;
 const P = window.DashboardPlots;
 const G = window.DashboardGitHub;
+const S = window.DashboardAnalysisSpec;
+const N = window.RunlogNwb;
+const CS = window.CircularStats;
 const ANALYSIS_AXES_KEY = 'dashboard_analysis_axes';
 
 const state = {
@@ -14,6 +17,8 @@ const state = {
     pages: [],
     plotIndex: 0,
     renderedRuns: [],
+    analysisSpec: null,
+    analysisSpecName: '',
     analysisAxes: {
         mode: 'manual',
         turningLimit: 300,
@@ -35,6 +40,7 @@ const state = {
         autoY: true,
         smoothWindowS: 0.5,
         ballDiameterMm: 9,
+        circularMetric: '',
         fixed: { turning: null, forward: null },
         heldScale: {}
     }
@@ -77,6 +83,8 @@ const els = Object.fromEntries(
         'genotypeFilter',
         'sexFilter',
         'showAllRunsInput',
+        'statsTestSelect',
+        'statsCorrectionSelect',
         'selectVisibleButton',
         'clearSelectionButton',
         'catalogStatus',
@@ -85,6 +93,7 @@ const els = Object.fromEntries(
         'metricsGrid',
         'timeReadout',
         'windowReadout',
+        'circularReadout',
         'stepBackButton',
         'stepForwardButton',
         'scopeSmoothWin',
@@ -94,6 +103,7 @@ const els = Object.fromEntries(
         'scopeTurnLim',
         'scopeFwdLim',
         'scopeAutoY',
+        'scopeCircularMetric',
         'scopeCanvas',
         'timeSlider',
         'plotTitle',
@@ -111,10 +121,16 @@ const els = Object.fromEntries(
         'analysisForwardMax',
         'applyAnalysisAxesButton',
         'fitAnalysisAxesButton',
+        'analysisSpecBadge',
+        'analysisSpecInput',
+        'clearAnalysisSpecButton',
+        'circularMetricSelect',
+        'behaviorEventsInput',
         'analysisContext',
         'analysisWarnings',
         'plotArea',
         'downloadFramesCsvButton',
+        'downloadNwbButton',
         'metadataSummary',
         'metadataRaw',
         'stepCount',
@@ -797,7 +813,13 @@ function analysisWarnings(runs) {
     const genotypes = [...new Set(runs.map((run) => run.descriptor.genotype))];
     const sexes = [...new Set(runs.map((run) => run.descriptor.sex))];
     const hashes = [...new Set(runs.map((run) => run.descriptor.protocolSha).filter(Boolean))];
-    if (families.length > 1)
+    if (state.analysisSpec) {
+        const unmatched = S.unmatchedRuns(state.analysisSpec, runs);
+        if (unmatched.length)
+            warnings.push(
+                `${state.analysisSpecName} is written for ${state.analysisSpec.protocols.join(', ')}; check runs ${unmatched.map((run) => run.id).join(', ')}.`
+            );
+    } else if (families.length > 1)
         warnings.push(
             'Multiple protocol families selected; the dashboard is using generic condition-aligned plots.'
         );
@@ -843,6 +865,13 @@ async function renderSelection() {
         state.pages = P.buildPages(runs, {
             mode: state.mode,
             showIndividuals: els.showIndividualsInput.checked,
+            stats: {
+                test: els.statsTestSelect.value,
+                correction: els.statsCorrectionSelect.value
+            },
+            analysisSpec: state.analysisSpec,
+            circularMetric: els.circularMetricSelect.value,
+            behaviorEvents: els.behaviorEventsInput.checked,
             ...axisOptions
         });
         state.plotIndex = Math.min(state.plotIndex, Math.max(0, state.pages.length - 1));
@@ -1037,8 +1066,10 @@ function enableRunControls(enabled) {
         els.scopeTurnLim,
         els.scopeFwdLim,
         els.scopeAutoY,
+        els.scopeCircularMetric,
         els.timeSlider,
-        els.downloadFramesCsvButton
+        els.downloadFramesCsvButton,
+        els.downloadNwbButton
     ].forEach((element) => {
         element.disabled = !enabled;
     });
@@ -1361,6 +1392,28 @@ function renderScope() {
     context.textAlign = 'left';
     els.timeReadout.textContent = `${formatNumber(start, 1)} - ${formatNumber(end, 1)} s`;
     els.windowReadout.textContent = `window: ${formatNumber(end - start, 1)} s`;
+    els.circularReadout.textContent = circularReadout(frames);
+}
+
+// Heading statistic over the visible window — the same CircularStats metric
+// the live scope shows for its span.
+function circularReadout(frames) {
+    const metric = state.scope.circularMetric;
+    if (!metric) return '';
+    const { label, unit } = CS.METRICS[metric];
+    const headings = frames.map((frame) => frame.hd);
+    const value = CS.metric(metric, headings);
+    const digits = metric === 'rayleigh_p' ? 4 : 2;
+    return `heading ${label}: ${formatNumber(value, digits)} ${unit}`.trim();
+}
+
+function fillCircularMetricOptions(select) {
+    Object.entries(CS.METRICS).forEach(([name, metric]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = metric.unit ? `${metric.label} (${metric.unit})` : metric.label;
+        select.append(option);
+    });
 }
 
 function downloadFramesCsv() {
@@ -1393,6 +1446,39 @@ function downloadFramesCsv() {
     );
 }
 
+function downloadNwb() {
+    const run = focusedRun();
+    if (!run) return;
+    const nwb = N.buildNwb(run);
+    downloadText(JSON.stringify(nwb), N.nwbFilename(nwb), 'application/json');
+}
+
+async function parseSpecText(text, filename) {
+    if (/\.json$/i.test(filename)) return JSON.parse(text);
+    const YAML = await import('../../js/vendor/yaml/browser/dist/index.js');
+    return YAML.parse(text);
+}
+
+function updateAnalysisSpecUi() {
+    els.analysisSpecBadge.textContent = state.analysisSpec
+        ? state.analysisSpecName
+        : 'Built-in pages';
+    els.clearAnalysisSpecButton.disabled = !state.analysisSpec;
+}
+
+async function loadAnalysisSpec(file) {
+    const doc = await parseSpecText(await file.text(), file.name);
+    state.analysisSpec = S.specFromDocument(doc);
+    state.analysisSpecName = file.name;
+    state.plotIndex = 0;
+    updateAnalysisSpecUi();
+    setStatus(
+        'ok',
+        `Analysis spec ${file.name}: ${state.analysisSpec.pages.length} page definition${state.analysisSpec.pages.length === 1 ? '' : 's'}`
+    );
+    if (state.renderedRuns.length) await renderSelection();
+}
+
 async function refreshSignalsAndPlots() {
     for (const run of state.runs.values())
         A.refreshSignals(run, {
@@ -1412,6 +1498,25 @@ els.fileInput.addEventListener('change', async (event) => {
     }
 });
 
+els.analysisSpecInput.addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+        await loadAnalysisSpec(file);
+    } catch (error) {
+        setStatus('error', `Could not load analysis spec: ${error.message}`);
+    }
+});
+
+els.clearAnalysisSpecButton.addEventListener('click', async () => {
+    state.analysisSpec = null;
+    state.analysisSpecName = '';
+    state.plotIndex = 0;
+    updateAnalysisSpecUi();
+    if (state.renderedRuns.length) await renderSelection();
+});
+
 els.loadUrlButton.addEventListener('click', async () => {
     try {
         await loadUrl(els.urlInput.value.trim());
@@ -1557,9 +1662,17 @@ els.runCatalog.addEventListener('click', (event) => {
 });
 
 els.renderSelectionButton.addEventListener('click', renderSelection);
-els.showIndividualsInput.addEventListener('change', () => {
-    if (state.renderedRuns.length) renderSelection();
-});
+[
+    els.showIndividualsInput,
+    els.statsTestSelect,
+    els.statsCorrectionSelect,
+    els.circularMetricSelect,
+    els.behaviorEventsInput
+].forEach((element) =>
+    element.addEventListener('change', () => {
+        if (state.renderedRuns.length) renderSelection();
+    })
+);
 
 els.applyAnalysisAxesButton.addEventListener('click', async () => {
     const turningLimit = Number(els.analysisTurnLimit.value);
@@ -1646,6 +1759,7 @@ els.downloadPlotCsvButton.addEventListener('click', () => {
 });
 
 els.downloadFramesCsvButton.addEventListener('click', downloadFramesCsv);
+els.downloadNwbButton.addEventListener('click', downloadNwb);
 
 els.windowSelect.addEventListener('change', () => {
     updateSlider();
@@ -1705,6 +1819,10 @@ els.scopeAutoY.addEventListener('click', () => {
     if (state.scope.autoY) state.scope.heldScale = {};
     renderScope();
 });
+els.scopeCircularMetric.addEventListener('change', () => {
+    state.scope.circularMetric = els.scopeCircularMetric.value;
+    renderScope();
+});
 
 document.body.addEventListener('dragover', (event) => event.preventDefault());
 document.body.addEventListener('drop', async (event) => {
@@ -1725,6 +1843,8 @@ window.addEventListener('resize', renderScope);
 async function initialize() {
     els.githubRepoInput.value = G.currentRepo();
     loadAnalysisAxes();
+    fillCircularMetricOptions(els.circularMetricSelect);
+    fillCircularMetricOptions(els.scopeCircularMetric);
     if (window.location.hostname.endsWith('github.io')) {
         els.plotSourceLink.href =
             'https://github.com/reiserlab/webDisplayTools/tree/main/dashboard/data-browser';
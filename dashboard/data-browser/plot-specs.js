@@ -4,6 +4,9 @@
     const A =
         global.DashboardAnalysis ||
         (typeof require === 'function' ? require('./analysis-core.js') : null);
+    const S =
+        global.DashboardAnalysisSpec ||
+        (typeof require === 'function' ? require('./analysis-spec.js') : null);
     const COLORS = {
         cw: '#1463d6',
         ccw: '#d63b32',
@@ -99,9 +102,13 @@
         const trialCurves = [];
         let epochs = [];
         for (const run of runs) {
-            const steps = run.steps.filter((step) => predicate(step, run));
+            const steps = opts.steps
+                ? opts.steps(run)
+                : run.steps.filter((step) => predicate(step, run));
             const curves = steps.map((step) =>
-                A.trialSeries(run, step, metric, { hz: opts.hz || 10 })
+                opts.curve
+                    ? opts.curve(run, step, metric)
+                    : A.trialSeries(run, step, metric, { hz: opts.hz || 10 })
             );
             if (!epochs.length && curves.length) epochs = curves[0].epochs;
             if (!curves.length) continue;
@@ -154,7 +161,11 @@
         const csvRows = [];
         let shapes = [];
         seriesDefs.forEach((series, seriesIndex) => {
-            const bundle = curveBundle(runs, series.predicate, metric, opts);
+            const bundle = curveBundle(runs, series.predicate, metric, {
+                ...opts,
+                steps: series.steps,
+                curve: series.curve
+            });
             if (!shapes.length && bundle.epochs.length) shapes = epochShapes(bundle.epochs);
             const color = series.color;
             const legend = opts.showLegend && seriesIndex === 0;
@@ -552,10 +563,108 @@
         return pages;
     }
 
+    function significanceStars(p) {
+        if (!Number.isFinite(p)) return '';
+        if (p < 0.001) return '***';
+        if (p < 0.01) return '**';
+        if (p < 0.05) return '*';
+        return 'ns';
+    }
+
+    function formatP(p) {
+        if (!Number.isFinite(p)) return 'n/a';
+        return p < 0.001 ? p.toExponential(1) : p.toFixed(3);
+    }
+
+    // Genotype-vs-genotype comparisons for grouped views. Each entry is one
+    // plotted point ({series, seriesIndex, x, values: [{run, y}]}) whose fly
+    // means are split by genotype; p-values are corrected across the panel.
+    function genotypeStats(entries, options) {
+        const empty = { csvRows: [], annotations: [] };
+        if (options.mode !== 'group') return empty;
+        const statsOptions = options.stats || {};
+        const test = statsOptions.test === 'rank-sum' ? 'rank-sum' : 'permutation';
+        const correction = statsOptions.correction || 'holm';
+        const found = [];
+        for (const entry of entries) {
+            const byGenotype = new Map();
+            for (const item of entry.values) {
+                if (!Number.isFinite(item.y)) continue;
+                const genotype = item.run.descriptor ? item.run.descriptor.genotype : 'unknown';
+                if (!byGenotype.has(genotype)) byGenotype.set(genotype, []);
+                byGenotype.get(genotype).push(item.y);
+            }
+            if (byGenotype.size < 2) continue;
+            const groups = [...byGenotype.entries()]
+                .sort((a, b) => a[0].localeCompare(b[0]))
+                .map(([label, values]) => ({ label, values }));
+            for (const comparison of A.compareGroups(groups, statsOptions))
+                found.push({ entry, comparison });
+        }
+        if (!found.length) return empty;
+        const permutationAdjusted = A.adjustPValues(
+            found.map((item) => item.comparison.permutationP),
+            correction
+        );
+        const rankSumAdjusted = A.adjustPValues(
+            found.map((item) => item.comparison.rankSumP),
+            correction
+        );
+        const csvRows = found.map(({ entry, comparison }, index) => ({
+            series: entry.series,
+            level: 'genotype_comparison',
+            run_id: 'all',
+            x: entry.x,
+            group_a: comparison.groupA,
+            group_b: comparison.groupB,
+            n_a: comparison.nA,
+            n_b: comparison.nB,
+            mean_a: comparison.meanA,
+            mean_b: comparison.meanB,
+            difference: comparison.difference,
+            ci_low: comparison.ciLow,
+            ci_high: comparison.ciHigh,
+            ci_level: comparison.ciLevel,
+            permutation_p: comparison.permutationP,
+            permutation_p_adjusted: permutationAdjusted[index],
+            rank_sum_u: comparison.rankSumU,
+            rank_sum_p: comparison.rankSumP,
+            rank_sum_p_adjusted: rankSumAdjusted[index],
+            correction,
+            test
+        }));
+        const annotations = [];
+        for (const entry of new Set(found.map((item) => item.entry))) {
+            const rows = csvRows.filter((row, index) => found[index].entry === entry);
+            const key = test === 'rank-sum' ? 'rank_sum_p_adjusted' : 'permutation_p_adjusted';
+            const best = Math.min(...rows.map((row) => row[key]));
+            annotations.push({
+                x: entry.x,
+                y: 1,
+                yanchor: 'top',
+                yshift: -12 * (entry.seriesIndex || 0),
+                text: significanceStars(best),
+                showarrow: false,
+                font: { size: 11, color: entry.color || COLORS.text },
+                hovertext: rows
+                    .map(
+                        (row) =>
+                            `${entry.series}: ${row.group_a} - ${row.group_b} = ${row.difference.toFixed(2)} ` +
+                            `[${row.ci_low.toFixed(2)}, ${row.ci_high.toFixed(2)}] (n=${row.n_a}/${row.n_b})<br>` +
+                            `permutation p=${formatP(row.permutation_p_adjusted)}, ` +
+                            `rank-sum p=${formatP(row.rank_sum_p_adjusted)} (${correction})`
+                    )
+                    .join('<br>')
+            });
+        }
+        return { csvRows, annotations };
+    }
+
     function summarySeries(runs, pointsForRun, seriesDefs, options) {
         const traces = [];
         const csvRows = [];
-        for (const series of seriesDefs) {
+        const statEntries = [];
+        seriesDefs.forEach((series, seriesIndex) => {
             const perRun = runs
                 .map((run) => ({ run, points: pointsForRun(run, series) }))
                 .filter((item) => item.points.length);
@@ -591,21 +700,20 @@
             const xValues = [
                 ...new Set(perRun.flatMap((item) => item.points.map((point) => point.x)))
             ].sort((a, b) => a - b);
-            const y = xValues.map((x) =>
-                A.mean(
-                    perRun.map((item) => {
-                        const point = item.points.find((candidate) => candidate.x === x);
-                        return point ? point.y : NaN;
-                    })
-                )
-            );
-            const errors = xValues.map((x) =>
-                A.sem(
-                    perRun.map((item) => {
-                        const point = item.points.find((candidate) => candidate.x === x);
-                        return point ? point.y : NaN;
-                    })
-                )
+            const valueAt = (item, x) => {
+                const point = item.points.find((candidate) => candidate.x === x);
+                return point ? point.y : NaN;
+            };
+            const y = xValues.map((x) => A.mean(perRun.map((item) => valueAt(item, x))));
+            const errors = xValues.map((x) => A.sem(perRun.map((item) => valueAt(item, x))));
+            xValues.forEach((x) =>
+                statEntries.push({
+                    series: series.name,
+                    seriesIndex,
+                    color: series.color,
+                    x,
+                    values: perRun.map((item) => ({ run: item.run, y: valueAt(item, x) }))
+                })
             );
             traces.push({
                 type: 'scatter',
@@ -633,8 +741,10 @@
                     n: perRun.length
                 })
             );
-        }
-        return { traces, csvRows };
+        });
+        const stats = genotypeStats(statEntries, options);
+        csvRows.push(...stats.csvRows);
+        return { traces, csvRows, annotations: stats.annotations };
     }
 
     function p0DosePage(runs, options) {
@@ -670,6 +780,7 @@
             return {
                 title: humanize(family),
                 traces: result.traces,
+                annotations: result.annotations,
                 shapes: [],
                 csvRows: result.csvRows
             };
@@ -841,6 +952,7 @@
                 cells.push({
                     title: `${period} deg spatial period`,
                     traces: result.traces,
+                    annotations: result.annotations,
                     shapes: [],
                     csvRows: result.csvRows.map((row) => ({
                         ...row,
@@ -913,6 +1025,7 @@
                 cells.push({
                     title: `${period} deg spatial period`,
                     traces: result.traces,
+                    annotations: result.annotations,
                     shapes: [],
                     csvRows: result.csvRows.map((row) => ({
                         ...row,
@@ -956,6 +1069,7 @@
             return {
                 title: `${period} deg spatial period`,
                 traces: result.traces,
+                annotations: result.annotations,
                 shapes: [],
                 csvRows: result.csvRows
             };
@@ -2567,6 +2681,7 @@
                 {
                     title: 'Probe after matched baseline correction',
                     traces: result.traces,
+                    annotations: result.annotations,
                     shapes: [
                         {
                             type: 'line',
@@ -2593,6 +2708,210 @@
         );
     }
 
+    const SPEC_PALETTE = [
+        COLORS.cw,
+        COLORS.ccw,
+        COLORS.green,
+        COLORS.amber,
+        COLORS.magenta,
+        COLORS.cyan,
+        COLORS.purple,
+        COLORS.static
+    ];
+
+    function specAlignLabel(align) {
+        if (align.startsWith('command:')) return `${align.slice('command:'.length)} command`;
+        return (
+            {
+                default: 'stimulus onset',
+                step: 'step start',
+                visual: 'visual onset',
+                moving: 'motion onset',
+                opto: 'LED onset',
+                sham: 'sham onset'
+            }[align] || align
+        );
+    }
+
+    function specPanelTitle(page, level, metric) {
+        if (level === null) return A.metricLabel(metric);
+        return page.panels.param ? `${page.panels.param} ${level}` : humanize(level);
+    }
+
+    function specTimeCell(runs, spec, page, metric, level, seriesDefs, options) {
+        return pairedCell(
+            runs,
+            metric,
+            seriesDefs.map((series) => ({
+                ...series,
+                steps: (run) =>
+                    S.groupSteps(run, series.group, page, level === null ? undefined : level),
+                curve: (run, step) => S.stepSeries(run, step, metric, series.group, page, spec.hz)
+            })),
+            options.pageId,
+            specPanelTitle(page, level, metric),
+            options
+        );
+    }
+
+    function specTuningCell(runs, page, metric, level, seriesDefs, options) {
+        const title = specPanelTitle(page, level, metric);
+        const result = summarySeries(
+            runs,
+            (run, series) =>
+                S.runPoints(run, series.group, metric, page, level === null ? undefined : level),
+            seriesDefs,
+            options
+        );
+        return {
+            title,
+            traces: result.traces,
+            annotations: result.annotations,
+            shapes: [],
+            csvRows: result.csvRows.map((row) => ({ plot: options.pageId, panel: title, ...row }))
+        };
+    }
+
+    function specSummaryCell(runs, page, metric, level, seriesDefs, options) {
+        const title = specPanelTitle(page, level, metric);
+        const traces = [];
+        const csvRows = [];
+        const labels = seriesDefs.map((series) => series.name);
+        const perRun = runs.map((run) => ({
+            run,
+            values: seriesDefs.map((series) =>
+                S.runValue(run, series.group, metric, page, level === null ? undefined : level)
+            )
+        }));
+        if (options.showIndividuals) {
+            perRun.forEach((item) => {
+                traces.push({
+                    type: 'scatter',
+                    mode: 'markers+lines',
+                    x: labels,
+                    y: item.values,
+                    name: item.run.id,
+                    showlegend: false,
+                    line: { color: rgba(COLORS.muted, 0.3), width: 1 },
+                    marker: { color: rgba(COLORS.muted, 0.6), size: 6 },
+                    text: sourceLabel(item.run),
+                    hovertemplate: '%{text}<br>%{x}<br>%{y:.2f}<extra></extra>'
+                });
+                seriesDefs.forEach((series, index) =>
+                    csvRows.push({
+                        plot: options.pageId,
+                        panel: title,
+                        series: series.name,
+                        level: 'fly_mean',
+                        run_id: item.run.id,
+                        y: item.values[index]
+                    })
+                );
+            });
+        }
+        seriesDefs.forEach((series, index) => {
+            const values = perRun.map((item) => item.values[index]);
+            const value = A.mean(values);
+            const error = A.sem(values);
+            traces.push({
+                type: 'scatter',
+                mode: 'markers',
+                x: [series.name],
+                y: [value],
+                name: series.name,
+                legendgroup: series.name,
+                marker: { color: series.color, size: 11 },
+                error_y:
+                    options.mode === 'group'
+                        ? { type: 'data', array: [error], visible: true, color: series.color }
+                        : undefined,
+                hovertemplate: `${series.name}<br>%{y:.2f}<extra></extra>`
+            });
+            csvRows.push({
+                plot: options.pageId,
+                panel: title,
+                series: series.name,
+                level: options.mode === 'group' ? 'group_mean' : 'fly_mean',
+                run_id: options.mode === 'group' ? 'all' : runs[0] && runs[0].id,
+                y: value,
+                sem: error,
+                n: values.filter(Number.isFinite).length
+            });
+        });
+        const stats = genotypeStats(
+            seriesDefs.map((series, index) => ({
+                series: series.name,
+                color: series.color,
+                x: series.name,
+                values: perRun.map((item) => ({ run: item.run, y: item.values[index] }))
+            })),
+            options
+        );
+        csvRows.push(
+            ...stats.csvRows.map((row) => ({ plot: options.pageId, panel: title, ...row }))
+        );
+        return { title, traces, shapes: [], annotations: stats.annotations, csvRows };
+    }
+
+    function specPages(runs, spec, options) {
+        const groupKeys = Object.keys(spec.groups);
+        const pages = [];
+        for (const page of spec.pages) {
+            const seriesDefs = page.series.map((group) => ({
+                name: group.label,
+                color:
+                    group.color || SPEC_PALETTE[groupKeys.indexOf(group.key) % SPEC_PALETTE.length],
+                group
+            }));
+            const levels = page.panels ? S.panelLevels(runs, page) : [null];
+            const alignLabel = specAlignLabel(page.align);
+            const windowText = page.window
+                ? `${page.window.startSec} to ${page.window.endSec} s`
+                : 'the whole trial';
+            for (const metric of page.metrics) {
+                const pageId = page.metrics.length > 1 ? `${page.id}-${metric}` : page.id;
+                const cellOptions = { ...options, pageId, showLegend: true };
+                const cells = levels.map((level) => {
+                    if (page.plot === 'tuning')
+                        return specTuningCell(runs, page, metric, level, seriesDefs, cellOptions);
+                    if (page.plot === 'summary')
+                        return specSummaryCell(runs, page, metric, level, seriesDefs, cellOptions);
+                    return specTimeCell(runs, spec, page, metric, level, seriesDefs, cellOptions);
+                });
+                const cols = cells.length > 8 ? 2 : 1;
+                const rows = Math.max(1, Math.ceil(cells.length / cols));
+                const xLabel =
+                    page.plot === 'tuning'
+                        ? page.xLabel || page.x.source
+                        : page.plot === 'summary'
+                          ? page.xLabel || 'Group'
+                          : `Time from ${alignLabel} (s)`;
+                pages.push(
+                    pageFromCells(
+                        pageId,
+                        `${page.title || humanize(page.id)}: ${A.metricLabel(metric)}`,
+                        page.description ||
+                            (page.plot === 'timeseries'
+                                ? `Trials aligned to ${alignLabel}, averaged within fly before the group mean.`
+                                : `Mean over ${windowText} from ${alignLabel}; trials are averaged within fly before the group mean.`),
+                        cells,
+                        rows,
+                        cols,
+                        axisGridOptions(options, metric, {
+                            xLabel,
+                            yLabel: A.metricLabel(metric),
+                            height:
+                                page.plot === 'timeseries'
+                                    ? Math.max(450, rows * 190 + 100)
+                                    : Math.max(430, rows * 300 + 100)
+                        })
+                    )
+                );
+            }
+        }
+        return pages;
+    }
+
     function genericPages(runs, options) {
         const conditions = [
             ...new Set(runs.flatMap((run) => run.steps.map((step) => step.condition)))
@@ -2635,9 +2954,123 @@
         });
     }
 
+    // Trial conditions in run order, for the opt-in per-condition pages.
+    function trialConditions(runs) {
+        return [...new Set(runs.flatMap((run) => run.steps.map((step) => step.condition)))]
+            .filter((condition) => !/^(start|shutdown|opto_on)/.test(condition))
+            .slice(0, 24);
+    }
+
+    // Opt-in page (analysis option `circularMetric`, a CircularStats.METRICS
+    // name): the statistic per trial, averaged per fly, for each condition.
+    function circularStatsPage(runs, options) {
+        const metric = options.circularMetric;
+        const pageId = `circular-${metric}`;
+        const conditions = trialConditions(runs);
+        const sources = new Set();
+        const result = summarySeries(
+            runs,
+            (run) =>
+                conditions
+                    .map((condition) => {
+                        const steps = run.steps.filter((step) => step.condition === condition);
+                        steps.forEach((step) =>
+                            sources.add(A.circularStepAngles(run, step).source)
+                        );
+                        return {
+                            x: humanize(condition),
+                            y: A.mean(steps.map((step) => A.circularStepMetric(run, step, metric)))
+                        };
+                    })
+                    .filter((point) => Number.isFinite(point.y)),
+            [{ name: A.metricLabel(metric), color: COLORS.purple }],
+            options
+        );
+        const cell = {
+            title: [...sources].join(' / ') || 'No trials',
+            traces: result.traces,
+            annotations: result.annotations,
+            shapes: [],
+            csvRows: result.csvRows.map((row) => ({ plot: pageId, metric, ...row }))
+        };
+        return pageFromCells(
+            pageId,
+            `Circular statistics: ${A.metricLabel(metric)}`,
+            'Per-trial circular statistic, averaged per fly. Object and cue positions (p2 choice, p3 trials) are axial (order 2); other conditions use the fly heading.',
+            [cell],
+            1,
+            1,
+            axisGridOptions(options, metric, {
+                xLabel: 'Condition',
+                yLabel: A.metricLabel(metric),
+                height: 460
+            })
+        );
+    }
+
+    // Opt-in page (analysis option `behaviorEvents`): saccade rate and
+    // amplitude and walking fraction per condition, from the shared
+    // js/behavior-events.js detector, averaged per fly.
+    function behaviorEventsPage(runs, options) {
+        const pageId = 'behavior-events';
+        const conditions = trialConditions(runs);
+        const panels = [
+            { key: 'saccadeRateHz', title: 'Saccade rate (1/s)', color: COLORS.cw },
+            { key: 'meanSaccadeAmplitudeDeg', title: 'Saccade amplitude (deg)', color: COLORS.ccw },
+            { key: 'walkingFraction', title: 'Walking fraction', color: COLORS.green }
+        ];
+        const cells = panels.map((panel) => {
+            const result = summarySeries(
+                runs,
+                (run) =>
+                    conditions
+                        .map((condition) => ({
+                            x: humanize(condition),
+                            y: A.mean(
+                                run.steps
+                                    .filter((step) => step.condition === condition)
+                                    .map(
+                                        (step) =>
+                                            A.stepBehaviorEvents(run, step, options).summary[
+                                                panel.key
+                                            ]
+                                    )
+                            )
+                        }))
+                        .filter((point) => Number.isFinite(point.y)),
+                [{ name: panel.title, color: panel.color }],
+                options
+            );
+            return {
+                title: panel.title,
+                traces: result.traces,
+                annotations: result.annotations,
+                shapes: [],
+                csvRows: result.csvRows.map((row) => ({ plot: pageId, metric: panel.key, ...row }))
+            };
+        });
+        return pageFromCells(
+            pageId,
+            'Saccades and walking bouts',
+            'Body saccades and walking bouts detected per trial by the shared Arena Studio detector (js/behavior-events.js defaults), averaged per fly. Amplitude is the mean unsigned heading change per saccade.',
+            cells,
+            3,
+            1,
+            axisGridOptions(options, 'events', { xLabel: 'Condition', height: 820 })
+        );
+    }
+
     function buildPages(runs, options) {
         if (!runs.length) return [];
         const opts = { mode: 'single', showIndividuals: true, ...options };
+        const pages = protocolPages(runs, opts);
+        if (opts.circularMetric) pages.push(circularStatsPage(runs, opts));
+        if (opts.behaviorEvents) pages.push(behaviorEventsPage(runs, opts));
+        return pages;
+    }
+
+    function protocolPages(runs, opts) {
+        if (opts.analysisSpec) return specPages(runs, opts.analysisSpec, opts);
         const families = [...new Set(runs.map((run) => run.protocolInfo.family))];
         if (families.length !== 1) return genericPages(runs, opts);
         if (families[0] === 'p0') return [...p0TimePages(runs, opts), p0DosePage(runs, opts)];
@@ -0,0 +1,241 @@
+'use strict';
+
+const assert = require('assert');
+const A = require('../analysis-core.js');
+const S = require('../analysis-spec.js');
+const P = require('../plot-specs.js');
+
+// Synthetic behavior_v1 runlog: every trial has 1 s static, 2 s of drifting
+// grating (frameRate = +/- speed) and an LED command 0.5 s into the motion.
+// The fly turns at gain * 10 deg/s per Hz while the grating moves.
+function runlog(runId, gain) {
+    const conditions = ['drift_cw_2hz', 'drift_ccw_2hz', 'drift_cw_8hz', 'drift_ccw_8hz'];
+    const lines = [
+        { event: 'run_metadata', run_id: runId, protocol_filename: 'p9_drift_speed.yaml' },
+        { type: 'frame_schema', cols: ['ms', 'fc', 'idx', 'ft', 'x', 'y', 'hd'] }
+    ];
+    const trials = [];
+    conditions.forEach((condition, index) => {
+        const startMs = 1000 + index * 4000;
+        const [, direction, hz] = condition.match(/_(cw|ccw)_(\d+)hz$/);
+        const rate = (direction === 'cw' ? 1 : -1) * Number(hz);
+        trials.push({ startMs, rate });
+        lines.push(
+            { event: 'runner', index, phase: 'step-start', condition, ms: startMs },
+            {
+                event: 'runner',
+                index,
+                phase: 'trial-running',
+                ms: startMs + 1000,
+                durationSec: 2,
+                params: { frameRate: rate * 10 }
+            },
+            {
+                event: 'runner',
+                index,
+                phase: 'command',
+                op: 'setAnalogOut',
+                value: 0,
+                ms: startMs + 1500
+            },
+            { event: 'runner', index, phase: 'step-done', ms: startMs + 3000 }
+        );
+    });
+    let heading = 0;
+    for (let ms = 0, fc = 0; ms <= 18000; ms += 20, fc += 1) {
+        const trial = trials.find((item) => ms > item.startMs + 1000 && ms <= item.startMs + 3000);
+        if (trial) heading += (trial.rate * 10 * gain * Math.PI) / 180 / 50;
+        lines.push([ms, fc, 0, ms, 0, 0, heading]);
+    }
+    const text = lines.map((line) => JSON.stringify(line)).join('\n');
+    return A.parseJsonl(text, `${runId}.jsonl`, `${runId}.jsonl`, {
+        ballDiameterMm: 9,
+        smoothWindowS: 0.5
+    });
+}
+
+const SPEC = {
+    analysis_contract_version: 1,
+    protocol_family: 'drift speed',
+    protocols: ['p9_drift_speed'],
+    align: 'moving',
+    groups: {
+        cw: { label: 'CW', match: '^drift_cw_' },
+        ccw: { label: 'CCW (sign-flipped)', match: '^drift_ccw_', sign: -1 },
+        slow: { conditions: ['drift_cw_2hz', 'drift_ccw_2hz'] },
+        fast_cw: { params: { frameRate: 80 } }
+    },
+    pages: [
+        {
+            id: 'drift-time',
+            title: 'Drift responses',
+            plot: 'timeseries',
+            metrics: ['turning', 'forward'],
+            series: ['cw', 'ccw'],
+            panels: '_(\\d+)hz$'
+        },
+        {
+            id: 'drift-tuning',
+            plot: 'tuning',
+            metric: 'turning',
+            series: ['cw', 'ccw'],
+            x: { param: 'frameRate', abs: true },
+            x_label: 'Frame rate (Hz)',
+            window: [0.5, 1.5]
+        },
+        {
+            id: 'drift-led',
+            plot: 'summary',
+            series: ['slow', 'fast_cw'],
+            align: 'command:setAnalogOut',
+            window: [0, 1]
+        }
+    ]
+};
+
+const near = (value, expected) => Math.abs(value - expected) < 1e-6;
+
+const fly1 = runlog('fly1', 1);
+const fly2 = runlog('fly2', 2);
+assert.strictEqual(fly1.protocolInfo.family, 'generic');
+assert.strictEqual(fly1.steps.length, 4);
+
+// Groupings, levels, and alignment
+const spec = S.normalizeSpec(SPEC);
+const [timePage, tuningPage] = spec.pages;
+assert.deepStrictEqual(
+    fly1.steps.filter((step) => S.stepInGroup(step, spec.groups.ccw)).map((step) => step.index),
+    [1, 3]
+);
+assert.deepStrictEqual(
+    fly1.steps.filter((step) => S.stepInGroup(step, spec.groups.fast_cw)).map((s) => s.condition),
+    ['drift_cw_8hz']
+);
+assert.deepStrictEqual(S.panelLevels([fly1], timePage), ['2', '8']);
+assert.deepStrictEqual(
+    fly1.steps.map((step) => S.levelOf(step, tuningPage.x)),
+    [20, 20, 80, 80]
+);
+const first = fly1.steps[0];
+assert.strictEqual(S.alignStep(first, 'step').alignMs, first.startMs);
+assert.strictEqual(S.alignStep(first, 'moving').alignMs, first.startMs + 1000);
+assert.strictEqual(S.alignStep(first, 'command:setAnalogOut').alignMs, first.startMs + 1500);
+assert.strictEqual(S.alignStep(first, 'opto').alignMs, first.startMs + 1500, 'LED on below 4.9 V');
+assert.strictEqual(S.alignStep(first, 'sham'), null, 'steps without the event are dropped');
+assert.strictEqual(S.alignStep(first, 'default').alignMs, first.alignMs);
+
+// Values come from stepMean over the aligned window, signed per group
+const cwTurning = A.stepMean(fly1, S.alignStep(first, 'moving'), 'turning', 0.5, 1.5);
+assert(Math.abs(Math.abs(cwTurning) - 20) < 0.5, `2 Hz CW turning ${cwTurning}`);
+const points = S.runPoints(fly1, spec.groups.ccw, 'turning', tuningPage);
+assert.deepStrictEqual(
+    points.map((point) => point.x),
+    [20, 80]
+);
+assert(near(points[0].y, cwTurning), 'sign-flipped CCW matches CW');
+assert(near(S.runPoints(fly2, spec.groups.cw, 'turning', tuningPage)[1].y, 8 * cwTurning));
+
+// Pages: one per page × metric, panels per level, trials averaged within fly
+const pages = P.buildPages([fly1, fly2], { mode: 'group', analysisSpec: spec });
+assert.deepStrictEqual(
+    pages.map((page) => page.id),
+    ['drift-time-turning', 'drift-time-forward', 'drift-tuning', 'drift-led']
+);
+assert.strictEqual(pages[0].title, 'Drift responses: Turning velocity (deg/s)');
+assert.deepStrictEqual(
+    pages[0].figure.layout.annotations.map((note) => note.text),
+    ['<b>2</b>', '<b>8</b>']
+);
+assert.strictEqual(pages[0].figure.layout.xaxis2.title.text, 'Time from motion onset (s)');
+const groupTrace = pages[0].figure.data.find(
+    (trace) => trace.name === 'CW' && trace.line && trace.line.width === 2.6
+);
+const onsetIndex = groupTrace.x.findIndex((x) => near(x, 1));
+assert(near(groupTrace.y[onsetIndex], 1.5 * cwTurning), 'group mean of two flies');
+const tuningMean = pages[2].csvRows.filter((row) => row.level === 'group_mean');
+assert.deepStrictEqual(
+    tuningMean.map((row) => [row.series, row.x, row.n]),
+    [
+        ['CW', 20, 2],
+        ['CW', 80, 2],
+        ['CCW (sign-flipped)', 20, 2],
+        ['CCW (sign-flipped)', 80, 2]
+    ]
+);
+assert(near(tuningMean[1].y, 1.5 * 4 * cwTurning), '8 Hz group mean');
+const ledMean = pages[3].csvRows.filter((row) => row.level === 'group_mean');
+assert.deepStrictEqual(
+    ledMean.map((row) => row.series),
+    ['slow', 'fast_cw']
+);
+assert.strictEqual(pages[3].figure.data.filter((trace) => trace.mode === 'markers').length, 2);
+assert.deepStrictEqual(
+    P.buildPages([fly1], {}).map((page) => page.id),
+    ['generic-turning', 'generic-forward', 'generic-heading'],
+    'runs without a spec keep the generic pages'
+);
+
+// Embedded in a v3 protocol, protocol matching, and errors
+const fromProtocol = S.specFromDocument({
+    version: 3,
+    experiment_info: { name: 'Drift speed' },
+    analysis: { ...SPEC, protocol_family: undefined }
+});
+assert.strictEqual(fromProtocol.family, 'Drift speed');
+assert.strictEqual(fromProtocol.pages[2].id, 'drift-led');
+assert.strictEqual(
+    S.specFromDocument({
+        experiment_info: { name: 'Drift speed' },
+        analysis: { ...SPEC, protocol_family: '', pages: [{ plot: 'timeseries' }] }
+    }).pages[0].id,
+    'drift-speed-1',
+    'unnamed pages are numbered under the protocol family'
+);
+assert.deepStrictEqual(S.unmatchedRuns(spec, [fly1, fly2]), []);
+assert.deepStrictEqual(
+    S.unmatchedRuns({ ...spec, protocols: ['p8_other'] }, [fly1]).map((run) => run.id),
+    ['fly1']
+);
+const errorOf = (raw) => {
+    try {
+        S.normalizeSpec(raw);
+    } catch (error) {
+        return error.message;
+    }
+    return null;
+};
+const withPage = (page) => ({ ...SPEC, pages: [page] });
+assert.deepStrictEqual(
+    [
+        errorOf({ ...SPEC, analysis_contract_version: 2 }),
+        errorOf({ ...SPEC, groups: { bad: { label: 'x' } } }),
+        errorOf({ ...SPEC, groups: { bad: { match: '(' } } }),
+        errorOf(withPage({ plot: 'violin' })),
+        errorOf(withPage({ plot: 'timeseries', metric: 'speed' })),
+        errorOf(withPage({ plot: 'timeseries', series: ['up'] })),
+        errorOf(withPage({ plot: 'timeseries', align: 'reward' })),
+        errorOf(withPage({ plot: 'summary' })),
+        errorOf(withPage({ plot: 'tuning', window: [0, 1] })),
+        errorOf(withPage({ plot: 'summary', window: [1, 0] }))
+    ],
+    [
+        'Analysis spec: unsupported analysis_contract_version 2 (expected 1)',
+        'Analysis spec: groups.bad needs conditions, match or params',
+        'Analysis spec: groups.bad.match: invalid pattern "("',
+        'Analysis spec: pages[0]: unknown plot "violin" (expected timeseries, tuning, summary)',
+        'Analysis spec: pages[0]: unknown metric "speed" (expected turning, forward, heading)',
+        'Analysis spec: pages[0]: unknown group "up"',
+        'Analysis spec: pages[0]: unknown alignment "reward" (use default, step, visual, moving, opto, sham or command:<op>)',
+        'Analysis spec: pages[0]: summary plots need a window',
+        'Analysis spec: pages[0]: tuning plots need x',
+        'Analysis spec: pages[0]: window must be [start, end] seconds with start < end'
+    ]
+);
+
+console.log(
+    JSON.stringify({
+        pages: pages.length,
+        turningDegS: { cw2hz: Number(cwTurning.toFixed(2)) },
+        csvRows: pages.reduce((sum, page) => sum + page.csvRows.length, 0)
+    })
+);
@@ -0,0 +1,204 @@
+'use strict';
+
+const assert = require('assert');
+const A = require('../analysis-core.js');
+const S = require('../analysis-spec.js');
+const P = require('../plot-specs.js');
+
+const near = (value, expected, tolerance = 1e-9) => Math.abs(value - expected) <= tolerance;
+
+// Rank-sum and permutation tests against hand-computed values
+const low = [1, 2, 3, 4, 5];
+const high = [6, 7, 8, 9, 10];
+const exactRankSum = A.rankSumTest(low, high);
+assert.strictEqual(exactRankSum.u, 0);
+assert(exactRankSum.exact);
+assert(near(exactRankSum.p, 2 / 252), 'complete separation: 2 of 252 rank sums');
+assert(near(A.rankSumTest([1, 3, 5], [2, 4, 6]).p, 0.7), 'U = 3 of 20 subsets');
+const tied = A.rankSumTest([1, 2, 2, 3], [3, 4, 4, 5, 6]);
+assert(!tied.exact, 'ties use the normal approximation');
+assert.strictEqual(tied.u, 0.5);
+assert(near(tied.z, 9 / Math.sqrt(16.25), 1e-12), 'tie-corrected sigma');
+assert(near(tied.p, 0.02557, 1e-4));
+assert.strictEqual(A.rankSumTest([1, 1], [1, 1]).p, 1);
+
+const exactPermutation = A.permutationTest(low, high);
+assert.deepStrictEqual(
+    [exactPermutation.difference, exactPermutation.exact, exactPermutation.permutations],
+    [-5, true, 252]
+);
+assert(near(exactPermutation.p, 2 / 252));
+assert.strictEqual(A.permutationTest([1, 2], [1, 2]).p, 1, 'identical groups');
+const sampled = A.permutationTest(
+    Array.from({ length: 12 }, (_, index) => index),
+    Array.from({ length: 12 }, (_, index) => index + 3),
+    { iterations: 4000 }
+);
+assert(!sampled.exact && sampled.permutations === 4000);
+assert(sampled.p > 0.03 && sampled.p < 0.1, `sampled p ${sampled.p}`);
+assert.strictEqual(
+    A.permutationTest([1, 5, 2, 8], [3, 9, 4, 7, 6], { iterations: 50, seed: 7 }).p,
+    A.permutationTest([1, 5, 2, 8], [3, 9, 4, 7, 6], { iterations: 50, seed: 7 }).p,
+    'seeded resampling is reproducible'
+);
+
+// Bootstrap intervals
+const interval = A.bootstrapCi(low, high);
+assert.deepStrictEqual([interval.estimate, interval.level], [-5, 0.95]);
+assert(interval.low >= -9 && interval.low < -5 && interval.high > -5 && interval.high <= -1);
+const single = A.bootstrapCi([4, 4, 4], null);
+assert.deepStrictEqual([single.estimate, single.low, single.high], [4, 4, 4]);
+const wide = A.bootstrapCi(low, high, { level: 0.99 });
+assert(wide.low <= interval.low && wide.high >= interval.high, '99% contains 95%');
+
+// Corrections
+const pValues = [0.01, 0.04, 0.03, NaN, 0.5];
+const rounded = (values) => values.map((value) => Math.round(value * 1e6) / 1e6);
+assert.deepStrictEqual(rounded(A.adjustPValues(pValues, 'holm')), [0.04, 0.09, 0.09, NaN, 0.5]);
+assert.deepStrictEqual(rounded(A.adjustPValues(pValues, 'bh')), [
+    0.04,
+    0.053333,
+    0.053333,
+    NaN,
+    0.5
+]);
+assert.deepStrictEqual(rounded(A.adjustPValues(pValues, 'bonferroni')), [0.04, 0.16, 0.12, NaN, 1]);
+assert.deepStrictEqual(A.adjustPValues(pValues, 'none').slice(0, 3), [0.01, 0.04, 0.03]);
+assert.throws(() => A.adjustPValues(pValues, 'sidak'), /Unknown p-value correction: sidak/);
+
+// Pairwise groups; groups below minN are left out
+const comparisons = A.compareGroups([
+    { label: 'wt', values: low },
+    { label: 'mutant', values: high },
+    { label: 'single', values: [3, NaN] }
+]);
+assert.deepStrictEqual(
+    comparisons.map((row) => [row.groupA, row.groupB, row.nA, row.nB, row.difference]),
+    [['wt', 'mutant', 5, 5, -5]]
+);
+assert(near(comparisons[0].permutationP, 2 / 252) && near(comparisons[0].rankSumP, 2 / 252));
+
+// Grouped pages: five flies per genotype, mutants turn at twice the gain
+function runlog(runId, genotype, gain) {
+    const lines = [
+        { event: 'run_metadata', run_id: runId, genotype, protocol_filename: 'p9_drift.yaml' },
+        { type: 'frame_schema', cols: ['ms', 'fc', 'idx', 'ft', 'x', 'y', 'hd'] }
+    ];
+    const rates = [2, 8];
+    rates.forEach((rate, index) => {
+        const startMs = 1000 + index * 4000;
+        lines.push(
+            {
+                event: 'runner',
+                index,
+                phase: 'step-start',
+                condition: `drift_cw_${rate}hz`,
+                ms: startMs
+            },
+            {
+                event: 'runner',
+                index,
+                phase: 'trial-running',
+                ms: startMs,
+                durationSec: 2,
+                params: { frameRate: rate * 10 }
+            },
+            { event: 'runner', index, phase: 'step-done', ms: startMs + 2000 }
+        );
+    });
+    let heading = 0;
+    for (let ms = 0, fc = 0; ms <= 10000; ms += 20, fc += 1) {
+        const step = [0, 1].find((index) => ms > 1000 + index * 4000 && ms <= 3000 + index * 4000);
+        if (step !== undefined) heading += (rates[step] * 10 * gain * Math.PI) / 180 / 50;
+        lines.push([ms, fc, 0, ms, 0, 0, heading]);
+    }
+    return A.parseJsonl(lines.map((line) => JSON.stringify(line)).join('\n'), `${runId}.jsonl`);
+}
+const runs = [];
+for (let fly = 0; fly < 5; fly += 1) {
+    runs.push(runlog(`wt${fly}`, 'wt', 1 + fly * 0.05));
+    runs.push(runlog(`mut${fly}`, 'mutant', 2 + fly * 0.05));
+}
+const spec = {
+    analysis_contract_version: 1,
+    groups: { cw: { label: 'CW', match: '^drift_cw_' } },
+    pages: [
+        {
+            id: 'tuning',
+            plot: 'tuning',
+            x: { param: 'frameRate' },
+            window: [0.5, 1.5]
+        },
+        { id: 'summary', plot: 'summary', window: [0.5, 1.5] }
+    ]
+};
+const build = (stats, mode = 'group') =>
+    P.buildPages(runs, { mode, analysisSpec: S.normalizeSpec(spec), stats });
+const [tuning, summary] = build();
+const tuningStats = tuning.csvRows.filter((row) => row.level === 'genotype_comparison');
+assert.deepStrictEqual(
+    tuningStats.map((row) => [row.x, row.group_a, row.group_b, row.n_a, row.n_b]),
+    [
+        [20, 'mutant', 'wt', 5, 5],
+        [80, 'mutant', 'wt', 5, 5]
+    ]
+);
+assert(tuningStats[0].mean_a > tuningStats[0].mean_b && tuningStats[0].ci_low > 0);
+assert(near(tuningStats[0].permutation_p, 2 / 252), 'exact: 252 relabellings');
+assert(near(tuningStats[0].permutation_p_adjusted, 4 / 252), 'Holm across the panel');
+assert.deepStrictEqual(
+    [tuningStats[0].correction, tuningStats[0].test, tuningStats[0].plot],
+    ['holm', 'permutation', 'tuning']
+);
+const starNotes = tuning.figure.layout.annotations.filter((note) => note.hovertext);
+assert.deepStrictEqual(
+    starNotes.map((note) => [note.x, note.text, note.xref, note.yref]),
+    [
+        [20, '*', 'x', 'y domain'],
+        [80, '*', 'x', 'y domain']
+    ]
+);
+assert(/permutation p=0\.016, rank-sum p=0\.016 \(holm\)/.test(starNotes[0].hovertext));
+const summaryStats = summary.csvRows.filter((row) => row.level === 'genotype_comparison');
+assert.deepStrictEqual(
+    summaryStats.map((row) => [row.x, row.plot, row.group_a, row.group_b]),
+    [['CW', 'summary', 'mutant', 'wt']]
+);
+assert.strictEqual(
+    summary.figure.layout.annotations.find((note) => note.hovertext).text,
+    '**',
+    'one comparison: no correction penalty'
+);
+assert(
+    near(
+        build({ correction: 'none' })[0].csvRows.find((row) => row.level === 'genotype_comparison')
+            .permutation_p_adjusted,
+        2 / 252
+    ),
+    'uncorrected'
+);
+assert.strictEqual(
+    build({ test: 'rank-sum' })[0].csvRows.find((row) => row.level === 'genotype_comparison').test,
+    'rank-sum'
+);
+assert.deepStrictEqual(
+    build(undefined, 'single')[0].csvRows.filter((row) => row.level === 'genotype_comparison'),
+    [],
+    'no comparisons outside grouped mode'
+);
+assert.deepStrictEqual(
+    P.buildPages(
+        runs.filter((run) => run.descriptor.genotype === 'wt'),
+        { mode: 'group', analysisSpec: S.normalizeSpec(spec) }
+    )[0].figure.layout.annotations.filter((note) => note.hovertext),
+    [],
+    'one genotype: nothing to compare'
+);
+
+console.log(
+    JSON.stringify({
+        comparisons: tuningStats.length + summaryStats.length,
+        tuningP: tuningStats.map((row) => Number(row.permutation_p_adjusted.toFixed(4))),
+        ci: [Number(tuningStats[0].ci_low.toFixed(2)), Number(tuningStats[0].ci_high.toFixed(2))]
+    })
+);
@@ -1,14 +1,15 @@
 /**
- * arena-link.js — Web Serial transport for the G6 Arena controller.
+ * arena-link.js — byte-stream link to the G6 Arena controller.
  *
- * Talks to the G6 Arena controller (Teensy 4.1) over its USB-CDC serial port.
- * This module is pure transport: it opens the port, runs a background reader
- * that de-frames the byte stream into length-prefixed frames, correlates each
- * response with the request that is waiting for it, and surfaces disconnects.
- * It has minimal protocol knowledge — only the length-prefix framing (first
- * byte = number of bytes that follow) and the echo_cmd byte used to correlate
- * a reply with its request. Build request bytes and decode response payloads
- * with js/arena-wire-g6.js.
+ * Talks to the G6 Arena controller (Teensy 4.1) over a pluggable transport —
+ * its USB-CDC serial port via Web Serial by default, or a WebSocket to a small
+ * local relay (arena-relay/relay.py → the controller's Ethernet TCP :62222).
+ * This module is pure link logic: it de-frames the incoming byte stream into
+ * length-prefixed frames, correlates each response with the request that is
+ * waiting for it, and surfaces disconnects. It has minimal protocol knowledge —
+ * only the length-prefix framing (first byte = number of bytes that follow) and
+ * the echo_cmd byte used to correlate a reply with its request. Build request
+ * bytes and decode response payloads with js/arena-wire-g6.js.
  *
  *   const link = new ArenaLink({ onDisconnect: () => {...} });
  *   await link.requestPort();        // inside a user gesture (click)
@@ -16,6 +17,11 @@
  *   const frame = await link.send(ArenaWireG6.encodeGetControllerInfo());
  *   const info  = ArenaWireG6.decodeControllerInfo(ArenaWireG6.decodeResponse(frame));
  *
+ *   // Same link over the network relay (any browser with WebSocket):
+ *   const Ws = ArenaLink.withTransport(ArenaLink.WebSocketTransport, { url: 'ws://localhost:8766' });
+ *   const remote = new Ws({ onDisconnect: () => {...} });
+ *   await remote.connect();
+ *
  * Correlation model — SINGLE-FLIGHT + echo-verified:
  *   The handoff requires correlating responses by echo_cmd. This protocol has
  *   no request id and can send the same opcode twice, so echo matching alone
@@ -29,10 +35,31 @@
  *   oldest pending await regardless of echo (fine for its one-shot button UI,
  *   too loose for the shared substrate the runner will build on).
  *
- * Gotchas (from the reference README — all still apply):
+ *   The one exception is sendPipelined(): for opcodes whose handler always
+ *   answers exactly once, in order (ArenaWireG6.PIPELINE_SAFE_OPCODES — the SD
+ *   file commands), it keeps a bounded window of requests outstanding and
+ *   matches replies FIFO, still echo-verified. Any timeout or desync there
+ *   aborts the rest of the batch instead of guessing at alignment.
+ *
+ * Transports — everything below the byte stream. An object with:
+ *   kind                    short label for logs ('serial', 'websocket', …)
+ *   select(options)         OPTIONAL: choose the endpoint (the serial chooser —
+ *                           user gesture); the result is what link.port returns
+ *   open(opts, sink)        connect; then call sink.data(Uint8Array) for every
+ *                           inbound chunk (any chunking) and sink.lost(err,
+ *                           reportError) once on an involuntary loss
+ *   write(bytes)            Promise; rejects when the bytes can't be sent
+ *   release()               OPTIONAL: drop I/O handles after a loss (no close)
+ *   close()                 Promise; intentional teardown — must NOT call sink.lost
+ * The link's semantics (single-flight, echo check, timeouts, bulk reads) are the
+ * same over every transport. Built in: SerialTransport, WebSocketTransport; the
+ * Node TCP path lives in scripts/run-protocol.js, the simulator in
+ * js/arena-sim-g6.js.
+ *
+ * Gotchas (from the reference README — all still apply to Web Serial):
  *   - Web Serial is Chromium-only (Chrome / Edge / Opera / Brave / Arc) on a
  *     desktop OS. Firefox and Safari do NOT implement navigator.serial — gate
- *     UI on ArenaLink.isSupported().
+ *     UI on ArenaLink.isSupported(), or use the WebSocket relay there.
  *   - requestPort() must run inside a user gesture (e.g. a click handler).
  *   - Permissions are per-origin: opening from file:// and from an http origin
  *     prompts the port chooser separately for each.
@@ -49,8 +76,9 @@
  * Browser-global + Node CommonJS export, mirroring js/crc.js / js/arena-wire-g6.js.
  * No ES `export` keyword (a top-level `export` would break plain `<script src=>`
  * loading). Browser callers load via `<script src="js/arena-link.js">` and read
- * `window.ArenaLink`. Loading in Node is safe (navigator is only touched inside
- * methods); isSupported() simply returns false there.
+ * `window.ArenaLink` (transports hang off it: ArenaLink.SerialTransport,
+ * ArenaLink.WebSocketTransport). Loading in Node is safe (navigator is only
+ * touched inside methods); isSupported() simply returns false there.
  */
 
 const ArenaLink = (function () {
@@ -58,6 +86,10 @@ const ArenaLink = (function () {
 
     const DEFAULT_BAUD_RATE = 115200; // ignored by USB CDC; conventional placeholder
     const DEFAULT_TIMEOUT_MS = 500; // controller replies in well under 1 ms
+    const DEFAULT_RELAY_URL = 'ws://localhost:8766'; // arena-relay/relay.py default
+    const DEFAULT_CONNECT_TIMEOUT_MS = 3000;
+    const DEFAULT_PIPELINE_WINDOW = 4; // requests outstanding at once in sendPipelined()
+    const DEFAULT_PIPELINE_BYTES = 1024 * 1024; // request bytes outstanding at once
     const HEX_LOG_LIMIT = 32; // truncate longer payloads in the trace log
 
     const hex = (bytes) =>
@@ -71,9 +103,308 @@ const ArenaLink = (function () {
             ? hex(bytes.subarray(0, 16)) + ' … (' + bytes.length + ' bytes)'
             : hex(bytes);
 
+    // ───────────────────────── transports ─────────────────────────
+
+    /** USB-CDC via Web Serial (Chromium desktop). The default transport. */
+    class SerialTransport {
+        constructor() {
+            this.kind = 'serial';
+            this.port = null;
+            this._reader = null;
+            this._writer = null;
+            this._readLoopPromise = null;
+            this._sink = null;
+            this._closing = false;
+            // Bind so add/removeEventListener share one reference.
+            this._handleSerialDisconnect = this._handleSerialDisconnect.bind(this);
+        }
+
+        /** Feature-detect: Web Serial is Chromium-desktop only. */
+        static isSupported() {
+            return typeof navigator !== 'undefined' && !!navigator.serial;
+        }
+
+        _assertSupported() {
+            if (!SerialTransport.isSupported()) {
+                throw new Error(
+                    'Web Serial API unavailable — use a Chromium-based browser ' +
+                        '(Chrome / Edge / Opera) on desktop.'
+                );
+            }
+        }
+
+        /**
+         * Prompt the OS serial-port chooser and remember the selection. MUST be
+         * called from a user gesture (click). Optional `options` is passed
+         * straight to navigator.serial.requestPort() (e.g. { filters }).
+         */
+        async select(options) {
+            this._assertSupported();
+            this.port = await navigator.serial.requestPort(options || {});
+            return this.port;
+        }
+
+        /**
+         * Open the selected port and start the background reader.
+         * @param {object} [opts]
+         * @param {number} [opts.baudRate=115200]
+         */
+        async open(opts, sink) {
+            this._assertSupported();
+            if (!this.port) {
+                throw new Error('No port selected — call requestPort() first (in a user gesture).');
+            }
+
+            const baudRate = (opts && opts.baudRate) || DEFAULT_BAUD_RATE;
+            await this.port.open({ baudRate });
+
+            try {
+                this._writer = this.port.writable.getWriter();
+                this._reader = this.port.readable.getReader();
+            } catch (err) {
+                // Roll back the open so we don't leak an opened-but-unusable port.
+                this._writer = null;
+                this._reader = null;
+                try {
+                    await this.port.close();
+                } catch (_) {
+                    /* best-effort */
+                }
+                throw err;
+            }
+
+            this._sink = sink;
+            this._closing = false;
+
+            // Surface the device being physically unplugged.
+            navigator.serial.addEventListener('disconnect', this._handleSerialDisconnect);
+
+            this._readLoopPromise = this._readLoop();
+        }
+
+        write(bytes) {
+            return this._writer.write(bytes);
+        }
+
+        // After a loss: drop the stream locks but leave the port for close().
+        release() {
+            if (SerialTransport.isSupported()) {
+                navigator.serial.removeEventListener('disconnect', this._handleSerialDisconnect);
+            }
+            try {
+                if (this._reader) this._reader.releaseLock();
+            } catch (_) {
+                /* best-effort */
+            }
+            this._reader = null;
+            try {
+                if (this._writer) this._writer.releaseLock();
+            } catch (_) {
+                /* best-effort */
+            }
+            this._writer = null;
+            this._readLoopPromise = null;
+        }
+
+        async close() {
+            this._closing = true;
+            if (SerialTransport.isSupported()) {
+                navigator.serial.removeEventListener('disconnect', this._handleSerialDisconnect);
+            }
+
+            try {
+                if (this._reader) {
+                    await this._reader.cancel();
+                    try {
+                        this._reader.releaseLock();
+                    } catch (_) {
+                        /* already released */
+                    }
+                }
+            } catch (_) {
+                /* best-effort */
+            }
+            this._reader = null;
+
+            try {
+                if (this._writer) this._writer.releaseLock();
+            } catch (_) {
+                /* best-effort */
+            }
+            this._writer = null;
+
+            try {
+                if (this._readLoopPromise) await this._readLoopPromise;
+            } catch (_) {
+                /* read loop ended */
+            }
+            this._readLoopPromise = null;
+
+            try {
+                if (this.port) await this.port.close();
+            } catch (_) {
+                /* best-effort */
+            }
+            this.port = null;
+            this._sink = null;
+            this._closing = false;
+        }
+
+        async _readLoop() {
+            try {
+                while (this.port && this.port.readable && this._reader) {
+                    const { value, done } = await this._reader.read();
+                    if (done) break;
+                    if (value && value.length) this._sink.data(value);
+                }
+            } catch (err) {
+                if (this._closing) return; // intentional teardown via close()
+                if (err && err.name !== 'AbortError' && this._sink) {
+                    this._sink.lost(err, true);
+                }
+            }
+        }
+
+        // navigator.serial 'disconnect' — the device was unplugged.
+        _handleSerialDisconnect(event) {
+            // Fail-safe: only ignore the event if we can POSITIVELY identify a
+            // DIFFERENT port. Some Chromium versions deliver the event at
+            // navigator.serial (target is the Serial object, not the SerialPort);
+            // if we can't tell, fall through to cleanup rather than no-op.
+            const target = event && event.target;
+            const isPort = typeof SerialPort !== 'undefined' && target instanceof SerialPort;
+            if (this.port && isPort && target !== this.port) {
+                return; // a different port disconnected
+            }
+            if (this._sink) this._sink.lost(new Error('port disconnected'), false);
+        }
+    }
+
+    /**
+     * Binary WebSocket to a relay that owns the controller connection
+     * (arena-relay/relay.py). Messages are raw chunks of the controller byte
+     * stream in both directions — NOT one frame per message — so the link's
+     * de-framer, echo check and bulk reads work unchanged. Text messages from
+     * the relay are not part of the stream and are ignored.
+     */
+    class WebSocketTransport {
+        /**
+         * @param {object} [options]
+         * @param {string}   [options.url='ws://localhost:8766'] relay address
+         * @param {Function} [options.WebSocket]  constructor (default: the global) — injectable for tests
+         * @param {number}   [options.connectTimeoutMs=3000]
+         */
+        constructor(options) {
+            const o = options || {};
+            this.kind = 'websocket';
+            this.url = o.url || DEFAULT_RELAY_URL;
+            this._WebSocket = o.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+            this._connectTimeoutMs = o.connectTimeoutMs || DEFAULT_CONNECT_TIMEOUT_MS;
+            this._ws = null;
+        }
+
+        static isSupported() {
+            return typeof WebSocket !== 'undefined';
+        }
+
+        // No chooser — the endpoint is the relay URL (overridable per open()).
+        async select() {
+            return this.url;
+        }
+
+        /**
+         * @param {object} [opts]
+         * @param {string} [opts.url] overrides the constructor url
+         */
+        async open(opts, sink) {
+            if (!this._WebSocket) throw new Error('WebSocket unavailable in this environment');
+            const url = (opts && opts.url) || this.url;
+            const ws = new this._WebSocket(url);
+            ws.binaryType = 'arraybuffer';
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    ws.onopen = ws.onerror = ws.onclose = null;
+                    try {
+                        ws.close();
+                    } catch (_) {
+                        /* best-effort */
+                    }
+                    reject(
+                        new Error('relay connect timeout after ' + this._connectTimeoutMs + ' ms')
+                    );
+                }, this._connectTimeoutMs);
+                ws.onopen = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+                ws.onerror = () => {
+                    clearTimeout(timer);
+                    reject(new Error('could not reach the arena relay at ' + url));
+                };
+                ws.onclose = (ev) => {
+                    clearTimeout(timer);
+                    reject(
+                        new Error(
+                            'arena relay refused the connection' +
+                                (ev && ev.reason ? ': ' + ev.reason : '')
+                        )
+                    );
+                };
+            });
+            this.url = url;
+            this._ws = ws;
+            ws.onmessage = (ev) => {
+                if (typeof ev.data === 'string') return;
+                sink.data(new Uint8Array(ev.data));
+            };
+            // An error is always followed by close; report the loss once, there.
+            ws.onerror = null;
+            ws.onclose = (ev) => {
+                if (this._ws !== ws) return;
+                this._ws = null;
+                sink.lost(
+                    new Error(
+                        'arena relay connection closed' + (ev && ev.reason ? ': ' + ev.reason : '')
+                    ),
+                    false
+                );
+            };
+        }
+
+        async write(bytes) {
+            const ws = this._ws;
+            // 1 === WebSocket.OPEN (the constant isn't on injected test doubles).
+            if (!ws || ws.readyState !== 1) throw new Error('arena relay not connected');
+            ws.send(bytes);
+        }
+
+        release() {
+            this._detach();
+        }
+
+        async close() {
+            this._detach();
+        }
+
+        _detach() {
+            const ws = this._ws;
+            this._ws = null;
+            if (!ws) return;
+            ws.onmessage = ws.onclose = ws.onerror = null;
+            try {
+                ws.close(1000);
+            } catch (_) {
+                /* best-effort */
+            }
+        }
+    }
+
+    // ───────────────────────── link ─────────────────────────
+
     class ArenaLink {
         /**
          * @param {object} [options]
+         * @param {object}                 [options.transport]    byte transport (default: a new SerialTransport)
          * @param {function():void}        [options.onDisconnect] device unplugged / port lost
          * @param {function(Error):void}   [options.onError]      background read-loop error
          * @param {function(string):void}  [options.onLog]        line-oriented trace log
@@ -84,10 +415,8 @@ const ArenaLink = (function () {
             this._onError = options.onError || null;
             this._onLog = options.onLog || null;
 
+            this._transport = options.transport || new SerialTransport();
             this._port = null;
-            this._reader = null;
-            this._writer = null;
-            this._readLoopPromise = null;
             this._connected = false;
             this._closing = false;
 
@@ -102,16 +431,41 @@ const ArenaLink = (function () {
             // non-null, _consumeIncoming routes bytes here instead of frame-parsing.
             // Shape: { remaining, chunks, resolve, reject, timer }
             this._bulkRead = null;
+            // Pipelined requests written after the one in _inflight, oldest first.
+            // Replies arrive in request order, so each promotes into _inflight in
+            // turn (see sendPipelined). Always empty in single-flight use.
+            this._pipeQueue = [];
             // Serializes concurrent send() callers into one-at-a-time requests.
             this._sendQueue = Promise.resolve();
-
-            // Bind so add/removeEventListener share one reference.
-            this._handleSerialDisconnect = this._handleSerialDisconnect.bind(this);
         }
 
         /** Feature-detect: Web Serial is Chromium-desktop only. */
         static isSupported() {
-            return typeof navigator !== 'undefined' && !!navigator.serial;
+            return SerialTransport.isSupported();
+        }
+
+        /**
+         * An ArenaLink subclass that builds its own transport — for callers that
+         * construct the link themselves (ArenaSession's LinkClass, the pages'
+         * window.ArenaLink). isSupported() follows the transport class.
+         * @param {Function} TransportClass e.g. ArenaLink.WebSocketTransport
+         * @param {object}   [transportOptions] passed to its constructor
+         */
+        static withTransport(TransportClass, transportOptions) {
+            const Base = this;
+            return class extends Base {
+                constructor(options) {
+                    super(
+                        Object.assign({}, options, {
+                            transport: new TransportClass(transportOptions)
+                        })
+                    );
+                }
+
+                static isSupported() {
+                    return TransportClass.isSupported ? TransportClass.isSupported() : true;
+                }
+            };
         }
 
         get connected() {
@@ -122,69 +476,44 @@ const ArenaLink = (function () {
             return this._port;
         }
 
-        _log() {
-            if (this._onLog) this._onLog(Array.prototype.join.call(arguments, ' '));
+        get transport() {
+            return this._transport;
         }
 
-        _assertSupported() {
-            if (!ArenaLink.isSupported()) {
-                throw new Error(
-                    'Web Serial API unavailable — use a Chromium-based browser ' +
-                        '(Chrome / Edge / Opera) on desktop.'
-                );
-            }
+        _log() {
+            if (this._onLog) this._onLog(Array.prototype.join.call(arguments, ' '));
         }
 
         /**
-         * Prompt the OS serial-port chooser and remember the selection. MUST be
-         * called from a user gesture (click). Optional `options` is passed
-         * straight to navigator.serial.requestPort() (e.g. { filters }).
+         * Choose the endpoint — for Web Serial, prompt the OS port chooser (MUST
+         * be called from a user gesture). Optional `options` is passed to the
+         * transport (serial: navigator.serial.requestPort(), e.g. { filters }).
          */
         async requestPort(options) {
-            this._assertSupported();
-            this._port = await navigator.serial.requestPort(options || {});
+            this._port = this._transport.select ? await this._transport.select(options) : null;
             return this._port;
         }
 
         /**
-         * Open the selected port and start the background reader.
-         * @param {object} [opts]
-         * @param {number} [opts.baudRate=115200]
+         * Open the transport and start receiving.
+         * @param {object} [opts] transport options (serial: { baudRate=115200 };
+         *   websocket: { url })
          */
         async open(opts) {
-            this._assertSupported();
-            if (!this._port) {
-                throw new Error('No port selected — call requestPort() first (in a user gesture).');
-            }
             if (this._connected) return;
-
-            const baudRate = (opts && opts.baudRate) || DEFAULT_BAUD_RATE;
-            await this._port.open({ baudRate });
-
-            try {
-                this._writer = this._port.writable.getWriter();
-                this._reader = this._port.readable.getReader();
-            } catch (err) {
-                // Roll back the open so we don't leak an opened-but-unusable port.
-                this._writer = null;
-                this._reader = null;
-                try {
-                    await this._port.close();
-                } catch (_) {
-                    /* best-effort */
-                }
-                throw err;
-            }
+            await this._transport.open(opts, {
+                data: (chunk) => this._consumeIncoming(chunk),
+                lost: (err, reportError) => this._failConnection(err, reportError)
+            });
 
             this._rxBuf = new Uint8Array(0);
             this._closing = false;
             this._connected = true;
-
-            // Surface the device being physically unplugged.
-            navigator.serial.addEventListener('disconnect', this._handleSerialDisconnect);
-
-            this._readLoopPromise = this._readLoop();
-            this._log('-- connected');
+            this._log(
+                this._transport.kind === 'serial'
+                    ? '-- connected'
+                    : '-- connected (' + this._transport.kind + ')'
+            );
         }
 
         /** Convenience: requestPort() then open(). Must run in a user gesture. */
@@ -245,8 +574,49 @@ const ArenaLink = (function () {
             return result;
         }
 
+        /**
+         * Pipelined batch: keep up to `window` requests outstanding instead of
+         * one, for bulk SD work (uploads, read-backs, listings). Only for opcodes
+         * whose firmware handler answers every request with exactly one reply
+         * echoing its opcode, in order (ArenaWireG6.PIPELINE_SAFE_OPCODES) —
+         * replies are matched FIFO and still echo-verified. Each request's
+         * timeout runs from when it is written AND every earlier reply is in, so
+         * a long upload ahead of it doesn't eat its budget. A timeout, echo
+         * desync or disconnect aborts the rest of the batch (the reply stream
+         * can no longer be aligned); a non-zero status does not.
+         *
+         * Runs on the same queue as send(): single-flight callers wait for the
+         * whole batch, and the batch waits for them.
+         *
+         * @param {Array<{bytes: Uint8Array|number[], expectedCmd?: number,
+         *   bulk?: boolean, timeoutMs?: number, requireOk?: boolean}>} requests
+         *   bulk: the reply is a sendBulkRead-style header + raw bytes (0x84);
+         *   requireOk: hold this request until the previous one replied status 0,
+         *   and skip it otherwise (e.g. a rename after its 0x85 upload)
+         * @param {object} [opts]
+         * @param {number} [opts.window=4]                max requests outstanding
+         * @param {number} [opts.maxBytesInFlight=1 MiB] max request bytes outstanding
+         *   (a single larger request still goes out alone)
+         * @param {number} [opts.timeoutMs=500]           default per-request timeout
+         *   (bulk: 30000)
+         * @param {function(object):void} [opts.onProgress] metrics after each reply
+         * @returns {Promise<{results: Array<{ok:boolean, frame?:Uint8Array,
+         *   data?:Uint8Array, error?:Error, skipped?:boolean}>, metrics: object}>}
+         *   metrics: {requests, completed, failed, skipped, bytesOut, bytesIn,
+         *   maxInFlight, elapsedMs, requestsPerSec, bytesPerSec}
+         */
+        sendPipelined(requests, opts) {
+            const run = () => this._runPipeline(requests, opts);
+            const result = this._sendQueue.then(run, run);
+            this._sendQueue = result.then(
+                () => {},
+                () => {}
+            );
+            return result;
+        }
+
         async _sendOneBulkRead(bytes, opts) {
-            if (!this._writer) throw new Error('ArenaLink.sendBulkRead: not connected');
+            if (!this._connected) throw new Error('ArenaLink.sendBulkRead: not connected');
             const timeoutMs = (opts && opts.timeoutMs) || 30000;
             const payload = bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes);
             const expectedCmd = opts && opts.expectedCmd != null ? opts.expectedCmd : payload[1];
@@ -281,7 +651,7 @@ const ArenaLink = (function () {
 
             this._log('->', hexDump(payload));
             try {
-                await this._writer.write(payload);
+                await this._transport.write(payload);
             } catch (err) {
                 if (this._inflight) {
                     clearTimeout(this._inflight.timer);
@@ -320,12 +690,13 @@ const ArenaLink = (function () {
                     off += c.length;
                 }
                 br.resolve(out);
+                this._promote();
             }
             return take;
         }
 
         async _sendOne(bytes, opts) {
-            if (!this._writer) throw new Error('ArenaLink.send: not connected');
+            if (!this._connected) throw new Error('ArenaLink.send: not connected');
             const timeoutMs = (opts && opts.timeoutMs) || DEFAULT_TIMEOUT_MS;
             const payload = bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes);
             // Binary commands are [length, cmd, ...] so the cmd is byte 1; a
@@ -359,7 +730,7 @@ const ArenaLink = (function () {
 
             this._log('->', hexDump(payload));
             try {
-                await this._writer.write(payload);
+                await this._transport.write(payload);
             } catch (err) {
                 if (this._inflight) {
                     clearTimeout(this._inflight.timer);
@@ -370,46 +741,204 @@ const ArenaLink = (function () {
             return respPromise;
         }
 
-        /** Close the port and tear down I/O. Safe to call when already closed. */
-        async close() {
-            const wasConnected = this._connected;
-            this._closing = true;
-            this._connected = false;
-            if (ArenaLink.isSupported()) {
-                navigator.serial.removeEventListener('disconnect', this._handleSerialDisconnect);
-            }
-            this._rejectInflight(new Error('port closed'));
+        async _runPipeline(requests, opts) {
+            if (!this._connected) throw new Error('ArenaLink.sendPipelined: not connected');
+            const o = opts || {};
+            const windowSize = Math.max(1, o.window || DEFAULT_PIPELINE_WINDOW);
+            const maxBytes = o.maxBytesInFlight || DEFAULT_PIPELINE_BYTES;
+            const clock = () =>
+                typeof performance !== 'undefined' ? performance.now() : Date.now();
+            const t0 = clock();
+            const n = requests.length;
+            const results = new Array(n);
+            const settled = new Array(n);
+            const metrics = {
+                requests: n,
+                completed: 0,
+                failed: 0,
+                skipped: 0,
+                bytesOut: 0,
+                bytesIn: 0,
+                maxInFlight: 0,
+                elapsedMs: 0,
+                requestsPerSec: 0,
+                bytesPerSec: 0
+            };
+            let inFlight = 0;
+            let bytesInFlight = 0;
+            let aborted = null; // the error that broke reply alignment
+            let wake = null;
 
-            try {
-                if (this._reader) {
-                    await this._reader.cancel();
-                    try {
-                        this._reader.releaseLock();
-                    } catch (_) {
-                        /* already released */
+            const tick = () => {
+                metrics.elapsedMs = clock() - t0;
+                const sec = metrics.elapsedMs / 1000;
+                const done = metrics.completed + metrics.failed;
+                metrics.requestsPerSec = sec > 0 ? done / sec : 0;
+                metrics.bytesPerSec = sec > 0 ? (metrics.bytesOut + metrics.bytesIn) / sec : 0;
+            };
+            const finish = (i, result) => {
+                results[i] = result;
+                if (result.skipped) metrics.skipped++;
+                else if (result.ok) metrics.completed++;
+                else metrics.failed++;
+                tick();
+                if (o.onProgress) o.onProgress(Object.assign({}, metrics));
+            };
+
+            for (let i = 0; i < n; i++) {
+                const req = requests[i];
+                const payload =
+                    req.bytes instanceof Uint8Array ? req.bytes : Uint8Array.from(req.bytes);
+
+                if (req.requireOk && i > 0) {
+                    await settled[i - 1];
+                    if (!results[i - 1].ok) {
+                        finish(i, {
+                            ok: false,
+                            skipped: true,
+                            error: new Error('skipped: request ' + (i - 1) + ' did not succeed')
+                        });
+                        settled[i] = Promise.resolve();
+                        continue;
                     }
                 }
-            } catch (_) {
-                /* best-effort */
-            }
-            this._reader = null;
 
-            try {
-                if (this._writer) this._writer.releaseLock();
-            } catch (_) {
-                /* best-effort */
-            }
-            this._writer = null;
+                // Backpressure: wait for a slot (count AND bytes) to free up.
+                while (
+                    !aborted &&
+                    inFlight > 0 &&
+                    (inFlight >= windowSize || bytesInFlight + payload.length > maxBytes)
+                ) {
+                    await new Promise((resolve) => (wake = resolve));
+                }
+                if (aborted || !this._connected) {
+                    const why = aborted ? aborted.message : 'not connected';
+                    finish(i, { ok: false, error: new Error('pipeline aborted: ' + why) });
+                    settled[i] = Promise.resolve();
+                    continue;
+                }
 
-            try {
-                if (this._readLoopPromise) await this._readLoopPromise;
-            } catch (_) {
-                /* read loop ended */
+                const expectedCmd = req.expectedCmd != null ? req.expectedCmd : payload[1];
+                const timeoutMs =
+                    req.timeoutMs || o.timeoutMs || (req.bulk ? 30000 : DEFAULT_TIMEOUT_MS);
+                let dataResolve, dataReject;
+                const dataPromise = req.bulk
+                    ? new Promise((res, rej) => {
+                          dataResolve = res;
+                          dataReject = rej;
+                      })
+                    : null;
+                // Observed below; this guards the reject-before-await window.
+                if (dataPromise) dataPromise.catch(() => {});
+                let entry;
+                const framePromise = new Promise((resolve, reject) => {
+                    entry = {
+                        expectedCmd,
+                        resolve,
+                        reject,
+                        timer: null,
+                        timeoutMs,
+                        written: false,
+                        pipelined: true,
+                        bulkInit: req.bulk ? { timeoutMs, dataResolve, dataReject } : undefined
+                    };
+                });
+
+                inFlight++;
+                bytesInFlight += payload.length;
+                metrics.maxInFlight = Math.max(metrics.maxInFlight, inFlight);
+                const release = () => {
+                    inFlight--;
+                    bytesInFlight -= payload.length;
+                    const w = wake;
+                    wake = null;
+                    if (w) w();
+                };
+                settled[i] = framePromise
+                    .then(async (frame) => {
+                        metrics.bytesIn += frame.length;
+                        const ok = frame[1] === 0;
+                        if (!req.bulk) return finish(i, { ok, frame });
+                        try {
+                            const data = await dataPromise;
+                            metrics.bytesIn += data.length;
+                            finish(i, { ok, frame, data });
+                        } catch (err) {
+                            // A refused header (status != 0) leaves the stream aligned.
+                            if (ok) aborted = aborted || err;
+                            finish(i, { ok: false, frame, error: err });
+                        }
+                    })
+                    .catch((err) => {
+                        aborted = aborted || err;
+                        finish(i, { ok: false, error: err });
+                    })
+                    .then(release);
+
+                // Park the entry BEFORE writing (a fast reply must find it).
+                this._pipeQueue.push(entry);
+                this._promote();
+                this._log('->', hexDump(payload));
+                try {
+                    await this._transport.write(payload);
+                    metrics.bytesOut += payload.length;
+                    entry.written = true;
+                    this._armPipelined(entry);
+                } catch (err) {
+                    // Bytes may be half-written: nothing after this can be aligned.
+                    this._abortPipeline(err);
+                }
             }
-            this._readLoopPromise = null;
+
+            await Promise.all(settled);
+            tick();
+            return { results, metrics };
+        }
+
+        // Move the next pipelined entry into _inflight once the previous reply
+        // (and any bulk payload after it) is fully in.
+        _promote() {
+            if (this._inflight || this._bulkRead || !this._pipeQueue.length) return;
+            this._inflight = this._pipeQueue.shift();
+            this._armPipelined(this._inflight);
+        }
+
+        // A pipelined entry's timer starts once it is both written and at the head.
+        _armPipelined(entry) {
+            if (entry !== this._inflight || !entry.written || entry.timer) return;
+            entry.timer = setTimeout(() => {
+                if (this._inflight !== entry) return;
+                this._abortPipeline(
+                    new Error(
+                        'response timeout after ' +
+                            entry.timeoutMs +
+                            ' ms (cmd 0x' +
+                            (entry.expectedCmd === undefined
+                                ? '??'
+                                : entry.expectedCmd.toString(16)) +
+                            ')'
+                    )
+                );
+            }, entry.timeoutMs);
+        }
+
+        // Reply alignment is lost: fail the head with `err`, everything queued
+        // behind it as aborted, and flush partial bytes (as a single-flight
+        // timeout does). The link stays connected.
+        _abortPipeline(err) {
+            this._rejectInflight(err);
+            this._rxBuf = new Uint8Array(0);
+        }
+
+        /** Close the port and tear down I/O. Safe to call when already closed. */
+        async close() {
+            const wasConnected = this._connected;
+            this._closing = true;
+            this._connected = false;
+            this._rejectInflight(new Error('port closed'));
 
             try {
-                if (this._port) await this._port.close();
+                await this._transport.close();
             } catch (_) {
                 /* best-effort */
             }
@@ -432,14 +961,8 @@ const ArenaLink = (function () {
             // Fast path: bulk-read mode — drain raw bytes without frame parsing.
             if (this._bulkRead) {
                 const taken = this._drainToBulk(chunk);
-                if (taken < chunk.length) {
-                    // More bytes than expected (shouldn't happen in practice).
-                    const leftover = chunk.slice(taken);
-                    const merged = new Uint8Array(this._rxBuf.length + leftover.length);
-                    merged.set(this._rxBuf, 0);
-                    merged.set(leftover, this._rxBuf.length);
-                    this._rxBuf = merged;
-                }
+                // Bytes past the payload are the next reply (pipelined) or stray.
+                if (taken < chunk.length) this._consumeIncoming(chunk.slice(taken));
                 return;
             }
 
@@ -482,17 +1005,17 @@ const ArenaLink = (function () {
                     if (entry.bulkInit) {
                         entry.bulkInit.dataReject(new Error('desync during bulk-read header'));
                     }
-                    entry.reject(
-                        new Error(
-                            'response echo 0x' +
-                                echoCmd.toString(16) +
-                                ' does not match in-flight request 0x' +
-                                (entry.expectedCmd === undefined
-                                    ? '??'
-                                    : entry.expectedCmd.toString(16)) +
-                                ' (desync)'
-                        )
+                    const err = new Error(
+                        'response echo 0x' +
+                            echoCmd.toString(16) +
+                            ' does not match in-flight request 0x' +
+                            (entry.expectedCmd === undefined
+                                ? '??'
+                                : entry.expectedCmd.toString(16)) +
+                            ' (desync)'
                     );
+                    entry.reject(err);
+                    if (entry.pipelined) this._abortPipeline(err);
                     continue;
                 }
 
@@ -508,6 +1031,7 @@ const ArenaLink = (function () {
                             new Error('get-pattern-file error: status=' + status)
                         );
                         entry.resolve(frame);
+                        this._promote();
                         continue;
                     }
                     // Extract lower 32 bits of the uint64 LE file size (upper 4 = 0 for <4 GB files).
@@ -516,6 +1040,7 @@ const ArenaLink = (function () {
                     if (sz === 0) {
                         entry.bulkInit.dataResolve(new Uint8Array(0));
                         entry.resolve(frame);
+                        this._promote();
                         continue;
                     }
                     // Set up bulk drain.
@@ -524,11 +1049,11 @@ const ArenaLink = (function () {
                         if (this._bulkRead) {
                             const got = sz - this._bulkRead.remaining;
                             this._bulkRead = null;
-                            bi.dataReject(
-                                new Error(
-                                    'bulk-read data timeout: got ' + got + '/' + sz + ' bytes'
-                                )
+                            const err = new Error(
+                                'bulk-read data timeout: got ' + got + '/' + sz + ' bytes'
                             );
+                            bi.dataReject(err);
+                            if (entry.pipelined) this._abortPipeline(err);
                         }
                     }, bi.timeoutMs);
                     this._bulkRead = {
@@ -543,26 +1068,14 @@ const ArenaLink = (function () {
                     const leftover = this._rxBuf;
                     this._rxBuf = new Uint8Array(0);
                     entry.resolve(frame);
-                    if (leftover.length > 0) this._drainToBulk(leftover);
+                    // Re-feed rather than drain: bytes past the payload are the
+                    // next pipelined reply.
+                    if (leftover.length > 0) this._consumeIncoming(leftover);
                     return; // bulk mode active — stop frame parsing
                 }
 
                 entry.resolve(frame);
-            }
-        }
-
-        async _readLoop() {
-            try {
-                while (this._port && this._port.readable && this._reader) {
-                    const { value, done } = await this._reader.read();
-                    if (done) break;
-                    if (value && value.length) this._consumeIncoming(value);
-                }
-            } catch (err) {
-                if (this._closing) return; // intentional teardown via close()
-                if (err && err.name !== 'AbortError') {
-                    this._failConnection(err, true);
-                }
+                this._promote();
             }
         }
 
@@ -595,9 +1108,20 @@ const ArenaLink = (function () {
                     )
                 );
             }
+            if (this._pipeQueue.length) {
+                const queued = this._pipeQueue;
+                this._pipeQueue = [];
+                const base = err && err.message ? err.message : String(err);
+                for (const entry of queued) {
+                    const aborted = new Error('pipeline aborted: ' + base);
+                    clearTimeout(entry.timer);
+                    if (entry.bulkInit) entry.bulkInit.dataReject(aborted);
+                    entry.reject(aborted);
+                }
+            }
         }
 
-        // Shared failure path for read-loop errors and device disconnects.
+        // Shared failure path for transport read errors and device disconnects.
         // Idempotent: once disconnected (or after an explicit close()), it's a
         // no-op. Does NOT close the port (the caller may still want to), just
         // drops I/O state and notifies.
@@ -606,44 +1130,24 @@ const ArenaLink = (function () {
             this._connected = false;
             this._rejectInflight(err);
 
-            if (ArenaLink.isSupported()) {
-                navigator.serial.removeEventListener('disconnect', this._handleSerialDisconnect);
-            }
             try {
-                if (this._reader) this._reader.releaseLock();
+                if (this._transport.release) this._transport.release();
             } catch (_) {
                 /* best-effort */
             }
-            this._reader = null;
-            try {
-                if (this._writer) this._writer.releaseLock();
-            } catch (_) {
-                /* best-effort */
-            }
-            this._writer = null;
             this._rxBuf = new Uint8Array(0);
-            this._readLoopPromise = null;
 
             this._log('-- connection lost:', (err && err.message) || err);
             if (reportError && this._onError) this._onError(err);
             if (this._onDisconnect) this._onDisconnect();
         }
-
-        // navigator.serial 'disconnect' — the device was unplugged.
-        _handleSerialDisconnect(event) {
-            // Fail-safe: only ignore the event if we can POSITIVELY identify a
-            // DIFFERENT port. Some Chromium versions deliver the event at
-            // navigator.serial (target is the Serial object, not the SerialPort);
-            // if we can't tell, fall through to cleanup rather than no-op.
-            const target = event && event.target;
-            const isPort = typeof SerialPort !== 'undefined' && target instanceof SerialPort;
-            if (this._port && isPort && target !== this._port) {
-                return; // a different port disconnected
-            }
-            this._failConnection(new Error('port disconnected'), false);
-        }
     }
 
+    // Transports ride on the exported class so `<script src>` callers reach
+    // them through window.ArenaLink.
+    ArenaLink.SerialTransport = SerialTransport;
+    ArenaLink.WebSocketTransport = WebSocketTransport;
+
     return ArenaLink;
 })();
 
@@ -347,6 +347,150 @@ var ArenaRunnerG6 = (function () {
         };
     }
 
+    // ---- flow control: trial_check (v3 Stage 1, retry & repeat) -----------
+    //
+    // docs/development/v3-flow-control-design.md §3. Run a trial, evaluate ONE
+    // criterion over exactly that trial's [start, end] span, and on failure run
+    // an optional recovery condition and retry immediately, up to max_attempts
+    // (total, including the first). Every attempt is a distinct trial sharing a
+    // parent step; rejected attempts are logged as invalid, never discarded.
+    //
+    // The runner owns the loop and the trace but NOT the metric math: the
+    // caller injects `evaluateCriterion` (this module stays import-free), and a
+    // criterion that cannot be evaluated fails CLOSED — the run aborts with a
+    // clear reason rather than silently advancing (§6).
+
+    const TRIAL_CHECK_EXHAUSTED = ['advance', 'abort'];
+
+    // Device-health metrics (§2 "Metrics"): a rejection on one of these is a
+    // TECHNICAL fault (arena glitch / tracking error-trap); anything else is a
+    // BIOLOGICAL rejection. The trace tags each invalid attempt with which.
+    const DEVICE_HEALTH_METRICS = ['tracking_dropouts', 'tracking_quality', 'link_status'];
+
+    // Validate + normalize a raw trial_check spec (block- or entry-level, as
+    // extracted by protocol-yaml-v3). Returns null when absent. THROWS (clear
+    // message) when malformed — runSequence checks every step up front and
+    // refuses to start, so a bad check never surfaces mid-run.
+    function normalizeTrialCheck(raw) {
+        if (raw === undefined || raw === null) return null;
+        if (typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error(
+                'trial_check must be a mapping {criterion, on_fail, max_attempts, on_exhausted}'
+            );
+        }
+        const crit = raw.criterion;
+        if (!crit || typeof crit !== 'object' || Array.isArray(crit)) {
+            throw new Error('trial_check.criterion is required (a {metric, statistic, …} mapping)');
+        }
+        if (typeof crit.metric !== 'string' || !crit.metric) {
+            throw new Error('trial_check.criterion.metric is required');
+        }
+        const maxAttempts = toNumber(raw.max_attempts, 'trial_check.max_attempts');
+        if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+            throw new Error(
+                'trial_check.max_attempts must be an integer >= 1 (total attempts, including ' +
+                    'the first), got ' +
+                    JSON.stringify(raw.max_attempts)
+            );
+        }
+        // Required, no default: the right value flips between biological
+        // (advance) and technical (abort) checks (§3).
+        if (TRIAL_CHECK_EXHAUSTED.indexOf(raw.on_exhausted) === -1) {
+            throw new Error(
+                'trial_check.on_exhausted must be "advance" or "abort" (required, no default), got ' +
+                    JSON.stringify(raw.on_exhausted)
+            );
+        }
+        let onFailRun = null;
+        if (raw.on_fail !== undefined && raw.on_fail !== null) {
+            if (typeof raw.on_fail !== 'object' || Array.isArray(raw.on_fail)) {
+                throw new Error('trial_check.on_fail must be a mapping {run: <condition>}');
+            }
+            if (raw.on_fail.run !== undefined) {
+                if (typeof raw.on_fail.run !== 'string' || !raw.on_fail.run) {
+                    throw new Error('trial_check.on_fail.run must be a condition name');
+                }
+                onFailRun = raw.on_fail.run;
+            }
+        }
+        return {
+            criterion: JSON.parse(JSON.stringify(crit)),
+            onFailRun,
+            maxAttempts,
+            onExhausted: raw.on_exhausted
+        };
+    }
+
+    // ---- flow control: repeat_until (design doc §4) ------------------------
+    //
+    // A block repeated between min_repeats and max_repeats, stopping early when
+    // the criterion fires. flattenStructure expands it to the CAP; runSequence
+    // decides at each complete-repetition boundary whether to skip the rest.
+    // Polarity follows the name: the criterion is always the STOP condition.
+
+    const BASELINE_UNITS_MS = { minutes: 60000, seconds: 1000 };
+
+    // Validate + normalize a block's raw repeat_until spec. Returns null when
+    // absent; THROWS (clear message) when malformed, like normalizeTrialCheck.
+    // A relative criterion's baseline window is resolved to run-relative ms
+    // here so the runner can tell whether it has elapsed.
+    function normalizeRepeatUntil(raw) {
+        if (raw === undefined || raw === null) return null;
+        if (typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error('repeat_until must be a mapping {criterion, min_repeats, max_repeats}');
+        }
+        const crit = raw.criterion;
+        if (!crit || typeof crit !== 'object' || Array.isArray(crit)) {
+            throw new Error(
+                'repeat_until.criterion is required (a {metric, statistic, …} mapping)'
+            );
+        }
+        if (typeof crit.metric !== 'string' || !crit.metric) {
+            throw new Error('repeat_until.criterion.metric is required');
+        }
+        const maxRepeats = toNumber(raw.max_repeats, 'repeat_until.max_repeats');
+        if (!Number.isInteger(maxRepeats) || maxRepeats < 1) {
+            throw new Error(
+                'repeat_until.max_repeats must be an integer >= 1, got ' +
+                    JSON.stringify(raw.max_repeats)
+            );
+        }
+        let minRepeats = 1;
+        if (raw.min_repeats !== undefined && raw.min_repeats !== null) {
+            minRepeats = toNumber(raw.min_repeats, 'repeat_until.min_repeats');
+            if (!Number.isInteger(minRepeats) || minRepeats < 1 || minRepeats > maxRepeats) {
+                throw new Error(
+                    'repeat_until.min_repeats must be an integer in [1, max_repeats], got ' +
+                        JSON.stringify(raw.min_repeats)
+                );
+            }
+        }
+        let baselineWindowMs = null;
+        if (crit.baseline !== undefined && crit.baseline !== null) {
+            const b = crit.baseline;
+            const unitMs = BASELINE_UNITS_MS[(b && b.units) || 'minutes'];
+            const w = b && b.window;
+            if (!unitMs || !Array.isArray(w) || w.length !== 2) {
+                throw new Error(
+                    'repeat_until.criterion.baseline must be {window: [start, end], units: ' +
+                        'minutes|seconds}'
+                );
+            }
+            const a = toNumber(w[0], 'baseline.window[0]');
+            const e = toNumber(w[1], 'baseline.window[1]');
+            if (a < 0 || e <= a) {
+                throw new Error('repeat_until baseline window must satisfy 0 <= start < end');
+            }
+            baselineWindowMs = [a * unitMs, e * unitMs];
+        }
+        return {
+            criterion: JSON.parse(JSON.stringify(crit)),
+            minRepeats,
+            maxRepeats,
+            baselineWindowMs
+        };
+    }
+
     /**
      * The wall-clock duration of a condition, in seconds: max(trialParams.duration,
      * sum of wait durations). Mirrors the v3 designer's timeline math; pure so the
@@ -403,6 +547,18 @@ var ArenaRunnerG6 = (function () {
      *   block-trial { kind, label, conditionName, seqIdx, blockName, trialIdxInBlock,
      *                 dur, rep, repsTotal, randomize }
      *   iti         { kind, label, conditionName, seqIdx, blockName, dur }
+     *
+     * A ref or block-trial governed by a `trial_check` (entry-level on a
+     * `condition:` entry, or block-level on every trial of the block) also
+     * carries `trialCheck` — the RAW spec, passed through untouched so the
+     * timeline preview never throws on it. runSequence validates it
+     * (normalizeTrialCheck) and executes the retry loop. ITIs are never checked.
+     * `dur` stays the nominal single-attempt duration: retries are unplannable.
+     *
+     * A `repeat_until` block is expanded to its CAP (max_repeats) — the longest
+     * the run can be — and every trial step carries the raw `repeatUntil` spec,
+     * with `repEnd: true` on the last trial of each repetition. runSequence
+     * decides at each repEnd whether to skip the block's remaining steps.
      */
     function flattenStructure(experiment, opts) {
         opts = opts || {};
@@ -425,16 +581,26 @@ var ArenaRunnerG6 = (function () {
             const entry = experiment.sequence[seqIdx];
             if (!entry) continue;
             if (entry.kind === 'ref') {
-                steps.push({
+                const refStep = {
                     kind: 'ref',
                     label: entry.condition_name,
                     conditionName: entry.condition_name,
                     seqIdx,
                     dur: durOf(byName.get(entry.condition_name))
-                });
+                };
+                if (entry.trial_check) refStep.trialCheck = entry.trial_check;
+                steps.push(refStep);
             } else if (entry.kind === 'block') {
                 if (entry.randomize) out.hasRandom = true;
-                const reps = entry.repetitions || 1;
+                const until = entry.repeat_until || null;
+                // Never throw here (timeline preview): a bad cap plans one
+                // repetition and runSequence refuses the run.
+                const cap = until ? Number(until.max_repeats) : NaN;
+                const reps = until
+                    ? Number.isInteger(cap) && cap >= 1
+                        ? cap
+                        : 1
+                    : entry.repetitions || 1;
                 const iti = entry.intertrial ? byName.get(entry.intertrial) : null;
                 const baseTrials = Array.isArray(entry.trials) ? entry.trials : [];
                 for (let r = 0; r < reps; r++) {
@@ -444,7 +610,7 @@ var ArenaRunnerG6 = (function () {
                         entry.randomize && shuffle ? shuffle(baseTrials.slice()) : baseTrials;
                     for (let t = 0; t < trials.length; t++) {
                         const condName = trials[t];
-                        steps.push({
+                        const trialStep = {
                             kind: 'block-trial',
                             label: condName,
                             conditionName: condName,
@@ -455,7 +621,13 @@ var ArenaRunnerG6 = (function () {
                             rep: r,
                             repsTotal: reps,
                             randomize: !!entry.randomize
-                        });
+                        };
+                        if (entry.trial_check) trialStep.trialCheck = entry.trial_check;
+                        if (until) {
+                            trialStep.repeatUntil = until;
+                            trialStep.repEnd = t === trials.length - 1;
+                        }
+                        steps.push(trialStep);
                         const isLastTrialOfFinalRep = r === reps - 1 && t === trials.length - 1;
                         if (entry.intertrial && !isLastTrialOfFinalRep) {
                             steps.push({
@@ -956,6 +1128,13 @@ var ArenaRunnerG6 = (function () {
          * The abort flag is checked before every step AND every command, so STOP
          * halts promptly. On completion or abort the finally sends a best-effort STOP.
          *
+         * Steps carrying a `trialCheck` run through _runCheckedStep (retry loop +
+         * 'trial-check' trace events); a check that cannot be evaluated aborts
+         * the run with `summary.abortReason` set (fail closed, never skipped).
+         * A `repeat_until` block is decided at each repetition boundary
+         * (_decideRepetition, 'repeat-until' trace events); stopping skips the
+         * rest of the block's capped expansion.
+         *
          * @param {object} a
          * @param {Array}    a.steps             flattenStructure(...).steps
          * @param {Map}      a.conditionsByName  conditionName → condition object
@@ -974,7 +1153,18 @@ var ArenaRunnerG6 = (function () {
          *                                        (defaults to host-side; firmware #4 swap)
          * @param {function} [a.sleep]           async (ms) ⇒ void (defaults to the
          *                                        abort-aware _sleep; tests inject instant)
-         * @returns {Promise<{completed:boolean, aborted:boolean, steps:number, errors:number, skipped:number}>}
+         * @param {function} [a.evaluateCriterion] async (criterion, {kind, index, step,
+         *        startMs, endMs, …}) ⇒ {met, value, valid_samples, …}: evaluates a
+         *        criterion over the [startMs, endMs] span. kind 'trial_check'
+         *        (+attempt): `met` ⇒ the attempt is REJECTED. kind 'repeat_until'
+         *        (+repetition, baseline): `met` ⇒ STOP repeating. kind 'baseline':
+         *        only {value, valid_samples} is read. Required iff any step carries
+         *        a trialCheck or repeatUntil (else the run refuses to start).
+         * @param {function} [a.now]             () ⇒ ms clock for attempt/repetition spans and
+         *        the baseline window (default Date.now; the studio passes the
+         *        behavior-sample clock so spans index the sample buffer directly)
+         * @returns {Promise<{completed:boolean, aborted:boolean, steps:number, errors:number,
+         *        skipped:number, invalidAttempts:number, abortReason?:string}>}
          */
         async runSequence(a) {
             a = a || {};
@@ -997,6 +1187,9 @@ var ArenaRunnerG6 = (function () {
                       : null;
             const timing = typeof a.timing === 'function' ? a.timing : hostSideTrialEnd;
             const sleep = typeof a.sleep === 'function' ? a.sleep : (ms) => this._sleep(ms);
+            const evaluateCriterion =
+                typeof a.evaluateCriterion === 'function' ? a.evaluateCriterion : null;
+            const now = typeof a.now === 'function' ? a.now : Date.now;
             const emit = (s) => {
                 if (typeof a.onProgress === 'function') a.onProgress(s);
             };
@@ -1009,190 +1202,110 @@ var ArenaRunnerG6 = (function () {
                 aborted: false,
                 steps: steps.length,
                 errors: 0,
-                skipped: 0
+                skipped: 0,
+                invalidAttempts: 0
+            };
+            const ctx = {
+                total: steps.length,
+                conditionsByName,
+                resolvePatternId,
+                resolvePatternFrames,
+                resolveCondition,
+                fictracPluginNames,
+                evaluateCriterion,
+                timing,
+                sleep,
+                now,
+                emit,
+                summary,
+                runStartMs: null,
+                baselines: new Map()
             };
 
             try {
                 emit({ phase: 'sequence-start', total: steps.length });
+                // Run-relative origin for baseline windows — read AFTER
+                // sequence-start so a clock that resets on it (the studio's
+                // behavior-sample clock) is already on the new run.
+                ctx.runStartMs = now();
+                // Fail closed BEFORE anything is sent: a malformed trial_check,
+                // or a check with no evaluator to answer it, refuses the run
+                // rather than executing the protocol with the check ignored.
+                const checks = new Map();
                 for (let i = 0; i < steps.length; i++) {
-                    if (this._abort) break;
+                    if (!steps[i] || !steps[i].trialCheck) continue;
+                    let check;
+                    try {
+                        check = normalizeTrialCheck(steps[i].trialCheck);
+                    } catch (e) {
+                        this._failClosed(ctx, i, steps[i], 'invalid trial_check — ' + e.message);
+                        break;
+                    }
+                    if (!evaluateCriterion) {
+                        this._failClosed(
+                            ctx,
+                            i,
+                            steps[i],
+                            'trial_check on "' +
+                                steps[i].conditionName +
+                                '" needs a criterion evaluator (metric "' +
+                                check.criterion.metric +
+                                '") — refusing to run it unchecked.'
+                        );
+                        break;
+                    }
+                    checks.set(i, check);
+                }
+                // One repeat_until state per block (keyed by seqIdx): the
+                // normalized spec plus the current repetition's start time and
+                // whether the criterion is active (baseline elapsed at block start).
+                const repeats = new Map();
+                for (let i = 0; i < steps.length && !this._abort; i++) {
                     const step = steps[i];
-                    let cond = conditionsByName.get(step.conditionName) || null;
-                    this._conditionName = step.conditionName || null;
-                    emit({
-                        phase: 'step-start',
-                        index: i,
-                        total: steps.length,
-                        step,
-                        next: i + 1 < steps.length ? steps[i + 1] : null
-                    });
-                    if (!cond || !Array.isArray(cond.commands)) {
-                        summary.errors++;
-                        emit({
-                            phase: 'error',
-                            index: i,
+                    if (!step || !step.repeatUntil || repeats.has(step.seqIdx)) continue;
+                    let spec;
+                    try {
+                        spec = normalizeRepeatUntil(step.repeatUntil);
+                    } catch (e) {
+                        this._failClosed(ctx, i, step, 'invalid repeat_until — ' + e.message);
+                        break;
+                    }
+                    if (!evaluateCriterion) {
+                        this._failClosed(
+                            ctx,
+                            i,
                             step,
-                            reason:
-                                'Condition "' +
-                                step.conditionName +
-                                '" not found or has no commands — skipped.'
-                        });
-                        emit({ phase: 'step-done', index: i, total: steps.length, step });
-                        continue;
+                            'repeat_until on block "' +
+                                step.blockName +
+                                '" needs a criterion evaluator (metric "' +
+                                spec.criterion.metric +
+                                '") — refusing to run it unsized.'
+                        );
+                        break;
                     }
-                    // Optional Alt-UI/runtime-controls seam.  It is intentionally
-                    // absent from the default path, so existing pages execute the
-                    // exact same condition object/order as before.  The resolver
-                    // may be async (for future durable logging) but must finish at
-                    // the boundary before the first command is translated.
-                    if (resolveCondition) {
-                        let resolution;
-                        try {
-                            resolution = await resolveCondition(step.conditionName, {
-                                index: i,
-                                total: steps.length,
-                                step,
-                                condition: cond,
-                                conditionsByName
-                            });
-                        } catch (e) {
-                            summary.errors++;
-                            emit({
-                                phase: 'error',
-                                index: i,
-                                step,
-                                error: e,
-                                reason: 'condition resolution failed: ' + (e && (e.message || e))
-                            });
-                            emit({ phase: 'step-done', index: i, total: steps.length, step });
-                            continue;
-                        }
-
-                        let runtimeRecord = null;
-                        if (
-                            resolution &&
-                            typeof resolution === 'object' &&
-                            Object.prototype.hasOwnProperty.call(resolution, 'condition')
-                        ) {
-                            runtimeRecord = resolution.runtimeRecord || null;
-                            if (
-                                resolution.condition !== undefined &&
-                                resolution.condition !== null
-                            ) {
-                                cond = resolution.condition;
-                            }
-                        } else if (
-                            resolution &&
-                            typeof resolution === 'object' &&
-                            Object.prototype.hasOwnProperty.call(resolution, 'runtimeRecord')
-                        ) {
-                            runtimeRecord = resolution.runtimeRecord || null;
-                            if (Array.isArray(resolution.commands)) {
-                                cond = Object.assign({}, cond, { commands: resolution.commands });
-                            }
-                        } else if (resolution !== undefined && resolution !== null) {
-                            cond = resolution;
-                        }
-
-                        // RuntimeControlSession.beginTrial() returns a complete
-                        // authoritative record.  If the wrapper did not construct
-                        // a condition itself, use the record's resolved commands in
-                        // a shallow copy — never mutate the parsed YAML model.
-                        if (
-                            runtimeRecord &&
-                            Array.isArray(runtimeRecord.resolved_commands) &&
-                            (!cond ||
-                                !Array.isArray(cond.commands) ||
-                                (resolution && resolution.condition === undefined))
-                        ) {
-                            cond = Object.assign({}, cond || {}, {
-                                name: (cond && cond.name) || step.conditionName,
-                                commands: runtimeRecord.resolved_commands
-                            });
-                        }
-
-                        if (runtimeRecord) {
-                            const applied = Array.isArray(runtimeRecord.apply_events)
-                                ? runtimeRecord.apply_events
-                                : [];
-                            for (const applyEvent of applied) {
-                                emit({
-                                    phase: 'runtime-control-applied',
-                                    index: i,
-                                    total: steps.length,
-                                    step,
-                                    runtimeControlApply: applyEvent
-                                });
-                            }
-                            emit({
-                                phase: 'trial-resolved',
-                                index: i,
-                                total: steps.length,
-                                step,
-                                conditionName: step.conditionName,
-                                runtimeRecord
-                            });
-                        }
-
-                        if (!cond || !Array.isArray(cond.commands)) {
-                            summary.errors++;
-                            emit({
-                                phase: 'error',
-                                index: i,
-                                step,
-                                reason:
-                                    'Condition resolver returned no command list for "' +
-                                    step.conditionName +
-                                    '" — skipped.'
-                            });
-                            emit({ phase: 'step-done', index: i, total: steps.length, step });
-                            continue;
-                        }
+                    repeats.set(step.seqIdx, { spec, repStartMs: null, criterionActive: true });
+                }
+                for (let i = 0; i < steps.length; i++) {
+                    if (this._abort) break;
+                    const step = steps[i];
+                    const next = i + 1 < steps.length ? steps[i + 1] : null;
+                    const rep = step && step.repeatUntil ? repeats.get(step.seqIdx) : null;
+                    if (rep && step.kind === 'block-trial' && step.trialIdxInBlock === 0) {
+                        this._beginRepetition(rep, step, ctx);
                     }
-                    // Per-condition timing accumulators: the max trialParams target
-                    // duration and the total time actually slept on wait commands.
-                    // fictracFrames tracks the current Mode-3 pattern's frame count
-                    // (index modulus) so a following fictrac.startClosedLoop can push
-                    // the right modulus to the bridge.
-                    const acc = { trialTargetSec: 0, waitedSec: 0, fictracFrames: null };
-                    for (const cmd of cond.commands) {
-                        if (this._abort) break;
-                        const ir = translateCommand(cmd, {
-                            patternId: resolvePatternId(cmd),
-                            fictracPluginNames
-                        });
-                        if (cmd.type === 'controller' && cmd.command_name === 'trialParams') {
-                            const f = Number(resolvePatternFrames(cmd));
-                            if (Number.isFinite(f) && f > 0) acc.fictracFrames = f;
-                        }
-                        try {
-                            await this._runIR(ir, { step, index: i, emit, sleep, summary, acc });
-                        } catch (e) {
-                            // A wire/link failure mid-command: surface it and abort
-                            // the run (the finally sends STOP). Don't blindly continue
-                            // past a possible protocol desync.
-                            summary.errors++;
-                            this._abort = true;
-                            emit({
-                                phase: 'error',
-                                index: i,
-                                step,
-                                error: e,
-                                reason: 'send failed: ' + (e && (e.message || e))
-                            });
-                            break;
-                        }
+                    if (checks.has(i)) {
+                        await this._runCheckedStep(step, i, next, checks.get(i), ctx);
+                    } else {
+                        await this._runStep(step, i, next, ctx);
                     }
-                    // Condition-level host-side trial timing: hold so the trial gets
-                    // its full display duration OVERLAPPING the waits (not added to
-                    // them), making wall-clock == max(trialDuration, sum(waits)) — the
-                    // value conditionDuration / the timeline shows. When firmware #4
-                    // lands (controller enforces duration + signals done), this top-up
-                    // is what gets swapped for awaiting that signal.
-                    if (!this._abort && acc.trialTargetSec > acc.waitedSec) {
-                        await timing(acc.trialTargetSec - acc.waitedSec, sleep);
+                    if (rep && step.repEnd && !this._abort) {
+                        const stop = await this._decideRepetition(step, i, rep, steps, ctx);
+                        if (stop) {
+                            while (i + 1 < steps.length && steps[i + 1].seqIdx === step.seqIdx) {
+                                i++;
+                            }
+                        }
                     }
-                    emit({ phase: 'step-done', index: i, total: steps.length, step });
                 }
                 summary.aborted = this._abort;
                 summary.completed = !this._abort;
@@ -1215,6 +1328,498 @@ var ArenaRunnerG6 = (function () {
             }
         }
 
+        /**
+         * Run ONE flattened step: step-start, the optional trial-boundary
+         * resolver, the condition's commands, the host-side trial top-up, then
+         * step-done. Shared by the plain loop, every trial_check attempt, and the
+         * check's recovery condition. Mutates `ctx.summary`; a link failure sets
+         * the abort flag (the caller's loop observes it).
+         */
+        async _runStep(step, i, next, ctx) {
+            const {
+                total,
+                conditionsByName,
+                resolvePatternId,
+                resolvePatternFrames,
+                resolveCondition,
+                fictracPluginNames,
+                timing,
+                sleep,
+                emit,
+                summary
+            } = ctx;
+            let cond = conditionsByName.get(step.conditionName) || null;
+            this._conditionName = step.conditionName || null;
+            emit({
+                phase: 'step-start',
+                index: i,
+                total,
+                step,
+                next
+            });
+            if (!cond || !Array.isArray(cond.commands)) {
+                summary.errors++;
+                emit({
+                    phase: 'error',
+                    index: i,
+                    step,
+                    reason:
+                        'Condition "' +
+                        step.conditionName +
+                        '" not found or has no commands — skipped.'
+                });
+                emit({ phase: 'step-done', index: i, total, step });
+                return;
+            }
+            // Optional Alt-UI/runtime-controls seam.  It is intentionally
+            // absent from the default path, so existing pages execute the
+            // exact same condition object/order as before.  The resolver
+            // may be async (for future durable logging) but must finish at
+            // the boundary before the first command is translated.
+            if (resolveCondition) {
+                let resolution;
+                try {
+                    resolution = await resolveCondition(step.conditionName, {
+                        index: i,
+                        total,
+                        step,
+                        condition: cond,
+                        conditionsByName
+                    });
+                } catch (e) {
+                    summary.errors++;
+                    emit({
+                        phase: 'error',
+                        index: i,
+                        step,
+                        error: e,
+                        reason: 'condition resolution failed: ' + (e && (e.message || e))
+                    });
+                    emit({ phase: 'step-done', index: i, total, step });
+                    return;
+                }
+
+                let runtimeRecord = null;
+                if (
+                    resolution &&
+                    typeof resolution === 'object' &&
+                    Object.prototype.hasOwnProperty.call(resolution, 'condition')
+                ) {
+                    runtimeRecord = resolution.runtimeRecord || null;
+                    if (resolution.condition !== undefined && resolution.condition !== null) {
+                        cond = resolution.condition;
+                    }
+                } else if (
+                    resolution &&
+                    typeof resolution === 'object' &&
+                    Object.prototype.hasOwnProperty.call(resolution, 'runtimeRecord')
+                ) {
+                    runtimeRecord = resolution.runtimeRecord || null;
+                    if (Array.isArray(resolution.commands)) {
+                        cond = Object.assign({}, cond, { commands: resolution.commands });
+                    }
+                } else if (resolution !== undefined && resolution !== null) {
+                    cond = resolution;
+                }
+
+                // RuntimeControlSession.beginTrial() returns a complete
+                // authoritative record.  If the wrapper did not construct
+                // a condition itself, use the record's resolved commands in
+                // a shallow copy — never mutate the parsed YAML model.
+                if (
+                    runtimeRecord &&
+                    Array.isArray(runtimeRecord.resolved_commands) &&
+                    (!cond ||
+                        !Array.isArray(cond.commands) ||
+                        (resolution && resolution.condition === undefined))
+                ) {
+                    cond = Object.assign({}, cond || {}, {
+                        name: (cond && cond.name) || step.conditionName,
+                        commands: runtimeRecord.resolved_commands
+                    });
+                }
+
+                if (runtimeRecord) {
+                    const applied = Array.isArray(runtimeRecord.apply_events)
+                        ? runtimeRecord.apply_events
+                        : [];
+                    for (const applyEvent of applied) {
+                        emit({
+                            phase: 'runtime-control-applied',
+                            index: i,
+                            total,
+                            step,
+                            runtimeControlApply: applyEvent
+                        });
+                    }
+                    emit({
+                        phase: 'trial-resolved',
+                        index: i,
+                        total,
+                        step,
+                        conditionName: step.conditionName,
+                        runtimeRecord
+                    });
+                }
+
+                if (!cond || !Array.isArray(cond.commands)) {
+                    summary.errors++;
+                    emit({
+                        phase: 'error',
+                        index: i,
+                        step,
+                        reason:
+                            'Condition resolver returned no command list for "' +
+                            step.conditionName +
+                            '" — skipped.'
+                    });
+                    emit({ phase: 'step-done', index: i, total, step });
+                    return;
+                }
+            }
+            // Per-condition timing accumulators: the max trialParams target
+            // duration and the total time actually slept on wait commands.
+            // fictracFrames tracks the current Mode-3 pattern's frame count
+            // (index modulus) so a following fictrac.startClosedLoop can push
+            // the right modulus to the bridge.
+            const acc = { trialTargetSec: 0, waitedSec: 0, fictracFrames: null };
+            for (const cmd of cond.commands) {
+                if (this._abort) break;
+                const ir = translateCommand(cmd, {
+                    patternId: resolvePatternId(cmd),
+                    fictracPluginNames
+                });
+                if (cmd.type === 'controller' && cmd.command_name === 'trialParams') {
+                    const f = Number(resolvePatternFrames(cmd));
+                    if (Number.isFinite(f) && f > 0) acc.fictracFrames = f;
+                }
+                try {
+                    await this._runIR(ir, { step, index: i, emit, sleep, summary, acc });
+                } catch (e) {
+                    // A wire/link failure mid-command: surface it and abort
+                    // the run (the finally sends STOP). Don't blindly continue
+                    // past a possible protocol desync.
+                    summary.errors++;
+                    this._abort = true;
+                    emit({
+                        phase: 'error',
+                        index: i,
+                        step,
+                        error: e,
+                        reason: 'send failed: ' + (e && (e.message || e))
+                    });
+                    break;
+                }
+            }
+            // Condition-level host-side trial timing: hold so the trial gets
+            // its full display duration OVERLAPPING the waits (not added to
+            // them), making wall-clock == max(trialDuration, sum(waits)) — the
+            // value conditionDuration / the timeline shows. When firmware #4
+            // lands (controller enforces duration + signals done), this top-up
+            // is what gets swapped for awaiting that signal.
+            if (!this._abort && acc.trialTargetSec > acc.waitedSec) {
+                await timing(acc.trialTargetSec - acc.waitedSec, sleep);
+            }
+            emit({ phase: 'step-done', index: i, total, step });
+        }
+
+        /**
+         * Execute a step under a normalized trial_check: run the attempt, ask
+         * the injected evaluator about exactly that attempt's span, and on a
+         * rejection run the recovery condition (if any) and retry IMMEDIATELY,
+         * up to check.maxAttempts. Each attempt is its own step object sharing
+         * `parentIndex`, and each produces one 'trial-check' trace event — the
+         * run log's record of validity (§5). Exhaustion either advances or
+         * aborts, per the check's required on_exhausted.
+         */
+        async _runCheckedStep(step, i, next, check, ctx) {
+            const { emit, summary, now, evaluateCriterion } = ctx;
+            const criterion = check.criterion;
+            const technical = DEVICE_HEALTH_METRICS.indexOf(criterion.metric) !== -1;
+            for (let attempt = 1; attempt <= check.maxAttempts; attempt++) {
+                if (this._abort) return;
+                const attemptStep = Object.assign({}, step, {
+                    parentIndex: i,
+                    attempt,
+                    maxAttempts: check.maxAttempts
+                });
+                const startMs = now();
+                await this._runStep(attemptStep, i, next, ctx);
+                const endMs = now();
+                if (this._abort) return; // STOP mid-attempt: nothing to evaluate
+
+                let result;
+                try {
+                    result = await evaluateCriterion(criterion, {
+                        kind: 'trial_check',
+                        index: i,
+                        step: attemptStep,
+                        attempt,
+                        startMs,
+                        endMs
+                    });
+                } catch (e) {
+                    this._failClosed(
+                        ctx,
+                        i,
+                        attemptStep,
+                        'trial_check criterion could not be evaluated — ' + (e && (e.message || e))
+                    );
+                    return;
+                }
+                const value = result ? Number(result.value) : NaN;
+                if (!result || typeof result.met !== 'boolean' || !Number.isFinite(value)) {
+                    this._failClosed(
+                        ctx,
+                        i,
+                        attemptStep,
+                        'trial_check criterion on "' +
+                            criterion.metric +
+                            '" is unevaluable (no valid samples or NaN statistic).'
+                    );
+                    return;
+                }
+
+                const valid = !result.met;
+                const exhausted = !valid && attempt === check.maxAttempts;
+                if (!valid) summary.invalidAttempts++;
+                const record = {
+                    parent_index: i,
+                    condition: step.conditionName,
+                    attempt,
+                    max_attempts: check.maxAttempts,
+                    valid,
+                    invalid_reason: valid ? null : technical ? 'technical' : 'biological',
+                    metric: criterion.metric,
+                    statistic: criterion.statistic,
+                    criterion, // full spec: lets analysis re-evaluate the decision
+                    met: result.met,
+                    value,
+                    valid_samples: result.valid_samples != null ? result.valid_samples : null,
+                    threshold: result.threshold != null ? result.threshold : null,
+                    window_ms: [startMs, endMs],
+                    recovery: !valid && !exhausted ? check.onFailRun : null,
+                    // An immediate retry inside a randomized block puts the same
+                    // condition twice in a row — an order confound (§3).
+                    randomized_adjacency: !valid && !exhausted && !!step.randomize,
+                    exit: valid
+                        ? 'pass'
+                        : !exhausted
+                          ? 'retry'
+                          : check.onExhausted === 'abort'
+                            ? 'exhausted-abort'
+                            : 'exhausted-advance'
+                };
+                emit({
+                    phase: 'trial-check',
+                    index: i,
+                    total: ctx.total,
+                    step: attemptStep,
+                    trialCheck: record
+                });
+                if (valid) return;
+                if (exhausted) {
+                    if (check.onExhausted === 'abort') {
+                        this._failClosed(
+                            ctx,
+                            i,
+                            attemptStep,
+                            'trial_check exhausted on "' +
+                                step.conditionName +
+                                '" after ' +
+                                check.maxAttempts +
+                                ' attempt(s) — on_exhausted: abort.'
+                        );
+                    }
+                    return;
+                }
+                if (check.onFailRun) {
+                    const recoveryStep = {
+                        kind: 'recovery',
+                        label: 'recovery: ' + check.onFailRun,
+                        conditionName: check.onFailRun,
+                        seqIdx: step.seqIdx,
+                        parentIndex: i,
+                        attempt,
+                        dur: 0
+                    };
+                    await this._runStep(recoveryStep, i, step, ctx);
+                }
+            }
+        }
+
+        // Mark the start of a repeat_until repetition. At the block's first
+        // repetition also fix whether the criterion is active: a baseline window
+        // that has not elapsed yet leaves the block on min_repeats alone (§2).
+        _beginRepetition(rep, step, ctx) {
+            rep.repStartMs = ctx.now();
+            if (step.rep === 0) {
+                const w = rep.spec.baselineWindowMs;
+                rep.criterionActive = !w || rep.repStartMs >= ctx.runStartMs + w[1];
+            }
+        }
+
+        /**
+         * Decide, after repetition `step.rep` of a repeat_until block, whether
+         * the block stops. Below min_repeats it always continues; at the cap it
+         * always stops; in between the injected evaluator judges the repetition
+         * that just completed (against the run's baseline, for a relative
+         * criterion). Emits one 'repeat-until' trace event per boundary and
+         * returns true to stop. An unevaluable criterion fails closed.
+         */
+        async _decideRepetition(step, i, rep, steps, ctx) {
+            const { spec } = rep;
+            const completed = step.rep + 1;
+            const endMs = ctx.now();
+            let remaining = 0;
+            for (let j = i + 1; j < steps.length && steps[j].seqIdx === step.seqIdx; j++) {
+                remaining++;
+            }
+            const record = {
+                block: step.blockName,
+                seq_index: step.seqIdx,
+                repetition: completed,
+                min_repeats: spec.minRepeats,
+                max_repeats: spec.maxRepeats,
+                metric: spec.criterion.metric,
+                statistic: spec.criterion.statistic,
+                criterion: spec.criterion,
+                window_ms: [rep.repStartMs, endMs],
+                criterion_active: rep.criterionActive,
+                evaluated: false,
+                value: null,
+                valid_samples: null,
+                threshold: null,
+                baseline: null,
+                met: null,
+                decision: 'continue',
+                reason: null,
+                skipped_steps: 0
+            };
+            if (completed >= spec.maxRepeats) {
+                record.decision = 'stop';
+                record.reason = 'max_repeats';
+            } else if (completed < spec.minRepeats) {
+                record.reason = 'min_repeats';
+            } else if (!rep.criterionActive) {
+                record.decision = 'stop';
+                record.reason = 'baseline_pending';
+            } else {
+                let baseline = null;
+                if (spec.baselineWindowMs) {
+                    baseline = await this._baseline(spec, i, step, ctx);
+                    if (!baseline) return true; // failed closed
+                }
+                let result;
+                try {
+                    result = await ctx.evaluateCriterion(spec.criterion, {
+                        kind: 'repeat_until',
+                        index: i,
+                        step,
+                        repetition: completed,
+                        startMs: rep.repStartMs,
+                        endMs,
+                        baseline
+                    });
+                } catch (e) {
+                    this._failClosed(
+                        ctx,
+                        i,
+                        step,
+                        'repeat_until criterion could not be evaluated — ' + (e && (e.message || e))
+                    );
+                    return true;
+                }
+                const value = result ? Number(result.value) : NaN;
+                if (!result || typeof result.met !== 'boolean' || !Number.isFinite(value)) {
+                    this._failClosed(
+                        ctx,
+                        i,
+                        step,
+                        'repeat_until criterion on "' +
+                            spec.criterion.metric +
+                            '" is unevaluable (no valid samples or NaN statistic).'
+                    );
+                    return true;
+                }
+                record.evaluated = true;
+                record.value = value;
+                record.valid_samples = result.valid_samples != null ? result.valid_samples : null;
+                record.threshold = result.threshold != null ? result.threshold : null;
+                record.baseline = baseline;
+                record.met = result.met;
+                record.decision = result.met ? 'stop' : 'continue';
+                record.reason = result.met ? 'criterion_met' : 'criterion_not_met';
+            }
+            if (record.decision === 'stop') record.skipped_steps = remaining;
+            ctx.emit({
+                phase: 'repeat-until',
+                index: i,
+                total: ctx.total,
+                step,
+                repeatUntil: record
+            });
+            return record.decision === 'stop';
+        }
+
+        // The session baseline for a relative criterion: computed ONCE per
+        // (metric, statistic, window) over the run-relative window, then reused
+        // and logged with every decision (§2 "the runner owns baseline state").
+        // Returns {value, valid_samples, window_ms} or null after failing closed.
+        async _baseline(spec, i, step, ctx) {
+            const w = spec.baselineWindowMs;
+            const key = JSON.stringify([spec.criterion.metric, spec.criterion.statistic, w]);
+            if (ctx.baselines.has(key)) return ctx.baselines.get(key);
+            const startMs = ctx.runStartMs + w[0];
+            const endMs = ctx.runStartMs + w[1];
+            let result;
+            try {
+                result = await ctx.evaluateCriterion(spec.criterion, {
+                    kind: 'baseline',
+                    index: i,
+                    step,
+                    startMs,
+                    endMs
+                });
+            } catch (e) {
+                this._failClosed(
+                    ctx,
+                    i,
+                    step,
+                    'repeat_until baseline could not be evaluated — ' + (e && (e.message || e))
+                );
+                return null;
+            }
+            const value = result ? Number(result.value) : NaN;
+            if (!Number.isFinite(value)) {
+                this._failClosed(
+                    ctx,
+                    i,
+                    step,
+                    'repeat_until baseline for "' +
+                        spec.criterion.metric +
+                        '" is unevaluable (no valid samples in the baseline window).'
+                );
+                return null;
+            }
+            const baseline = {
+                value,
+                valid_samples: result.valid_samples != null ? result.valid_samples : null,
+                window_ms: [startMs, endMs]
+            };
+            ctx.baselines.set(key, baseline);
+            return baseline;
+        }
+
+        /** Abort the run with a recorded reason (fail closed). The finally of
+         *  runSequence still sends the best-effort STOP. */
+        _failClosed(ctx, index, step, reason) {
+            ctx.summary.errors++;
+            if (!ctx.summary.abortReason) ctx.summary.abortReason = reason;
+            this._abort = true;
+            ctx.emit({ phase: 'error', index, step, reason });
+        }
+
         /**
          * Execute one command IR over the link: send the matching wire frame and,
          * for trialParams, apply the host-side trial timing. Skips/errors are
@@ -1396,6 +2001,9 @@ var ArenaRunnerG6 = (function () {
         ledPercentToMv, // BuckPuck brightness % → AO control voltage (mV); 0% → LED_OFF_MV
         normalizeLedActivation, // validate/normalize a trialParams led_activation spec (throws on bad)
         makeLedActivator, // pure stateful index→ON/OFF evaluator with hysteresis
+        normalizeTrialCheck, // validate/normalize a v3 trial_check spec (throws on bad)
+        normalizeRepeatUntil, // validate/normalize a v3 repeat_until spec (throws on bad)
+        DEVICE_HEALTH_METRICS, // metrics whose rejection is a technical (not biological) fault
         ArenaRunner
     };
 })();
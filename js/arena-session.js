@@ -347,6 +347,31 @@
             return this._link.sendBulkRead(bytes, opts);
         }
 
+        /**
+         * Pipelined batch of SD file requests (uploads, renames, listings,
+         * read-backs). Every request's opcode (opts.expectedCmd, else byte 1)
+         * must be in ArenaWireG6.PIPELINE_SAFE_OPCODES — anything else throws
+         * before a byte is sent. See ArenaLink.sendPipelined for the request
+         * shape, options and the {results, metrics} it resolves with.
+         * @param {Array<object>} requests
+         * @param {object} [opts] {window?, maxBytesInFlight?, timeoutMs?, onProgress?}
+         * @returns {Promise<{results: Array<object>, metrics: object}>}
+         */
+        sendPipelined(requests, opts) {
+            this._assertOutputAllowed('pipelined send');
+            for (const req of requests) {
+                const cmd = req.expectedCmd != null ? req.expectedCmd : req.bytes[1];
+                if (!this._wire.isPipelineSafe(cmd)) {
+                    throw new Error(
+                        'ArenaSession.sendPipelined: opcode 0x' +
+                            Number(cmd).toString(16) +
+                            ' is not pipeline-safe — use send()'
+                    );
+                }
+            }
+            return this._link.sendPipelined(requests, opts);
+        }
+
         /** Convenience accessor for the wire encoder set (callers may also use window.ArenaWireG6). */
         get wire() {
             return this._wire;
@@ -397,7 +422,10 @@
          * @param {Function} [a.onProgress]       per-call progress sink (also broadcast as 'runstatus')
          * @param {Function} [a.timing]           host-timing fn (default runner's hostSideTrialEnd — FW#4 swap point)
          * @param {Function} [a.sleep]            sleep(ms) (default runner's abort-aware sleep; tests inject instant)
-         * @returns {Promise<{completed,aborted,steps,errors,skipped}>}
+         * @param {Function} [a.evaluateCriterion] trial_check evaluator; forwarded verbatim
+         *        (required when any step carries a trialCheck)
+         * @param {Function} [a.now]              ms clock for trial_check attempt spans
+         * @returns {Promise<{completed,aborted,steps,errors,skipped,invalidAttempts}>}
          */
         async runSequence(a) {
             this._assertOutputAllowed('run a sequence');
@@ -412,6 +440,8 @@
                 fictracPluginNames: args.fictracPluginNames,
                 timing: args.timing,
                 sleep: args.sleep,
+                evaluateCriterion: args.evaluateCriterion,
+                now: args.now,
                 onProgress: (s) => this._onRunStatus(s, args.onProgress)
             });
         }
@@ -474,6 +504,14 @@
             if (s.runtimeRecord && typeof s.runtimeRecord === 'object') {
                 out.runtimeRecord = s.runtimeRecord;
             }
+            // trial_check attempt record (validity, reason, statistic, exit).
+            if (s.trialCheck && typeof s.trialCheck === 'object') {
+                out.trialCheck = s.trialCheck;
+            }
+            // repeat_until boundary decision (statistic, baseline, exit).
+            if (s.repeatUntil && typeof s.repeatUntil === 'object') {
+                out.repeatUntil = s.repeatUntil;
+            }
             if (s.response && typeof s.response === 'object') {
                 out.status = s.response.status;
                 out.ok = s.response.ok;
@@ -0,0 +1,992 @@
+/**
+ * arena-sim-g6.js — software G6 Arena controller, speaking the
+ * js/arena-wire-g6.js protocol byte-for-byte.
+ *
+ * Two pieces:
+ *   - SimController: the device. Feed it request bytes with write(chunk) (any
+ *     chunking — it de-frames the stream like the firmware's SerialManager,
+ *     including the opcode-first 0x32 / 0x83 / 0x85 / 0xE0 headers) and it
+ *     emits correctly framed [len, status, echo, ...payload] replies through
+ *     its listeners. It keeps a virtual SD card (/patterns/*.pat, pattern.temp,
+ *     /firmware/panel.bin) and a display state from which the current frame
+ *     buffer is derived on demand.
+ *   - SimTransport / SimArenaLink: an ArenaLink transport whose far end is a
+ *     SimController, and the link preset to use it. Everything above the byte
+ *     stream — de-framing, single-flight echo correlation, timeouts, bulk
+ *     reads — is the real ArenaLink code, so a console, runner or ArenaSession
+ *     driven through it exercises the same paths as hardware.
+ *
+ *   const link = new ArenaSimG6.SimArenaLink();           // fresh controller
+ *   await link.connect();
+ *   link.controller.addPattern('001_grating.pat', bytes);  // preload the card
+ *   new ArenaSession({ LinkClass: ArenaSimG6.linkClassFor(ctrl) })  // shared device
+ *
+ * Behavior follows the firmware as documented in this repo (opcode comments in
+ * arena-wire-g6.js, docs/development/135-io-firmware-needs.md, the G6 pattern
+ * file format in js/pat-encoder.js); where the firmware is silent the choice is
+ * noted inline. Errors reply status 1 with an ASCII reason, except a pattern
+ * whose geometry does not match the arena, which replies status 8
+ * (ARENA_MISMATCH). Unknown opcodes — and the io_ext set when that capability
+ * bit is off — reply status 1 "unknown command". Timing is lazy: frame index,
+ * frames-sent and the controller-run duration auto-stop are computed from the
+ * injectable clock whenever a request (or an inspector) looks at them.
+ *
+ * Deliberately NOT simulated: CRC checks on uploaded .pat files, the panel SPI
+ * bus, SYSTEM_RESET dropping the USB link (it acks and resets state in place),
+ * and triggered / gated panel display modes (stored and echoed only).
+ *
+ * LOADING: classic <script src> after arena-wire-g6.js and arena-link.js
+ * (reads window.ArenaWireG6 / window.ArenaLink), or require() under Node.
+ * Pages opt in with `?sim` (arena_console.html, arena_studio.html), which swaps
+ * window.ArenaLink for SimArenaLink before the shared session is created.
+ */
+
+const ArenaSimG6 = (function () {
+    'use strict';
+
+    const Wire =
+        typeof window !== 'undefined' && window.ArenaWireG6
+            ? window.ArenaWireG6
+            : require('./arena-wire-g6.js');
+    const ArenaLinkBase =
+        typeof window !== 'undefined' && window.ArenaLink
+            ? window.ArenaLink
+            : require('./arena-link.js');
+
+    const OP = Wire.OPCODES;
+
+    const STATUS = { OK: 0, ERROR: 1, ARENA_MISMATCH: 8 };
+
+    const G6_HEADER_BYTES = 18;
+    const FRAME_PREFIX_BYTES = 4; // "FR" + frame index u16 LE
+    const FRAME_CRC_BYTES = 2;
+    const PANEL_BLOCK_BYTES = { 1: 53, 2: 203 }; // header gs code → block size
+    const FIRMWARE_FOOTER_BYTES = 32;
+    const FIRMWARE_MAGIC = 'G6PANFW';
+
+    // Parameter byte counts for the length-prefixed commands ([len, cmd, ...]).
+    // An array lists every accepted count; SET_ETHERNET_IP is reserved and
+    // refused whatever its length.
+    const PARAM_BYTES = {
+        [OP.ALL_OFF]: 0,
+        [OP.SYSTEM_RESET]: 0,
+        [OP.TRIAL_PARAMS]: [11, 12],
+        [OP.SET_REFRESH_RATE]: 2,
+        [OP.GET_REFRESH_RATE]: 0,
+        [OP.SET_PANEL_DISPLAY_MODE]: 1,
+        [OP.GET_PANEL_DISPLAY_MODE]: 0,
+        [OP.SET_SPI_CLOCK]: 2,
+        [OP.GET_SPI_CLOCK]: 0,
+        [OP.GET_FRAMES_SENT]: 0,
+        [OP.RESET_FRAMES_SENT]: 0,
+        [OP.GET_FILE_COUNT]: 0,
+        [OP.GET_PATTERN_FILENAME]: 2,
+        [OP.GET_PATTERN_INFO]: 2,
+        [OP.GET_PATTERN_FILE]: 2,
+        [OP.DELETE_PATTERN_FILE]: 2,
+        [OP.PURGE_MEMORY]: 0,
+        [OP.GET_SD_ARCHIVE]: 0,
+        [OP.STOP_DISPLAY]: 0,
+        [OP.GET_ETHERNET_IP]: 0,
+        [OP.GET_CONTROLLER_INFO]: 0,
+        [OP.SET_DIAG_OUTPUT]: 1,
+        [OP.GET_DIAG_OUTPUT]: 0,
+        [OP.SET_AO_VOLTAGE]: 2,
+        [OP.GET_AO_VOLTAGE]: 0,
+        [OP.SET_AO_MODE]: 1,
+        [OP.GET_ANALOG_IN]: 0,
+        [OP.SET_DIGITAL_OUT]: 2,
+        [OP.GET_DIGITAL_OUT]: 0,
+        [OP.SET_DIO_ROLE]: 2,
+        [OP.GET_DIO_ROLE]: 0,
+        [OP.SET_FRAME_POSITION]: 2,
+        [OP.GET_FIRMWARE_INFO]: 0,
+        [OP.G6_PROGRAM_PANEL]: 1,
+        [OP.G6_VERIFY_PANEL]: 1,
+        [OP.ALL_ON]: 0
+    };
+    const IO_EXT_OPCODES = [OP.SET_AO_MODE, OP.GET_ANALOG_IN, OP.SET_DIO_ROLE, OP.GET_DIO_ROLE];
+
+    const hex2 = (n) => '0x' + n.toString(16).padStart(2, '0');
+    const u16 = (b, o) => b[o] | (b[o + 1] << 8);
+    const i16 = (b, o) => {
+        const v = u16(b, o);
+        return v >= 0x8000 ? v - 0x10000 : v;
+    };
+    const le16 = (v) => [v & 0xff, (v >> 8) & 0xff];
+    const le32 = (v) => [v & 0xff, (v >>> 8) & 0xff, (v >>> 16) & 0xff, (v >>> 24) & 0xff];
+    const ascii = (s) => Array.from(String(s), (c) => c.charCodeAt(0) & 0xff);
+
+    // CRC-32 (zlib/IEEE) — the 0xE0 reply and the 0x8A ZIP both carry it.
+    let _crcTable = null;
+    function crc32(bytes) {
+        if (!_crcTable) {
+            _crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                _crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++)
+            crc = _crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Parse a G6 V2 .pat header (the 18-byte "G6PT" layout js/pat-encoder.js
+     * writes). Returns null for anything else — the simulator does not load V1
+     * or G4 files.
+     */
+    function parsePatternHeader(bytes) {
+        if (!bytes || bytes.length < G6_HEADER_BYTES) return null;
+        if (bytes[0] !== 0x47 || bytes[1] !== 0x36 || bytes[2] !== 0x50 || bytes[3] !== 0x54) {
+            return null;
+        }
+        if (bytes[4] >> 4 < 2) return null;
+        const gs = bytes[10];
+        if (!PANEL_BLOCK_BYTES[gs]) return null;
+        const rows = bytes[8];
+        const cols = bytes[9];
+        const frameBytes =
+            FRAME_PREFIX_BYTES + rows * cols * PANEL_BLOCK_BYTES[gs] + FRAME_CRC_BYTES;
+        return {
+            arenaId: ((bytes[4] & 0x0f) << 2) | (bytes[5] >> 6),
+            observerId: bytes[5] & 0x3f,
+            frameCount: u16(bytes, 6),
+            rows,
+            cols,
+            gsVal: gs,
+            frameBytes,
+            // Frame 0, panel 0 trailing byte: the duty_cycle ("stretch").
+            stretch: bytes[G6_HEADER_BYTES + FRAME_PREFIX_BYTES + PANEL_BLOCK_BYTES[gs] - 1] || 0
+        };
+    }
+
+    /**
+     * A structurally valid, all-dark G6 V2 pattern (no CRCs) — enough for the
+     * simulator to accept it in TRIAL_PARAMS. For preloading a card in tests
+     * and smoke runs; real content comes from PatEncoder.encodeG6.
+     * @param {object} [o] {rows=2, cols=10, frames=1, gs=2 (GS2) | 16, duty=0x80}
+     * @returns {Uint8Array}
+     */
+    function blankPattern(o) {
+        o = o || {};
+        const rows = o.rows || 2;
+        const cols = o.cols || 10;
+        const frames = o.frames || 1;
+        const code = o.gs === 16 ? 2 : 1;
+        const block = PANEL_BLOCK_BYTES[code];
+        const frameBytes = FRAME_PREFIX_BYTES + rows * cols * block + FRAME_CRC_BYTES;
+        const out = new Uint8Array(G6_HEADER_BYTES + frames * frameBytes);
+        out.set([0x47, 0x36, 0x50, 0x54, 2 << 4, 0], 0);
+        out.set(le16(frames), 6);
+        out[8] = rows;
+        out[9] = cols;
+        out[10] = code;
+        for (let f = 0; f < frames; f++) {
+            const at = G6_HEADER_BYTES + f * frameBytes;
+            out.set([0x46, 0x52].concat(le16(f)), at);
+            for (let p = 0; p < rows * cols; p++) {
+                out[at + FRAME_PREFIX_BYTES + (p + 1) * block - 1] = o.duty == null ? 0x80 : o.duty;
+            }
+        }
+        return out;
+    }
+
+    // Store-only ZIP of {path: Uint8Array} — the 0x8A archive format.
+    function zipStore(files) {
+        const parts = [];
+        const central = [];
+        let offset = 0;
+        for (const name of Object.keys(files)) {
+            const data = files[name];
+            const nameBytes = ascii(name);
+            const crc = crc32(data);
+            const common = [0, 0, 0, 0, 0, 0, 0, 0]
+                .concat(le32(crc), le32(data.length), le32(data.length))
+                .concat(le16(nameBytes.length), [0, 0]);
+            // local header: sig, version 10, flags 0, method 0 (store), time/date 0
+            const local = Uint8Array.from(
+                [0x50, 0x4b, 0x03, 0x04, 10, 0].concat(common, nameBytes)
+            );
+            parts.push(local, data);
+            central.push(
+                Uint8Array.from(
+                    [0x50, 0x4b, 0x01, 0x02, 20, 0, 10, 0].concat(
+                        common,
+                        [0, 0, 0, 0, 0, 0, 0, 0, 0, 0], // comment len, disk, attrs
+                        le32(offset),
+                        nameBytes
+                    )
+                )
+            );
+            offset += local.length + data.length;
+        }
+        let centralSize = 0;
+        for (const c of central) centralSize += c.length;
+        const n = central.length;
+        const end = Uint8Array.from(
+            [0x50, 0x4b, 0x05, 0x06, 0, 0, 0, 0].concat(
+                le16(n),
+                le16(n),
+                le32(centralSize),
+                le32(offset),
+                [0, 0]
+            )
+        );
+        return concat(parts.concat(central, [end]));
+    }
+
+    function concat(chunks) {
+        let total = 0;
+        for (const c of chunks) total += c.length;
+        const out = new Uint8Array(total);
+        let off = 0;
+        for (const c of chunks) {
+            out.set(c, off);
+            off += c.length;
+        }
+        return out;
+    }
+
+    // Firmware listing order: *.pat in /patterns, alphabetical, dotfiles ignored.
+    function isListed(name) {
+        return /\.pat$/i.test(name) && name[0] !== '.';
+    }
+
+    class SimController {
+        /**
+         * @param {object} [opts]
+         * @param {number}   [opts.version=1]         firmware version byte (0xC2)
+         * @param {string[]} [opts.capabilities]      CAPABILITY_BITS names
+         *        (default g6_mode, v2_local_storage, io_ext)
+         * @param {string}   [opts.mac='02:00:00:00:00:01'] controller MAC (0xC2), null to omit
+         * @param {string}   [opts.ip='192.168.10.62']
+         * @param {{rows:number, cols:number}} [opts.arena] panel grid; TRIAL_PARAMS
+         *        refuses other geometries with ARENA_MISMATCH (default: accept any)
+         * @param {number}   [opts.refreshRate=200]   panel re-transmit rate, Hz (simulator default)
+         * @param {Object<string,Uint8Array>} [opts.patterns] preloaded /patterns files
+         * @param {function} [opts.now]               () ⇒ ms clock (default Date.now)
+         */
+        constructor(opts) {
+            const o = opts || {};
+            this._now = typeof o.now === 'function' ? o.now : Date.now;
+            this.version = o.version == null ? 1 : o.version;
+            this.capabilities = (
+                o.capabilities || ['g6_mode', 'v2_local_storage', 'io_ext']
+            ).slice();
+            this.mac = o.mac === undefined ? '02:00:00:00:00:01' : o.mac;
+            this.ip = o.ip || '192.168.10.62';
+            this.arena = o.arena || null;
+            this._bootRefreshRate = o.refreshRate || 200;
+            this._listeners = new Set();
+            this._rx = new Uint8Array(0);
+            this.sd = { patterns: new Map(), temp: null, firmware: null };
+            for (const name of Object.keys(o.patterns || {}))
+                this.addPattern(name, o.patterns[name]);
+            this.requests = []; // every complete request frame, for inspection
+            this._boot();
+        }
+
+        // Power-on state (also SYSTEM_RESET). The SD card survives.
+        _boot() {
+            this.refreshRate = this._bootRefreshRate;
+            this.panelDisplayMode = 0;
+            this.spiClockMhz = 30;
+            this.diagOutput = 0;
+            this.aoMv = 0;
+            this.aoMode = 0;
+            this.analogInMv = [0, 0];
+            this.digitalOut = [0, 0];
+            // Boot roles per 135-io-firmware-needs.md: DIO1 out_programmable LOW,
+            // DIO2 in_trigger.
+            this.dioRoles = [2, 1];
+            this.dioInputLevels = [0, 0];
+            this.panelFirmware = new Map(); // panel number → footer CRC it was flashed with
+            this._framesSentBase = 0;
+            this._state = { kind: 'idle' };
+            this._since = this._now();
+        }
+
+        // ---- listeners / byte stream ------------------------------------
+
+        /** Subscribe to outgoing bytes. Returns an unsubscribe fn. */
+        onData(fn) {
+            this._listeners.add(fn);
+            return () => this._listeners.delete(fn);
+        }
+
+        _emit(bytes) {
+            const chunk = bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes);
+            for (const fn of this._listeners) fn(chunk);
+        }
+
+        /** Feed host→controller bytes (any chunking). */
+        write(chunk) {
+            const c = chunk instanceof Uint8Array ? chunk : Uint8Array.from(chunk);
+            this._rx = this._rx.length ? concat([this._rx, c]) : c.slice();
+            for (;;) {
+                const need = this._frameLength(this._rx);
+                if (need == null || this._rx.length < need) break;
+                const req = this._rx.slice(0, need);
+                this._rx = this._rx.slice(need);
+                this.requests.push(req);
+                this._handle(req);
+            }
+        }
+
+        // Total byte length of the request at the head of `b`, or null while
+        // its header is still incomplete.
+        _frameLength(b) {
+            if (!b.length) return null;
+            switch (b[0]) {
+                case OP.STREAM_FRAME:
+                    return b.length < 3 ? null : 3 + u16(b, 1);
+                case OP.SET_PATTERN_FILENAME:
+                    return b.length < 4 ? null : 4 + b[3];
+                case OP.SET_PATTERN_FILE:
+                    return b.length < 11 ? null : 11 + readLen64(b, 3);
+                case OP.SET_FIRMWARE_FILE:
+                    return b.length < 9 ? null : 9 + readLen64(b, 1);
+                default:
+                    return 1 + b[0];
+            }
+        }
+
+        _reply(cmd, payload) {
+            this._emit([2 + (payload ? payload.length : 0), STATUS.OK, cmd].concat(payload || []));
+        }
+
+        _fail(cmd, message, status) {
+            const text = ascii(message).slice(0, 250);
+            this._emit([2 + text.length, status || STATUS.ERROR, cmd].concat(text));
+        }
+
+        // ---- display state -----------------------------------------------
+
+        // Fold elapsed time into the state: controller-run duration auto-stop,
+        // Mode 2/4 frame advance, frames-sent. Idempotent for a given clock.
+        _advance() {
+            const t = this._now();
+            const st = this._state;
+            let until = t;
+            if (st.kind === 'trial' && st.stopAtMs != null && t >= st.stopAtMs) until = st.stopAtMs;
+            const dtSec = Math.max(0, until - this._since) / 1000;
+            if (st.kind !== 'idle') {
+                this._framesSentBase += dtSec * this.refreshRate;
+            }
+            if (st.kind === 'trial') {
+                let fps = 0;
+                if (st.mode === Wire.MODES.OPEN_LOOP) fps = st.frameRate;
+                // Mode 4: fps = V · gain × 10 (Analog In 1, ×10 fps/V gain units).
+                else if (st.mode === Wire.MODES.CLOSED_LOOP) {
+                    fps = (this.analogInMv[0] / 1000) * st.gain * 10;
+                }
+                st.position += fps * dtSec;
+                if (until < t) this._state = { kind: 'idle' };
+            }
+            this._since = t;
+        }
+
+        _setState(next) {
+            this._advance();
+            this._state = next;
+            this._since = this._now();
+        }
+
+        // Display is "busy" for SD / ISP purposes unless stopped or all-off.
+        _busy() {
+            this._advance();
+            return this._state.kind !== 'idle' && this._state.kind !== 'all_off';
+        }
+
+        /**
+         * Snapshot of what the arena is showing.
+         * @returns {{kind:string, mode?:number, patternIndex?:number, patternName?:string,
+         *   frameIndex?:number, frameCount?:number, duty?:number}}
+         *   kind: 'idle' | 'all_on' | 'all_off' | 'trial' | 'stream'
+         */
+        display() {
+            this._advance();
+            const st = this._state;
+            if (st.kind !== 'trial') {
+                return st.kind === 'stream'
+                    ? { kind: 'stream', frameIndex: u16(st.frame, 2) }
+                    : { kind: st.kind };
+            }
+            return {
+                kind: 'trial',
+                mode: st.mode,
+                patternIndex: st.patternIndex,
+                patternName: st.patternName,
+                frameIndex: this._frameIndex(st),
+                frameCount: st.info.frameCount,
+                duty: st.duty
+            };
+        }
+
+        _frameIndex(st) {
+            const n = st.info.frameCount;
+            return ((Math.floor(st.position) % n) + n) % n;
+        }
+
+        /**
+         * The current frame buffer — one frame body ("FR" + index + panel
+         * blocks, no CRC), the same bytes a 0x32 stream frame carries — or null
+         * when nothing frame-shaped is on the arena (idle / all-on / all-off).
+         */
+        frameBuffer() {
+            this._advance();
+            const st = this._state;
+            if (st.kind === 'stream') return st.frame.slice();
+            if (st.kind !== 'trial') return null;
+            const at = G6_HEADER_BYTES + this._frameIndex(st) * st.info.frameBytes;
+            return st.bytes.slice(at, at + st.info.frameBytes - FRAME_CRC_BYTES);
+        }
+
+        /** Frames pushed to the panels since boot / RESET_FRAMES_SENT. */
+        framesSent() {
+            this._advance();
+            return Math.floor(this._framesSentBase) >>> 0;
+        }
+
+        // ---- virtual SD card -----------------------------------------------
+
+        /** Sorted listing of /patterns/*.pat — index i is pattern id i + 1. */
+        listPatterns() {
+            return Array.from(this.sd.patterns.keys()).filter(isListed).sort();
+        }
+
+        /** Put a file on the card (tests / preload). */
+        addPattern(name, bytes) {
+            this.sd.patterns.set(String(name), Uint8Array.from(bytes));
+        }
+
+        readPattern(name) {
+            const b = this.sd.patterns.get(name);
+            return b ? b.slice() : null;
+        }
+
+        _patternAt(index) {
+            const name = this.listPatterns()[index - 1];
+            return name === undefined ? null : { name, bytes: this.sd.patterns.get(name) };
+        }
+
+        // ---- inputs the host cannot command ---------------------------------
+
+        /** Drive Analog In 1/2 (mV) — Mode 4 reads AIN1. */
+        setAnalogIn(ain1Mv, ain2Mv) {
+            this._advance();
+            this.analogInMv = [ain1Mv | 0, ain2Mv == null ? this.analogInMv[1] : ain2Mv | 0];
+        }
+
+        /** Drive the BNC level seen by a Digital IO port in an input role. */
+        setDioInput(port, level) {
+            this.dioInputLevels[port - 1] = level ? 1 : 0;
+        }
+
+        // ---- request dispatch ----------------------------------------------
+
+        _handle(req) {
+            const first = req[0];
+            if (first === OP.STREAM_FRAME) return this._streamFrame(req.subarray(3));
+            if (first === OP.SET_PATTERN_FILENAME) return this._rename(req);
+            if (first === OP.SET_PATTERN_FILE) return this._upload(req);
+            if (first === OP.SET_FIRMWARE_FILE) return this._uploadFirmware(req.subarray(9));
+
+            if (req.length < 2) return; // a lone length byte 0 — nothing to answer
+            const cmd = req[1];
+            const p = req.subarray(2);
+            const want = PARAM_BYTES[cmd];
+            const ioExtOff = IO_EXT_OPCODES.includes(cmd) && !this.capabilities.includes('io_ext');
+            if (cmd === OP.SET_ETHERNET_IP)
+                return this._fail(cmd, 'SET_ETHERNET_IP not implemented');
+            if (want === undefined || ioExtOff) {
+                return this._fail(cmd, 'unknown command ' + hex2(cmd));
+            }
+            if (Array.isArray(want) ? !want.includes(p.length) : p.length !== want) {
+                return this._fail(
+                    cmd,
+                    'bad length for ' + hex2(cmd) + ': ' + p.length + ' param bytes'
+                );
+            }
+            const h = this._handlers()[cmd];
+            return h.call(this, p, cmd);
+        }
+
+        _handlers() {
+            return {
+                [OP.ALL_OFF]: (p, cmd) => {
+                    this._setState({ kind: 'all_off' });
+                    this._reply(cmd);
+                },
+                [OP.ALL_ON]: (p, cmd) => {
+                    this._setState({ kind: 'all_on' });
+                    this._reply(cmd);
+                },
+                [OP.STOP_DISPLAY]: (p, cmd) => {
+                    this._setState({ kind: 'idle' });
+                    this._reply(cmd);
+                },
+                [OP.SYSTEM_RESET]: (p, cmd) => {
+                    this._reply(cmd);
+                    this._boot();
+                },
+                [OP.TRIAL_PARAMS]: this._trialParams,
+                [OP.SET_FRAME_POSITION]: (p, cmd) => {
+                    this._advance();
+                    const st = this._state;
+                    const index = u16(p, 0);
+                    if (st.kind === 'trial' && st.mode === Wire.MODES.SHOW_FRAME) {
+                        if (index >= st.info.frameCount) {
+                            return this._fail(
+                                cmd,
+                                'frame ' +
+                                    index +
+                                    ' out of range (' +
+                                    st.info.frameCount +
+                                    ' frames)'
+                            );
+                        }
+                        st.position = index;
+                    }
+                    // Outside a Mode 3 trial the firmware just acks; so do we.
+                    this._reply(cmd);
+                },
+                [OP.SET_REFRESH_RATE]: (p, cmd) => {
+                    const hz = u16(p, 0);
+                    if (hz < 1) return this._fail(cmd, 'refresh rate must be >= 1 Hz');
+                    this._advance();
+                    this.refreshRate = hz;
+                    this._reply(cmd, le16(hz));
+                },
+                [OP.GET_REFRESH_RATE]: (p, cmd) => this._reply(cmd, le16(this.refreshRate)),
+                [OP.SET_PANEL_DISPLAY_MODE]: (p, cmd) => {
+                    if (p[0] > 3) return this._fail(cmd, 'panel display mode must be 0..3');
+                    this.panelDisplayMode = p[0];
+                    this._reply(cmd, [p[0]]);
+                },
+                [OP.GET_PANEL_DISPLAY_MODE]: (p, cmd) => this._reply(cmd, [this.panelDisplayMode]),
+                [OP.SET_SPI_CLOCK]: (p, cmd) => {
+                    this.spiClockMhz = Math.min(30, Math.max(1, u16(p, 0)));
+                    this._reply(cmd, le16(this.spiClockMhz));
+                },
+                [OP.GET_SPI_CLOCK]: (p, cmd) => this._reply(cmd, le16(this.spiClockMhz)),
+                [OP.GET_FRAMES_SENT]: (p, cmd) => this._reply(cmd, le32(this.framesSent())),
+                [OP.RESET_FRAMES_SENT]: (p, cmd) => {
+                    this._advance();
+                    this._framesSentBase = 0;
+                    this._reply(cmd);
+                },
+                [OP.GET_FILE_COUNT]: (p, cmd) => this._reply(cmd, le16(this.listPatterns().length)),
+                [OP.GET_PATTERN_FILENAME]: (p, cmd) => {
+                    const f = this._patternAt(u16(p, 0));
+                    if (!f) return this._fail(cmd, 'no pattern at index ' + u16(p, 0));
+                    const name = ascii(f.name);
+                    this._reply(cmd, [name.length].concat(name));
+                },
+                [OP.GET_PATTERN_INFO]: (p, cmd) => {
+                    const f = this._patternAt(u16(p, 0));
+                    if (!f) return this._fail(cmd, 'no pattern at index ' + u16(p, 0));
+                    const h = parsePatternHeader(f.bytes);
+                    if (!h) return this._fail(cmd, f.name + ' is not a G6 V2 pattern');
+                    this._reply(
+                        cmd,
+                        le16(h.frameCount).concat(
+                            [h.gsVal, h.rows, h.cols, h.arenaId, h.observerId],
+                            le32(f.bytes.length),
+                            [h.stretch]
+                        )
+                    );
+                },
+                [OP.GET_PATTERN_FILE]: (p, cmd) => {
+                    const f = this._patternAt(u16(p, 0));
+                    if (!f) return this._fail(cmd, 'no pattern at index ' + u16(p, 0));
+                    this._bulk(cmd, f.bytes);
+                },
+                [OP.DELETE_PATTERN_FILE]: (p, cmd) => {
+                    if (this._busy()) return this._fail(cmd, 'display must be stopped');
+                    const index = u16(p, 0);
+                    if (index === 0) {
+                        this.sd.temp = null; // "deletes pattern.temp if it exists"
+                        return this._reply(cmd);
+                    }
+                    const f = this._patternAt(index);
+                    if (!f) return this._fail(cmd, 'no pattern at index ' + index);
+                    this.sd.patterns.delete(f.name);
+                    this._reply(cmd);
+                },
+                [OP.PURGE_MEMORY]: (p, cmd) => {
+                    if (this._busy()) return this._fail(cmd, 'display must be stopped');
+                    this.sd = { patterns: new Map(), temp: null, firmware: null };
+                    this._reply(cmd);
+                },
+                [OP.GET_SD_ARCHIVE]: (p, cmd) => {
+                    if (this._busy()) return this._fail(cmd, 'display must be stopped');
+                    const files = {};
+                    for (const name of Array.from(this.sd.patterns.keys()).sort()) {
+                        files['patterns/' + name] = this.sd.patterns.get(name);
+                    }
+                    if (this.sd.temp) files['patterns/pattern.temp'] = this.sd.temp;
+                    if (this.sd.firmware) files['firmware/panel.bin'] = this.sd.firmware;
+                    this._bulk(cmd, zipStore(files));
+                },
+                [OP.GET_ETHERNET_IP]: (p, cmd) => this._reply(cmd, ascii(this.ip)),
+                [OP.GET_CONTROLLER_INFO]: (p, cmd) => {
+                    let bitmap = 0;
+                    for (const [bit, name] of Wire.CAPABILITY_BITS) {
+                        if (this.capabilities.includes(name)) bitmap |= 1 << bit;
+                    }
+                    const mac = this.mac ? this.mac.split(':').map((h) => parseInt(h, 16)) : [];
+                    this._reply(cmd, [this.version, bitmap].concat(mac));
+                },
+                [OP.SET_DIAG_OUTPUT]: (p, cmd) => {
+                    this.diagOutput = p[0] ? 1 : 0;
+                    this._reply(cmd);
+                },
+                [OP.GET_DIAG_OUTPUT]: (p, cmd) => this._reply(cmd, [this.diagOutput]),
+                [OP.SET_AO_VOLTAGE]: (p, cmd) => {
+                    if (this.aoMode === 1) {
+                        return this._fail(
+                            cmd,
+                            'AO is in frame_number mode - SET_AO_MODE (0xA3) 0 first'
+                        );
+                    }
+                    const mv = u16(p, 0);
+                    if (mv > 5000) return this._fail(cmd, 'mv must be 0..5000');
+                    this.aoMv = mv;
+                    this._reply(cmd, le16(mv));
+                },
+                [OP.GET_AO_VOLTAGE]: (p, cmd) => this._reply(cmd, le16(this.aoVoltage())),
+                [OP.SET_AO_MODE]: (p, cmd) => {
+                    if (p[0] > 1) return this._fail(cmd, 'AO mode must be 0 or 1');
+                    this.aoMode = p[0];
+                    this._reply(cmd, [p[0]]);
+                },
+                [OP.GET_ANALOG_IN]: (p, cmd) => {
+                    const s = (v) => le16(v & 0xffff);
+                    this._reply(cmd, s(this.analogInMv[0]).concat(s(this.analogInMv[1])));
+                },
+                [OP.SET_DIGITAL_OUT]: (p, cmd) => {
+                    const ch = p[0];
+                    if (ch !== 1 && ch !== 2) return this._fail(cmd, 'channel must be 1 or 2');
+                    const role = this.dioRoles[ch - 1];
+                    if (role !== 2) {
+                        return this._fail(
+                            cmd,
+                            'port ' +
+                                ch +
+                                ' role is ' +
+                                Wire.DIO_ROLE_NAMES[role] +
+                                ' - SET_DIO_ROLE (0xAC) first'
+                        );
+                    }
+                    this.digitalOut[ch - 1] = p[1] ? 1 : 0;
+                    this._reply(cmd);
+                },
+                [OP.GET_DIGITAL_OUT]: (p, cmd) => this._reply(cmd, this.digitalOut.slice()),
+                [OP.SET_DIO_ROLE]: (p, cmd) => {
+                    const port = p[0];
+                    if (port !== 1 && port !== 2) return this._fail(cmd, 'port must be 1 or 2');
+                    if (p[1] > 3) return this._fail(cmd, 'role must be 0..3');
+                    this.dioRoles[port - 1] = p[1];
+                    if (p[1] !== 2) this.digitalOut[port - 1] = 0;
+                    this._reply(cmd);
+                },
+                [OP.GET_DIO_ROLE]: (p, cmd) => {
+                    const level = (i) =>
+                        this.dioRoles[i] === 2 ? this.digitalOut[i] : this.dioInputLevels[i];
+                    this._reply(cmd, [this.dioRoles[0], level(0), this.dioRoles[1], level(1)]);
+                },
+                [OP.GET_FIRMWARE_INFO]: (p, cmd) => {
+                    const footer = this._firmwareFooter();
+                    if (!footer) return this._fail(cmd, 'no /firmware/panel.bin');
+                    this._reply(cmd, Array.from(footer.bytes));
+                },
+                [OP.G6_PROGRAM_PANEL]: (p, cmd) => this._panelIsp(cmd, p[0], true),
+                [OP.G6_VERIFY_PANEL]: (p, cmd) => this._panelIsp(cmd, p[0], false)
+            };
+        }
+
+        /** Current AO level in mV — follows the frame position in frame_number mode. */
+        aoVoltage() {
+            if (this.aoMode !== 1) return this.aoMv;
+            const d = this.display();
+            if (d.kind !== 'trial') return 0;
+            return Math.round((5000 * d.frameIndex) / Math.max(d.frameCount - 1, 1));
+        }
+
+        _trialParams(p, cmd) {
+            const mode = p[0];
+            if (mode !== 2 && mode !== 3 && mode !== 4) {
+                return this._fail(cmd, 'mode must be 2, 3 or 4, got ' + mode);
+            }
+            const index = u16(p, 1);
+            const f = this._patternAt(index);
+            if (!f) return this._fail(cmd, 'pattern ' + index + ' not on SD');
+            const info = parsePatternHeader(f.bytes);
+            if (!info) return this._fail(cmd, f.name + ' is not a G6 V2 pattern');
+            if (
+                info.frameCount < 1 ||
+                f.bytes.length < G6_HEADER_BYTES + info.frameCount * info.frameBytes
+            ) {
+                return this._fail(cmd, f.name + ' is truncated');
+            }
+            if (this.arena && (info.rows !== this.arena.rows || info.cols !== this.arena.cols)) {
+                return this._fail(
+                    cmd,
+                    f.name +
+                        ' is ' +
+                        info.rows +
+                        'x' +
+                        info.cols +
+                        ', arena is ' +
+                        this.arena.rows +
+                        'x' +
+                        this.arena.cols,
+                    STATUS.ARENA_MISMATCH
+                );
+            }
+            const initPos = u16(p, 5);
+            if (initPos >= info.frameCount) {
+                return this._fail(
+                    cmd,
+                    'init_pos ' + initPos + ' out of range (' + info.frameCount + ' frames)'
+                );
+            }
+            const ticks = u16(p, 9);
+            const now = this._now();
+            this._setState({
+                kind: 'trial',
+                mode,
+                patternIndex: index,
+                patternName: f.name,
+                bytes: f.bytes,
+                info,
+                frameRate: i16(p, 3),
+                gain: i16(p, 7),
+                position: initPos,
+                duty: p.length > 11 ? p[11] : 0,
+                stopAtMs: ticks ? now + ticks * 10 : null
+            });
+            this._reply(cmd);
+        }
+
+        _streamFrame(body) {
+            const cmd = OP.STREAM_FRAME;
+            const sizes = Wire.STREAM_FRAME_BYTES;
+            if (body.length !== sizes.GS2 && body.length !== sizes.GS16) {
+                return this._fail(
+                    cmd,
+                    'stream frame must be ' + sizes.GS2 + ' or ' + sizes.GS16 + ' bytes'
+                );
+            }
+            this._setState({ kind: 'stream', frame: body.slice() });
+            this._framesSentBase += 1;
+            this._reply(cmd);
+        }
+
+        _upload(req) {
+            const cmd = OP.SET_PATTERN_FILE;
+            if (this._busy()) return this._fail(cmd, 'display must be stopped');
+            const index = u16(req, 1);
+            const data = req.slice(11);
+            if (index === 0) {
+                this.sd.temp = data;
+                return this._reply(cmd);
+            }
+            const f = this._patternAt(index);
+            if (!f) return this._fail(cmd, 'no pattern at index ' + index);
+            this.sd.patterns.set(f.name, data);
+            this._reply(cmd);
+        }
+
+        _rename(req) {
+            const cmd = OP.SET_PATTERN_FILENAME;
+            if (this._busy()) return this._fail(cmd, 'display must be stopped');
+            const index = u16(req, 1);
+            const name = String.fromCharCode.apply(null, Array.from(req.subarray(4)));
+            if (!name || name.includes('/')) return this._fail(cmd, 'bad filename');
+            let data;
+            if (index === 0) {
+                if (!this.sd.temp) return this._fail(cmd, 'no pattern.temp to rename');
+                data = this.sd.temp;
+                this.sd.temp = null;
+            } else {
+                const f = this._patternAt(index);
+                if (!f) return this._fail(cmd, 'no pattern at index ' + index);
+                data = f.bytes;
+                this.sd.patterns.delete(f.name);
+            }
+            this.sd.patterns.set(name, data); // an existing name is overwritten
+            // New 1-based index after the re-sort; 0 when the name is not listed.
+            this._reply(cmd, le16(this.listPatterns().indexOf(name) + 1));
+        }
+
+        _uploadFirmware(data) {
+            const cmd = OP.SET_FIRMWARE_FILE;
+            if (this._busy()) return this._fail(cmd, 'display must be stopped');
+            this.sd.firmware = data.slice();
+            this._reply(cmd, le32(crc32(data)));
+        }
+
+        // {magic, version, crc, bytes} of the panel.bin footer, or null.
+        _firmwareFooter() {
+            const fw = this.sd.firmware;
+            if (!fw || fw.length < FIRMWARE_FOOTER_BYTES) return null;
+            const bytes = fw.slice(fw.length - FIRMWARE_FOOTER_BYTES);
+            const magic = String.fromCharCode.apply(null, Array.from(bytes.subarray(0, 7)));
+            if (magic !== FIRMWARE_MAGIC) return null;
+            return {
+                bytes,
+                crc: (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16) | (bytes[27] << 24)) >>> 0
+            };
+        }
+
+        _panelIsp(cmd, panel, program) {
+            const panels = this.arena ? this.arena.rows * this.arena.cols : 20;
+            if (panel < 1 || panel > panels)
+                return this._fail(cmd, 'panel ' + panel + ' out of range 1..' + panels);
+            if (this._busy()) return this._fail(cmd, 'display must be stopped');
+            const footer = this._firmwareFooter();
+            if (!footer) return this._fail(cmd, 'no valid /firmware/panel.bin');
+            if (program) {
+                this.panelFirmware.set(panel, footer.crc);
+                return this._reply(cmd, ascii('panel ' + panel + ' programmed'));
+            }
+            if (this.panelFirmware.get(panel) !== footer.crc) {
+                return this._fail(cmd, 'panel ' + panel + ' CRC mismatch');
+            }
+            this._reply(cmd, ascii('panel ' + panel + ' CRC ok'));
+        }
+
+        // Bulk reply (0x84 / 0x8A): [10, 0, echo, size u64 LE] then the raw bytes.
+        _bulk(cmd, data) {
+            this._reply(cmd, le32(data.length).concat([0, 0, 0, 0]));
+            if (data.length) this._emit(data);
+        }
+    }
+
+    // uint64 LE length at `o` (upper 4 bytes ignored — files are < 4 GB).
+    function readLen64(b, o) {
+        return (b[o] | (b[o + 1] << 8) | (b[o + 2] << 16) | (b[o + 3] << 24)) >>> 0;
+    }
+
+    /**
+     * ArenaLink transport (see js/arena-link.js) over a SimController. The
+     * controller's reply bytes reach the link's de-framer asynchronously (after
+     * `latencyMs`), as they would from a port.
+     */
+    class SimTransport {
+        /**
+         * @param {object} [options]
+         * @param {SimController} [options.controller] device to talk to (default: a fresh one)
+         * @param {object} [options.sim]        SimController options for the default device
+         * @param {number} [options.latencyMs=0] reply delay
+         */
+        constructor(options) {
+            const o = options || {};
+            this.kind = 'simulator';
+            this.controller = o.controller || new SimController(o.sim);
+            this._latencyMs = o.latencyMs || 0;
+            this._sink = null;
+            this._unsubscribe = null;
+        }
+
+        static isSupported() {
+            return true;
+        }
+
+        async select() {
+            return { simulated: true };
+        }
+
+        async open(opts, sink) {
+            this._sink = sink;
+            this._unsubscribe = this.controller.onData((bytes) => {
+                setTimeout(() => {
+                    if (this._sink === sink) sink.data(bytes);
+                }, this._latencyMs);
+            });
+        }
+
+        async write(bytes) {
+            if (!this._sink) throw new Error('simulator not connected');
+            this.controller.write(bytes);
+        }
+
+        release() {
+            if (this._unsubscribe) this._unsubscribe();
+            this._unsubscribe = null;
+            this._sink = null;
+        }
+
+        async close() {
+            this.release();
+        }
+
+        /** Simulate a cable pull: the link fails as on a serial 'disconnect'. */
+        simulateDisconnect() {
+            const sink = this._sink;
+            this.release();
+            if (sink) sink.lost(new Error('port disconnected'), false);
+        }
+    }
+
+    /** ArenaLink over a SimTransport — `controller` is the simulated device. */
+    class SimArenaLink extends ArenaLinkBase {
+        /**
+         * @param {object} [options] ArenaLink options plus the SimTransport ones
+         *   ({controller, sim, latencyMs})
+         */
+        constructor(options) {
+            super(Object.assign({}, options, { transport: new SimTransport(options) }));
+            this.controller = this.transport.controller;
+        }
+
+        static isSupported() {
+            return true;
+        }
+
+        /** Simulate a cable pull: the link fails as on a serial 'disconnect'. */
+        simulateDisconnect() {
+            this.transport.simulateDisconnect();
+        }
+    }
+
+    /**
+     * A SimArenaLink subclass bound to one controller — for injection points
+     * that construct the link themselves (ArenaSession's `LinkClass`).
+     */
+    function linkClassFor(controller, linkOptions) {
+        return class BoundSimArenaLink extends SimArenaLink {
+            constructor(options) {
+                super(Object.assign({}, linkOptions, options, { controller }));
+            }
+        };
+    }
+
+    return {
+        STATUS,
+        SimController,
+        SimTransport,
+        SimArenaLink,
+        linkClassFor,
+        parsePatternHeader,
+        blankPattern,
+        crc32
+    };
+})();
+
+// Export for Node.js (CommonJS) — used by tests/test-arena-sim-g6.js and
+// scripts/run-protocol.js --sim.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ArenaSimG6;
+}
+
+// Export for browser (global) — `?sim` in arena_console.html / arena_studio.html.
+if (typeof window !== 'undefined') {
+    window.ArenaSimG6 = ArenaSimG6;
+}
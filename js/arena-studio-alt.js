@@ -1140,13 +1140,13 @@
         settingsBtn.type = 'button';
         const pop = el('div', 'alt-scope-settings');
         pop.hidden = true;
-        const moveIds = ['scopeWin', 'scopeTurnLim', 'scopeFwdLim'];
+        const moveIds = ['scopeWin', 'scopeTurnLim', 'scopeFwdLim', 'scopeCirc'];
         moveIds.forEach((id) => {
             const input = $(id);
             const label = input && input.closest('label');
             if (label) pop.appendChild(label);
         });
-        ['scopeAutoY', 'scopeClear', 'scopeSound', 'scopeSoundCfg'].forEach((id) => {
+        ['scopeAutoY', 'scopeEvents', 'scopeClear', 'scopeSound', 'scopeSoundCfg'].forEach((id) => {
             const node = $(id);
             if (node) pop.appendChild(node);
         });
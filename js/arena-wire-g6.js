@@ -83,6 +83,25 @@ const ArenaWireG6 = (function () {
         ALL_ON: 0xff
     };
 
+    // Opcodes that may share a pipelined batch (ArenaLink.sendPipelined): the
+    // SD file handlers answer every request with exactly one reply frame that
+    // echoes the opcode, in arrival order, with nothing unsolicited in between.
+    // Display, stream, ISP and archive (0x8A: raw ZIP after the header) commands
+    // stay single-flight — their replies can lag, repeat or run long.
+    const PIPELINE_SAFE_OPCODES = [
+        OPCODES.GET_FILE_COUNT,
+        OPCODES.GET_PATTERN_FILENAME,
+        OPCODES.SET_PATTERN_FILENAME,
+        OPCODES.GET_PATTERN_FILE,
+        OPCODES.SET_PATTERN_FILE,
+        OPCODES.DELETE_PATTERN_FILE,
+        OPCODES.GET_PATTERN_INFO
+    ];
+
+    function isPipelineSafe(opcode) {
+        return PIPELINE_SAFE_OPCODES.indexOf(opcode) !== -1;
+    }
+
     // Stream-frame payload byte counts (firmware constants.h): a 4-byte
     // "FR"+frame_index prefix followed by 20 row-major panel blocks. GS2 blocks
     // are 53 B, GS16 blocks are 203 B → 4 + 20*53 and 4 + 20*203. The firmware
@@ -827,6 +846,8 @@ const ArenaWireG6 = (function () {
         PANEL_DISPLAY_MODE_NAMES,
         CAPABILITY_BITS,
         STREAM_FRAME_BYTES,
+        PIPELINE_SAFE_OPCODES,
+        isPipelineSafe,
 
         // Encoders (request frames)
         encodeAllOn,
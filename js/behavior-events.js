@@ -0,0 +1,285 @@
+/**
+ * behavior-events.js — shared saccade and walking-bout detection on behavior_v1
+ * streams, for the live oscilloscope (arena_studio.html Run view, event marks)
+ * AND the offline analysis dashboard (saccade rate / amplitude per condition).
+ *
+ * SINGLE SOURCE OF TRUTH for "what counts as a saccade / a bout": the marks on
+ * the live scope and the rates in the dashboard come from the same detector
+ * with the same defaults. Do NOT fork the thresholds or the state machines.
+ *
+ * INPUT — behavior_v1 samples {ms, fc, idx, ft, x, y, hd} (see js/kinematics.js),
+ * time-ordered on `ms`. Velocities are re-derived here with a SHORT windowed OLS
+ * slope (Kinematics.windowedDerived, default 60 ms): the scope/dashboard display
+ * smoothing (0.25–0.5 s) would flatten a 50–100 ms body saccade.
+ *
+ * EVENTS
+ *     saccade  |turning| crosses `onsetDegS`; the event spans the surrounding
+ *              samples above `offsetDegS` with the same sign (hysteresis).
+ *              Kept when minDurationMs ≤ duration ≤ maxDurationMs (longer is
+ *              sustained turning, not a saccade). Amplitude = ∫ turning dt (deg).
+ *     bout     speed ≥ `startMmS` until it drops below `stopMmS` (hysteresis);
+ *     stop     the complement. Segments shorter than minBoutMs / minStopMs
+ *              between two others are absorbed into their neighbours.
+ * A data gap longer than `maxGapMs` (or an underivable sample) ends any event;
+ * nothing is interpolated across it. Walking needs a ball radius (mm/s); with
+ * none, bouts/stops are empty.
+ *
+ * SIGN: direction +1 = positive turning velocity (increasing FicTrac heading,
+ * after `turningSign`), as in kinematics.js.
+ *
+ * LOADING: classic <script src> (window-global + CommonJS dual-export, no ES
+ * `export`) — same pattern as kinematics.js, which it requires under Node and
+ * reads as `window.Kinematics` in the browser (load kinematics.js first).
+ */
+(function (global) {
+    'use strict';
+
+    const Kin =
+        (global && global.Kinematics) ||
+        (typeof require === 'function' ? require('./kinematics.js') : null);
+
+    const DEFAULTS = {
+        windowMs: 60,
+        maxGapMs: 100,
+        saccade: { onsetDegS: 200, offsetDegS: 100, minDurationMs: 30, maxDurationMs: 500 },
+        walking: { startMmS: 2, stopMmS: 1, minBoutMs: 250, minStopMs: 250 }
+    };
+
+    function options(opts) {
+        const o = opts || {};
+        return {
+            windowMs: o.windowMs > 0 ? o.windowMs : DEFAULTS.windowMs,
+            maxGapMs: o.maxGapMs > 0 ? o.maxGapMs : DEFAULTS.maxGapMs,
+            ballRadiusMm: o.ballRadiusMm,
+            turningSign: o.turningSign,
+            saccade: Object.assign({}, DEFAULTS.saccade, o.saccade),
+            walking: Object.assign({}, DEFAULTS.walking, o.walking)
+        };
+    }
+
+    const axis = (s) => (s.ms != null ? s.ms : s.ft);
+
+    /**
+     * Short-window derived channels at every sample in [t0Ms, t1Ms].
+     * @param {Array} samples  behavior_v1 rows, time-ordered on ms
+     * @param {object} [opts]  {windowMs, ballRadiusMm, turningSign}
+     * @returns {Array<{ms, turning_deg_s, speed_mm_s, forward_mm_s}>} NaN where
+     *          the window cannot be derived (kept so gaps stay visible)
+     */
+    function derivedSeries(samples, t0Ms, t1Ms, opts) {
+        if (!Kin) throw new Error('behavior-events: Kinematics is not loaded');
+        const o = options(opts);
+        const rows = Array.isArray(samples) ? samples : [];
+        const out = [];
+        for (const s of rows) {
+            const ms = axis(s);
+            if (ms < t0Ms) continue;
+            if (ms > t1Ms) break;
+            const d = Kin.windowedDerived(rows, ms, {
+                windowMs: o.windowMs,
+                ballRadiusMm: o.ballRadiusMm,
+                turningSign: o.turningSign
+            });
+            const num = (v) => (typeof v === 'number' && isFinite(v) ? v : NaN);
+            out.push({
+                ms,
+                turning_deg_s: d ? num(d.turning_deg_s) : NaN,
+                speed_mm_s: d ? num(d.speed_mm_s) : NaN,
+                forward_mm_s: d ? num(d.forward_mm_s) : NaN
+            });
+        }
+        return out;
+    }
+
+    // Trapezoid ∫ key dt over series[a..b] (units of key × seconds).
+    function integrate(series, a, b, key) {
+        let sum = 0;
+        for (let i = a; i < b; i++) {
+            sum +=
+                ((series[i][key] + series[i + 1][key]) / 2) *
+                ((series[i + 1].ms - series[i].ms) / 1000);
+        }
+        return sum;
+    }
+
+    /**
+     * Body saccades in a derivedSeries() output.
+     * @param {Array} series
+     * @param {object} [opts]  {maxGapMs, saccade: {onsetDegS, offsetDegS,
+     *                         minDurationMs, maxDurationMs}}
+     * @returns {Array<{startMs, endMs, peakMs, durationMs, direction,
+     *          amplitudeDeg, peakVelocityDegS}>}  amplitude and peak unsigned
+     */
+    function detectSaccades(series, opts) {
+        const o = options(opts);
+        const p = o.saccade;
+        const rows = Array.isArray(series) ? series : [];
+        const linked = (i, j) => rows[j].ms - rows[i].ms <= o.maxGapMs;
+        const out = [];
+        let lastEnd = -1;
+        for (let i = 0; i < rows.length; i++) {
+            const v = rows[i].turning_deg_s;
+            if (!(Math.abs(v) >= p.onsetDegS)) continue;
+            const sign = v > 0 ? 1 : -1;
+            const inside = (k) => sign * rows[k].turning_deg_s >= p.offsetDegS; // NaN ⇒ false
+            let a = i;
+            while (a - 1 > lastEnd && inside(a - 1) && linked(a - 1, a)) a--;
+            let b = i;
+            while (b + 1 < rows.length && inside(b + 1) && linked(b, b + 1)) b++;
+            lastEnd = b;
+            i = b;
+            const durationMs = rows[b].ms - rows[a].ms;
+            if (durationMs < p.minDurationMs || durationMs > p.maxDurationMs) continue;
+            let peak = a;
+            for (let k = a + 1; k <= b; k++) {
+                if (Math.abs(rows[k].turning_deg_s) > Math.abs(rows[peak].turning_deg_s)) peak = k;
+            }
+            out.push({
+                startMs: rows[a].ms,
+                endMs: rows[b].ms,
+                peakMs: rows[peak].ms,
+                durationMs,
+                direction: sign,
+                amplitudeDeg: Math.abs(integrate(rows, a, b, 'turning_deg_s')),
+                peakVelocityDegS: Math.abs(rows[peak].turning_deg_s)
+            });
+        }
+        return out;
+    }
+
+    /**
+     * Walking bouts and stops in a derivedSeries() output.
+     * @param {Array} series
+     * @param {object} [opts]  {maxGapMs, walking: {startMmS, stopMmS, minBoutMs,
+     *                         minStopMs}}
+     * @returns {{bouts: Array<{startMs, endMs, durationMs, distanceMm,
+     *          meanSpeedMmS, meanForwardMmS}>, stops: Array<{startMs, endMs,
+     *          durationMs}>}}
+     */
+    function detectBouts(series, opts) {
+        const o = options(opts);
+        const p = o.walking;
+        const rows = Array.isArray(series) ? series : [];
+        // Hysteresis state per sample. A gap or NaN ends the stretch; within one,
+        // segments tile time (each ends on the sample where the next begins).
+        const segments = [];
+        let stretch = 0;
+        let lastValid = -1;
+        let moving = false;
+        for (let i = 0; i < rows.length; i++) {
+            const speed = rows[i].speed_mm_s;
+            if (!isFinite(speed)) {
+                lastValid = -1;
+                continue;
+            }
+            const last = segments[segments.length - 1];
+            if (lastValid < 0 || rows[i].ms - rows[lastValid].ms > o.maxGapMs) {
+                stretch++;
+                moving = speed >= p.startMmS;
+                segments.push({ moving, a: i, b: i, stretch });
+            } else {
+                moving = moving ? speed >= p.stopMmS : speed >= p.startMmS;
+                last.b = i;
+                if (moving !== last.moving) segments.push({ moving, a: i, b: i, stretch });
+            }
+            lastValid = i;
+        }
+        // Absorb short interior segments into their (opposite-state) neighbours.
+        const short = (s) => rows[s.b].ms - rows[s.a].ms < (s.moving ? p.minBoutMs : p.minStopMs);
+        let k = 1;
+        while (k < segments.length - 1) {
+            const [prev, cur, next] = [segments[k - 1], segments[k], segments[k + 1]];
+            if (short(cur) && prev.stretch === cur.stretch && next.stretch === cur.stretch) {
+                prev.b = next.b;
+                segments.splice(k, 2);
+                k = Math.max(1, k - 1);
+            } else {
+                k++;
+            }
+        }
+        const bouts = [];
+        const stops = [];
+        for (const s of segments) {
+            if (short(s)) continue;
+            const span = {
+                startMs: rows[s.a].ms,
+                endMs: rows[s.b].ms,
+                durationMs: rows[s.b].ms - rows[s.a].ms
+            };
+            if (!s.moving) {
+                stops.push(span);
+                continue;
+            }
+            const distanceMm = integrate(rows, s.a, s.b, 'speed_mm_s');
+            const forwardMm = integrate(rows, s.a, s.b, 'forward_mm_s');
+            bouts.push(
+                Object.assign(span, {
+                    distanceMm,
+                    meanSpeedMmS: distanceMm / (span.durationMs / 1000),
+                    meanForwardMmS: forwardMm / (span.durationMs / 1000)
+                })
+            );
+        }
+        return { bouts, stops };
+    }
+
+    /**
+     * Saccades, bouts and stops of the samples in [t0Ms, t1Ms].
+     * @param {Array} samples  behavior_v1 rows, time-ordered on ms
+     * @param {object} [opts]  {windowMs, maxGapMs, ballRadiusMm, turningSign,
+     *                         saccade: {...}, walking: {...}} — see DEFAULTS
+     * @returns {{saccades: Array, bouts: Array, stops: Array}}
+     */
+    function detectEvents(samples, t0Ms, t1Ms, opts) {
+        const series = derivedSeries(samples, t0Ms, t1Ms, opts);
+        const walking = detectBouts(series, opts);
+        return {
+            saccades: detectSaccades(series, opts),
+            bouts: walking.bouts,
+            stops: walking.stops
+        };
+    }
+
+    /**
+     * Per-window rates for analysis pages. Rates are per second of the window;
+     * the walking fraction is of the time classified as bout or stop.
+     */
+    function summarize(events, t0Ms, t1Ms) {
+        const durationS = Math.max(0, (t1Ms - t0Ms) / 1000);
+        const mean = (values) =>
+            values.length ? values.reduce((a, b) => a + b, 0) / values.length : NaN;
+        const saccades = (events && events.saccades) || [];
+        const bouts = (events && events.bouts) || [];
+        const stops = (events && events.stops) || [];
+        const boutMs = bouts.reduce((sum, b) => sum + b.durationMs, 0);
+        const stopMs = stops.reduce((sum, s) => sum + s.durationMs, 0);
+        return {
+            durationS,
+            saccadeCount: saccades.length,
+            saccadeRateHz: durationS ? saccades.length / durationS : NaN,
+            meanSaccadeAmplitudeDeg: mean(saccades.map((s) => s.amplitudeDeg)),
+            meanSaccadeDurationMs: mean(saccades.map((s) => s.durationMs)),
+            saccadeBias: saccades.length ? mean(saccades.map((s) => s.direction)) : NaN,
+            boutCount: bouts.length,
+            boutRateHz: durationS ? bouts.length / durationS : NaN,
+            meanBoutDurationS: mean(bouts.map((b) => b.durationMs / 1000)),
+            walkingFraction: boutMs + stopMs ? boutMs / (boutMs + stopMs) : NaN
+        };
+    }
+
+    const BehaviorEvents = {
+        DEFAULTS,
+        derivedSeries,
+        detectSaccades,
+        detectBouts,
+        detectEvents,
+        summarize
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BehaviorEvents;
+    }
+    if (typeof global !== 'undefined') {
+        global.BehaviorEvents = BehaviorEvents;
+    }
+})(typeof window !== 'undefined' ? window : this);
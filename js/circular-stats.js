@@ -0,0 +1,293 @@
+/**
+ * circular-stats.js — shared circular statistics for heading and object-choice
+ * analyses: the live oscilloscope (arena_studio.html Run view) AND the offline
+ * analysis dashboard (occupancy / preference / cue-stabilization pages).
+ *
+ * SINGLE SOURCE OF TRUTH for statistics on angles, so a heading summary read
+ * off the live scope is the same number the dashboard reports for that window.
+ * Angles are never averaged arithmetically — everything goes through the mean
+ * resultant vector. Do NOT re-derive these in the HTML or the dashboard.
+ *
+ * INPUT — angles in RADIANS (behavior_v1 `hd` directly; convert degrees with
+ * Kinematics.DEG2RAD). Non-finite angles are dropped, never propagated.
+ *
+ * ORDER — `{order: k}` analyses k-fold symmetric data by multiplying angles by
+ * k first: order 2 treats θ and θ+180° as the same axis (e.g. a fly fixating
+ * either of two opposite objects). Mean directions and circular SDs are
+ * reported back on the original axis (divided by k); R, variances, Rayleigh
+ * and κ describe the k-multiplied distribution.
+ *
+ * FUNCTIONS
+ *     meanResultant               {n, c, s, r, mean}  (mean NaN when r = 0)
+ *     circularVariance            1 − R
+ *     circularStd                 √(−2 ln R) / k  rad
+ *     rayleighTest                uniformity vs a unimodal alternative (Zar 27.4)
+ *     vTest                       uniformity vs a known mean direction μ
+ *     vonMisesFit / vonMisesPdf   ML κ (Best & Fisher, small-n bias corrected)
+ *     circularLinearCorrelation   angle ↔ linear value (Mardia 1976)
+ *     summarize / metric          the METRICS table below, for UI pickers
+ *
+ * LOADING: classic <script src> (window-global + CommonJS dual-export, no ES
+ * `export`) — same pattern as kinematics.js, which it requires under Node and
+ * reads as `window.Kinematics` in the browser (load kinematics.js first).
+ */
+(function (global) {
+    'use strict';
+
+    const Kin =
+        (global && global.Kinematics) ||
+        (typeof require === 'function' ? require('./kinematics.js') : null);
+
+    const RAD2DEG = 180 / Math.PI;
+
+    // Metric → value from summarize(). `unit` is the display unit of the value
+    // pick() returns (angles in degrees, the rest dimensionless).
+    const METRICS = {
+        mean_direction: { label: 'mean direction', unit: 'deg', pick: (s) => s.mean * RAD2DEG },
+        resultant_length: { label: 'resultant length R', unit: '', pick: (s) => s.r },
+        circular_variance: { label: 'circular variance', unit: '', pick: (s) => s.variance },
+        circular_sd: { label: 'circular SD', unit: 'deg', pick: (s) => s.sd * RAD2DEG },
+        rayleigh_p: { label: 'Rayleigh p', unit: '', pick: (s) => s.rayleighP },
+        von_mises_kappa: { label: 'von Mises κ', unit: '', pick: (s) => s.kappa }
+    };
+
+    function isMetric(name) {
+        return Object.prototype.hasOwnProperty.call(METRICS, name);
+    }
+
+    function orderOf(opts) {
+        const k = opts && Number(opts.order);
+        return Number.isFinite(k) && k > 0 ? k : 1;
+    }
+
+    function wrap(r) {
+        if (!Kin) throw new Error('circular-stats: Kinematics is not loaded');
+        return Kin.wrapToPi(r);
+    }
+
+    // Standard normal CDF (Abramowitz & Stegun 7.1.26 erf, |error| < 1.5e-7).
+    // Exported for the dashboard's group tests, so there is one copy.
+    function normalCdf(x) {
+        const z = Math.abs(x) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * z);
+        const poly =
+            t *
+            (0.254829592 +
+                t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+        const erf = 1 - poly * Math.exp(-z * z);
+        return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    // Abramowitz & Stegun 9.8.1 / 9.8.2 polynomial coefficients for I0.
+    const I0_SMALL = [1, 3.5156229, 3.0899424, 1.2067492, 0.2659732, 0.0360768, 0.0045813];
+    const I0_LARGE = [
+        0.39894228, 0.01328592, 0.00225319, -0.00157565, 0.00916281, -0.02057706, 0.02635537,
+        -0.01647633, 0.00392377
+    ];
+
+    function polynomial(coeffs, t) {
+        return coeffs.reduceRight((sum, coeff) => sum * t + coeff, 0);
+    }
+
+    // e^(−x)·I0(x) for x ≥ 0 — scaled so the von Mises density stays finite at
+    // large κ.
+    function besselI0Scaled(x) {
+        if (x <= 3.75) return polynomial(I0_SMALL, (x / 3.75) ** 2) * Math.exp(-x);
+        return polynomial(I0_LARGE, 3.75 / x) / Math.sqrt(x);
+    }
+
+    /**
+     * Mean resultant vector of `angles`.
+     * @param {number[]} angles  radians
+     * @param {object} [opts]    {order, weights} — weights align with angles;
+     *                           pairs with a non-finite angle or weight are dropped
+     * @returns {{n:number, c:number, s:number, r:number, mean:number}}
+     *          c, s: mean cos/sin of k·θ; r: resultant length in [0, 1];
+     *          mean: mean direction (rad) on the original axis
+     */
+    function meanResultant(angles, opts) {
+        const k = orderOf(opts);
+        const weights = opts && Array.isArray(opts.weights) ? opts.weights : null;
+        let n = 0;
+        let total = 0;
+        let sumC = 0;
+        let sumS = 0;
+        (Array.isArray(angles) ? angles : []).forEach((angle, i) => {
+            const w = weights ? Number(weights[i]) : 1;
+            if (!Number.isFinite(angle) || !Number.isFinite(w)) return;
+            n++;
+            total += w;
+            sumC += w * Math.cos(k * angle);
+            sumS += w * Math.sin(k * angle);
+        });
+        if (!n || !total) return { n, c: NaN, s: NaN, r: NaN, mean: NaN };
+        const c = sumC / total;
+        const s = sumS / total;
+        const r = Math.min(1, Math.hypot(c, s));
+        return { n, c, s, r, mean: r > 1e-12 ? wrap(Math.atan2(s, c)) / k : NaN };
+    }
+
+    function circularVariance(angles, opts) {
+        return 1 - meanResultant(angles, opts).r;
+    }
+
+    // Angular deviation for strongly concentrated data; Infinity at R = 0.
+    function circularStd(angles, opts) {
+        return Math.sqrt(-2 * Math.log(meanResultant(angles, opts).r)) / orderOf(opts);
+    }
+
+    /**
+     * Rayleigh test of uniformity against a unimodal alternative.
+     * @returns {{n:number, r:number, z:number, p:number}}  z = nR²; p from
+     *          Zar's (1999, eq. 27.4) approximation, accurate for small n
+     */
+    function rayleighTest(angles, opts) {
+        const { n, r } = meanResultant(angles, opts);
+        if (!n) return { n, r, z: NaN, p: NaN };
+        const bigR = r * n;
+        const z = (bigR * bigR) / n;
+        const p = Math.exp(Math.sqrt(1 + 4 * n + 4 * (n * n - bigR * bigR)) - (1 + 2 * n));
+        return { n, r, z, p: Math.min(1, Math.max(0, p)) };
+    }
+
+    /**
+     * V test: uniformity against a unimodal alternative with a KNOWN mean
+     * direction (e.g. "toward the object").
+     * @param {number} mu  expected direction (rad, on the original axis)
+     * @returns {{n:number, v:number, u:number, p:number}}  one-sided, normal approx.
+     */
+    function vTest(angles, mu, opts) {
+        const k = orderOf(opts);
+        const { n, c, s } = meanResultant(angles, opts);
+        if (!n || !Number.isFinite(mu)) return { n, v: NaN, u: NaN, p: NaN };
+        const v = n * (c * Math.cos(k * mu) + s * Math.sin(k * mu));
+        const u = v * Math.sqrt(2 / n);
+        return { n, v, u, p: 1 - normalCdf(u) };
+    }
+
+    // Inverse of A1(κ) = I1(κ)/I0(κ) (Best & Fisher 1981 piecewise approximation).
+    function a1inv(r) {
+        if (r < 0.53) return 2 * r + r ** 3 + (5 * r ** 5) / 6;
+        if (r < 0.85) return -0.4 + 1.39 * r + 0.43 / (1 - r);
+        return 1 / (r ** 3 - 4 * r ** 2 + 3 * r);
+    }
+
+    /**
+     * Maximum-likelihood von Mises fit. Below 15 samples κ is bias-corrected
+     * (Fisher 1993 §4.5.5), as the ML estimate badly overshoots there.
+     * @returns {{n:number, mu:number, kappa:number, r:number}}  mu in rad
+     */
+    function vonMisesFit(angles, opts) {
+        const { n, r, mean } = meanResultant(angles, opts);
+        if (!n) return { n, mu: NaN, kappa: NaN, r };
+        let kappa = r >= 1 ? Infinity : a1inv(r);
+        if (n < 15 && Number.isFinite(kappa)) {
+            kappa =
+                kappa < 2
+                    ? Math.max(kappa - 2 / (n * kappa), 0)
+                    : ((n - 1) ** 3 * kappa) / (n ** 3 + n);
+        }
+        return { n, mu: mean, kappa, r };
+    }
+
+    // von Mises density at theta (rad⁻¹); κ = 0 is the uniform 1/2π.
+    function vonMisesPdf(theta, mu, kappa) {
+        if (!Number.isFinite(theta) || !Number.isFinite(mu) || !(kappa >= 0)) return NaN;
+        return Math.exp(kappa * (Math.cos(theta - mu) - 1)) / (2 * Math.PI * besselI0Scaled(kappa));
+    }
+
+    function pearson(a, b) {
+        const n = a.length;
+        const ma = a.reduce((sum, v) => sum + v, 0) / n;
+        const mb = b.reduce((sum, v) => sum + v, 0) / n;
+        let sab = 0;
+        let saa = 0;
+        let sbb = 0;
+        for (let i = 0; i < n; i++) {
+            sab += (a[i] - ma) * (b[i] - mb);
+            saa += (a[i] - ma) ** 2;
+            sbb += (b[i] - mb) ** 2;
+        }
+        return saa && sbb ? sab / Math.sqrt(saa * sbb) : NaN;
+    }
+
+    /**
+     * Circular–linear correlation between angles and a linear variable (e.g.
+     * heading vs. forward speed). r in [0, 1]; p from nr² ~ χ²(2).
+     * @returns {{n:number, r:number, p:number}}
+     */
+    function circularLinearCorrelation(angles, values) {
+        const theta = [];
+        const x = [];
+        (Array.isArray(angles) ? angles : []).forEach((angle, i) => {
+            const value = Array.isArray(values) ? Number(values[i]) : NaN;
+            if (!Number.isFinite(angle) || !Number.isFinite(value)) return;
+            theta.push(angle);
+            x.push(value);
+        });
+        const n = x.length;
+        if (n < 3) return { n, r: NaN, p: NaN };
+        const cos = theta.map(Math.cos);
+        const sin = theta.map(Math.sin);
+        const rxc = pearson(x, cos);
+        const rxs = pearson(x, sin);
+        const rcs = pearson(cos, sin);
+        const r2 = (rxc ** 2 + rxs ** 2 - 2 * rxc * rxs * rcs) / (1 - rcs ** 2);
+        if (!Number.isFinite(r2)) return { n, r: NaN, p: NaN };
+        const r = Math.sqrt(Math.min(1, Math.max(0, r2)));
+        return { n, r, p: Math.exp((-n * r * r) / 2) };
+    }
+
+    /**
+     * Every METRICS value for one sample of angles in a single pass.
+     * @returns {{n, mean, r, variance, sd, rayleighZ, rayleighP, kappa}}
+     *          mean / sd in rad
+     */
+    function summarize(angles, opts) {
+        const k = orderOf(opts);
+        const res = meanResultant(angles, opts);
+        const rayleigh = rayleighTest(angles, opts);
+        return {
+            n: res.n,
+            mean: res.mean,
+            r: res.r,
+            variance: 1 - res.r,
+            sd: Math.sqrt(-2 * Math.log(res.r)) / k,
+            rayleighZ: rayleigh.z,
+            rayleighP: rayleigh.p,
+            kappa: vonMisesFit(angles, opts).kappa
+        };
+    }
+
+    /**
+     * One named METRICS value. THROWS for an unknown metric — a UI/config
+     * error, not a NaN. An empty sample yields NaN.
+     */
+    function metric(name, angles, opts) {
+        if (!isMetric(name)) throw new Error('circular metric "' + name + '" is not available');
+        return METRICS[name].pick(summarize(angles, opts));
+    }
+
+    const CircularStats = {
+        METRICS,
+        isMetric,
+        meanResultant,
+        circularVariance,
+        circularStd,
+        rayleighTest,
+        vTest,
+        vonMisesFit,
+        vonMisesPdf,
+        circularLinearCorrelation,
+        normalCdf,
+        summarize,
+        metric
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CircularStats;
+    }
+    if (typeof global !== 'undefined') {
+        global.CircularStats = CircularStats;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -3,6 +3,8 @@
  *
  * - CRC-8/AUTOSAR — header byte 17 (poly 0x2F, init 0xFF, xorout 0xFF, no reflection)
  * - CRC-16/CCITT-FALSE — per-frame trailer (poly 0x1021, init 0xFFFF, xorout 0x0000)
+ * - CRC-32 (IEEE / zlib, reflected 0xEDB88320) — NOT part of the .pat format; the
+ *   whole-file digest js/sd-sync.js uses to compare SD contents with a built set
  *
  * LUTs are built once from the polynomial constants. The module runs the
  * universal-check vectors at load time and THROWS on mismatch — that's the
@@ -60,8 +62,21 @@ const G6CRC = (function () {
         return lut;
     }
 
+    const CRC32_POLY = 0xedb88320; // reflected
+
+    function buildCrc32Lut(poly) {
+        const lut = new Uint32Array(256);
+        for (let b = 0; b < 256; b++) {
+            let crc = b;
+            for (let i = 0; i < 8; i++) crc = crc & 1 ? (crc >>> 1) ^ poly : crc >>> 1;
+            lut[b] = crc >>> 0;
+        }
+        return lut;
+    }
+
     const CRC8_LUT = buildCrc8Lut(CRC8_AUTOSAR_POLY);
     const CRC16_LUT = buildCrc16Lut(CRC16_CCITT_FALSE_POLY);
+    const CRC32_LUT = buildCrc32Lut(CRC32_POLY);
 
     function crc8Autosar(bytes) {
         let c = CRC8_AUTOSAR_INIT;
@@ -79,6 +94,14 @@ const G6CRC = (function () {
         return c ^ CRC16_CCITT_FALSE_XOROUT;
     }
 
+    function crc32(bytes) {
+        let c = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            c = CRC32_LUT[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+        }
+        return (c ^ 0xffffffff) >>> 0;
+    }
+
     const UNIVERSAL_INPUT = new Uint8Array([0x31, 0x32, 0x33, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39]); // "123456789"
 
     const crc8Check = crc8Autosar(UNIVERSAL_INPUT);
@@ -99,9 +122,19 @@ const G6CRC = (function () {
         );
     }
 
+    const crc32Check = crc32(UNIVERSAL_INPUT);
+    if (crc32Check !== 0xcbf43926) {
+        throw new Error(
+            'CRC-32 universal check failed: got 0x' +
+                crc32Check.toString(16).padStart(8, '0') +
+                ', expected 0xCBF43926'
+        );
+    }
+
     return {
         crc8Autosar,
         crc16CcittFalse,
+        crc32,
         CRC8_AUTOSAR_POLY,
         CRC8_AUTOSAR_INIT,
         CRC8_AUTOSAR_XOROUT,
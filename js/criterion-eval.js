@@ -0,0 +1,284 @@
+/**
+ * criterion-eval.js — shared flow-control criterion evaluator for the live
+ * runner (arena_studio.html → ArenaRunner.runSequence's `evaluateCriterion`)
+ * AND the offline analysis dashboard (re-evaluating logged decisions).
+ *
+ * SINGLE SOURCE OF TRUTH for docs/development/v3-flow-control-design.md §2:
+ * "take a metric over a window, reduce it to a statistic, compare it against a
+ * threshold". The runner decides live; the dashboard re-derives the same number
+ * from the same behavior_v1 rows to audit that decision — so both MUST go
+ * through this module. Do NOT fork the statistic or comparison math.
+ *
+ * INPUT — behavior_v1 samples {ms, fc, idx, ft, x, y, hd} (see js/kinematics.js),
+ * time-ordered on `ms`. A window is [startMs, endMs] on that same axis; the
+ * studio stamps runner spans with the scope's sample clock so a logged
+ * `window_ms` indexes the logged frames directly.
+ *
+ * METRICS (per-sample series; the kinematic ones via Kinematics.derivedBetween):
+ *     walking_speed / forward_speed  mm/s   forward velocity along the heading
+ *     speed                          mm/s   translational speed (magnitude)
+ *     turning_speed                  deg/s  |turning velocity|
+ *     turning_velocity               deg/s  signed turning velocity
+ *     heading                        deg    heading wrapped to ±180
+ *     tracking_dropouts              frames FicTrac frames missing before each
+ *                                           sample (fc gap − 1) — device health
+ *
+ * EVALUATION RULES (cross-runner contract, §2): NaN samples are excluded, never
+ * propagated; `fraction_*` is the fraction OF VALID samples strictly past
+ * `level`; the outer comparison is strict (`<` below, `>` above); a relative
+ * criterion's threshold is `fraction × baseline`. An empty window or NaN
+ * statistic yields value NaN — the caller (the runner) fails closed on it.
+ *
+ * CIRCULAR METRICS (heading): the mean is the circular mean, atan2(mean sin,
+ * mean cos) wrapped to ±180, so a fly holding 180 (samples at +179 and −179)
+ * reads 180, not 0; NaN when the samples cancel out. `fraction_*` (a ±180 cut
+ * has no order) and relative criteria (an angle has no scale) are rejected.
+ *
+ * LOADING: classic <script src> (window-global + CommonJS dual-export, no ES
+ * `export`) — same pattern as kinematics.js, which it requires under Node and
+ * reads as `window.Kinematics` in the browser (load kinematics.js first).
+ */
+(function (global) {
+    'use strict';
+
+    const Kin =
+        (global && global.Kinematics) ||
+        (typeof require === 'function' ? require('./kinematics.js') : null);
+
+    const STATISTICS = ['mean', 'fraction_below', 'fraction_above'];
+    const STOP_WHEN = ['below', 'above'];
+
+    // Metric → per-derived-sample value. `kinematic` metrics read the shared
+    // centralDiff channels; the others read the raw rows.
+    const METRICS = {
+        walking_speed: { kinematic: true, unit: 'mm/s', pick: (d) => d.forward_mm_s },
+        forward_speed: { kinematic: true, unit: 'mm/s', pick: (d) => d.forward_mm_s },
+        speed: { kinematic: true, unit: 'mm/s', pick: (d) => d.speed_mm_s },
+        turning_speed: { kinematic: true, unit: 'deg/s', pick: (d) => Math.abs(d.turning_deg_s) },
+        turning_velocity: { kinematic: true, unit: 'deg/s', pick: (d) => d.turning_deg_s },
+        heading: { kinematic: true, circular: true, unit: 'deg', pick: (d) => d.heading_deg },
+        tracking_dropouts: { kinematic: false, unit: 'frames', deviceHealth: true }
+    };
+
+    function isMetric(name) {
+        return Object.prototype.hasOwnProperty.call(METRICS, name);
+    }
+
+    function isCircular(name) {
+        return isMetric(name) && !!METRICS[name].circular;
+    }
+
+    // First index with ms >= t (samples sorted ascending on ms).
+    function lowerBound(samples, t) {
+        let lo = 0;
+        let hi = samples.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (samples[mid].ms < t) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    /**
+     * The per-sample series of `metric` over [startMs, endMs]. Underivable
+     * samples are NaN (kept, so the valid count is honest). THROWS for a metric
+     * this module cannot supply — an authoring/rig error, not a NaN.
+     * @param {Array} samples  behavior_v1 rows, time-ordered on ms
+     * @param {string} metric
+     * @param {number} startMs
+     * @param {number} endMs
+     * @param {object} [opts]  {ballRadiusMm, turningSign} (as Kinematics)
+     * @returns {number[]}
+     */
+    function metricSeries(samples, metric, startMs, endMs, opts) {
+        const m = METRICS[metric];
+        if (!m) throw new Error('metric "' + metric + '" is not available from behavior_v1');
+        const rows = Array.isArray(samples) ? samples : [];
+        if (m.kinematic) {
+            if (!Kin) throw new Error('criterion-eval: Kinematics is not loaded');
+            return Kin.derivedBetween(rows, startMs, endMs, opts).map((d) => {
+                const v = d ? m.pick(d) : NaN;
+                return typeof v === 'number' && Number.isFinite(v) ? v : NaN;
+            });
+        }
+        // tracking_dropouts: missing FicTrac frames immediately before each sample.
+        const out = [];
+        for (let i = lowerBound(rows, startMs); i < rows.length && rows[i].ms <= endMs; i++) {
+            const prev = i > 0 ? rows[i - 1].fc : NaN;
+            const gap = Number(rows[i].fc) - Number(prev);
+            out.push(Number.isFinite(gap) ? Math.max(0, gap - 1) : NaN);
+        }
+        return out;
+    }
+
+    /**
+     * Reduce a series to the criterion's statistic over its VALID samples.
+     * THROWS for a fraction statistic on a circular metric.
+     * @param {number[]} values
+     * @param {object} criterion  {statistic, level, metric?}
+     * @returns {{value:number, valid_samples:number}}  value NaN when no valid samples
+     */
+    function reduce(values, criterion) {
+        const stat = criterion.statistic || 'mean';
+        const circular = isCircular(criterion.metric);
+        if (circular && stat !== 'mean') {
+            throw new Error(
+                'statistic "' +
+                    stat +
+                    '" is not defined for circular metric "' +
+                    criterion.metric +
+                    '"'
+            );
+        }
+        const valid = values.filter((v) => typeof v === 'number' && Number.isFinite(v));
+        const n = valid.length;
+        if (!n) return { value: NaN, valid_samples: 0 };
+        let value;
+        if (circular) {
+            const rad = Math.PI / 180;
+            const c = valid.reduce((a, v) => a + Math.cos(v * rad), 0) / n;
+            const s = valid.reduce((a, v) => a + Math.sin(v * rad), 0) / n;
+            value = Math.hypot(c, s) < 1e-12 ? NaN : Math.atan2(s, c) / rad;
+        } else if (stat === 'fraction_below') {
+            value = valid.filter((v) => v < Number(criterion.level)).length / n;
+        } else if (stat === 'fraction_above') {
+            value = valid.filter((v) => v > Number(criterion.level)).length / n;
+        } else {
+            value = valid.reduce((a, v) => a + v, 0) / n;
+        }
+        return { value, valid_samples: n };
+    }
+
+    /**
+     * The comparison threshold: absolute `threshold`, or `fraction × baseline`
+     * for a relative criterion. NaN when neither is usable.
+     */
+    function thresholdFor(criterion, baseline) {
+        if (criterion.threshold !== undefined && criterion.threshold !== null) {
+            return Number(criterion.threshold);
+        }
+        const b = baseline && typeof baseline === 'object' ? baseline.value : baseline;
+        if (criterion.fraction !== undefined && b !== undefined && b !== null) {
+            return Number(criterion.fraction) * Number(b);
+        }
+        return NaN;
+    }
+
+    /** Strict stop_when comparison; false when either side is not finite. */
+    function compare(value, criterion, threshold) {
+        if (!Number.isFinite(value) || !Number.isFinite(threshold)) return false;
+        return criterion.stop_when === 'above' ? value > threshold : value < threshold;
+    }
+
+    /**
+     * Evaluate one criterion over one window. Shape matches the runner's
+     * `evaluateCriterion` contract: {met, value, valid_samples, threshold}; for
+     * ctx.kind 'baseline' only {value, valid_samples} is meaningful. THROWS
+     * when the criterion cannot be judged at all (unknown metric, no threshold
+     * and no baseline, a form a circular metric does not define) so the runner
+     * fails closed with that reason.
+     * @param {object} criterion
+     * @param {Array} samples
+     * @param {object} ctx  {startMs, endMs, kind?, baseline?, ballRadiusMm?, turningSign?}
+     */
+    function evaluate(criterion, samples, ctx) {
+        const c = ctx || {};
+        const relative = criterion.threshold === undefined || criterion.threshold === null;
+        if (relative && isCircular(criterion.metric)) {
+            throw new Error(
+                'a relative criterion is not defined for circular metric "' + criterion.metric + '"'
+            );
+        }
+        const series = metricSeries(samples, criterion.metric, c.startMs, c.endMs, {
+            ballRadiusMm: c.ballRadiusMm,
+            turningSign: c.turningSign
+        });
+        const r = reduce(series, criterion);
+        if (c.kind === 'baseline') return { value: r.value, valid_samples: r.valid_samples };
+        const threshold = thresholdFor(criterion, c.baseline);
+        if (!Number.isFinite(threshold)) {
+            throw new Error('criterion has no usable threshold or baseline');
+        }
+        return {
+            met: compare(r.value, criterion, threshold),
+            value: r.value,
+            valid_samples: r.valid_samples,
+            threshold
+        };
+    }
+
+    /**
+     * Build a runner-injectable `evaluateCriterion(criterion, ctx)` over a live
+     * sample buffer. `getSamples()` returns the current buffer; `opts.ballRadiusMm`
+     * may be a number or a () ⇒ number (calibration can change between runs).
+     */
+    function makeEvaluator(getSamples, opts) {
+        const o = opts || {};
+        return function evaluateCriterion(criterion, ctx) {
+            const r = typeof o.ballRadiusMm === 'function' ? o.ballRadiusMm() : o.ballRadiusMm;
+            return evaluate(
+                criterion,
+                getSamples(),
+                Object.assign({}, ctx, { ballRadiusMm: r, turningSign: o.turningSign })
+            );
+        };
+    }
+
+    /**
+     * Re-evaluate a LOGGED decision (a runner `trialCheck` or `repeatUntil`
+     * record carrying `criterion` + `window_ms`, and `baseline` when relative)
+     * against the logged samples — the offline audit of a live decision.
+     * @returns {{value, valid_samples, threshold, met, logged_value, agrees}|null}
+     *   null when the record lacks the criterion or window (pre-audit logs).
+     */
+    function reevaluate(record, samples, opts) {
+        if (!record || !record.criterion || !Array.isArray(record.window_ms)) return null;
+        const o = opts || {};
+        let r;
+        try {
+            r = evaluate(record.criterion, samples, {
+                startMs: record.window_ms[0],
+                endMs: record.window_ms[1],
+                baseline: record.baseline || null,
+                ballRadiusMm: o.ballRadiusMm,
+                turningSign: o.turningSign
+            });
+        } catch (e) {
+            return { error: e.message, agrees: false };
+        }
+        const tol = o.tolerance > 0 ? o.tolerance : 1e-6;
+        const logged = Number(record.value);
+        const sameValue =
+            Number.isFinite(logged) && Number.isFinite(r.value)
+                ? Math.abs(r.value - logged) <= tol * Math.max(1, Math.abs(logged))
+                : false;
+        const loggedMet = record.met !== undefined ? record.met : record.valid === false;
+        return Object.assign(r, {
+            logged_value: Number.isFinite(logged) ? logged : null,
+            agrees: sameValue && r.met === loggedMet
+        });
+    }
+
+    const CriterionEval = {
+        METRICS,
+        STATISTICS,
+        STOP_WHEN,
+        isMetric,
+        isCircular,
+        metricSeries,
+        reduce,
+        thresholdFor,
+        compare,
+        evaluate,
+        makeEvaluator,
+        reevaluate
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CriterionEval;
+    }
+    if (typeof global !== 'undefined') {
+        global.CriterionEval = CriterionEval;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -248,6 +248,29 @@
         });
     }
 
+    /**
+     * centralDiff at every sample whose display time (`ms`, falling back to
+     * `ft`) lies in [t0Ms, t1Ms] — the per-sample series a flow-control
+     * criterion reduces over a trial/repetition window. Neighbours just outside
+     * the window still feed the edge differences; an underivable sample (buffer
+     * edge, non-positive dt) is a null entry, so callers can count it as invalid
+     * rather than lose it.
+     * @param {Array} samples  full time-ordered buffer [{ms, ft, x, y, hd, ...}]
+     * @param {number} t0Ms
+     * @param {number} t1Ms
+     * @param {object} [opts]  {ballRadiusMm, turningSign} (as centralDiff)
+     * @returns {Array<object|null>}
+     */
+    function derivedBetween(samples, t0Ms, t1Ms, opts) {
+        const axis = (s) => (s.ms != null ? s.ms : s.ft);
+        const out = [];
+        for (let i = _lowerBound(samples, t0Ms, axis); i < samples.length; i++) {
+            if (axis(samples[i]) > t1Ms) break;
+            out.push(centralDiff(samples, i, opts));
+        }
+        return out;
+    }
+
     /** Ball RADIUS (mm) from a DIAMETER (mm); default fly-on-ball ≈ 9 mm dia. */
     function ballRadiusMm(diameterMm) {
         const d =
@@ -267,6 +290,7 @@
         olsSlope,
         centralDiff,
         windowedDerived,
+        derivedBetween,
         ballRadiusMm
     };
 
@@ -118,6 +118,8 @@ const PatParser = (function () {
      *   strict (default false) — CRC failures throw instead of warning. Used by
      *     CI / regen / export-validation tooling. Interactive UI callers leave
      *     it `false` so the file still loads and the user can see what's there.
+     *   quiet (default false) — skip the "Pattern loaded" console summary (batch
+     *     callers such as SD read-back verification parse dozens of files).
      *
      * @param {ArrayBuffer} buffer - Raw file data
      * @param {Object} [opts] - Parser options
@@ -130,7 +132,7 @@ const PatParser = (function () {
         if (generation === 'G6') {
             return parseG6Pattern(buffer, options);
         } else {
-            return parseG4Pattern(buffer);
+            return parseG4Pattern(buffer, options);
         }
     }
 
@@ -163,7 +165,7 @@ const PatParser = (function () {
      * § Frame Format). V1 frames have no trailer.
      *
      * @param {ArrayBuffer} buffer - Raw file data
-     * @param {Object} [options] - Parser options ({strict: bool})
+     * @param {Object} [options] - Parser options ({strict: bool, quiet: bool})
      * @returns {PatternData} Parsed pattern data
      */
     function parseG6Pattern(buffer, options) {
@@ -305,21 +307,23 @@ const PatParser = (function () {
         }
 
         // Console diagnostics
-        console.group('Pattern loaded (G6)');
-        console.log(`Generation: G6 (${G6_PANEL_SIZE}×${G6_PANEL_SIZE} panels)`);
-        console.log(
-            `Header: V${headerVersion}${headerVersion >= 2 ? ` arena_id=${arena_id} observer_id=${observer_id}` : ''}`
-        );
-        console.log(
-            `Dimensions: ${rowCount} rows × ${colCount} cols = ${pixelRows}×${pixelCols} pixels`
-        );
-        console.log(`Frames: ${numFrames}`);
-        console.log(`Grayscale: ${isGrayscale ? 'GS16 (4-bit, 0-15)' : 'GS2 (1-bit, 0-1)'}`);
-        console.log(`Pixel (0,0) value: ${frames[0][0]} (frame 0)`);
-        console.log(
-            `Pixel (${pixelRows - 1},${pixelCols - 1}) value: ${frames[0][(pixelRows - 1) * pixelCols + (pixelCols - 1)]} (frame 0)`
-        );
-        console.groupEnd();
+        if (!opts.quiet) {
+            console.group('Pattern loaded (G6)');
+            console.log(`Generation: G6 (${G6_PANEL_SIZE}×${G6_PANEL_SIZE} panels)`);
+            console.log(
+                `Header: V${headerVersion}${headerVersion >= 2 ? ` arena_id=${arena_id} observer_id=${observer_id}` : ''}`
+            );
+            console.log(
+                `Dimensions: ${rowCount} rows × ${colCount} cols = ${pixelRows}×${pixelCols} pixels`
+            );
+            console.log(`Frames: ${numFrames}`);
+            console.log(`Grayscale: ${isGrayscale ? 'GS16 (4-bit, 0-15)' : 'GS2 (1-bit, 0-1)'}`);
+            console.log(`Pixel (0,0) value: ${frames[0][0]} (frame 0)`);
+            console.log(
+                `Pixel (${pixelRows - 1},${pixelCols - 1}) value: ${frames[0][(pixelRows - 1) * pixelCols + (pixelCols - 1)]} (frame 0)`
+            );
+            console.groupEnd();
+        }
 
         return {
             generation: 'G6',
@@ -431,9 +435,10 @@ const PatParser = (function () {
      *   Byte 6:      ColN (panel cols)
      *
      * @param {ArrayBuffer} buffer - Raw file data
+     * @param {Object} [options] - Parser options ({quiet: bool})
      * @returns {PatternData} Parsed pattern data
      */
-    function parseG4Pattern(buffer) {
+    function parseG4Pattern(buffer, options) {
         const view = new DataView(buffer);
         const bytes = new Uint8Array(buffer);
 
@@ -506,19 +511,23 @@ const PatParser = (function () {
         const genLabel = isV2 ? generationName : 'G4';
 
         // Console diagnostics
-        console.group(`Pattern loaded (${genLabel})`);
-        console.log(`Generation: ${genLabel} (${G4_PANEL_SIZE}×${G4_PANEL_SIZE} panels)`);
-        console.log(
-            `Header: V${headerVersion}${isV2 ? ` gen=${generationName} arena_id=${arena_id}` : ''}`
-        );
-        console.log(`Dimensions: ${rowN} rows × ${colN} cols = ${pixelRows}×${pixelCols} pixels`);
-        console.log(`Frames: ${numFrames} (${numPatsX}×${numPatsY})`);
-        console.log(`Grayscale: ${isGrayscale ? 'GS16 (4-bit, 0-15)' : 'GS2 (1-bit, 0-1)'}`);
-        console.log(`Pixel (0,0) value: ${frames[0][0]} (frame 0)`);
-        console.log(
-            `Pixel (${pixelRows - 1},${pixelCols - 1}) value: ${frames[0][(pixelRows - 1) * pixelCols + (pixelCols - 1)]} (frame 0)`
-        );
-        console.groupEnd();
+        if (!(options && options.quiet)) {
+            console.group(`Pattern loaded (${genLabel})`);
+            console.log(`Generation: ${genLabel} (${G4_PANEL_SIZE}×${G4_PANEL_SIZE} panels)`);
+            console.log(
+                `Header: V${headerVersion}${isV2 ? ` gen=${generationName} arena_id=${arena_id}` : ''}`
+            );
+            console.log(
+                `Dimensions: ${rowN} rows × ${colN} cols = ${pixelRows}×${pixelCols} pixels`
+            );
+            console.log(`Frames: ${numFrames} (${numPatsX}×${numPatsY})`);
+            console.log(`Grayscale: ${isGrayscale ? 'GS16 (4-bit, 0-15)' : 'GS2 (1-bit, 0-1)'}`);
+            console.log(`Pixel (0,0) value: ${frames[0][0]} (frame 0)`);
+            console.log(
+                `Pixel (${pixelRows - 1},${pixelCols - 1}) value: ${frames[0][(pixelRows - 1) * pixelCols + (pixelCols - 1)]} (frame 0)`
+            );
+            console.groupEnd();
+        }
 
         return {
             generation: genLabel === 'unspecified' ? 'G4' : genLabel,
@@ -5,16 +5,34 @@
  * - Sequential: Concatenate frames from A and B
  * - Mask/Blend: Spatial combination using threshold or 50% blend
  * - Split: Left/Right or top/bottom spatial division
+ * - Pixelwise: add (clipped), min, max, XOR, difference
+ * - Interleave: Alternate frames A0, B0, A1, B1, ...
+ *
+ * Every mode except sequential pairs A's and B's frames in time the same
+ * way (see alignFrames): B can start `offset` frames late, and when the
+ * frame counts differ the shorter pattern loops, holds its last frame, or
+ * the result is truncated. combineChain folds more than two patterns.
  */
 
+import PatternQuantizer from './quantize.js';
+
+/** Frame-count policies for patterns of different lengths */
+export const LENGTH_POLICIES = ['loop', 'hold', 'truncate'];
+
+/** Pixelwise operations on levels; results are clipped to the level range */
+const PIXEL_OPS = {
+    add: (a, b) => a + b,
+    min: (a, b) => Math.min(a, b),
+    max: (a, b) => Math.max(a, b),
+    xor: (a, b) => a ^ b,
+    difference: (a, b) => Math.abs(a - b)
+};
+
 /**
- * Combine two patterns sequentially (concatenate frames)
- * @param {Object} patternA - First pattern
- * @param {Object} patternB - Second pattern
- * @returns {Object} Combined pattern with all frames from A followed by all frames from B
+ * Throw unless two patterns have the same size and grayscale mode
+ * @private
  */
-export function combineSequential(patternA, patternB) {
-    // Validate patterns have compatible dimensions
+function assertCompatible(patternA, patternB) {
     if (patternA.pixelRows !== patternB.pixelRows || patternA.pixelCols !== patternB.pixelCols) {
         throw new Error(
             `Pattern dimensions must match. A: ${patternA.pixelCols}x${patternA.pixelRows}, B: ${patternB.pixelCols}x${patternB.pixelRows}`
@@ -26,6 +44,62 @@ export function combineSequential(patternA, patternB) {
             `Grayscale modes must match. A: GS${patternA.gsMode === 2 ? '2' : '16'}, B: GS${patternB.gsMode === 2 ? '2' : '16'}`
         );
     }
+}
+
+/**
+ * Pair A's and B's frames in time
+ *
+ * Frame f of the result uses A's frame f and B's frame f - offset.
+ * - 'loop' (default): max(A, B) frames; indices wrap, so B's offset is a
+ *   phase shift
+ * - 'hold': frames until both have finished (B's end moved by the offset);
+ *   each pattern holds its last frame, and B its first before it starts
+ * - 'truncate': min(A, B) frames; B holds its first frame before it starts
+ *
+ * @param {Object} patternA - First pattern
+ * @param {Object} patternB - Second pattern
+ * @param {Object} [options] - { length: 'loop'|'hold'|'truncate', offset: integer frames (default 0) }
+ * @returns {Array<[Uint8Array, Uint8Array]>} [frameA, frameB] for each result frame
+ */
+export function alignFrames(patternA, patternB, options = {}) {
+    const { length = 'loop', offset = 0 } = options;
+    if (!LENGTH_POLICIES.includes(length)) {
+        throw new Error(`Unknown length policy: ${length}`);
+    }
+    if (!Number.isInteger(offset)) {
+        throw new Error(`Offset must be a whole number of frames, got ${offset}`);
+    }
+
+    const nA = patternA.numFrames;
+    const nB = patternB.numFrames;
+    let numFrames;
+    if (length === 'loop') {
+        numFrames = Math.max(nA, nB);
+    } else if (length === 'hold') {
+        numFrames = Math.max(nA, nB + offset, 1);
+    } else {
+        numFrames = Math.min(nA, nB);
+    }
+
+    const wrap = (i, n) => ((i % n) + n) % n;
+    const clamp = (i, n) => Math.max(0, Math.min(n - 1, i));
+    const index = length === 'loop' ? wrap : clamp;
+
+    const pairs = [];
+    for (let f = 0; f < numFrames; f++) {
+        pairs.push([patternA.frames[index(f, nA)], patternB.frames[index(f - offset, nB)]]);
+    }
+    return pairs;
+}
+
+/**
+ * Combine two patterns sequentially (concatenate frames)
+ * @param {Object} patternA - First pattern
+ * @param {Object} patternB - Second pattern
+ * @returns {Object} Combined pattern with all frames from A followed by all frames from B
+ */
+export function combineSequential(patternA, patternB) {
+    assertCompatible(patternA, patternB);
 
     // Concatenate frames
     const combinedFrames = [...patternA.frames, ...patternB.frames];
@@ -42,37 +116,25 @@ export function combineSequential(patternA, patternB) {
  * Combine two patterns using mask/blend
  * @param {Object} patternA - First pattern (background)
  * @param {Object} patternB - Second pattern (foreground)
- * @param {Object} options - { mode: 'threshold'|'blend', threshold: number (0-15 for GS16, 0-1 for GS2) }
+ * @param {Object} options - { mode: 'threshold'|'blend', threshold: number (0-15 for GS16, 0-1 for GS2),
+ *   quantize: dither/tone options for the blend's half levels (see PatternQuantizer.quantizeFrames),
+ *   length, offset: timing (see alignFrames) }
  * @returns {Object} Combined pattern
  */
 export function combineMask(patternA, patternB, options = {}) {
-    const { mode = 'blend', threshold = 7 } = options;
+    const { mode = 'blend', threshold = 7, quantize } = options;
 
-    // Validate patterns have compatible dimensions
-    if (patternA.pixelRows !== patternB.pixelRows || patternA.pixelCols !== patternB.pixelCols) {
-        throw new Error(
-            `Pattern dimensions must match. A: ${patternA.pixelCols}x${patternA.pixelRows}, B: ${patternB.pixelCols}x${patternB.pixelRows}`
-        );
-    }
-
-    if (patternA.gsMode !== patternB.gsMode) {
-        throw new Error(
-            `Grayscale modes must match. A: GS${patternA.gsMode === 2 ? '2' : '16'}, B: GS${patternB.gsMode === 2 ? '2' : '16'}`
-        );
-    }
+    assertCompatible(patternA, patternB);
 
-    // Use the longer pattern's frame count
-    const numFrames = Math.max(patternA.numFrames, patternB.numFrames);
     const pixelsPerFrame = patternA.pixelRows * patternA.pixelCols;
 
-    const combinedFrames = [];
-
-    for (let f = 0; f < numFrames; f++) {
-        // Wrap around if one pattern is shorter
-        const frameA = patternA.frames[f % patternA.numFrames];
-        const frameB = patternB.frames[f % patternB.numFrames];
+    let combinedFrames = [];
 
-        const newFrame = new Uint8Array(pixelsPerFrame);
+    for (const [frameA, frameB] of alignFrames(patternA, patternB, options)) {
+        const newFrame =
+            mode === 'threshold'
+                ? new Uint8Array(pixelsPerFrame)
+                : new Float64Array(pixelsPerFrame);
 
         for (let i = 0; i < pixelsPerFrame; i++) {
             const valA = frameA[i];
@@ -82,14 +144,26 @@ export function combineMask(patternA, patternB, options = {}) {
                 // Use B where A exceeds threshold, otherwise use A
                 newFrame[i] = valA > threshold ? valB : valA;
             } else {
-                // Blend: average of A and B
-                newFrame[i] = Math.round((valA + valB) / 2);
+                // Blend: average of A and B, quantized below
+                newFrame[i] = (valA + valB) / 2;
             }
         }
 
         combinedFrames.push(newFrame);
     }
 
+    if (mode !== 'threshold') {
+        // Half levels go through the shared pipeline: rounded by default,
+        // or dithered so the blend keeps its true mean
+        const gsMode = patternA.gsMode === 2 ? 2 : 16;
+        combinedFrames = PatternQuantizer.quantizeFrames(
+            combinedFrames.map((frame) => PatternQuantizer.fromLevels(frame, gsMode)),
+            patternA.pixelCols,
+            patternA.pixelRows,
+            { ...quantize, gsMode, invert: false }
+        );
+    }
+
     return {
         ...patternA,
         frames: combinedFrames,
@@ -102,26 +176,15 @@ export function combineMask(patternA, patternB, options = {}) {
  * Combine two patterns with left/right or top/bottom split
  * @param {Object} patternA - First pattern (left/top side)
  * @param {Object} patternB - Second pattern (right/bottom side)
- * @param {Object} options - { direction: 'horizontal'|'vertical', splitPosition: number (0-1, default 0.5) }
+ * @param {Object} options - { direction: 'horizontal'|'vertical', splitPosition: number (0-1, default 0.5),
+ *   length, offset: timing (see alignFrames) }
  * @returns {Object} Combined pattern
  */
 export function combineSplit(patternA, patternB, options = {}) {
     const { direction = 'horizontal', splitPosition = 0.5 } = options;
 
-    // Validate patterns have compatible dimensions
-    if (patternA.pixelRows !== patternB.pixelRows || patternA.pixelCols !== patternB.pixelCols) {
-        throw new Error(
-            `Pattern dimensions must match. A: ${patternA.pixelCols}x${patternA.pixelRows}, B: ${patternB.pixelCols}x${patternB.pixelRows}`
-        );
-    }
+    assertCompatible(patternA, patternB);
 
-    if (patternA.gsMode !== patternB.gsMode) {
-        throw new Error(
-            `Grayscale modes must match. A: GS${patternA.gsMode === 2 ? '2' : '16'}, B: GS${patternB.gsMode === 2 ? '2' : '16'}`
-        );
-    }
-
-    const numFrames = Math.max(patternA.numFrames, patternB.numFrames);
     const rows = patternA.pixelRows;
     const cols = patternA.pixelCols;
     const pixelsPerFrame = rows * cols;
@@ -132,10 +195,7 @@ export function combineSplit(patternA, patternB, options = {}) {
     const splitCol = Math.floor(cols * splitPosition);
     const splitRow = Math.floor(rows * splitPosition);
 
-    for (let f = 0; f < numFrames; f++) {
-        const frameA = patternA.frames[f % patternA.numFrames];
-        const frameB = patternB.frames[f % patternB.numFrames];
-
+    for (const [frameA, frameB] of alignFrames(patternA, patternB, options)) {
         const newFrame = new Uint8Array(pixelsPerFrame);
 
         for (let row = 0; row < rows; row++) {
@@ -163,11 +223,73 @@ export function combineSplit(patternA, patternB, options = {}) {
     };
 }
 
+/**
+ * Combine two patterns pixel by pixel
+ * @param {Object} patternA - First pattern
+ * @param {Object} patternB - Second pattern
+ * @param {Object} options - { op: 'add'|'min'|'max'|'xor'|'difference', length, offset: timing (see alignFrames) }
+ *   add clips at the top level; xor is bitwise on levels (logical XOR in GS2);
+ *   difference is |A - B|
+ * @returns {Object} Combined pattern
+ */
+export function combinePixelwise(patternA, patternB, options = {}) {
+    const { op } = options;
+    const apply = Object.prototype.hasOwnProperty.call(PIXEL_OPS, op) ? PIXEL_OPS[op] : null;
+    if (!apply) {
+        throw new Error(`Unknown pixel operation: ${op}`);
+    }
+
+    assertCompatible(patternA, patternB);
+
+    const maxLevel = patternA.gsMode === 2 ? 1 : 15;
+    const pixelsPerFrame = patternA.pixelRows * patternA.pixelCols;
+    const combinedFrames = [];
+
+    for (const [frameA, frameB] of alignFrames(patternA, patternB, options)) {
+        const newFrame = new Uint8Array(pixelsPerFrame);
+        for (let i = 0; i < pixelsPerFrame; i++) {
+            newFrame[i] = Math.min(maxLevel, apply(frameA[i], frameB[i]));
+        }
+        combinedFrames.push(newFrame);
+    }
+
+    return {
+        ...patternA,
+        frames: combinedFrames,
+        numFrames: combinedFrames.length,
+        filename: null
+    };
+}
+
+/**
+ * Interleave the frames of two patterns: A0, B0, A1, B1, ...
+ * @param {Object} patternA - First pattern
+ * @param {Object} patternB - Second pattern
+ * @param {Object} options - { length, offset: timing (see alignFrames) }
+ * @returns {Object} Combined pattern with two frames per aligned pair
+ */
+export function combineInterleave(patternA, patternB, options = {}) {
+    assertCompatible(patternA, patternB);
+
+    const combinedFrames = [];
+    for (const [frameA, frameB] of alignFrames(patternA, patternB, options)) {
+        combinedFrames.push(new Uint8Array(frameA), new Uint8Array(frameB));
+    }
+
+    return {
+        ...patternA,
+        frames: combinedFrames,
+        numFrames: combinedFrames.length,
+        filename: null
+    };
+}
+
 /**
  * Main combine function that dispatches to appropriate method
  * @param {Object} patternA - First pattern
  * @param {Object} patternB - Second pattern
- * @param {string} mode - 'sequential', 'mask', 'blend', or 'split'
+ * @param {string} mode - 'sequential', 'mask', 'blend', 'split', 'interleave',
+ *   or a pixel operation ('add', 'min', 'max', 'xor', 'difference')
  * @param {Object} options - Mode-specific options
  * @returns {Object} Combined pattern
  */
@@ -189,14 +311,64 @@ export function combinePatterns(patternA, patternB, mode, options = {}) {
         case 'split':
             return combineSplit(patternA, patternB, options);
 
+        case 'interleave':
+            return combineInterleave(patternA, patternB, options);
+
+        case 'add':
+        case 'min':
+        case 'max':
+        case 'xor':
+        case 'difference':
+            return combinePixelwise(patternA, patternB, { ...options, op: mode });
+
         default:
             throw new Error(`Unknown combine mode: ${mode}`);
     }
 }
 
+/**
+ * Combine more than two patterns in one operation, left to right:
+ * ((P0 step0 P1) step1 P2) ...
+ *
+ * @param {Object[]} patterns - Two or more patterns
+ * @param {Object|Object[]} steps - { mode, options } used for every step, or
+ *   one per step (patterns.length - 1 of them)
+ * @returns {{pattern: Object, steps: Object[]}} The final pattern, and the
+ *   result after each step (for previews); the last step's is `pattern`
+ */
+export function combineChain(patterns, steps) {
+    if (!Array.isArray(patterns) || patterns.length < 2) {
+        throw new Error('Combining needs at least two patterns');
+    }
+    const stepList = Array.isArray(steps) ? steps : patterns.slice(1).map(() => steps);
+    if (stepList.length !== patterns.length - 1) {
+        throw new Error(
+            `${patterns.length} patterns need ${patterns.length - 1} steps, got ${stepList.length}`
+        );
+    }
+
+    const results = [];
+    let current = patterns[0];
+    stepList.forEach(({ mode, options = {} }, k) => {
+        try {
+            current = combinePatterns(current, patterns[k + 1], mode, options);
+        } catch (err) {
+            throw new Error(`Step ${k + 1} (${mode}): ${err.message}`);
+        }
+        results.push(current);
+    });
+
+    return { pattern: current, steps: results };
+}
+
 export default {
+    LENGTH_POLICIES,
+    alignFrames,
     combineSequential,
     combineMask,
     combineSplit,
-    combinePatterns
+    combinePixelwise,
+    combineInterleave,
+    combinePatterns,
+    combineChain
 };
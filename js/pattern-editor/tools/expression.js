@@ -0,0 +1,345 @@
+/**
+ * Pattern Expression Module
+ * A small expression language for procedural patterns: brightness written as
+ * a formula of azimuth, elevation, frame, row and col, e.g.
+ *
+ *     sin(2*pi*(az/30 - t/20)) > 0
+ *
+ * Expressions are parsed into a tree and compiled to plain closures (no eval,
+ * no Function constructor), so only the names listed below can be reached.
+ *
+ * Syntax
+ *   numbers       1, 0.5, .25, 1e-3
+ *   operators     + - * / % ^   (% is floored modulo, ^ is power, right-assoc)
+ *                 < <= > >= == !=   && || !   cond ? a : b
+ *   grouping      ( )
+ *   true/false    comparisons and logic give 1 or 0
+ *
+ * @module pattern-editor/tools/expression
+ */
+
+(function () {
+    'use strict';
+
+    /**
+     * Variables an expression may read. The generator supplies them per pixel
+     * and frame; azimuth and elevation are in degrees.
+     */
+    const VARIABLES = {
+        az: 'azimuth of the pixel center (degrees, 0 = front, positive to the right)',
+        el: 'elevation of the pixel center (degrees, positive up)',
+        t: 'frame index (0-based)',
+        frame: 'frame index (same as t)',
+        row: 'pixel row (0 = bottom)',
+        col: 'pixel column (0 = left)',
+        rows: 'pixel rows in the pattern',
+        cols: 'pixel columns in the pattern',
+        frames: 'number of frames'
+    };
+
+    const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+    const mod = (a, b) => a - b * Math.floor(a / b);
+
+    /** name: [minArgs, maxArgs, fn] */
+    const FUNCTIONS = {
+        sin: [1, 1, Math.sin],
+        cos: [1, 1, Math.cos],
+        tan: [1, 1, Math.tan],
+        asin: [1, 1, Math.asin],
+        acos: [1, 1, Math.acos],
+        atan: [1, 1, Math.atan],
+        atan2: [2, 2, Math.atan2],
+        sqrt: [1, 1, Math.sqrt],
+        abs: [1, 1, Math.abs],
+        sign: [1, 1, Math.sign],
+        floor: [1, 1, Math.floor],
+        ceil: [1, 1, Math.ceil],
+        round: [1, 1, Math.round],
+        exp: [1, 1, Math.exp],
+        log: [1, 1, Math.log],
+        pow: [2, 2, Math.pow],
+        hypot: [2, Infinity, Math.hypot],
+        min: [2, Infinity, Math.min],
+        max: [2, Infinity, Math.max],
+        mod: [2, 2, mod],
+        fract: [1, 1, (x) => x - Math.floor(x)],
+        clamp: [3, 3, (x, lo, hi) => Math.min(hi, Math.max(lo, x))],
+        step: [2, 2, (edge, x) => (x >= edge ? 1 : 0)]
+    };
+
+    /**
+     * Syntax or name error in an expression
+     * @property {number} position - 0-based character offset of the problem
+     */
+    class ExpressionError extends Error {
+        constructor(message, position) {
+            super(position === undefined ? message : `${message} (column ${position + 1})`);
+            this.name = 'ExpressionError';
+            this.position = position;
+        }
+    }
+
+    const OPERATORS = ['<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '^'];
+    const OPERATORS_1 = ['<', '>', '!', '(', ')', ',', '?', ':'];
+
+    function tokenize(source) {
+        const tokens = [];
+        let i = 0;
+        while (i < source.length) {
+            const ch = source[i];
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+            const num = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+            if (num) {
+                tokens.push({ type: 'number', value: parseFloat(num[0]), pos: i });
+                i += num[0].length;
+                continue;
+            }
+            const ident = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+            if (ident) {
+                tokens.push({ type: 'ident', value: ident[0], pos: i });
+                i += ident[0].length;
+                continue;
+            }
+            const op =
+                OPERATORS.find((o) => source.startsWith(o, i)) || OPERATORS_1.find((o) => o === ch);
+            if (!op) throw new ExpressionError(`Unexpected character '${ch}'`, i);
+            tokens.push({ type: 'op', value: op, pos: i });
+            i += op.length;
+        }
+        tokens.push({ type: 'end', value: 'end of expression', pos: source.length });
+        return tokens;
+    }
+
+    /**
+     * Recursive-descent parser producing
+     *   { type: 'num', value } | { type: 'var', name } | { type: 'call', name, args }
+     *   { type: 'unary', op, arg } | { type: 'binary', op, left, right }
+     *   { type: 'cond', test, then, else }
+     */
+    function parse(source) {
+        const tokens = tokenize(source);
+        let k = 0;
+        const peek = () => tokens[k];
+        const describe = (tok) => (tok.type === 'end' ? tok.value : `'${tok.value}'`);
+        const isOp = (...ops) => peek().type === 'op' && ops.includes(peek().value);
+        const expect = (op) => {
+            if (!isOp(op)) {
+                throw new ExpressionError(
+                    `Expected '${op}' but found ${describe(peek())}`,
+                    peek().pos
+                );
+            }
+            return tokens[k++];
+        };
+
+        function ternary() {
+            const test = or();
+            if (!isOp('?')) return test;
+            k++;
+            const then = ternary();
+            expect(':');
+            return { type: 'cond', test, then, else: ternary() };
+        }
+        function leftAssoc(next, ops) {
+            return () => {
+                let left = next();
+                while (isOp(...ops)) {
+                    const op = tokens[k++].value;
+                    left = { type: 'binary', op, left, right: next() };
+                }
+                return left;
+            };
+        }
+        function comparison() {
+            const left = additive();
+            if (!isOp('<', '<=', '>', '>=', '==', '!=')) return left;
+            const op = tokens[k++].value;
+            const node = { type: 'binary', op, left, right: additive() };
+            if (isOp('<', '<=', '>', '>=', '==', '!=')) {
+                throw new ExpressionError('Comparisons cannot be chained; use &&', peek().pos);
+            }
+            return node;
+        }
+        function unary() {
+            if (isOp('-', '+', '!')) {
+                const op = tokens[k++].value;
+                return { type: 'unary', op, arg: unary() };
+            }
+            return power();
+        }
+        function power() {
+            const base = primary();
+            if (!isOp('^')) return base;
+            k++;
+            return { type: 'binary', op: '^', left: base, right: unary() };
+        }
+        function primary() {
+            const tok = peek();
+            if (tok.type === 'number') {
+                k++;
+                return { type: 'num', value: tok.value };
+            }
+            if (tok.type === 'ident') {
+                k++;
+                if (isOp('(')) {
+                    const fn = Object.hasOwn(FUNCTIONS, tok.value) && FUNCTIONS[tok.value];
+                    if (!fn) throw new ExpressionError(`Unknown function '${tok.value}'`, tok.pos);
+                    k++;
+                    const args = [];
+                    if (!isOp(')')) {
+                        args.push(ternary());
+                        while (isOp(',')) {
+                            k++;
+                            args.push(ternary());
+                        }
+                    }
+                    expect(')');
+                    const [lo, hi] = fn;
+                    if (args.length < lo || args.length > hi) {
+                        const want =
+                            lo === hi ? lo : hi === Infinity ? `at least ${lo}` : `${lo}-${hi}`;
+                        throw new ExpressionError(
+                            `${tok.value}() takes ${want} argument${want === 1 ? '' : 's'}, got ${args.length}`,
+                            tok.pos
+                        );
+                    }
+                    return { type: 'call', name: tok.value, args };
+                }
+                if (Object.hasOwn(CONSTANTS, tok.value))
+                    return { type: 'num', value: CONSTANTS[tok.value] };
+                if (!Object.hasOwn(VARIABLES, tok.value)) {
+                    const hint = Object.hasOwn(FUNCTIONS, tok.value)
+                        ? ` ('${tok.value}' is a function)`
+                        : '';
+                    throw new ExpressionError(`Unknown variable '${tok.value}'${hint}`, tok.pos);
+                }
+                return { type: 'var', name: tok.value === 'frame' ? 't' : tok.value };
+            }
+            if (isOp('(')) {
+                k++;
+                const inner = ternary();
+                expect(')');
+                return inner;
+            }
+            throw new ExpressionError(`Unexpected ${describe(tok)}`, tok.pos);
+        }
+
+        const additive = leftAssoc(leftAssoc(unary, ['*', '/', '%']), ['+', '-']);
+        const and = leftAssoc(comparison, ['&&']);
+        const or = leftAssoc(and, ['||']);
+
+        if (peek().type === 'end') throw new ExpressionError('Expression is empty');
+        const tree = ternary();
+        if (peek().type !== 'end') {
+            throw new ExpressionError(`Unexpected ${describe(peek())}`, peek().pos);
+        }
+        return tree;
+    }
+
+    const BINARY = {
+        '+': (a, b) => a + b,
+        '-': (a, b) => a - b,
+        '*': (a, b) => a * b,
+        '/': (a, b) => a / b,
+        '%': mod,
+        '^': Math.pow,
+        '<': (a, b) => (a < b ? 1 : 0),
+        '<=': (a, b) => (a <= b ? 1 : 0),
+        '>': (a, b) => (a > b ? 1 : 0),
+        '>=': (a, b) => (a >= b ? 1 : 0),
+        '==': (a, b) => (a === b ? 1 : 0),
+        '!=': (a, b) => (a !== b ? 1 : 0)
+    };
+
+    /** Turn a parse tree into a closure over the scope object */
+    function build(node) {
+        switch (node.type) {
+            case 'num': {
+                const v = node.value;
+                return () => v;
+            }
+            case 'var': {
+                const name = node.name;
+                return (s) => s[name];
+            }
+            case 'unary': {
+                const arg = build(node.arg);
+                if (node.op === '-') return (s) => -arg(s);
+                if (node.op === '!') return (s) => (arg(s) ? 0 : 1);
+                return arg;
+            }
+            case 'binary': {
+                const left = build(node.left);
+                const right = build(node.right);
+                if (node.op === '&&') return (s) => (left(s) && right(s) ? 1 : 0);
+                if (node.op === '||') return (s) => (left(s) || right(s) ? 1 : 0);
+                const fn = BINARY[node.op];
+                return (s) => fn(left(s), right(s));
+            }
+            case 'cond': {
+                const test = build(node.test);
+                const then = build(node.then);
+                const other = build(node.else);
+                return (s) => (test(s) ? then(s) : other(s));
+            }
+            case 'call': {
+                const fn = FUNCTIONS[node.name][2];
+                const args = node.args.map(build);
+                if (args.length === 1) {
+                    const a = args[0];
+                    return (s) => fn(a(s));
+                }
+                return (s) => fn(...args.map((a) => a(s)));
+            }
+        }
+        throw new Error(`Unknown node type: ${node.type}`);
+    }
+
+    function collectVariables(node, out) {
+        if (node.type === 'var') out.add(node.name);
+        for (const child of [node.arg, node.left, node.right, node.test, node.then, node.else]) {
+            if (child) collectVariables(child, out);
+        }
+        if (node.args) node.args.forEach((a) => collectVariables(a, out));
+        return out;
+    }
+
+    const PatternExpression = {
+        VARIABLES,
+        FUNCTIONS: Object.keys(FUNCTIONS),
+        CONSTANTS: Object.keys(CONSTANTS),
+        ExpressionError,
+
+        /**
+         * Compile an expression
+         * @param {string} source - Expression text
+         * @returns {{source: string, variables: string[], evaluate: function(Object): number}}
+         *   `variables` lists the variables used ('frame' reported as 't');
+         *   `evaluate(scope)` reads them from `scope`
+         * @throws {ExpressionError} On a syntax error or an unknown name
+         */
+        compile(source) {
+            if (typeof source !== 'string')
+                throw new ExpressionError('Expression must be a string');
+            const tree = parse(source);
+            return {
+                source,
+                variables: [...collectVariables(tree, new Set())],
+                evaluate: build(tree)
+            };
+        }
+    };
+
+    // Export for both browser and Node.js
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PatternExpression;
+    }
+    // Make available globally in browser
+    if (typeof window !== 'undefined') {
+        window.PatternExpression = PatternExpression;
+    }
+})();
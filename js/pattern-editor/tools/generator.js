@@ -31,9 +31,33 @@ if (typeof require !== 'undefined') {
     ArenaGeometry_LOCAL = window.ArenaGeometry;
 }
 
+// Import PatternExpression for expression patterns
+let PatternExpression_LOCAL = null;
+if (typeof require !== 'undefined') {
+    try {
+        PatternExpression_LOCAL = require('./expression.js');
+    } catch (e) {
+        PatternExpression_LOCAL = null;
+    }
+}
+
+// Import PatternQuantizer (shared level quantization); an ES module, so
+// require() gives its namespace
+let PatternQuantizer_LOCAL = null;
+if (typeof require !== 'undefined') {
+    try {
+        const quantizeModule = require('./quantize.js');
+        PatternQuantizer_LOCAL = quantizeModule.default || quantizeModule;
+    } catch (e) {
+        PatternQuantizer_LOCAL = null;
+    }
+}
+
 /**
  * Seeded random number generator (Mulberry32)
- * Provides reproducible random sequences for starfield patterns
+ * Provides reproducible random sequences for starfield patterns. The analysis
+ * dashboard's resampling uses the same generator (seededRandom in
+ * dashboard/data-browser/analysis-core.js); change the two together.
  * @param {number} seed - Integer seed value
  * @returns {function} Random number generator function returning 0-1
  */
@@ -46,6 +70,36 @@ function createSeededRandom(seed) {
     };
 }
 
+/**
+ * Feedback taps of maximal-length Fibonacci LFSRs, by order
+ * (x^n + ... + 1; e.g. [4, 3] is x^4 + x^3 + 1)
+ */
+const M_SEQUENCE_TAPS = {
+    2: [2, 1],
+    3: [3, 2],
+    4: [4, 3],
+    5: [5, 3],
+    6: [6, 5],
+    7: [7, 6],
+    8: [8, 6, 5, 4],
+    9: [9, 5],
+    10: [10, 7],
+    11: [11, 9],
+    12: [12, 11, 10, 4],
+    13: [13, 12, 11, 8],
+    14: [14, 13, 12, 2],
+    15: [15, 14],
+    16: [16, 15, 13, 4]
+};
+
+/**
+ * Highest order generateNoise() picks on its own (4095 frames). Every frame is
+ * built as check values and again as pixels, so the orders a whole arena at
+ * checkSize 1 would need (32767 frames at order 15) take hundreds of MB;
+ * those must be asked for explicitly.
+ */
+const M_SEQUENCE_MAX_AUTO_ORDER = 12;
+
 /**
  * Pattern Generator
  * Generates various pattern types compatible with the pat-encoder format
@@ -53,7 +107,7 @@ function createSeededRandom(seed) {
 const PatternGenerator = {
     /**
      * Generate a pattern based on type and parameters
-     * @param {string} type - Pattern type: 'grating', 'sine', 'starfield', 'edge', 'offon', 'spherical-grating', 'spherical-sine'
+     * @param {string} type - Pattern type: 'grating', 'sine', 'starfield', 'edge', 'offon', 'spherical-grating', 'spherical-sine', 'looming', 'disc', 'bar', 'object', 'optic-flow', 'noise', 'expression', 'panorama'
      * @param {Object} params - Type-specific parameters
      * @param {Object} arena - Arena configuration object
      * @returns {Object} Pattern data compatible with pat-encoder
@@ -74,6 +128,22 @@ const PatternGenerator = {
             case 'offon':
             case 'off-on':
                 return this.generateOffOn(params, arena);
+            case 'looming':
+                return this.generateLooming(params, arena);
+            case 'bar':
+                return this.generateBar(params, arena);
+            case 'object':
+                return this.generateObject(params, arena);
+            case 'disc':
+                return this.generateDisc(params, arena);
+            case 'optic-flow':
+                return this.generateOpticFlow(params, arena);
+            case 'noise':
+                return this.generateNoise(params, arena);
+            case 'expression':
+                return this.generateExpression(params, arena);
+            case 'panorama':
+                return this.generatePanorama(params, arena);
             default:
                 throw new Error(`Unknown pattern type: ${type}`);
         }
@@ -1030,6 +1100,1588 @@ const PatternGenerator = {
         };
     },
 
+    /**
+     * Generate a looming (expanding dark disc) pattern
+     *
+     * Simulates an object of half-size l approaching at constant speed v: at
+     * time-to-collision τ the disc subtends θ(τ) = 2·atan((l/v) / τ). Frames are
+     * sampled at `frameRate` from the moment the disc subtends `initialSize`
+     * until it reaches `finalSize` (the last frame is exactly `finalSize`), so
+     * playing the pattern at that rate reproduces the l/v time course.
+     *
+     * The disc is a spherical cap around the (azimuth, elevation) direction as
+     * seen from the arena center, drawn in `low` on a `high` background. With
+     * aaSamples > 1, pixels on the rim get the covered fraction of an
+     * aaSamples × aaSamples sub-pixel grid (same offsets as samplesByPRad).
+     *
+     * @param {Object} params - Looming parameters
+     * @param {number} params.lOverV - l/v ratio in milliseconds
+     * @param {number[]} [params.center=[0,0]] - Disc center [azimuth, elevation] in radians
+     *   (azimuth 0 = arena front, positive clockwise seen from above; elevation 0 = equator)
+     * @param {number} [params.finalSize=PI/2] - Final angular diameter in radians (≤ π)
+     * @param {number} [params.initialSize] - Starting angular diameter in radians
+     *   (defaults to one pixel)
+     * @param {number} [params.frameRate=500] - Playback rate in Hz the frames are sampled at
+     * @param {number} params.high - Background brightness level
+     * @param {number} params.low - Disc brightness level
+     * @param {number} [params.aaSamples=1] - Anti-aliasing samples per axis (1=off)
+     * @param {string} [params.arenaModel='smooth'] - 'smooth' (cylinder) or 'poly' (polygonal)
+     * @param {number} [params.gsMode=16] - Grayscale mode (2 or 16)
+     * @param {Object} arena - Arena configuration
+     * @returns {Object} Pattern data (plus `angularSizes`: per-frame diameter in radians)
+     */
+    generateLooming(params, arena) {
+        // Ensure ArenaGeometry is available
+        const geom =
+            ArenaGeometry_LOCAL || (typeof window !== 'undefined' ? window.ArenaGeometry : null);
+        if (!geom) {
+            throw new Error(
+                'ArenaGeometry module not available. Include arena-geometry.js before using looming patterns.'
+            );
+        }
+
+        const {
+            lOverV,
+            center = [0, 0],
+            finalSize = Math.PI / 2,
+            initialSize: requestedInitial,
+            frameRate = 500,
+            high,
+            low,
+            aaSamples = 1,
+            arenaModel = 'smooth',
+            gsMode = 16
+        } = params;
+
+        const dims = this.getArenaDimensions(arena);
+        const { pixelRows, pixelCols, generation, rows, cols, installedCols, panelSize } = dims;
+
+        // Determine number of columns for full circle (Pcircle)
+        const numCircle = arena.numCircle || arena.num_cols_full || arena.Pcircle || cols;
+
+        const arenaCoords = geom.arenaCoordinates({
+            panelSize,
+            numCols: installedCols, // Pattern covers installed columns only
+            numRows: rows,
+            numCircle: numCircle, // Full circle for angular spacing
+            model: arenaModel
+        });
+        const pRad = arenaCoords.pRad;
+        const initialSize = requestedInitial ?? pRad;
+
+        if (!(lOverV > 0)) throw new Error('Looming l/v must be > 0 ms');
+        if (!(frameRate > 0)) throw new Error('Looming frame rate must be > 0 Hz');
+        if (!(initialSize > 0 && initialSize < finalSize && finalSize <= Math.PI)) {
+            throw new Error('Looming sizes must satisfy 0 < initial < final ≤ 180°');
+        }
+
+        // Time-to-collision (s) at which the disc subtends a given diameter.
+        const lv = lOverV / 1000;
+        const tauStart = lv / Math.tan(initialSize / 2);
+        const tauEnd = lv / Math.tan(finalSize / 2);
+        const numFrames = Math.max(2, Math.ceil((tauStart - tauEnd) * frameRate) + 1);
+        const angularSizes = [];
+        for (let f = 0; f < numFrames; f++) {
+            const tau = tauStart - f / frameRate;
+            angularSizes.push(
+                f === numFrames - 1 || tau <= tauEnd ? finalSize : 2 * Math.atan(lv / tau)
+            );
+        }
+
+        const drawDisc = this._discRenderer(arenaCoords, pixelRows, pixelCols, center, aaSamples);
+        const frames = [];
+        const stretchValues = [];
+
+        for (let f = 0; f < numFrames; f++) {
+            const frame = drawDisc(angularSizes[f] / 2, low, high);
+            frames.push(frame);
+            // Per-LED duty_cycle byte written to the .pat (0-255, 128 = 50%).
+            // Caller passes params.stretch from the editor's brightness control;
+            // 128 default keeps patterns visible on hardware (see pat-encoder.js).
+            stretchValues.push(params.stretch ?? 128);
+        }
+
+        return {
+            generation,
+            gs_val: gsMode,
+            numFrames,
+            rowCount: rows,
+            colCount: cols,
+            pixelRows,
+            pixelCols,
+            frames,
+            stretchValues,
+            angularSizes
+        };
+    },
+
+    /**
+     * Generate a static disc pattern
+     *
+     * Draws the same spherical cap as generateLooming, at a fixed diameter.
+     *
+     * @param {Object} params - Disc parameters
+     * @param {number[]} [params.center=[0,0]] - Disc center [azimuth, elevation] in radians
+     * @param {number} params.size - Angular diameter in radians (≤ 2π)
+     * @param {string} [params.polarity='dark'] - 'dark' (Low disc on High) or 'bright' (High on Low)
+     * @param {number} [params.numFrames=1] - Number of (identical) frames
+     * @param {number} params.high - High brightness level
+     * @param {number} params.low - Low brightness level
+     * @param {number} [params.aaSamples=1] - Anti-aliasing samples per axis (1=off)
+     * @param {string} [params.arenaModel='smooth'] - 'smooth' (cylinder) or 'poly' (polygonal)
+     * @param {number} [params.gsMode=16] - Grayscale mode (2 or 16)
+     * @param {Object} arena - Arena configuration
+     * @returns {Object} Pattern data
+     */
+    generateDisc(params, arena) {
+        // Ensure ArenaGeometry is available
+        const geom =
+            ArenaGeometry_LOCAL || (typeof window !== 'undefined' ? window.ArenaGeometry : null);
+        if (!geom) {
+            throw new Error(
+                'ArenaGeometry module not available. Include arena-geometry.js before using disc patterns.'
+            );
+        }
+
+        const {
+            center = [0, 0],
+            size,
+            polarity = 'dark',
+            numFrames = 1,
+            high,
+            low,
+            aaSamples = 1,
+            arenaModel = 'smooth',
+            gsMode = 16
+        } = params;
+
+        if (!(size >= 0)) throw new Error('Disc size must be ≥ 0');
+        if (polarity !== 'dark' && polarity !== 'bright') {
+            throw new Error(`Unknown polarity: ${polarity}. Use 'dark' or 'bright'.`);
+        }
+
+        const dims = this.getArenaDimensions(arena);
+        const { pixelRows, pixelCols, generation, rows, cols, installedCols, panelSize } = dims;
+
+        // Determine number of columns for full circle (Pcircle)
+        const numCircle = arena.numCircle || arena.num_cols_full || arena.Pcircle || cols;
+
+        const arenaCoords = geom.arenaCoordinates({
+            panelSize,
+            numCols: installedCols, // Pattern covers installed columns only
+            numRows: rows,
+            numCircle: numCircle, // Full circle for angular spacing
+            model: arenaModel
+        });
+
+        const drawDisc = this._discRenderer(arenaCoords, pixelRows, pixelCols, center, aaSamples);
+        const frame =
+            polarity === 'dark' ? drawDisc(size / 2, low, high) : drawDisc(size / 2, high, low);
+        const frames = [];
+        const stretchValues = [];
+        for (let f = 0; f < numFrames; f++) {
+            frames.push(f === 0 ? frame : frame.slice());
+            // Per-LED duty_cycle byte written to the .pat (0-255, 128 = 50%).
+            // Caller passes params.stretch from the editor's brightness control;
+            // 128 default keeps patterns visible on hardware (see pat-encoder.js).
+            stretchValues.push(params.stretch ?? 128);
+        }
+
+        return {
+            generation,
+            gs_val: gsMode,
+            numFrames,
+            rowCount: rows,
+            colCount: cols,
+            pixelRows,
+            pixelCols,
+            frames,
+            stretchValues
+        };
+    },
+
+    /**
+     * Build a function drawing a disc (spherical cap) around `center` as seen
+     * from the arena center. With aaSamples > 1, pixels on the rim get the
+     * covered fraction of an aaSamples × aaSamples sub-pixel grid (same
+     * offsets as samplesByPRad).
+     * @private
+     * @returns {function(number, number, number): Uint8Array} (radius, discValue, groundValue) → frame
+     */
+    _discRenderer(arenaCoords, pixelRows, pixelCols, center, aaSamples) {
+        const pRad = arenaCoords.pRad;
+        // Disc center direction, in the arena frame (x = sin(az), y = cos(az), z up).
+        const [az, el] = center;
+        const cx = Math.cos(el) * Math.sin(az);
+        const cy = Math.cos(el) * Math.cos(az);
+        const cz = Math.sin(el);
+
+        // Angular distance of every pixel center from the disc center (fixed for all frames).
+        const dist = new Float64Array(pixelRows * pixelCols);
+        for (let row = 0; row < pixelRows; row++) {
+            for (let col = 0; col < pixelCols; col++) {
+                const x = arenaCoords.x[row][col];
+                const y = arenaCoords.y[row][col];
+                const z = arenaCoords.z[row][col];
+                const dot = (x * cx + y * cy + z * cz) / Math.sqrt(x * x + y * y + z * z);
+                dist[row * pixelCols + col] = Math.acos(Math.max(-1, Math.min(1, dot)));
+            }
+        }
+
+        // Sub-pixel offsets along the panel face (horizontal) and z (vertical).
+        const offsets = [];
+        const halfRange = 0.5 * (1 - 1 / aaSamples);
+        for (let s = 0; s < aaSamples; s++) offsets.push(pRad * (-halfRange + s / aaSamples));
+        // A pixel whose center is further than this from the rim is wholly in or out.
+        const rimBand = pRad * Math.SQRT1_2;
+
+        const coverage = (row, col, cosR) => {
+            const x = arenaCoords.x[row][col];
+            const y = arenaCoords.y[row][col];
+            const z = arenaCoords.z[row][col];
+            const rXY = Math.sqrt(x * x + y * y);
+            const tx = y / rXY;
+            const ty = -x / rXY;
+            let inside = 0;
+            for (const a of offsets) {
+                for (const b of offsets) {
+                    const qx = x + a * tx;
+                    const qy = y + a * ty;
+                    const qz = z + b;
+                    const dot =
+                        (qx * cx + qy * cy + qz * cz) / Math.sqrt(qx * qx + qy * qy + qz * qz);
+                    if (dot >= cosR) inside++;
+                }
+            }
+            return inside / (aaSamples * aaSamples);
+        };
+
+        return (radius, discValue, groundValue) => {
+            const frame = this.createEmptyFrame(pixelRows, pixelCols);
+            const cosR = Math.cos(radius);
+            for (let row = 0; row < pixelRows; row++) {
+                for (let col = 0; col < pixelCols; col++) {
+                    const d = dist[row * pixelCols + col];
+                    let covered;
+                    if (aaSamples > 1 && Math.abs(d - radius) < rimBand) {
+                        covered = coverage(row, col, cosR);
+                    } else {
+                        covered = d <= radius ? 1 : 0;
+                    }
+                    frame[row * pixelCols + col] = Math.round(
+                        groundValue + covered * (discValue - groundValue)
+                    );
+                }
+            }
+            return frame;
+        };
+    },
+
+    /**
+     * Generate a moving vertical bar pattern
+     *
+     * A bar spans the full arena height unless `height` is given. See
+     * generateObject for the shared parameters (motion path, polarity,
+     * background grating, anti-aliasing).
+     *
+     * @param {Object} params - Bar parameters (as generateObject; `height` defaults to full height)
+     * @param {Object} arena - Arena configuration
+     * @returns {Object} Pattern data (plus `azimuths`: per-frame bar center in radians)
+     */
+    generateBar(params, arena) {
+        return this._generateFigure(
+            { elevation: 0, ...params, height: params.height > 0 ? params.height : Math.PI },
+            arena
+        );
+    },
+
+    /**
+     * Generate a moving object (small rectangle) pattern
+     *
+     * The figure is the patch of the arena within width/2 of its center in
+     * azimuth and height/2 in elevation, as seen from the arena center. Its
+     * azimuth follows one of three paths:
+     * - 'rotation': starts at startAzimuth and moves stepSize pixels per frame
+     *   (default: one full revolution)
+     * - 'oscillation': startAzimuth + amplitude·sin(2π·f/period)
+     * - 'trajectory': one azimuth per frame from params.trajectory
+     *
+     * The figure is drawn over a solid background, or over a square/sine
+     * grating on arena azimuth when params.background is given (figure/ground
+     * stimuli); the grating can drift independently of the figure.
+     *
+     * @param {Object} params - Object parameters
+     * @param {number} params.width - Angular width in radians
+     * @param {number} [params.height=width] - Angular height in radians (non-positive or NaN = width)
+     * @param {number} [params.elevation=0] - Center elevation in radians (0 = equator)
+     * @param {string} [params.polarity='dark'] - 'dark' (Low figure on High) or 'bright' (High on Low)
+     * @param {number} [params.startAzimuth=0] - Starting azimuth in radians (0 = arena front)
+     * @param {string} [params.motion='rotation'] - 'rotation', 'oscillation', or 'trajectory'
+     * @param {number} [params.stepSize=1] - Rotation step in pixels per frame (sign sets direction)
+     * @param {number} [params.amplitude] - Oscillation amplitude in radians
+     * @param {number} [params.period] - Oscillation period in frames
+     * @param {number[]} [params.trajectory] - Azimuth per frame in radians ('trajectory' motion)
+     * @param {number} [params.numFrames] - Frame count for rotation/oscillation
+     * @param {Object} [params.background] - Background grating
+     *   { spatFreq (rad), dutyCycle=50, waveform='square', stepSize=0 (px/frame) }
+     * @param {number} params.high - High brightness level
+     * @param {number} params.low - Low brightness level
+     * @param {number} [params.aaSamples=1] - Anti-aliasing samples per axis (1=off)
+     * @param {string} [params.arenaModel='smooth'] - 'smooth' (cylinder) or 'poly' (polygonal)
+     * @param {number} [params.gsMode=16] - Grayscale mode (2 or 16)
+     * @param {Object} arena - Arena configuration
+     * @returns {Object} Pattern data (plus `azimuths`: per-frame object center in radians)
+     */
+    generateObject(params, arena) {
+        // A blank height field arrives as undefined/NaN and must not override the default
+        return this._generateFigure(
+            { ...params, height: params.height > 0 ? params.height : params.width },
+            arena
+        );
+    },
+
+    /**
+     * Shared renderer for generateBar / generateObject
+     * @private
+     */
+    _generateFigure(params, arena) {
+        // Ensure ArenaGeometry is available
+        const geom =
+            ArenaGeometry_LOCAL || (typeof window !== 'undefined' ? window.ArenaGeometry : null);
+        if (!geom) {
+            throw new Error(
+                'ArenaGeometry module not available. Include arena-geometry.js before using bar/object patterns.'
+            );
+        }
+
+        const {
+            width,
+            height,
+            elevation = 0,
+            polarity = 'dark',
+            startAzimuth = 0,
+            motion = 'rotation',
+            stepSize = 1,
+            amplitude,
+            period,
+            trajectory,
+            numFrames: requestedFrames,
+            background = null,
+            high,
+            low,
+            aaSamples = 1,
+            arenaModel = 'smooth',
+            gsMode = 16
+        } = params;
+
+        if (!(width > 0) || !(height > 0)) {
+            throw new Error('Bar/object width and height must be > 0');
+        }
+        if (polarity !== 'dark' && polarity !== 'bright') {
+            throw new Error(`Unknown polarity: ${polarity}. Use 'dark' or 'bright'.`);
+        }
+
+        const dims = this.getArenaDimensions(arena);
+        const { pixelRows, pixelCols, generation, rows, cols, installedCols, panelSize } = dims;
+
+        // Determine number of columns for full circle (Pcircle)
+        const numCircle = arena.numCircle || arena.num_cols_full || arena.Pcircle || cols;
+
+        const arenaCoords = geom.arenaCoordinates({
+            panelSize,
+            numCols: installedCols, // Pattern covers installed columns only
+            numRows: rows,
+            numCircle: numCircle, // Full circle for angular spacing
+            model: arenaModel
+        });
+        const pRad = arenaCoords.pRad;
+
+        // Figure center azimuth for every frame
+        const azimuths = [];
+        if (motion === 'rotation') {
+            if (!stepSize) throw new Error('Rotation step size must be non-zero');
+            const n = requestedFrames || Math.ceil((numCircle * panelSize) / Math.abs(stepSize));
+            for (let f = 0; f < n; f++) azimuths.push(startAzimuth + f * stepSize * pRad);
+        } else if (motion === 'oscillation') {
+            if (!(amplitude > 0) || !(period > 0)) {
+                throw new Error('Oscillation needs amplitude > 0 and period > 0 frames');
+            }
+            const n = requestedFrames || Math.round(period);
+            for (let f = 0; f < n; f++) {
+                azimuths.push(startAzimuth + amplitude * Math.sin((2 * Math.PI * f) / period));
+            }
+        } else if (motion === 'trajectory') {
+            if (!Array.isArray(trajectory) || trajectory.length === 0) {
+                throw new Error('Trajectory motion needs a non-empty array of azimuths');
+            }
+            if (!trajectory.every(Number.isFinite)) {
+                throw new Error('Trajectory azimuths must be finite numbers (radians)');
+            }
+            azimuths.push(...trajectory);
+        } else {
+            throw new Error(
+                `Unknown motion path: ${motion}. Use 'rotation', 'oscillation', or 'trajectory'.`
+            );
+        }
+        const numFrames = azimuths.length;
+
+        // Azimuth/elevation of each sub-pixel sample (pixel centers when aaSamples = 1),
+        // offset along the panel face (horizontal) and z (vertical).
+        const offsets = [];
+        const halfRange = 0.5 * (1 - 1 / aaSamples);
+        for (let s = 0; s < aaSamples; s++) offsets.push(pRad * (-halfRange + s / aaSamples));
+        const perPixel = aaSamples * aaSamples;
+        const sampleAz = new Float64Array(pixelRows * pixelCols * perPixel);
+        const sampleEl = new Float64Array(pixelRows * pixelCols * perPixel);
+        const centerAz = new Float64Array(pixelRows * pixelCols);
+        for (let row = 0; row < pixelRows; row++) {
+            for (let col = 0; col < pixelCols; col++) {
+                const x = arenaCoords.x[row][col];
+                const y = arenaCoords.y[row][col];
+                const z = arenaCoords.z[row][col];
+                const rXY = Math.sqrt(x * x + y * y);
+                const tx = y / rXY;
+                const ty = -x / rXY;
+                const p = row * pixelCols + col;
+                centerAz[p] = Math.atan2(x, y);
+                let i = p * perPixel;
+                for (const a of offsets) {
+                    for (const b of offsets) {
+                        const qx = x + a * tx;
+                        const qy = y + a * ty;
+                        sampleAz[i] = Math.atan2(qx, qy);
+                        sampleEl[i] = Math.atan2(z + b, Math.sqrt(qx * qx + qy * qy));
+                        i++;
+                    }
+                }
+            }
+        }
+
+        const figureValue = polarity === 'dark' ? low : high;
+        const groundValue = polarity === 'dark' ? high : low;
+        const halfW = width / 2;
+        const halfH = height / 2;
+        // Wrap an azimuth difference into [-π, π)
+        const wrap = (a) => a - 2 * Math.PI * Math.floor((a + Math.PI) / (2 * Math.PI));
+
+        const frames = [];
+        const stretchValues = [];
+
+        for (let f = 0; f < numFrames; f++) {
+            const frame = this.createEmptyFrame(pixelRows, pixelCols);
+            const az = azimuths[f];
+            const groundPhase = background ? f * (background.stepSize || 0) * pRad : 0;
+
+            for (let p = 0; p < pixelRows * pixelCols; p++) {
+                let inside = 0;
+                for (let i = p * perPixel; i < (p + 1) * perPixel; i++) {
+                    if (
+                        Math.abs(wrap(sampleAz[i] - az)) <= halfW &&
+                        Math.abs(sampleEl[i] - elevation) <= halfH
+                    ) {
+                        inside++;
+                    }
+                }
+                const ground = background
+                    ? this._evaluateWaveform(
+                          centerAz[p] - groundPhase,
+                          background.spatFreq,
+                          background.dutyCycle ?? 50,
+                          background.waveform || 'square',
+                          high,
+                          low
+                      )
+                    : groundValue;
+                const covered = inside / perPixel;
+                frame[p] = Math.round(ground + covered * (figureValue - ground));
+            }
+
+            frames.push(frame);
+            // Per-LED duty_cycle byte written to the .pat (0-255, 128 = 50%).
+            // Caller passes params.stretch from the editor's brightness control;
+            // 128 default keeps patterns visible on hardware (see pat-encoder.js).
+            stretchValues.push(params.stretch ?? 128);
+        }
+
+        return {
+            generation,
+            gs_val: gsMode,
+            numFrames,
+            rowCount: rows,
+            colCount: cols,
+            pixelRows,
+            pixelCols,
+            frames,
+            stretchValues,
+            azimuths
+        };
+    },
+
+    /**
+     * Generate an optic-flow pattern for arbitrary self-motion
+     *
+     * The observer sits at the arena center and moves through a virtual
+     * environment. velocities[f] is the body-frame self-motion carrying frame f
+     * to frame f+1 (frame 0 is the start pose), as
+     * [thrust, slip, lift, yaw, pitch, roll] or an object with those keys:
+     * thrust/slip/lift are translations along the forward/right/up body axes in
+     * environment units per frame; yaw (turn right), pitch (nose up) and roll
+     * (right side down) are radians per frame.
+     *
+     * The body's forward axis points at poleCoord = [azimuth, elevation] in
+     * the arena (default: arena front); pixel view directions are taken into
+     * the body frame with rotateCoordinates.
+     *
+     * Environments (all in the same units as the translations):
+     * - 'dots': dotCount random dots at distances depths[0]..depths[1] from
+     *   the start position, each a ball of radius dotSize (nearer dots look
+     *   bigger; a dot smaller than a pixel lights its nearest pixel)
+     * - 'ground': a plane groundHeight below the observer
+     * - 'corridor': two walls corridorWidth/2 to either side
+     * Ground and walls are tiled with random High/Low squares of side cellSize.
+     * Sky, the space past the walls' ends and anything beyond maxDistance
+     * shows the background level.
+     *
+     * @param {Object} params - Optic-flow parameters
+     * @param {Array<number[]|Object>} [params.velocities] - Per-frame self-motion
+     * @param {number[]|Object} [params.velocity] - Constant self-motion, used with numFrames
+     *   when velocities is not given
+     * @param {number} [params.numFrames] - Frame count for a constant velocity
+     * @param {string} [params.environment='dots'] - 'dots', 'ground', or 'corridor'
+     * @param {number[]} [params.poleCoord=[0,0]] - Body forward axis [azimuth, elevation] in radians
+     * @param {number} [params.dotCount=200] - Dots ('dots')
+     * @param {number[]} [params.depths=[1,5]] - Dot distance range ('dots')
+     * @param {number} [params.dotSize=0.05] - Dot radius ('dots')
+     * @param {number} [params.groundHeight=1] - Eye height above the ground ('ground')
+     * @param {number} [params.corridorWidth=2] - Wall-to-wall distance ('corridor')
+     * @param {number} [params.cellSize=0.25] - Texture square size ('ground', 'corridor')
+     * @param {number} [params.maxDistance=50] - Ground/walls further than this show background
+     * @param {number} [params.seed=12345] - Random seed for dots and textures
+     * @param {number} params.high - Dot / bright texture level
+     * @param {number} params.low - Dark texture level
+     * @param {number} [params.background=low] - Level where nothing is seen
+     * @param {number} [params.aaSamples=1] - Anti-aliasing samples per axis for ground/corridor (1=off)
+     * @param {string} [params.arenaModel='smooth'] - 'smooth' (cylinder) or 'poly' (polygonal)
+     * @param {number} [params.gsMode=16] - Grayscale mode (2 or 16)
+     * @param {Object} arena - Arena configuration
+     * @returns {Object} Pattern data (plus `positions`: observer position per frame)
+     */
+    generateOpticFlow(params, arena) {
+        // Ensure ArenaGeometry is available
+        const geom =
+            ArenaGeometry_LOCAL || (typeof window !== 'undefined' ? window.ArenaGeometry : null);
+        if (!geom) {
+            throw new Error(
+                'ArenaGeometry module not available. Include arena-geometry.js before using optic-flow patterns.'
+            );
+        }
+
+        const {
+            velocities: velocityList,
+            velocity,
+            numFrames: requestedFrames,
+            environment = 'dots',
+            poleCoord = [0, 0],
+            dotCount = 200,
+            depths = [1, 5],
+            dotSize = 0.05,
+            groundHeight = 1,
+            corridorWidth = 2,
+            cellSize = 0.25,
+            maxDistance = 50,
+            seed = 12345,
+            high,
+            low,
+            background = low,
+            aaSamples = 1,
+            arenaModel = 'smooth',
+            gsMode = 16
+        } = params;
+
+        let velocities = velocityList;
+        if (!velocities && velocity) {
+            velocities = new Array(requestedFrames || 1).fill(velocity);
+        }
+        if (!Array.isArray(velocities) || velocities.length === 0) {
+            throw new Error(
+                'Optic flow needs a non-empty velocities list (or velocity + numFrames)'
+            );
+        }
+        velocities = velocities.map((v, f) => this._normalizeVelocity(v, f));
+
+        if (!['dots', 'ground', 'corridor'].includes(environment)) {
+            throw new Error(
+                `Unknown environment: ${environment}. Use 'dots', 'ground', or 'corridor'.`
+            );
+        }
+        if (environment === 'dots' && !(depths[0] > 0 && depths[1] >= depths[0])) {
+            throw new Error('Dot depths must satisfy 0 < near ≤ far');
+        }
+        if (environment === 'ground' && !(groundHeight > 0)) {
+            throw new Error('Ground height must be > 0');
+        }
+        if (environment === 'corridor' && !(corridorWidth > 0)) {
+            throw new Error('Corridor width must be > 0');
+        }
+        if (environment !== 'dots' && !(cellSize > 0)) {
+            throw new Error('Texture cell size must be > 0');
+        }
+
+        const dims = this.getArenaDimensions(arena);
+        const { pixelRows, pixelCols, generation, rows, cols, installedCols, panelSize } = dims;
+        const numPixels = pixelRows * pixelCols;
+
+        // Determine number of columns for full circle (Pcircle)
+        const numCircle = arena.numCircle || arena.num_cols_full || arena.Pcircle || cols;
+
+        const arenaCoords = geom.arenaCoordinates({
+            panelSize,
+            numCols: installedCols, // Pattern covers installed columns only
+            numRows: rows,
+            numCircle: numCircle, // Full circle for angular spacing
+            model: arenaModel
+        });
+        const pRad = arenaCoords.pRad;
+
+        // Sub-pixel sample points (pixel centers when aaSamples = 1), offset along the
+        // panel face and z, then turned so the body's forward axis is +y.
+        const samples = environment === 'dots' ? 1 : aaSamples;
+        const offsets = [];
+        const halfRange = 0.5 * (1 - 1 / samples);
+        for (let s = 0; s < samples; s++) offsets.push(pRad * (-halfRange + s / samples));
+        const perPixel = samples * samples;
+        const sx = [];
+        const sy = [];
+        const sz = [];
+        for (let row = 0; row < pixelRows; row++) {
+            for (const b of offsets) {
+                const rx = new Float32Array(pixelCols * samples);
+                const ry = new Float32Array(pixelCols * samples);
+                const rz = new Float32Array(pixelCols * samples);
+                for (let col = 0; col < pixelCols; col++) {
+                    const x = arenaCoords.x[row][col];
+                    const y = arenaCoords.y[row][col];
+                    const rXY = Math.sqrt(x * x + y * y);
+                    offsets.forEach((a, s) => {
+                        rx[col * samples + s] = x + (a * y) / rXY;
+                        ry[col * samples + s] = y - (a * x) / rXY;
+                        rz[col * samples + s] = arenaCoords.z[row][col] + b;
+                    });
+                }
+                sx.push(rx);
+                sy.push(ry);
+                sz.push(rz);
+            }
+        }
+        const body = geom.rotateCoordinates(sx, sy, sz, {
+            yaw: -poleCoord[0],
+            pitch: -poleCoord[1]
+        });
+        // Unit view direction of every sample, ordered pixel-major.
+        const dirs = new Float64Array(numPixels * perPixel * 3);
+        for (let row = 0; row < pixelRows; row++) {
+            for (let j = 0; j < samples; j++) {
+                const line = row * samples + j;
+                for (let col = 0; col < pixelCols; col++) {
+                    for (let s = 0; s < samples; s++) {
+                        const x = body.x[line][col * samples + s];
+                        const y = body.y[line][col * samples + s];
+                        const z = body.z[line][col * samples + s];
+                        const n = Math.sqrt(x * x + y * y + z * z);
+                        const i = ((row * pixelCols + col) * perPixel + j * samples + s) * 3;
+                        dirs[i] = x / n;
+                        dirs[i + 1] = y / n;
+                        dirs[i + 2] = z / n;
+                    }
+                }
+            }
+        }
+
+        const random = createSeededRandom(seed);
+        const dots = [];
+        if (environment === 'dots') {
+            for (let i = 0; i < dotCount; i++) {
+                // Uniform direction (rejection sampling), uniform distance in the shell
+                let x, y, z, r2;
+                do {
+                    x = random() * 2 - 1;
+                    y = random() * 2 - 1;
+                    z = random() * 2 - 1;
+                    r2 = x * x + y * y + z * z;
+                } while (r2 > 1 || r2 < 0.01);
+                const d = (depths[0] + random() * (depths[1] - depths[0])) / Math.sqrt(r2);
+                dots.push([x * d, y * d, z * d]);
+            }
+        }
+        // Random High/Low texture square at integer cell coordinates
+        const textureSeed = seed >>> 0;
+        const cell = (i, j, k) => {
+            let h = Math.imul(i | 0, 0x27d4eb2d) ^ Math.imul(j | 0, 0x165667b1);
+            h = Math.imul(h ^ Math.imul(k, 0x9e3779b1) ^ textureSeed, 0x85ebca6b);
+            h ^= h >>> 13;
+            h = Math.imul(h, 0xc2b2ae35);
+            return (h ^ (h >>> 16)) & 1 ? high : low;
+        };
+        const halfWidth = corridorWidth / 2;
+
+        // Observer pose: position p and body-to-world rotation R (rows of a 3x3)
+        let p = [0, 0, 0];
+        let R = [
+            [1, 0, 0],
+            [0, 1, 0],
+            [0, 0, 1]
+        ];
+        const positions = [];
+        const frames = [];
+        const stretchValues = [];
+
+        for (let f = 0; f < velocities.length; f++) {
+            const frame = this.createEmptyFrame(pixelRows, pixelCols);
+            positions.push(p.slice());
+
+            if (environment === 'dots') {
+                frame.fill(background);
+                // Body-frame dot positions, drawn far to near so nearer dots win
+                const visible = [];
+                for (const d of dots) {
+                    const wx = d[0] - p[0];
+                    const wy = d[1] - p[1];
+                    const wz = d[2] - p[2];
+                    const bx = R[0][0] * wx + R[1][0] * wy + R[2][0] * wz;
+                    const by = R[0][1] * wx + R[1][1] * wy + R[2][1] * wz;
+                    const bz = R[0][2] * wx + R[1][2] * wy + R[2][2] * wz;
+                    const dist = Math.sqrt(bx * bx + by * by + bz * bz);
+                    if (dist > 0 && dist <= maxDistance) {
+                        visible.push([bx / dist, by / dist, bz / dist, dist]);
+                    }
+                }
+                visible.sort((a, b) => b[3] - a[3]);
+                for (const [ux, uy, uz, dist] of visible) {
+                    const cosA = Math.cos(Math.asin(Math.min(1, dotSize / dist)));
+                    let best = -2;
+                    let bestIdx = -1;
+                    let lit = false;
+                    for (let i = 0; i < numPixels; i++) {
+                        const c = ux * dirs[i * 3] + uy * dirs[i * 3 + 1] + uz * dirs[i * 3 + 2];
+                        if (c >= cosA) {
+                            frame[i] = high;
+                            lit = true;
+                        } else if (c > best) {
+                            best = c;
+                            bestIdx = i;
+                        }
+                    }
+                    // Snap a sub-pixel dot to its nearest pixel if it is on the arena
+                    if (!lit && best > Math.cos(pRad)) frame[bestIdx] = high;
+                }
+            } else {
+                for (let i = 0; i < numPixels; i++) {
+                    let sum = 0;
+                    for (let s = i * perPixel; s < (i + 1) * perPixel; s++) {
+                        const dx = dirs[s * 3];
+                        const dy = dirs[s * 3 + 1];
+                        const dz = dirs[s * 3 + 2];
+                        // World-frame ray direction
+                        const wx = R[0][0] * dx + R[0][1] * dy + R[0][2] * dz;
+                        const wy = R[1][0] * dx + R[1][1] * dy + R[1][2] * dz;
+                        const wz = R[2][0] * dx + R[2][1] * dy + R[2][2] * dz;
+                        let value = background;
+                        if (environment === 'ground') {
+                            const t = wz < 0 ? (p[2] + groundHeight) / -wz : Infinity;
+                            if (t <= maxDistance) {
+                                value = cell(
+                                    Math.floor((p[0] + t * wx) / cellSize),
+                                    Math.floor((p[1] + t * wy) / cellSize),
+                                    0
+                                );
+                            }
+                        } else {
+                            const side = wx > 0 ? 1 : -1;
+                            const t = wx !== 0 ? (side * halfWidth - p[0]) / wx : Infinity;
+                            if (t > 0 && t <= maxDistance) {
+                                value = cell(
+                                    Math.floor((p[1] + t * wy) / cellSize),
+                                    Math.floor((p[2] + t * wz) / cellSize),
+                                    side
+                                );
+                            }
+                        }
+                        sum += value;
+                    }
+                    frame[i] = Math.round(sum / perPixel);
+                }
+            }
+
+            frames.push(frame);
+            // Per-LED duty_cycle byte written to the .pat (0-255, 128 = 50%).
+            // Caller passes params.stretch from the editor's brightness control;
+            // 128 default keeps patterns visible on hardware (see pat-encoder.js).
+            stretchValues.push(params.stretch ?? 128);
+
+            // Advance the pose: translate along the current body axes, then turn
+            const [thrust, slip, lift, yaw, pitch, roll] = velocities[f];
+            for (let k = 0; k < 3; k++) {
+                p[k] += R[k][0] * slip + R[k][1] * thrust + R[k][2] * lift;
+            }
+            // Body-frame rotation vector: pitch about x, roll about y, -yaw about z
+            R = this._multiply3(R, this._axisAngle3(pitch, roll, -yaw));
+        }
+
+        return {
+            generation,
+            gs_val: gsMode,
+            numFrames: frames.length,
+            rowCount: rows,
+            colCount: cols,
+            pixelRows,
+            pixelCols,
+            frames,
+            stretchValues,
+            positions
+        };
+    },
+
+    /**
+     * Normalize one optic-flow velocity to [thrust, slip, lift, yaw, pitch, roll]
+     * @private
+     */
+    _normalizeVelocity(v, f) {
+        const keys = ['thrust', 'slip', 'lift', 'yaw', 'pitch', 'roll'];
+        const out = Array.isArray(v) ? v.slice() : v && keys.map((k) => v[k] ?? 0);
+        if (!out || out.length !== 6 || !out.every(Number.isFinite)) {
+            throw new Error(
+                `Velocity ${f} must be [thrust, slip, lift, yaw, pitch, roll] or an object with those keys`
+            );
+        }
+        return out;
+    },
+
+    /**
+     * Rotation matrix for a rotation vector (Rodrigues)
+     * @private
+     */
+    _axisAngle3(rx, ry, rz) {
+        const angle = Math.sqrt(rx * rx + ry * ry + rz * rz);
+        if (angle === 0) {
+            return [
+                [1, 0, 0],
+                [0, 1, 0],
+                [0, 0, 1]
+            ];
+        }
+        const [x, y, z] = [rx / angle, ry / angle, rz / angle];
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        const t = 1 - c;
+        return [
+            [t * x * x + c, t * x * y - s * z, t * x * z + s * y],
+            [t * x * y + s * z, t * y * y + c, t * y * z - s * x],
+            [t * x * z - s * y, t * y * z + s * x, t * z * z + c]
+        ];
+    },
+
+    /**
+     * 3x3 matrix product
+     * @private
+     */
+    _multiply3(a, b) {
+        return a.map((row) =>
+            [0, 1, 2].map((j) => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j])
+        );
+    },
+
+    /**
+     * Generate a noise pattern for reverse-correlation experiments
+     *
+     * The arena is divided into checks of checkSize × checkSize pixels, each
+     * driven independently:
+     * - 'white': every check, every frame drawn from createSeededRandom(seed);
+     *   'binary' levels pick High or Low, 'gray' any level from Low to High
+     * - 'pink': spatially correlated noise with amplitude spectrum 1/f^exponent
+     *   (exponent 1 ≈ natural images), synthesized per frame from random
+     *   phases, z-scored, then thresholded at the mean ('binary') or mapped
+     *   so ±3 SD spans Low..High ('gray')
+     * - 'msequence': one binary maximal-length sequence of 2^order − 1 frames;
+     *   every check plays it from its own start offset, offsets evenly spaced
+     *   and assigned to checks in seeded random order. Any two checks are then
+     *   nearly uncorrelated at every lag, which is what first-order kernel
+     *   recovery relies on. order defaults to the smallest that gives every
+     *   check a distinct offset, up to M_SEQUENCE_MAX_AUTO_ORDER; past that it
+     *   throws rather than allocate, and a larger checkSize or an explicit
+     *   order is needed.
+     *
+     * The result carries a `noise` record; noiseSidecar() turns it into the
+     * JSON that lets analysis code rebuild exactly what was shown.
+     *
+     * @param {Object} params - Noise parameters
+     * @param {string} [params.noiseType='white'] - 'white', 'pink', or 'msequence'
+     * @param {number} [params.seed=12345] - Random seed
+     * @param {number} [params.numFrames=100] - Frame count ('white', 'pink')
+     * @param {string} [params.levels='binary'] - 'binary' or 'gray' ('white', 'pink')
+     * @param {number} [params.checkSize=1] - Check side in pixels
+     * @param {number} [params.exponent=1] - Amplitude spectrum exponent ('pink')
+     * @param {number} [params.order] - m-sequence order, 2-16 ('msequence');
+     *   automatic up to 12
+     * @param {number} params.high - High brightness level
+     * @param {number} params.low - Low brightness level
+     * @param {number} [params.gsMode=16] - Grayscale mode (2 or 16)
+     * @param {Object} arena - Arena configuration
+     * @returns {Object} Pattern data (plus `noise`: resolved params and stimulus record)
+     */
+    generateNoise(params, arena) {
+        const {
+            noiseType = 'white',
+            seed = 12345,
+            numFrames: requestedFrames = 100,
+            levels = 'binary',
+            checkSize = 1,
+            exponent = 1,
+            order: requestedOrder,
+            high,
+            low,
+            gsMode = 16
+        } = params;
+
+        if (!['white', 'pink', 'msequence'].includes(noiseType)) {
+            throw new Error(
+                `Unknown noise type: ${noiseType}. Use 'white', 'pink', or 'msequence'.`
+            );
+        }
+        if (levels !== 'binary' && levels !== 'gray') {
+            throw new Error(`Unknown noise levels: ${levels}. Use 'binary' or 'gray'.`);
+        }
+        if (!Number.isInteger(checkSize) || checkSize < 1) {
+            throw new Error('Noise check size must be a whole number of pixels ≥ 1');
+        }
+
+        const dims = this.getArenaDimensions(arena);
+        const { pixelRows, pixelCols, generation, rows, cols } = dims;
+        const checkRows = Math.ceil(pixelRows / checkSize);
+        const checkCols = Math.ceil(pixelCols / checkSize);
+        const numChecks = checkRows * checkCols;
+        const random = createSeededRandom(seed);
+
+        // Check values per frame (row-major, row 0 = bottom), expanded to pixels below
+        const checkFrames = [];
+        const noise = {
+            noiseType,
+            seed,
+            levels: noiseType === 'msequence' ? 'binary' : levels,
+            checkSize,
+            checkRows,
+            checkCols,
+            high,
+            low
+        };
+
+        if (noiseType === 'msequence') {
+            let order = requestedOrder;
+            if (order === undefined) {
+                order = 2;
+                while ((1 << order) - 1 < numChecks && order < 16) order++;
+                if (order > M_SEQUENCE_MAX_AUTO_ORDER) {
+                    throw new Error(
+                        `m-sequence for ${numChecks} checks needs order ${order} (${(1 << order) - 1} frames), above the automatic limit of order ${M_SEQUENCE_MAX_AUTO_ORDER}; raise the check size or set the order explicitly`
+                    );
+                }
+            }
+            const taps = M_SEQUENCE_TAPS[order];
+            if (!taps) throw new Error('m-sequence order must be 2-16');
+            const length = (1 << order) - 1;
+            if (length < numChecks) {
+                throw new Error(
+                    `m-sequence of order ${order} has ${length} frames, fewer than the ${numChecks} checks; raise the order or the check size`
+                );
+            }
+            const sequence = new Uint8Array(length);
+            let lfsr = 1;
+            for (let i = 0; i < length; i++) {
+                sequence[i] = lfsr & 1;
+                let bit = 0;
+                for (const t of taps) bit ^= lfsr >> (order - t);
+                lfsr = (lfsr >> 1) | ((bit & 1) << (order - 1));
+            }
+            // Seeded Fisher-Yates order of evenly spaced offsets
+            const spacing = Math.floor(length / numChecks);
+            const shifts = Array.from({ length: numChecks }, (_, i) => i * spacing);
+            for (let i = numChecks - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [shifts[i], shifts[j]] = [shifts[j], shifts[i]];
+            }
+            for (let f = 0; f < length; f++) {
+                const values = new Uint8Array(numChecks);
+                for (let k = 0; k < numChecks; k++) {
+                    values[k] = sequence[(f + shifts[k]) % length] ? high : low;
+                }
+                checkFrames.push(values);
+            }
+            Object.assign(noise, { order, taps, sequence: Array.from(sequence), shifts });
+        } else if (noiseType === 'white') {
+            for (let f = 0; f < requestedFrames; f++) {
+                const values = new Uint8Array(numChecks);
+                for (let k = 0; k < numChecks; k++) {
+                    values[k] =
+                        levels === 'binary'
+                            ? random() < 0.5
+                                ? low
+                                : high
+                            : low + Math.floor(random() * (high - low + 1));
+                }
+                checkFrames.push(values);
+            }
+            noise.numFrames = requestedFrames;
+        } else {
+            // Separable inverse DFT of random-phase 1/f^exponent amplitudes
+            const R = checkRows;
+            const C = checkCols;
+            const amp = new Float64Array(R * C);
+            for (let ky = 0; ky < R; ky++) {
+                for (let kx = 0; kx < C; kx++) {
+                    const fy = Math.min(ky, R - ky) / R;
+                    const fx = Math.min(kx, C - kx) / C;
+                    const fr = Math.sqrt(fx * fx + fy * fy);
+                    amp[ky * C + kx] = fr > 0 ? Math.pow(fr, -exponent) : 0;
+                }
+            }
+            const twiddle = (n) => {
+                const cos = new Float64Array(n);
+                const sin = new Float64Array(n);
+                for (let i = 0; i < n; i++) {
+                    cos[i] = Math.cos((2 * Math.PI * i) / n);
+                    sin[i] = Math.sin((2 * Math.PI * i) / n);
+                }
+                return { cos, sin };
+            };
+            const tx = twiddle(C);
+            const ty = twiddle(R);
+            const reY = new Float64Array(R * C);
+            const imY = new Float64Array(R * C);
+            for (let f = 0; f < requestedFrames; f++) {
+                const re = new Float64Array(R * C);
+                const im = new Float64Array(R * C);
+                for (let i = 0; i < R * C; i++) {
+                    const phase = 2 * Math.PI * random();
+                    re[i] = amp[i] * Math.cos(phase);
+                    im[i] = amp[i] * Math.sin(phase);
+                }
+                // Along x: Y[ky][x] = Σ_kx c[ky][kx]·e^(2πi·kx·x/C)
+                for (let ky = 0; ky < R; ky++) {
+                    for (let x = 0; x < C; x++) {
+                        let sr = 0;
+                        let si = 0;
+                        for (let kx = 0; kx < C; kx++) {
+                            const t = (kx * x) % C;
+                            const cr = re[ky * C + kx];
+                            const ci = im[ky * C + kx];
+                            sr += cr * tx.cos[t] - ci * tx.sin[t];
+                            si += cr * tx.sin[t] + ci * tx.cos[t];
+                        }
+                        reY[ky * C + x] = sr;
+                        imY[ky * C + x] = si;
+                    }
+                }
+                // Along y, keeping the real part
+                const field = new Float64Array(R * C);
+                for (let y = 0; y < R; y++) {
+                    for (let x = 0; x < C; x++) {
+                        let sr = 0;
+                        for (let ky = 0; ky < R; ky++) {
+                            const t = (ky * y) % R;
+                            sr += reY[ky * C + x] * ty.cos[t] - imY[ky * C + x] * ty.sin[t];
+                        }
+                        field[y * C + x] = sr;
+                    }
+                }
+                let mean = 0;
+                for (const v of field) mean += v;
+                mean /= field.length;
+                let sd = 0;
+                for (const v of field) sd += (v - mean) ** 2;
+                sd = Math.sqrt(sd / field.length) || 1;
+                const values = new Uint8Array(numChecks);
+                const mid = (high + low) / 2;
+                for (let k = 0; k < numChecks; k++) {
+                    const z = (field[k] - mean) / sd;
+                    values[k] =
+                        levels === 'binary'
+                            ? z >= 0
+                                ? high
+                                : low
+                            : Math.min(
+                                  Math.max(high, low),
+                                  Math.max(
+                                      Math.min(high, low),
+                                      Math.round(mid + (z * (high - low)) / 6)
+                                  )
+                              );
+                }
+                checkFrames.push(values);
+            }
+            Object.assign(noise, { numFrames: requestedFrames, exponent });
+        }
+
+        const frames = [];
+        const stretchValues = [];
+        for (const values of checkFrames) {
+            const frame = this.createEmptyFrame(pixelRows, pixelCols);
+            for (let row = 0; row < pixelRows; row++) {
+                const base = Math.floor(row / checkSize) * checkCols;
+                for (let col = 0; col < pixelCols; col++) {
+                    frame[row * pixelCols + col] = values[base + Math.floor(col / checkSize)];
+                }
+            }
+            frames.push(frame);
+            // Per-LED duty_cycle byte written to the .pat (0-255, 128 = 50%).
+            // Caller passes params.stretch from the editor's brightness control;
+            // 128 default keeps patterns visible on hardware (see pat-encoder.js).
+            stretchValues.push(params.stretch ?? 128);
+        }
+
+        return {
+            generation,
+            gs_val: gsMode,
+            numFrames: frames.length,
+            rowCount: rows,
+            colCount: cols,
+            pixelRows,
+            pixelCols,
+            frames,
+            stretchValues,
+            noise
+        };
+    },
+
+    /**
+     * Build the JSON sidecar for a generateNoise() result
+     *
+     * Records the seed and resolved parameters (enough to call generateNoise
+     * again), the arena, a checksum of the frames, and the stimulus itself:
+     * for white/pink noise `matrix` holds one string per frame with one hex
+     * digit per check (row-major, row 0 = bottom); for m-sequences the
+     * sequence and per-check offsets, where check k on frame f shows
+     * sequence[(f + shifts[k]) % sequence.length] (1 = High).
+     *
+     * @param {Object} pattern - Result of generateNoise
+     * @param {Object} [meta] - Extra fields merged in (e.g. { patternFile })
+     * @returns {Object} JSON-serializable sidecar
+     */
+    noiseSidecar(pattern, meta = {}) {
+        const noise = pattern.noise;
+        if (!noise) throw new Error('Not a noise pattern (no noise record)');
+        const { noiseType, seed, levels, checkSize, high, low } = noise;
+        const params = { noiseType, seed, levels, checkSize, high, low, gsMode: pattern.gs_val };
+        if (noiseType === 'msequence') params.order = noise.order;
+        else params.numFrames = noise.numFrames;
+        if (noiseType === 'pink') params.exponent = noise.exponent;
+
+        const stimulus = {
+            checkRows: noise.checkRows,
+            checkCols: noise.checkCols,
+            numFrames: pattern.numFrames
+        };
+        if (noiseType === 'msequence') {
+            stimulus.taps = noise.taps;
+            stimulus.sequence = noise.sequence.join('');
+            stimulus.shifts = noise.shifts;
+        } else {
+            stimulus.matrix = pattern.frames.map((frame) => {
+                let s = '';
+                for (let cr = 0; cr < noise.checkRows; cr++) {
+                    for (let cc = 0; cc < noise.checkCols; cc++) {
+                        s +=
+                            frame[cr * checkSize * pattern.pixelCols + cc * checkSize].toString(16);
+                    }
+                }
+                return s;
+            });
+        }
+
+        return {
+            format: 'noise-sidecar',
+            version: 1,
+            ...meta,
+            generator: 'PatternGenerator.generateNoise',
+            params,
+            arena: {
+                generation: pattern.generation,
+                rows: pattern.rowCount,
+                cols: pattern.colCount,
+                pixelRows: pattern.pixelRows,
+                pixelCols: pattern.pixelCols
+            },
+            checksum: this.framesChecksum(pattern.frames),
+            stimulus
+        };
+    },
+
+    /**
+     * Generate a pattern from a brightness expression
+     *
+     * The expression (see expression.js) is evaluated at every pixel center
+     * on every frame with az/el in degrees, t = frame index, row/col (row 0 =
+     * bottom) and rows/cols/frames. Its value, clamped to 0-1, maps Low to
+     * High — so comparisons give a two-level pattern and e.g.
+     * 0.5 + 0.5*sin(...) a smooth one.
+     *
+     * @param {Object} params - Expression parameters
+     * @param {string} params.expression - Brightness expression
+     * @param {number} [params.numFrames=1] - Number of frames
+     * @param {number} params.high - High brightness level (expression value 1)
+     * @param {number} params.low - Low brightness level (expression value 0)
+     * @param {string} [params.arenaModel='smooth'] - 'smooth' (cylinder) or 'poly' (polygonal)
+     * @param {number} [params.gsMode=16] - Grayscale mode (2 or 16)
+     * @param {Object} [params.quantize] - Dither/tone options for the Low–High
+     *   values (see PatternQuantizer.quantizeFrames); default plain rounding
+     * @param {Object} arena - Arena configuration
+     * @returns {Object} Pattern data, plus `expression` (the inputs, for expressionSidecar)
+     * @throws {Error} PatternExpression.ExpressionError for a bad expression, or
+     *   an Error naming the first pixel where the value is not a finite number
+     */
+    generateExpression(params, arena) {
+        // Ensure ArenaGeometry and PatternExpression are available
+        const geom =
+            ArenaGeometry_LOCAL || (typeof window !== 'undefined' ? window.ArenaGeometry : null);
+        if (!geom) {
+            throw new Error(
+                'ArenaGeometry module not available. Include arena-geometry.js before using expression patterns.'
+            );
+        }
+        const exprModule =
+            PatternExpression_LOCAL ||
+            (typeof window !== 'undefined' ? window.PatternExpression : null);
+        if (!exprModule) {
+            throw new Error(
+                'PatternExpression module not available. Include expression.js before using expression patterns.'
+            );
+        }
+
+        const quantizer = this._quantizer();
+
+        const {
+            expression,
+            numFrames = 1,
+            high,
+            low,
+            arenaModel = 'smooth',
+            gsMode = 16,
+            quantize
+        } = params;
+
+        const compiled = exprModule.compile(expression);
+        if (!Number.isInteger(numFrames) || numFrames < 1) {
+            throw new Error('Expression patterns need numFrames ≥ 1');
+        }
+
+        const dims = this.getArenaDimensions(arena);
+        const { pixelRows, pixelCols, generation, rows, cols, installedCols, panelSize } = dims;
+
+        // Determine number of columns for full circle (Pcircle)
+        const numCircle = arena.numCircle || arena.num_cols_full || arena.Pcircle || cols;
+
+        const arenaCoords = geom.arenaCoordinates({
+            panelSize,
+            numCols: installedCols, // Pattern covers installed columns only
+            numRows: rows,
+            numCircle: numCircle, // Full circle for angular spacing
+            model: arenaModel
+        });
+
+        const azDeg = new Float64Array(pixelRows * pixelCols);
+        const elDeg = new Float64Array(pixelRows * pixelCols);
+        for (let row = 0; row < pixelRows; row++) {
+            for (let col = 0; col < pixelCols; col++) {
+                const x = arenaCoords.x[row][col];
+                const y = arenaCoords.y[row][col];
+                const z = arenaCoords.z[row][col];
+                azDeg[row * pixelCols + col] = (Math.atan2(x, y) * 180) / Math.PI;
+                elDeg[row * pixelCols + col] =
+                    (Math.atan2(z, Math.sqrt(x * x + y * y)) * 180) / Math.PI;
+            }
+        }
+
+        const scope = { rows: pixelRows, cols: pixelCols, frames: numFrames };
+        const values = [];
+        const stretchValues = [];
+
+        for (let f = 0; f < numFrames; f++) {
+            const frame = new Float64Array(pixelRows * pixelCols);
+            scope.t = f;
+            for (let row = 0; row < pixelRows; row++) {
+                scope.row = row;
+                for (let col = 0; col < pixelCols; col++) {
+                    const p = row * pixelCols + col;
+                    scope.col = col;
+                    scope.az = azDeg[p];
+                    scope.el = elDeg[p];
+                    const v = compiled.evaluate(scope);
+                    if (!Number.isFinite(v)) {
+                        throw new Error(
+                            `Expression is ${v} at frame ${f}, row ${row}, col ${col} (az ${azDeg[p].toFixed(2)}°, el ${elDeg[p].toFixed(2)}°)`
+                        );
+                    }
+                    frame[p] = low + Math.min(1, Math.max(0, v)) * (high - low);
+                }
+            }
+
+            values.push(quantizer.fromLevels(frame, gsMode));
+            // Per-LED duty_cycle byte written to the .pat (0-255, 128 = 50%).
+            // Caller passes params.stretch from the editor's brightness control;
+            // 128 default keeps patterns visible on hardware (see pat-encoder.js).
+            stretchValues.push(params.stretch ?? 128);
+        }
+
+        const frames = quantizer.quantizeFrames(values, pixelCols, pixelRows, {
+            ...quantize,
+            gsMode,
+            invert: false
+        });
+
+        return {
+            generation,
+            gs_val: gsMode,
+            numFrames,
+            rowCount: rows,
+            colCount: cols,
+            pixelRows,
+            pixelCols,
+            frames,
+            stretchValues,
+            expression: { expression, numFrames, high, low, arenaModel, quantize }
+        };
+    },
+
+    /**
+     * Build the JSON sidecar for a generateExpression() result
+     *
+     * A .pat header has no room for text, so the expression and the inputs
+     * needed to regenerate the frames travel next to it, with a checksum of
+     * the frames they produced.
+     *
+     * @param {Object} pattern - Result of generateExpression
+     * @param {Object} [meta] - Extra fields merged in (e.g. { patternFile })
+     * @returns {Object} JSON-serializable sidecar
+     */
+    expressionSidecar(pattern, meta = {}) {
+        if (!pattern.expression) {
+            throw new Error('Not an expression pattern (no expression record)');
+        }
+        return {
+            format: 'expression-sidecar',
+            version: 1,
+            ...meta,
+            generator: 'PatternGenerator.generateExpression',
+            params: { ...pattern.expression, gsMode: pattern.gs_val },
+            arena: {
+                generation: pattern.generation,
+                rows: pattern.rowCount,
+                cols: pattern.colCount,
+                pixelRows: pattern.pixelRows,
+                pixelCols: pattern.pixelCols
+            },
+            checksum: this.framesChecksum(pattern.frames)
+        };
+    },
+
+    /**
+     * Project a 360° equirectangular panorama onto the arena
+     *
+     * Every LED samples the panorama at its own azimuth and elevation
+     * (arenaCoordinates → cart2sphere), so the image follows the arena's
+     * geometry instead of being laid flat over the pixel grid. The panorama's
+     * center column is azimuth 0, its left and right edges ±180° (columns
+     * wrap), its top row +90° and bottom row -90° elevation. Sampling is
+     * bilinear; pass an image about one panorama pixel per LED wide to avoid
+     * aliasing fine detail.
+     *
+     * @param {Object} params - Panorama parameters
+     * @param {Object} params.image - 8-bit grayscale panorama, row 0 at the top
+     * @param {number} params.image.width - Width in pixels (360°)
+     * @param {number} params.image.height - Height in pixels (180°)
+     * @param {ArrayLike<number>} params.image.pixels - width×height values 0-255
+     * @param {number} [params.yaw=0] - Panorama azimuth straight ahead of the fly (radians)
+     * @param {number} [params.numFrames=1] - Number of frames
+     * @param {number} [params.yawPerFrame] - Heading change per frame (radians);
+     *   positive turns right, so the scene drifts left. Defaults to one full
+     *   turn over numFrames, which loops seamlessly
+     * @param {boolean} [params.invert=false] - Invert grayscale values
+     * @param {string} [params.arenaModel='smooth'] - 'smooth' (cylinder) or 'poly' (polygonal)
+     * @param {number} [params.gsMode=16] - Grayscale mode (2 or 16)
+     * @param {Object} [params.quantize] - Dither/tone options (see
+     *   PatternQuantizer.quantizeFrames); default plain rounding
+     * @param {Object} arena - Arena configuration
+     * @returns {Object} Pattern data
+     */
+    generatePanorama(params, arena) {
+        const quantizer = this._quantizer();
+        const {
+            image,
+            yaw = 0,
+            numFrames = 1,
+            invert = false,
+            arenaModel = 'smooth',
+            gsMode = 16,
+            quantize
+        } = params;
+        const yawPerFrame = params.yawPerFrame ?? (2 * Math.PI) / numFrames;
+
+        if (!image || !(image.width >= 1) || !(image.height >= 1)) {
+            throw new Error('Panorama needs an image with width and height');
+        }
+        if (!image.pixels || image.pixels.length !== image.width * image.height) {
+            throw new Error(
+                `Panorama pixels must hold width×height = ${image.width * image.height} values`
+            );
+        }
+        if (!Number.isInteger(numFrames) || numFrames < 1) {
+            throw new Error('Panorama patterns need numFrames ≥ 1');
+        }
+
+        const dims = this.getArenaDimensions(arena);
+        const { pixelRows, pixelCols, generation, rows, cols } = dims;
+        const { az, el } = this._pixelAzEl(dims, arena, arenaModel);
+
+        const { width, height, pixels } = image;
+        const sample = (x, y) => {
+            // Bilinear, wrapping horizontally and clamping vertically
+            y = Math.max(0, Math.min(height - 1, y));
+            const x0 = Math.floor(x);
+            const y0 = Math.floor(y);
+            const fx = x - x0;
+            const fy = y - y0;
+            const xa = ((x0 % width) + width) % width;
+            const xb = (xa + 1) % width;
+            const ya = y0 * width;
+            const yb = Math.min(y0 + 1, height - 1) * width;
+            const top = pixels[ya + xa] + fx * (pixels[ya + xb] - pixels[ya + xa]);
+            const bottom = pixels[yb + xa] + fx * (pixels[yb + xb] - pixels[yb + xa]);
+            return top + fy * (bottom - top);
+        };
+
+        const grays = [];
+        const stretchValues = [];
+
+        for (let f = 0; f < numFrames; f++) {
+            const gray = new Float64Array(pixelRows * pixelCols);
+            const heading = yaw + f * yawPerFrame;
+            for (let i = 0; i < gray.length; i++) {
+                const x = ((az[i] + heading) / (2 * Math.PI) + 0.5) * width - 0.5;
+                const y = (0.5 - el[i] / Math.PI) * height - 0.5;
+                gray[i] = sample(x, y);
+            }
+
+            grays.push(gray);
+            // Per-LED duty_cycle byte written to the .pat (0-255, 128 = 50%).
+            // Caller passes params.stretch from the editor's brightness control;
+            // 128 default keeps patterns visible on hardware (see pat-encoder.js).
+            stretchValues.push(params.stretch ?? 128);
+        }
+
+        const frames = quantizer.quantizeFrames(grays, pixelCols, pixelRows, {
+            ...quantize,
+            gsMode,
+            invert
+        });
+
+        return {
+            generation,
+            gs_val: gsMode,
+            numFrames,
+            rowCount: rows,
+            colCount: cols,
+            pixelRows,
+            pixelCols,
+            frames,
+            stretchValues
+        };
+    },
+
+    /**
+     * Azimuth and elevation range the arena's pixel centers cover, for
+     * showing which part of a panorama lands on the arena
+     * @param {Object} arena - Arena configuration
+     * @param {string} [arenaModel='smooth'] - 'smooth' (cylinder) or 'poly' (polygonal)
+     * @returns {{azMin: number, azMax: number, elMin: number, elMax: number}} Radians
+     */
+    panoramaCoverage(arena, arenaModel = 'smooth') {
+        const { az, el } = this._pixelAzEl(this.getArenaDimensions(arena), arena, arenaModel);
+        let azMin = Infinity;
+        let azMax = -Infinity;
+        let elMin = Infinity;
+        let elMax = -Infinity;
+        for (let i = 0; i < az.length; i++) {
+            azMin = Math.min(azMin, az[i]);
+            azMax = Math.max(azMax, az[i]);
+            elMin = Math.min(elMin, el[i]);
+            elMax = Math.max(elMax, el[i]);
+        }
+        return { azMin, azMax, elMin, elMax };
+    },
+
+    /**
+     * Shared quantization module, or an error if it has not been loaded
+     * @private
+     */
+    _quantizer() {
+        const quantizer =
+            PatternQuantizer_LOCAL ||
+            (typeof window !== 'undefined' ? window.PatternQuantizer : null);
+        if (!quantizer) {
+            throw new Error(
+                'PatternQuantizer module not available. Load quantize.js before generating this pattern.'
+            );
+        }
+        return quantizer;
+    },
+
+    /**
+     * Azimuth and elevation (radians) of every pixel center, via cart2sphere
+     * (whose polar angle runs from 0 at the bottom pole to π at the top)
+     * @private
+     */
+    _pixelAzEl(dims, arena, arenaModel) {
+        const geom =
+            ArenaGeometry_LOCAL || (typeof window !== 'undefined' ? window.ArenaGeometry : null);
+        if (!geom) {
+            throw new Error(
+                'ArenaGeometry module not available. Include arena-geometry.js before using panorama patterns.'
+            );
+        }
+        const { pixelRows, pixelCols, rows, cols, installedCols, panelSize } = dims;
+        const numCircle = arena.numCircle || arena.num_cols_full || arena.Pcircle || cols;
+        const coords = geom.arenaCoordinates({
+            panelSize,
+            numCols: installedCols,
+            numRows: rows,
+            numCircle,
+            model: arenaModel
+        });
+        const { phi, theta } = geom.cart2sphere(coords.x, coords.y, coords.z);
+        const az = new Float64Array(pixelRows * pixelCols);
+        const el = new Float64Array(pixelRows * pixelCols);
+        for (let row = 0; row < pixelRows; row++) {
+            for (let col = 0; col < pixelCols; col++) {
+                az[row * pixelCols + col] = phi[row][col];
+                el[row * pixelCols + col] = theta[row][col] - Math.PI / 2;
+            }
+        }
+        return { az, el };
+    },
+
+    /**
+     * FNV-1a 32-bit checksum over all frame pixels (hex string)
+     * @param {Uint8Array[]} frames - Pattern frames
+     * @returns {string} 8-digit hex checksum
+     */
+    framesChecksum(frames) {
+        let h = 0x811c9dc5;
+        for (const frame of frames) {
+            for (let i = 0; i < frame.length; i++) {
+                h = Math.imul(h ^ frame[i], 0x01000193);
+            }
+        }
+        return (h >>> 0).toString(16).padStart(8, '0');
+    },
+
     /**
      * Validate a generated pattern
      * @param {Object} pattern - Pattern data to validate
@@ -0,0 +1,259 @@
+/**
+ * GIF Decoder Module
+ * Decodes (animated) GIF files into fully composited RGBA frames, so the
+ * image converter can resample every frame rather than only the first one
+ * the browser's <img> shows.
+ *
+ * Handles global and local color tables, interlacing, transparency, the
+ * frame delay and the three disposal methods of the graphic control
+ * extension, and the NETSCAPE2.0 loop count.
+ *
+ * @module pattern-editor/tools/gif-decoder
+ */
+
+/** Delays at or below this (ms) are played at 100 ms, as browsers do */
+const MIN_DELAY_MS = 10;
+const DEFAULT_DELAY_MS = 100;
+
+/**
+ * Decode a GIF file
+ * @param {Uint8Array|ArrayBuffer} input - GIF file contents
+ * @returns {{width: number, height: number, loopCount: number,
+ *            frames: Array<{rgba: Uint8ClampedArray, delay: number}>}}
+ *   Frames are full-canvas RGBA (transparent where nothing has been drawn);
+ *   `delay` is in milliseconds; `loopCount` 0 means loop forever
+ * @throws {Error} If the data is not a GIF or is truncated
+ */
+export function decodeGif(input) {
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    let pos = 0;
+    const need = (n) => {
+        if (pos + n > bytes.length) throw new Error('GIF file is truncated');
+    };
+    const u8 = () => {
+        need(1);
+        return bytes[pos++];
+    };
+    const u16 = () => {
+        need(2);
+        const v = bytes[pos] | (bytes[pos + 1] << 8);
+        pos += 2;
+        return v;
+    };
+    const readColorTable = (size) => {
+        need(size * 3);
+        const table = bytes.subarray(pos, pos + size * 3);
+        pos += size * 3;
+        return table;
+    };
+    const readSubBlocks = () => {
+        const chunks = [];
+        let length = 0;
+        for (let size = u8(); size !== 0; size = u8()) {
+            need(size);
+            chunks.push(bytes.subarray(pos, pos + size));
+            length += size;
+            pos += size;
+        }
+        const data = new Uint8Array(length);
+        let offset = 0;
+        for (const chunk of chunks) {
+            data.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return data;
+    };
+
+    need(6);
+    const signature = String.fromCharCode(...bytes.subarray(0, 6));
+    if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+        throw new Error('Not a GIF file');
+    }
+    pos = 6;
+
+    const width = u16();
+    const height = u16();
+    const screenFlags = u8();
+    u8(); // background color index (browsers clear to transparent instead)
+    u8(); // pixel aspect ratio
+    const globalTable = screenFlags & 0x80 ? readColorTable(2 << (screenFlags & 0x07)) : null;
+
+    const canvas = new Uint8ClampedArray(width * height * 4);
+    const frames = [];
+    let loopCount = 1;
+    let control = null; // pending graphic control extension
+
+    for (;;) {
+        const introducer = u8();
+        if (introducer === 0x3b) break; // trailer
+
+        if (introducer === 0x21) {
+            const label = u8();
+            const data = readSubBlocks();
+            if (label === 0xf9 && data.length >= 4) {
+                control = {
+                    disposal: (data[0] >> 2) & 0x07,
+                    transparent: data[0] & 0x01 ? data[3] : -1,
+                    delay: (data[1] | (data[2] << 8)) * 10
+                };
+            } else if (label === 0xff && data.length >= 14) {
+                const app = String.fromCharCode(...data.subarray(0, 11));
+                if (app === 'NETSCAPE2.0' && data[11] === 1) {
+                    loopCount = data[12] | (data[13] << 8);
+                }
+            }
+            continue;
+        }
+
+        if (introducer !== 0x2c) {
+            throw new Error(`Unexpected block 0x${introducer.toString(16)} at byte ${pos - 1}`);
+        }
+
+        const left = u16();
+        const top = u16();
+        const w = u16();
+        const h = u16();
+        const flags = u8();
+        const table = flags & 0x80 ? readColorTable(2 << (flags & 0x07)) : globalTable;
+        if (!table) throw new Error(`GIF frame ${frames.length} has no color table`);
+        const minCodeSize = u8();
+        const indices = lzwDecode(minCodeSize, readSubBlocks(), w * h);
+        const rows = flags & 0x40 ? interlacedRows(h) : null;
+
+        const { disposal = 0, transparent = -1, delay = 0 } = control || {};
+        const previous = disposal === 3 ? canvas.slice() : null;
+
+        for (let y = 0; y < h; y++) {
+            const cy = top + (rows ? rows[y] : y);
+            if (cy >= height) continue;
+            for (let x = 0; x < w; x++) {
+                const cx = left + x;
+                if (cx >= width) continue;
+                const index = indices[y * w + x];
+                if (index === transparent) continue;
+                const out = (cy * width + cx) * 4;
+                canvas[out] = table[index * 3];
+                canvas[out + 1] = table[index * 3 + 1];
+                canvas[out + 2] = table[index * 3 + 2];
+                canvas[out + 3] = 255;
+            }
+        }
+
+        frames.push({
+            rgba: canvas.slice(),
+            delay: delay <= MIN_DELAY_MS ? DEFAULT_DELAY_MS : delay
+        });
+
+        if (disposal === 2) {
+            for (let y = top; y < Math.min(top + h, height); y++) {
+                const from = (y * width + left) * 4;
+                canvas.fill(0, from, from + Math.min(w, width - left) * 4);
+            }
+        } else if (disposal === 3) {
+            canvas.set(previous);
+        }
+        control = null;
+    }
+
+    if (frames.length === 0) throw new Error('GIF file has no frames');
+    return { width, height, loopCount, frames };
+}
+
+/**
+ * Canvas row of each stored row of an interlaced image (passes start at
+ * rows 0, 4, 2, 1 and step 8, 8, 4, 2)
+ * @private
+ */
+function interlacedRows(h) {
+    const rows = [];
+    for (const [start, step] of [
+        [0, 8],
+        [4, 8],
+        [2, 4],
+        [1, 2]
+    ]) {
+        for (let y = start; y < h; y += step) rows.push(y);
+    }
+    return rows;
+}
+
+/**
+ * Variable-length LZW decoder for GIF image data
+ * @param {number} minCodeSize - LZW minimum code size from the image block
+ * @param {Uint8Array} data - Concatenated image data sub-blocks
+ * @param {number} pixelCount - Pixels in the frame; missing pixels stay 0
+ * @returns {Uint8Array} Color indices
+ * @private
+ */
+function lzwDecode(minCodeSize, data, pixelCount) {
+    if (minCodeSize < 2 || minCodeSize > 8) {
+        throw new Error(`Invalid LZW minimum code size ${minCodeSize}`);
+    }
+    const clear = 1 << minCodeSize;
+    const end = clear + 1;
+    const prefix = new Int16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const stack = new Uint8Array(4097);
+    for (let i = 0; i < clear; i++) suffix[i] = i;
+
+    const out = new Uint8Array(pixelCount);
+    let outPos = 0;
+    let codeSize = minCodeSize + 1;
+    let next = end + 1;
+    let prev = -1;
+    let first = 0;
+    let bits = 0;
+    let bitCount = 0;
+    let dataPos = 0;
+
+    while (outPos < pixelCount) {
+        while (bitCount < codeSize) {
+            if (dataPos >= data.length) return out;
+            bits |= data[dataPos++] << bitCount;
+            bitCount += 8;
+        }
+        const code = bits & ((1 << codeSize) - 1);
+        bits >>>= codeSize;
+        bitCount -= codeSize;
+
+        if (code === clear) {
+            codeSize = minCodeSize + 1;
+            next = end + 1;
+            prev = -1;
+            continue;
+        }
+        if (code === end) break;
+        if (prev === -1) {
+            if (code >= clear) throw new Error(`Invalid LZW code ${code}`);
+            out[outPos++] = code;
+            prev = first = code;
+            continue;
+        }
+        if (code > next) throw new Error(`Invalid LZW code ${code}`);
+
+        let top = 0;
+        let c = code;
+        if (code === next) {
+            stack[top++] = first;
+            c = prev;
+        }
+        while (c >= clear) {
+            stack[top++] = suffix[c];
+            c = prefix[c];
+        }
+        first = c;
+        stack[top++] = c;
+        while (top > 0 && outPos < pixelCount) out[outPos++] = stack[--top];
+
+        if (next < 4096) {
+            prefix[next] = prev;
+            suffix[next] = first;
+            next++;
+            if (next === 1 << codeSize && codeSize < 12) codeSize++;
+        }
+        prev = code;
+    }
+    return out;
+}
+
+export default { decodeGif };
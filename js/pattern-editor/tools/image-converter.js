@@ -1,10 +1,14 @@
 /**
  * Image to Pattern Converter Module
- * Converts raster images to LED pattern frames with arena region extraction
+ * Converts raster images, videos (MP4/WebM) and animated GIFs to LED pattern
+ * frames with arena region extraction
  *
  * @module pattern-editor/tools/image-converter
  */
 
+import { decodeGif } from './gif-decoder.js';
+import PatternQuantizer from './quantize.js';
+
 /**
  * State for the image converter
  */
@@ -14,12 +18,23 @@ const ImageConverterState = {
     sourceWidth: 0, // Original image width
     sourceHeight: 0, // Original image height
 
+    // Frame sequence (video or animated GIF); null for still images
+    // { kind: 'video', video, url, duration }
+    // { kind: 'gif', frames: [{rgba, delay}], startTimes, duration }
+    sequence: null,
+
     // Transform state
     scale: 1.0, // Scale factor (0.1 to 5.0)
     rotation: 0, // Rotation in degrees
     panX: 0, // Pan offset X (in source image pixels)
     panY: 0, // Pan offset Y (in source image pixels)
 
+    // Projection: 'flat' (pan/scale/rotate a rectangle over the image) or
+    // 'panorama' (360° equirectangular, sampled by LED azimuth/elevation)
+    projection: 'flat',
+    yaw: 0, // Panorama azimuth straight ahead of the fly (degrees)
+    coverage: null, // Arena's {azMin, azMax, elMin, elMax} in degrees
+
     // Arena dimensions (set from arena config)
     arenaWidth: 200, // Arena pixel columns
     arenaHeight: 40, // Arena pixel rows
@@ -29,13 +44,33 @@ const ImageConverterState = {
     dragStartX: 0,
     dragStartY: 0,
     dragStartPanX: 0,
-    dragStartPanY: 0
+    dragStartPanY: 0,
+    dragStartYaw: 0
 };
 
+/**
+ * Load an image, video or animated GIF, picking the loader from the file type
+ * @param {File} file - PNG, JPEG, GIF, MP4 or WebM file
+ * @returns {Promise<{width: number, height: number, name: string, kind: string,
+ *                    frameCount?: number, duration?: number}>}
+ *   `kind` is 'image', 'gif' or 'video'; `duration` is in seconds. A GIF with a
+ *   single frame loads as a still image.
+ */
+export async function loadMedia(file) {
+    const type = file.type || '';
+    if (type.startsWith('video/') || /\.(mp4|webm|m4v|mov)$/i.test(file.name)) {
+        return loadVideo(file);
+    }
+    if (type === 'image/gif' || /\.gif$/i.test(file.name)) {
+        return loadGif(file);
+    }
+    return loadImage(file);
+}
+
 /**
  * Load an image file and convert to grayscale
  * @param {File} file - Image file (PNG, JPEG)
- * @returns {Promise<{width: number, height: number, name: string}>} Image dimensions and name
+ * @returns {Promise<{width: number, height: number, name: string, kind: string}>} Image dimensions and name
  */
 export async function loadImage(file) {
     return new Promise((resolve, reject) => {
@@ -43,18 +78,19 @@ export async function loadImage(file) {
         reader.onload = (e) => {
             const img = new Image();
             img.onload = () => {
+                clearSequence();
                 ImageConverterState.sourceImage = img;
                 ImageConverterState.sourceImage.name = file.name;
                 ImageConverterState.sourceWidth = img.width;
                 ImageConverterState.sourceHeight = img.height;
 
                 // Convert to grayscale on canvas
-                createGrayscaleSource(img);
+                createGrayscaleSource(img, img.width, img.height);
 
                 // Reset transform
                 resetTransform();
 
-                resolve({ width: img.width, height: img.height, name: file.name });
+                resolve({ width: img.width, height: img.height, name: file.name, kind: 'image' });
             };
             img.onerror = () => reject(new Error('Failed to load image'));
             img.src = e.target.result;
@@ -65,24 +101,164 @@ export async function loadImage(file) {
 }
 
 /**
- * Create grayscale version of source image
- * @param {HTMLImageElement} img - Source image
+ * Load an animated GIF, decoding every frame
+ * @param {File} file - GIF file
+ * @returns {Promise<Object>} As {@link loadMedia}
+ */
+async function loadGif(file) {
+    const gif = decodeGif(await file.arrayBuffer());
+    if (gif.frames.length === 1) return loadImage(file);
+
+    const startTimes = [];
+    let duration = 0;
+    for (const frame of gif.frames) {
+        startTimes.push(duration);
+        duration += frame.delay / 1000;
+    }
+
+    clearSequence();
+    ImageConverterState.sequence = { kind: 'gif', frames: gif.frames, startTimes, duration };
+    ImageConverterState.sourceImage = { name: file.name };
+    ImageConverterState.sourceWidth = gif.width;
+    ImageConverterState.sourceHeight = gif.height;
+    createGrayscaleSource(gifFrameCanvas(gif.frames[0].rgba), gif.width, gif.height);
+    resetTransform();
+
+    return {
+        width: gif.width,
+        height: gif.height,
+        name: file.name,
+        kind: 'gif',
+        frameCount: gif.frames.length,
+        duration
+    };
+}
+
+/**
+ * Load an MP4/WebM video through a <video> element (decoded by the browser,
+ * so the codecs available are the browser's)
+ * @param {File} file - Video file
+ * @returns {Promise<Object>} As {@link loadMedia}
+ */
+async function loadVideo(file) {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+
+    try {
+        await new Promise((resolve, reject) => {
+            video.onloadeddata = resolve;
+            video.onerror = () =>
+                reject(
+                    new Error(
+                        'Failed to load video (format or codec not supported by this browser)'
+                    )
+                );
+            video.src = url;
+        });
+        if (!Number.isFinite(video.duration) || video.duration <= 0) {
+            throw new Error('Video has no known duration');
+        }
+        await seekVideo(video, 0);
+    } catch (err) {
+        URL.revokeObjectURL(url);
+        throw err;
+    }
+
+    clearSequence();
+    ImageConverterState.sequence = { kind: 'video', video, url, duration: video.duration };
+    ImageConverterState.sourceImage = { name: file.name };
+    ImageConverterState.sourceWidth = video.videoWidth;
+    ImageConverterState.sourceHeight = video.videoHeight;
+    createGrayscaleSource(video, video.videoWidth, video.videoHeight);
+    resetTransform();
+
+    return {
+        width: video.videoWidth,
+        height: video.videoHeight,
+        name: file.name,
+        kind: 'video',
+        duration: video.duration
+    };
+}
+
+/**
+ * Seek a video and wait until the frame at that time can be drawn
+ * @param {HTMLVideoElement} video - Video element
+ * @param {number} time - Time in seconds
+ * @returns {Promise<void>}
+ */
+function seekVideo(video, time) {
+    return new Promise((resolve, reject) => {
+        const done = () => {
+            video.removeEventListener('seeked', done);
+            video.removeEventListener('error', fail);
+            resolve();
+        };
+        const fail = () => {
+            video.removeEventListener('seeked', done);
+            video.removeEventListener('error', fail);
+            reject(new Error(`Failed to seek video to ${time.toFixed(3)} s`));
+        };
+        video.addEventListener('seeked', done);
+        video.addEventListener('error', fail);
+        video.currentTime = time;
+    });
+}
+
+/**
+ * Put decoded GIF pixels on a canvas so they can be drawn like an image
+ * @param {Uint8ClampedArray} rgba - Full-canvas RGBA frame
+ * @param {HTMLCanvasElement} [canvas] - Canvas to reuse (GIF size)
+ * @returns {HTMLCanvasElement}
+ */
+function gifFrameCanvas(rgba, canvas) {
+    const { sourceWidth, sourceHeight } = ImageConverterState;
+    if (!canvas) {
+        canvas = document.createElement('canvas');
+        canvas.width = sourceWidth;
+        canvas.height = sourceHeight;
+    }
+    canvas.getContext('2d').putImageData(new ImageData(rgba, sourceWidth, sourceHeight), 0, 0);
+    return canvas;
+}
+
+/**
+ * Release the current video or GIF frames
+ */
+function clearSequence() {
+    const seq = ImageConverterState.sequence;
+    if (seq?.kind === 'video') {
+        seq.video.removeAttribute('src');
+        seq.video.load();
+        URL.revokeObjectURL(seq.url);
+    }
+    ImageConverterState.sequence = null;
+}
+
+/**
+ * Create grayscale version of the source (shown in the preview)
+ * @param {CanvasImageSource} img - Source image, video or canvas
+ * @param {number} width - Source width
+ * @param {number} height - Source height
  */
-function createGrayscaleSource(img) {
+function createGrayscaleSource(img, width, height) {
     const canvas = document.createElement('canvas');
-    canvas.width = img.width;
-    canvas.height = img.height;
+    canvas.width = width;
+    canvas.height = height;
 
     const ctx = canvas.getContext('2d');
     ctx.drawImage(img, 0, 0);
 
     // Convert to grayscale using luminance formula
-    const imageData = ctx.getImageData(0, 0, img.width, img.height);
+    const imageData = ctx.getImageData(0, 0, width, height);
     const data = imageData.data;
 
     for (let i = 0; i < data.length; i += 4) {
         // Luminance: 0.299*R + 0.587*G + 0.114*B
-        const gray = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+        const gray = luminance(data, i);
         data[i] = gray;
         data[i + 1] = gray;
         data[i + 2] = gray;
@@ -93,6 +269,16 @@ function createGrayscaleSource(img) {
     ImageConverterState.sourceCanvas = canvas;
 }
 
+/**
+ * Luminance (0.299*R + 0.587*G + 0.114*B) of the RGBA pixel at byte offset i
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} i - Byte offset of the pixel
+ * @returns {number} 0-255
+ */
+function luminance(data, i) {
+    return Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+}
+
 /**
  * Reset transform to default (centered, 100% scale, no rotation)
  */
@@ -149,6 +335,81 @@ export function getTransform() {
     };
 }
 
+/**
+ * Choose how the image maps onto the arena
+ * @param {string} mode - 'flat' or 'panorama'
+ */
+export function setProjection(mode) {
+    if (mode !== 'flat' && mode !== 'panorama') {
+        throw new Error(`Unknown projection: ${mode}`);
+    }
+    ImageConverterState.projection = mode;
+}
+
+/**
+ * @returns {string} 'flat' or 'panorama'
+ */
+export function getProjection() {
+    return ImageConverterState.projection;
+}
+
+/**
+ * Set the panorama view shown in the preview
+ * @param {Object} view - View parameters
+ * @param {number} [view.yaw] - Panorama azimuth straight ahead (degrees, wrapped to ±180)
+ * @param {Object} [view.coverage] - Arena's {azMin, azMax, elMin, elMax} in degrees
+ */
+export function setPanoramaView(view) {
+    if (view.yaw !== undefined) {
+        ImageConverterState.yaw = wrapDegrees(view.yaw);
+    }
+    if (view.coverage !== undefined) {
+        ImageConverterState.coverage = view.coverage;
+    }
+}
+
+/**
+ * @returns {{yaw: number, coverage: Object|null}} Current panorama view
+ */
+export function getPanoramaView() {
+    return { yaw: ImageConverterState.yaw, coverage: ImageConverterState.coverage };
+}
+
+/**
+ * Wrap an angle to [-180, 180) degrees
+ * @param {number} deg - Angle in degrees
+ * @returns {number}
+ */
+function wrapDegrees(deg) {
+    return ((((deg + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Grayscale pixels of the loaded source (its preview frame for a video or
+ * GIF), scaled down if wider than maxWidth
+ * @param {number} [maxWidth=Infinity] - Widest image to return; smaller
+ *   sources are returned at their own size
+ * @returns {{width: number, height: number, pixels: Uint8Array}} Row 0 at the top
+ */
+export function getSourcePixels(maxWidth = Infinity) {
+    const { sourceCanvas, sourceWidth, sourceHeight } = ImageConverterState;
+    if (!sourceCanvas) throw new Error('No image loaded');
+
+    const width = Math.max(1, Math.min(sourceWidth, Math.round(maxWidth)));
+    const height = Math.max(1, Math.round((sourceHeight * width) / sourceWidth));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(sourceCanvas, 0, 0, width, height);
+
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const pixels = new Uint8Array(width * height);
+    for (let i = 0; i < pixels.length; i++) pixels[i] = data[i * 4];
+    return { width, height, pixels };
+}
+
 /**
  * Calculate fit transform to fill image with arena rectangle
  * @returns {Object} Transform to fit arena in image
@@ -187,7 +448,12 @@ export function renderPreview(canvas, showOverlay = true) {
         ctx.font = '14px IBM Plex Mono';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        ctx.fillText('Load an image to begin', canvas.width / 2, canvas.height / 2);
+        ctx.fillText('Load an image, video or GIF to begin', canvas.width / 2, canvas.height / 2);
+        return;
+    }
+
+    if (ImageConverterState.projection === 'panorama') {
+        renderPanoramaPreview(canvas, showOverlay);
         return;
     }
 
@@ -252,6 +518,61 @@ export function renderPreview(canvas, showOverlay = true) {
     }
 }
 
+/**
+ * Draw the panorama with the band of azimuth and elevation the arena sees
+ * (wrapping around the image edges) and a line at the forward direction
+ * @param {HTMLCanvasElement} canvas - Preview canvas
+ * @param {boolean} showOverlay - Whether to draw the arena band
+ */
+function renderPanoramaPreview(canvas, showOverlay) {
+    const ctx = canvas.getContext('2d');
+    const { sourceCanvas, sourceWidth, sourceHeight, yaw, coverage } = ImageConverterState;
+    const displayScale = Math.min(canvas.width / sourceWidth, canvas.height / sourceHeight) * 0.95;
+    const w = sourceWidth * displayScale;
+    const h = sourceHeight * displayScale;
+    const left = (canvas.width - w) / 2;
+    const top = (canvas.height - h) / 2;
+
+    ctx.fillStyle = '#0f1419';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(sourceCanvas, left, top, w, h);
+
+    if (!showOverlay) return;
+
+    const lonX = (lon) => left + (lon / 360 + 0.5) * w;
+    const latY = (lat) => top + (0.5 - lat / 180) * h;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, top, w, h);
+    ctx.clip();
+
+    if (coverage) {
+        const y0 = latY(coverage.elMax);
+        const y1 = latY(coverage.elMin);
+        const x0 = lonX(coverage.azMin + yaw);
+        const bandW = ((coverage.azMax - coverage.azMin) / 360) * w;
+        ctx.fillStyle = 'rgba(255, 0, 0, 0.1)';
+        ctx.strokeStyle = 'rgba(255, 0, 0, 0.8)';
+        ctx.lineWidth = 2;
+        // Draw one copy a full turn either side so the band wraps
+        for (const shift of [-w, 0, w]) {
+            ctx.fillRect(x0 + shift, y0, bandW, y1 - y0);
+            ctx.strokeRect(x0 + shift, y0, bandW, y1 - y0);
+        }
+    }
+
+    // Forward direction (azimuth 0 on the arena)
+    const front = lonX(yaw);
+    ctx.strokeStyle = 'rgba(255, 200, 0, 0.9)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(front, top);
+    ctx.lineTo(front, top + h);
+    ctx.stroke();
+    ctx.restore();
+}
+
 /**
  * Start drag operation
  * @param {number} x - Mouse X position on canvas
@@ -266,6 +587,7 @@ export function startDrag(x, y, canvas) {
     ImageConverterState.dragStartY = y;
     ImageConverterState.dragStartPanX = ImageConverterState.panX;
     ImageConverterState.dragStartPanY = ImageConverterState.panY;
+    ImageConverterState.dragStartYaw = ImageConverterState.yaw;
 }
 
 /**
@@ -273,7 +595,7 @@ export function startDrag(x, y, canvas) {
  * @param {number} x - Mouse X position on canvas
  * @param {number} y - Mouse Y position on canvas
  * @param {HTMLCanvasElement} canvas - Preview canvas
- * @returns {boolean} Whether pan changed
+ * @returns {boolean} Whether pan (or panorama yaw) changed
  */
 export function updateDrag(x, y, canvas) {
     if (!ImageConverterState.isDragging || !ImageConverterState.sourceCanvas) return false;
@@ -287,6 +609,14 @@ export function updateDrag(x, y, canvas) {
     const dx = (x - ImageConverterState.dragStartX) / displayScale;
     const dy = (y - ImageConverterState.dragStartY) / displayScale;
 
+    // Panorama: horizontal drag turns the view (the image spans 360°)
+    if (ImageConverterState.projection === 'panorama') {
+        ImageConverterState.yaw = wrapDegrees(
+            ImageConverterState.dragStartYaw + (dx / sourceWidth) * 360
+        );
+        return true;
+    }
+
     ImageConverterState.panX = ImageConverterState.dragStartPanX + dx;
     ImageConverterState.panY = ImageConverterState.dragStartPanY + dy;
 
@@ -309,29 +639,14 @@ export function isDragging() {
 }
 
 /**
- * Extract arena region and convert to pattern frame
- * @param {Object} options - Conversion options
- * @param {number} options.gsMode - Grayscale mode (2 or 16)
- * @param {boolean} [options.invert=false] - Invert grayscale values
- * @returns {Uint8Array} Pattern frame data
+ * Sample the arena region of a source through the current transform
+ * @param {CanvasImageSource} source - Drawable the size of the loaded source
+ *   (grayscale source canvas, video element or GIF frame canvas)
+ * @returns {Uint8Array} Luminance 0-255, arena rows x cols, row 0 = bottom
  */
-export function extractArenaRegion(options) {
-    if (!ImageConverterState.sourceCanvas) {
-        throw new Error('No image loaded');
-    }
-
-    const { gsMode, invert = false } = options;
-    const {
-        sourceCanvas,
-        sourceWidth,
-        sourceHeight,
-        scale,
-        rotation,
-        panX,
-        panY,
-        arenaWidth,
-        arenaHeight
-    } = ImageConverterState;
+function sampleArenaRegion(source) {
+    const { sourceWidth, sourceHeight, scale, rotation, panX, panY, arenaWidth, arenaHeight } =
+        ImageConverterState;
 
     // Create temporary canvas for transformed extraction
     const extractCanvas = document.createElement('canvas');
@@ -361,53 +676,57 @@ export function extractArenaRegion(options) {
     ctx.translate(-sourceWidth / 2 - panX, -sourceHeight / 2 - panY);
 
     // Draw source (this samples using our inverse transform)
-    ctx.drawImage(sourceCanvas, 0, 0);
+    ctx.drawImage(source, 0, 0);
 
     ctx.restore();
 
-    // Extract pixel data and quantize
-    const imageData = ctx.getImageData(0, 0, arenaWidth, arenaHeight);
-    const data = imageData.data;
-
-    // Create pattern frame (arena rows * cols)
-    const frame = new Uint8Array(arenaWidth * arenaHeight);
+    const data = ctx.getImageData(0, 0, arenaWidth, arenaHeight).data;
+    const gray = new Uint8Array(arenaWidth * arenaHeight);
 
     // Note: Canvas Y=0 is top, but arena row 0 is bottom
     // So we flip vertically during extraction
     for (let row = 0; row < arenaHeight; row++) {
+        const canvasRow = arenaHeight - 1 - row;
         for (let col = 0; col < arenaWidth; col++) {
-            // Flip Y: arena row 0 = canvas row (arenaHeight - 1)
-            const canvasRow = arenaHeight - 1 - row;
-            const pixelIndex = (canvasRow * arenaWidth + col) * 4;
-            let gray = data[pixelIndex]; // R channel (already grayscale)
-
-            // Invert if requested
-            if (invert) {
-                gray = 255 - gray;
-            }
-
-            // Quantize based on gsMode
-            let value;
-            if (gsMode === 2) {
-                // Binary: threshold at 128
-                value = gray >= 128 ? 1 : 0;
-            } else {
-                // GS16: Map 0-255 to 0-15
-                value = Math.round((gray * 15) / 255);
-            }
-
-            frame[row * arenaWidth + col] = value;
+            gray[row * arenaWidth + col] = luminance(data, (canvasRow * arenaWidth + col) * 4);
         }
     }
 
-    return frame;
+    return gray;
 }
 
 /**
- * Generate a pattern from the loaded image
- * @param {Object} options - Generation options
+ * Quantize 8-bit gray values to pattern levels through the shared pipeline
+ * (quantize.js): optional equalization, gamma and dithering
+ * @param {ArrayLike<number>} gray - Gray values 0-255, row-major
+ * @param {number} width - Columns
+ * @param {number} height - Rows
+ * @param {Object} options - Pipeline options (see PatternQuantizer.quantizeFrames)
  * @param {number} options.gsMode - Grayscale mode (2 or 16)
  * @param {boolean} [options.invert=false] - Invert grayscale values
+ * @param {string} [options.dither='none'] - 'none', 'floyd-steinberg', 'bayer' or 'blue-noise'
+ * @returns {Uint8Array} Pattern levels
+ */
+export function quantizeGray(gray, width, height, options) {
+    return PatternQuantizer.quantize(gray, width, height, options);
+}
+
+/**
+ * Extract arena region and convert to pattern frame
+ * @param {Object} options - Pipeline options (see quantizeGray)
+ * @returns {Uint8Array} Pattern frame data
+ */
+export function extractArenaRegion(options) {
+    if (!ImageConverterState.sourceCanvas) {
+        throw new Error('No image loaded');
+    }
+    const { sourceCanvas, arenaWidth, arenaHeight } = ImageConverterState;
+    return quantizeGray(sampleArenaRegion(sourceCanvas), arenaWidth, arenaHeight, options);
+}
+
+/**
+ * Generate a pattern from the loaded image
+ * @param {Object} options - Pipeline options (see quantizeGray)
  * @param {Object} arena - Arena configuration
  * @returns {Object} Pattern data compatible with state.pattern format
  */
@@ -427,6 +746,119 @@ export function generatePattern(options, arena) {
     };
 }
 
+/**
+ * Times at which to sample a clip for a pattern of numFrames frames: evenly
+ * spaced from start, one step apart, the last a step short of end
+ * @param {number} start - Clip start (seconds)
+ * @param {number} end - Clip end (seconds)
+ * @param {number} numFrames - Frames wanted
+ * @returns {number[]} Sample times in seconds
+ */
+export function sampleTimes(start, end, numFrames) {
+    return Array.from({ length: numFrames }, (_, i) => start + (i * (end - start)) / numFrames);
+}
+
+/**
+ * Index of the frame on screen at time t
+ * @param {number[]} startTimes - Ascending frame start times (seconds), first 0
+ * @param {number} t - Time in seconds
+ * @returns {number} Frame index
+ */
+export function frameIndexAt(startTimes, t) {
+    let lo = 0;
+    let hi = startTimes.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (startTimes[mid] <= t + 1e-9) lo = mid;
+        else hi = mid - 1;
+    }
+    return lo;
+}
+
+/**
+ * Generate a multi-frame pattern from the loaded video or animated GIF,
+ * resampling the clip between start and end to numFrames frames. Each frame
+ * goes through the same arena-region extraction as a still image; the
+ * frames are then quantized together, so equalization and contrast
+ * normalization see the whole clip.
+ * @param {Object} options - Generation options
+ * @param {number} options.gsMode - Grayscale mode (2 or 16)
+ * @param {number} options.numFrames - Frames in the pattern
+ * @param {number} [options.start=0] - Clip start (seconds)
+ * @param {number} [options.end] - Clip end (seconds, default the full clip)
+ *   Other options go to the quantization pipeline (see quantizeGray)
+ * @param {number} [options.stretch] - Stretch/duty byte for every frame
+ * @param {Object} arena - Arena configuration
+ * @param {function(number, number)} [onProgress] - Called with (done, total)
+ * @returns {Promise<Object>} Pattern data compatible with state.pattern format,
+ *   plus `source: {name, kind, start, end, times}`
+ */
+export async function generateSequencePattern(options, arena, onProgress) {
+    const seq = ImageConverterState.sequence;
+    if (!seq) throw new Error('No video or animated GIF loaded');
+
+    const { numFrames, start = 0, end = seq.duration } = options;
+    if (!Number.isInteger(numFrames) || numFrames < 1) {
+        throw new Error('Frame count must be a whole number ≥ 1');
+    }
+    if (!(start >= 0 && end > start && end <= seq.duration + 1e-6)) {
+        throw new Error(`Clip must satisfy 0 ≤ start < end ≤ ${seq.duration.toFixed(2)} s`);
+    }
+
+    const { arenaWidth, arenaHeight } = ImageConverterState;
+    const times = sampleTimes(start, end, numFrames);
+    const grays = [];
+    let frameCanvas = null;
+
+    try {
+        for (let i = 0; i < numFrames; i++) {
+            let source;
+            if (seq.kind === 'video') {
+                await seekVideo(seq.video, times[i]);
+                source = seq.video;
+            } else {
+                const index = frameIndexAt(seq.startTimes, times[i]);
+                source = frameCanvas = gifFrameCanvas(seq.frames[index].rgba, frameCanvas);
+            }
+            grays.push(sampleArenaRegion(source));
+            if (onProgress) onProgress(i + 1, numFrames);
+        }
+    } finally {
+        // Leave the video on its first frame, as shown in the preview
+        if (seq.kind === 'video') await seekVideo(seq.video, 0).catch(() => {});
+    }
+    const frames = PatternQuantizer.quantizeFrames(grays, arenaWidth, arenaHeight, options);
+
+    const pattern = {
+        generation: arena.generation || arena.arena?.generation,
+        gsMode: options.gsMode,
+        numFrames,
+        pixelRows: arenaHeight,
+        pixelCols: arenaWidth,
+        frames,
+        source: { name: ImageConverterState.sourceImage.name, kind: seq.kind, start, end, times }
+    };
+    if (options.stretch !== undefined) {
+        pattern.stretchValues = new Array(numFrames).fill(options.stretch);
+    }
+    return pattern;
+}
+
+/**
+ * Get the loaded frame sequence
+ * @returns {{kind: string, duration: number, frameCount: number|null}|null}
+ *   null for a still image; frameCount is null for video (not known up front)
+ */
+export function getSequenceInfo() {
+    const seq = ImageConverterState.sequence;
+    if (!seq) return null;
+    return {
+        kind: seq.kind,
+        duration: seq.duration,
+        frameCount: seq.kind === 'gif' ? seq.frames.length : null
+    };
+}
+
 /**
  * Check if an image is loaded
  * @returns {boolean} Whether an image is loaded
@@ -452,6 +884,7 @@ export function getImageInfo() {
  * Clear loaded image
  */
 export function clearImage() {
+    clearSequence();
     ImageConverterState.sourceImage = null;
     ImageConverterState.sourceCanvas = null;
     ImageConverterState.sourceWidth = 0;
@@ -460,19 +893,30 @@ export function clearImage() {
 }
 
 export default {
+    loadMedia,
     loadImage,
     resetTransform,
     setArenaDimensions,
     setTransform,
     getTransform,
+    setProjection,
+    getProjection,
+    setPanoramaView,
+    getPanoramaView,
+    getSourcePixels,
     calculateFitTransform,
     renderPreview,
     startDrag,
     updateDrag,
     endDrag,
     isDragging,
+    quantizeGray,
     extractArenaRegion,
     generatePattern,
+    sampleTimes,
+    frameIndexAt,
+    generateSequencePattern,
+    getSequenceInfo,
     hasImage,
     getImageInfo,
     clearImage
@@ -0,0 +1,381 @@
+/**
+ * Pattern Quantization Module
+ * The one path from continuous brightness to GS2/GS16 levels, shared by the
+ * image converter, the generator and the combiner.
+ *
+ * Pipeline (each step optional, in this order):
+ *   invert → histogram equalization → gamma → contrast normalization → dither
+ *
+ * Frames are gray values 0-255 (fractions allowed) throughout. Without any
+ * options, GS16 rounds gray × 15 / 255 and GS2 thresholds at 128, as the
+ * image converter always has.
+ *
+ * Supports dual loading, like pat-parser.js:
+ * - import PatternQuantizer from './quantize.js' (image converter, combiner)
+ * - window.PatternQuantizer / require() (generator)
+ *
+ * @module pattern-editor/tools/quantize
+ */
+
+const PatternQuantizer = (function () {
+    'use strict';
+
+    const DITHERS = ['none', 'floyd-steinberg', 'bayer', 'blue-noise'];
+    const NORMALIZE = ['none', 'mean', 'mean-rms'];
+
+    const BAYER_SIZE = 8;
+    const BLUE_NOISE_SIZE = 64;
+
+    /**
+     * Ordered-dither thresholds of a Bayer matrix, (rank + 0.5) / n²
+     * @param {number} n - Matrix size (power of 2)
+     * @returns {Float64Array} n×n thresholds in (0, 1), row-major
+     */
+    function bayerMatrix(n) {
+        let m = [0];
+        for (let size = 1; size < n; size *= 2) {
+            const next = new Array(4 * size * size);
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    const v = 4 * m[y * size + x];
+                    next[y * 2 * size + x] = v;
+                    next[y * 2 * size + x + size] = v + 2;
+                    next[(y + size) * 2 * size + x] = v + 3;
+                    next[(y + size) * 2 * size + x + size] = v + 1;
+                }
+            }
+            m = next;
+        }
+        return Float64Array.from(m, (v) => (v + 0.5) / (n * n));
+    }
+
+    let blueNoiseCache = null;
+
+    /**
+     * Blue-noise thresholds from the void-and-cluster method (Ulichney 1993):
+     * pixels are ranked by repeatedly filling the largest void of a
+     * toroidal Gaussian energy field, so every threshold level is spread
+     * evenly with no low-frequency structure. Deterministic; built once.
+     * @returns {Float64Array} 64×64 thresholds in (0, 1), row-major
+     */
+    function blueNoiseMask() {
+        if (blueNoiseCache) return blueNoiseCache;
+
+        const n = BLUE_NOISE_SIZE;
+        const count = n * n;
+        const sigma = 1.5;
+
+        // Toroidal Gaussian kernel indexed by (dy mod n) * n + (dx mod n)
+        const kernel = new Float64Array(count);
+        for (let dy = 0; dy < n; dy++) {
+            for (let dx = 0; dx < n; dx++) {
+                const wy = Math.min(dy, n - dy);
+                const wx = Math.min(dx, n - dx);
+                kernel[dy * n + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+            }
+        }
+
+        const bits = new Uint8Array(count);
+        const energy = new Float64Array(count);
+        const toggle = (p, sign) => {
+            bits[p] = sign > 0 ? 1 : 0;
+            const py = Math.floor(p / n);
+            const px = p % n;
+            for (let y = 0; y < n; y++) {
+                const ky = ((y - py + n) % n) * n;
+                for (let x = 0; x < n; x++) {
+                    energy[y * n + x] += sign * kernel[ky + ((x - px + n) % n)];
+                }
+            }
+        };
+        const extreme = (value, wantMax) => {
+            let best = -1;
+            for (let p = 0; p < count; p++) {
+                if (bits[p] !== value) continue;
+                if (best < 0 || (wantMax ? energy[p] > energy[best] : energy[p] < energy[best])) {
+                    best = p;
+                }
+            }
+            return best;
+        };
+
+        // Initial pattern: 10% of pixels from a seeded LCG
+        let seed = 1;
+        const initial = Math.floor(count / 10);
+        let placed = 0;
+        while (placed < initial) {
+            seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+            const p = seed % count;
+            if (!bits[p]) {
+                toggle(p, 1);
+                placed++;
+            }
+        }
+
+        // Spread it: move the tightest cluster to the largest void until stable
+        for (let guard = 0; guard < count; guard++) {
+            const cluster = extreme(1, true);
+            toggle(cluster, -1);
+            const gap = extreme(0, false);
+            toggle(gap, 1);
+            if (gap === cluster) break;
+        }
+
+        const rank = new Int32Array(count);
+        const prototype = bits.slice();
+        const prototypeEnergy = energy.slice();
+
+        // Rank the initial pixels by removing the tightest cluster each time
+        for (let r = initial - 1; r >= 0; r--) {
+            const cluster = extreme(1, true);
+            toggle(cluster, -1);
+            rank[cluster] = r;
+        }
+
+        // Rank the rest by filling the largest void each time. (Past half
+        // full this is the same as taking the tightest cluster of the
+        // remaining empty pixels, since their energy is the kernel sum
+        // minus this one.)
+        bits.set(prototype);
+        energy.set(prototypeEnergy);
+        for (let r = initial; r < count; r++) {
+            const gap = extreme(0, false);
+            toggle(gap, 1);
+            rank[gap] = r;
+        }
+
+        blueNoiseCache = Float64Array.from(rank, (r) => (r + 0.5) / count);
+        return blueNoiseCache;
+    }
+
+    /**
+     * Check pipeline options, filling in defaults
+     * @private
+     */
+    function resolveOptions(options) {
+        const {
+            gsMode = 16,
+            invert = false,
+            dither = 'none',
+            gamma = 1,
+            equalize = false,
+            normalize = 'none',
+            targetMean,
+            targetRms
+        } = options || {};
+        if (gsMode !== 2 && gsMode !== 16) throw new Error(`gsMode must be 2 or 16, got ${gsMode}`);
+        if (!DITHERS.includes(dither)) throw new Error(`Unknown dither method: ${dither}`);
+        if (!NORMALIZE.includes(normalize)) {
+            throw new Error(`Unknown contrast normalization: ${normalize}`);
+        }
+        if (!(gamma > 0)) throw new Error('Gamma must be > 0');
+        for (const [name, v] of [
+            ['targetMean', targetMean],
+            ['targetRms', targetRms]
+        ]) {
+            if (v !== undefined && !(v >= 0 && v <= 1)) {
+                throw new Error(`${name} must be between 0 and 1`);
+            }
+        }
+        return { gsMode, invert, dither, gamma, equalize, normalize, targetMean, targetRms };
+    }
+
+    /**
+     * Histogram-equalize gray frames in place, using one histogram over all
+     * frames so brightness changes between frames survive
+     * @private
+     */
+    function equalizeFrames(frames) {
+        const hist = new Float64Array(256);
+        let total = 0;
+        for (const f of frames) {
+            for (let i = 0; i < f.length; i++) hist[Math.round(f[i])]++;
+            total += f.length;
+        }
+        const cdf = new Float64Array(256);
+        let run = 0;
+        for (let b = 0; b < 256; b++) cdf[b] = run += hist[b];
+        const cdfMin = cdf.find((c) => c > 0);
+        const span = total - cdfMin;
+        for (const f of frames) {
+            for (let i = 0; i < f.length; i++) {
+                f[i] = span > 0 ? ((cdf[Math.round(f[i])] - cdfMin) / span) * 255 : f[i];
+            }
+        }
+    }
+
+    /**
+     * Mean luminance and RMS contrast (standard deviation) of a gray frame,
+     * both as fractions of full scale
+     * @param {ArrayLike<number>} frame - Gray values 0-255
+     * @returns {{mean: number, rms: number}} Both 0-1
+     */
+    function frameStats(frame) {
+        let sum = 0;
+        for (let i = 0; i < frame.length; i++) sum += frame[i];
+        const mean = sum / frame.length;
+        let sq = 0;
+        for (let i = 0; i < frame.length; i++) sq += (frame[i] - mean) ** 2;
+        return { mean: mean / 255, rms: Math.sqrt(sq / frame.length) / 255 };
+    }
+
+    /**
+     * Shift (and for 'mean-rms' scale) each frame about its mean so all
+     * frames share one mean and RMS contrast — the targets if given,
+     * otherwise the average over frames
+     * @private
+     */
+    function normalizeFrames(frames, mode, targetMean, targetRms) {
+        const stats = frames.map(frameStats);
+        const mean = targetMean ?? stats.reduce((s, st) => s + st.mean, 0) / stats.length;
+        const rms = targetRms ?? stats.reduce((s, st) => s + st.rms, 0) / stats.length;
+        frames.forEach((f, k) => {
+            const st = stats[k];
+            const gain = mode === 'mean-rms' && st.rms > 0 ? rms / st.rms : 1;
+            for (let i = 0; i < f.length; i++) {
+                f[i] = Math.max(0, Math.min(255, (f[i] - st.mean * 255) * gain + mean * 255));
+            }
+        });
+    }
+
+    /**
+     * Map one gray frame to levels with the chosen dither
+     * @private
+     */
+    function toLevels(gray, width, height, maxLevel, dither) {
+        const frame = new Uint8Array(width * height);
+        const clampLevel = (v) => Math.max(0, Math.min(maxLevel, v));
+
+        if (dither === 'bayer' || dither === 'blue-noise') {
+            const size = dither === 'bayer' ? BAYER_SIZE : BLUE_NOISE_SIZE;
+            const mask = dither === 'bayer' ? bayerMatrix(BAYER_SIZE) : blueNoiseMask();
+            for (let row = 0; row < height; row++) {
+                for (let col = 0; col < width; col++) {
+                    const i = row * width + col;
+                    const t = mask[(row % size) * size + (col % size)];
+                    frame[i] = clampLevel(Math.floor((gray[i] * maxLevel) / 255 + t));
+                }
+            }
+            return frame;
+        }
+
+        // GS16 maps 0-255 to 0-15 by rounding; GS2 thresholds at 128.
+        // Floyd-Steinberg diffuses each pixel's rounding error to its
+        // unvisited neighbours (7/16 right, 3/16 below-left, 5/16 below,
+        // 1/16 below-right), keeping the mean brightness of areas.
+        const values = Float64Array.from(gray, (g) => (g * maxLevel) / 255);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                const i = row * width + col;
+                const value = values[i];
+                const level = clampLevel(Math.round(value));
+                frame[i] = level;
+                if (dither === 'none') continue;
+
+                const err = value - level;
+                if (col + 1 < width) values[i + 1] += (err * 7) / 16;
+                if (row + 1 < height) {
+                    if (col > 0) values[i + width - 1] += (err * 3) / 16;
+                    values[i + width] += (err * 5) / 16;
+                    if (col + 1 < width) values[i + width + 1] += err / 16;
+                }
+            }
+        }
+        return frame;
+    }
+
+    return {
+        DITHERS,
+        NORMALIZE,
+        BAYER_SIZE,
+        BLUE_NOISE_SIZE,
+        bayerMatrix,
+        blueNoiseMask,
+        frameStats,
+
+        /**
+         * Quantize a sequence of gray frames to pattern levels
+         *
+         * Equalization and contrast normalization look at all frames
+         * together, so pass a whole sequence at once.
+         *
+         * @param {ArrayLike<number>[]} frames - Gray values 0-255, row-major
+         * @param {number} width - Columns
+         * @param {number} height - Rows
+         * @param {Object} [options] - Pipeline options
+         * @param {number} [options.gsMode=16] - Grayscale mode (2 or 16)
+         * @param {boolean} [options.invert=false] - Invert gray values first
+         * @param {boolean} [options.equalize=false] - Histogram equalization (joint over frames)
+         * @param {number} [options.gamma=1] - Exponent on intensity 0-1 (< 1 brightens midtones)
+         * @param {string} [options.normalize='none'] - 'none', 'mean' (match mean
+         *   luminance across frames) or 'mean-rms' (match mean and RMS contrast)
+         * @param {number} [options.targetMean] - Mean intensity (0-1) to match; default the frames' average
+         * @param {number} [options.targetRms] - RMS contrast (0-1) to match; default the frames' average
+         * @param {string} [options.dither='none'] - 'none', 'floyd-steinberg',
+         *   'bayer' (8×8 ordered) or 'blue-noise' (64×64 ordered)
+         * @returns {Uint8Array[]} Pattern levels per frame
+         * @throws {Error} On an unknown method or out-of-range option
+         */
+        quantizeFrames(frames, width, height, options) {
+            const opts = resolveOptions(options);
+            const maxLevel = opts.gsMode === 2 ? 1 : 15;
+            const gray = frames.map((f) => {
+                if (f.length !== width * height) {
+                    throw new Error(`Frame has ${f.length} values, expected ${width * height}`);
+                }
+                return Float64Array.from(f, (g) => {
+                    const v = Math.max(0, Math.min(255, g));
+                    return opts.invert ? 255 - v : v;
+                });
+            });
+
+            if (opts.equalize) equalizeFrames(gray);
+            if (opts.gamma !== 1) {
+                for (const f of gray) {
+                    for (let i = 0; i < f.length; i++) f[i] = 255 * (f[i] / 255) ** opts.gamma;
+                }
+            }
+            if (opts.normalize !== 'none') {
+                normalizeFrames(gray, opts.normalize, opts.targetMean, opts.targetRms);
+            }
+            return gray.map((f) => toLevels(f, width, height, maxLevel, opts.dither));
+        },
+
+        /**
+         * Quantize one gray frame; see quantizeFrames
+         * @param {ArrayLike<number>} gray - Gray values 0-255, row-major
+         * @param {number} width - Columns
+         * @param {number} height - Rows
+         * @param {Object} [options] - Pipeline options
+         * @returns {Uint8Array} Pattern levels
+         */
+        quantize(gray, width, height, options) {
+            return this.quantizeFrames([gray], width, height, options)[0];
+        },
+
+        /**
+         * Gray values (0-255) of pattern levels, fractional levels allowed,
+         * for sending level arithmetic back through the pipeline
+         * @param {ArrayLike<number>} levels - Levels 0-15 (GS16) or 0-1 (GS2)
+         * @param {number} gsMode - Grayscale mode (2 or 16)
+         * @returns {Float64Array}
+         */
+        fromLevels(levels, gsMode) {
+            const maxLevel = gsMode === 2 ? 1 : 15;
+            return Float64Array.from(levels, (v) => (v * 255) / maxLevel);
+        }
+    };
+})();
+
+// Export for Node.js (CommonJS)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatternQuantizer;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.PatternQuantizer = PatternQuantizer;
+}
+
+// ES module export (see pat-parser.js for the dual-loading notes)
+export default PatternQuantizer;
@@ -0,0 +1,512 @@
+/**
+ * Pattern Timeline Module
+ * Keyframed object layers (bar, disc, grating patch, image) rendered to
+ * pattern frames through PatternGenerator
+ *
+ * A timeline document is plain JSON, so it can be saved next to the .pat it
+ * renders and loaded back for editing. Angles in the document are degrees;
+ * PatternGenerator is called in radians.
+ *
+ * @module pattern-editor/tools/timeline
+ */
+
+(function () {
+    'use strict';
+
+    // Resolve PatternGenerator / ArenaGeometry (browser globals or Node.js require)
+    let Generator = null;
+    let Geometry = null;
+    if (typeof window !== 'undefined' && window.PatternGenerator) {
+        Generator = window.PatternGenerator;
+    } else if (typeof require !== 'undefined') {
+        try {
+            Generator = require('./generator.js');
+        } catch (e) {
+            // Will fail in render()
+        }
+    }
+    if (typeof window !== 'undefined' && window.ArenaGeometry) {
+        Geometry = window.ArenaGeometry;
+    } else if (typeof require !== 'undefined') {
+        try {
+            Geometry = require('../../arena-geometry.js');
+        } catch (e) {
+            // Will fail when an image layer is rendered
+        }
+    }
+
+    const DEG = Math.PI / 180;
+
+    /**
+     * Value of each keyframed property when no keyframe of the layer sets it
+     * (degrees, except contrast which is 0-1)
+     */
+    const PROPERTY_DEFAULTS = {
+        azimuth: 0,
+        elevation: 0,
+        width: 20,
+        height: 20,
+        contrast: 1,
+        phase: 0
+    };
+
+    /**
+     * Easing curves mapping segment progress t (0-1) to interpolation weight (0-1)
+     */
+    const EASINGS = {
+        linear: (t) => t,
+        step: () => 0,
+        'ease-in': (t) => t * t * t,
+        'ease-out': (t) => 1 - (1 - t) ** 3,
+        'ease-in-out': (t) => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2)
+    };
+
+    /**
+     * Pattern Timeline
+     *
+     * Document format (version 1):
+     *   { format: 'pattern-timeline', version: 1, numFrames, background, gsMode,
+     *     aaSamples, arenaModel, layers: [layer, ...] }
+     * Layer:
+     *   { id, name, type: 'bar'|'disc'|'grating'|'image', visible, keyframes,
+     *     level (bar/disc), wavelength/waveform/high/low (grating), image (image) }
+     * Keyframe:
+     *   { frame, easing, azimuth?, elevation?, width?, height?, contrast?, phase? }
+     *
+     * Each property is interpolated on its own, between the keyframes that set
+     * it; it holds its first value before them and its last value after. A
+     * keyframe's easing shapes the segment from that keyframe to the next.
+     * Layers composite in order, each over what is beneath it:
+     * out += contrast × coverage × (value − out).
+     */
+    const PatternTimeline = {
+        FORMAT: 'pattern-timeline',
+        VERSION: 1,
+        LAYER_TYPES: ['bar', 'disc', 'grating', 'image'],
+        PROPERTIES: Object.keys(PROPERTY_DEFAULTS),
+        EASINGS: Object.keys(EASINGS),
+
+        /**
+         * Create an empty timeline document
+         * @param {Object} [overrides] - Top-level fields to set (numFrames, background, ...)
+         * @returns {Object} Timeline document
+         */
+        createDocument(overrides = {}) {
+            return {
+                format: this.FORMAT,
+                version: this.VERSION,
+                numFrames: 100,
+                background: 0,
+                gsMode: 16,
+                aaSamples: 1,
+                arenaModel: 'smooth',
+                layers: [],
+                ...overrides
+            };
+        },
+
+        /**
+         * Create a layer with one keyframe at frame 0
+         * @param {string} type - 'bar', 'disc', 'grating' or 'image'
+         * @param {Object} [overrides] - Layer fields to set
+         * @returns {Object} Layer
+         */
+        createLayer(type, overrides = {}) {
+            if (!this.LAYER_TYPES.includes(type)) {
+                throw new Error(`Unknown layer type: ${type}. Use ${this.LAYER_TYPES.join(', ')}.`);
+            }
+            const layer = {
+                id: 'layer-' + Math.random().toString(36).slice(2, 8),
+                name: type,
+                type,
+                visible: true,
+                keyframes: [{ frame: 0, easing: 'linear' }]
+            };
+            if (type === 'bar' || type === 'disc') layer.level = 15;
+            if (type === 'grating') {
+                Object.assign(layer, { wavelength: 30, waveform: 'square', high: 15, low: 0 });
+            }
+            if (type === 'image') layer.image = { width: 1, height: 1, pixels: [15] };
+            return { ...layer, ...overrides };
+        },
+
+        /**
+         * Check a timeline document
+         * @param {Object} doc - Timeline document
+         * @returns {{valid: boolean, errors: string[]}} Validation result
+         */
+        validate(doc) {
+            const errors = [];
+            if (!doc || typeof doc !== 'object') {
+                return { valid: false, errors: ['Timeline must be an object'] };
+            }
+            if (doc.format !== this.FORMAT) {
+                errors.push(`format must be '${this.FORMAT}' (got ${JSON.stringify(doc.format)})`);
+            }
+            if (doc.version !== this.VERSION) {
+                errors.push(`Unsupported timeline version: ${doc.version}`);
+            }
+            if (!Number.isInteger(doc.numFrames) || doc.numFrames < 1) {
+                errors.push('numFrames must be an integer ≥ 1');
+            }
+            if (doc.gsMode !== 2 && doc.gsMode !== 16) {
+                errors.push('gsMode must be 2 or 16');
+            }
+            if (!Number.isFinite(doc.background)) errors.push('background must be a number');
+            if (!Array.isArray(doc.layers)) {
+                errors.push('layers must be an array');
+                return { valid: false, errors };
+            }
+
+            const ids = new Set();
+            doc.layers.forEach((layer, i) => {
+                const where = `layers[${i}]`;
+                if (!layer || typeof layer !== 'object') {
+                    errors.push(`${where} must be an object`);
+                    return;
+                }
+                if (ids.has(layer.id)) errors.push(`${where}: duplicate id ${layer.id}`);
+                ids.add(layer.id);
+                if (!this.LAYER_TYPES.includes(layer.type)) {
+                    errors.push(`${where}: unknown type ${JSON.stringify(layer.type)}`);
+                }
+                if (
+                    (layer.type === 'bar' || layer.type === 'disc') &&
+                    !Number.isFinite(layer.level)
+                ) {
+                    errors.push(`${where}: level must be a number`);
+                }
+                if (layer.type === 'grating' && !(layer.wavelength > 0)) {
+                    errors.push(`${where}: wavelength must be > 0`);
+                }
+                if (layer.type === 'image') {
+                    const img = layer.image;
+                    if (
+                        !img ||
+                        !Number.isInteger(img.width) ||
+                        !Number.isInteger(img.height) ||
+                        !Array.isArray(img.pixels) ||
+                        img.pixels.length !== img.width * img.height
+                    ) {
+                        errors.push(`${where}: image needs width, height and width×height pixels`);
+                    }
+                }
+                if (!Array.isArray(layer.keyframes)) {
+                    errors.push(`${where}: keyframes must be an array`);
+                    return;
+                }
+                const frames = new Set();
+                layer.keyframes.forEach((kf, k) => {
+                    const at = `${where}.keyframes[${k}]`;
+                    if (!Number.isInteger(kf.frame) || kf.frame < 0) {
+                        errors.push(`${at}: frame must be an integer ≥ 0`);
+                    } else if (frames.has(kf.frame)) {
+                        errors.push(`${at}: second keyframe at frame ${kf.frame}`);
+                    }
+                    frames.add(kf.frame);
+                    if (kf.easing !== undefined && !EASINGS[kf.easing]) {
+                        errors.push(`${at}: unknown easing ${JSON.stringify(kf.easing)}`);
+                    }
+                    for (const prop of this.PROPERTIES) {
+                        if (kf[prop] !== undefined && !Number.isFinite(kf[prop])) {
+                            errors.push(`${at}: ${prop} must be a number`);
+                        }
+                    }
+                });
+            });
+
+            return { valid: errors.length === 0, errors };
+        },
+
+        /**
+         * Parse a saved timeline (JSON text or object) and check it
+         * @param {string|Object} json - Timeline JSON
+         * @returns {Object} Timeline document
+         * @throws {Error} If the JSON is not a valid timeline
+         */
+        parse(json) {
+            const doc = typeof json === 'string' ? JSON.parse(json) : json;
+            const { valid, errors } = this.validate(doc);
+            if (!valid) throw new Error('Invalid timeline:\n' + errors.join('\n'));
+            return doc;
+        },
+
+        /**
+         * Serialize a timeline for saving
+         * @param {Object} doc - Timeline document
+         * @param {Object} [meta] - Extra top-level fields (e.g. patternFile, checksum)
+         * @returns {string} JSON text
+         */
+        stringify(doc, meta = {}) {
+            return JSON.stringify({ ...doc, ...meta }, null, 2);
+        },
+
+        /**
+         * Apply an easing curve
+         * @param {string} easing - Easing name (see EASINGS)
+         * @param {number} t - Segment progress, 0-1
+         * @returns {number} Interpolation weight, 0-1
+         */
+        ease(easing, t) {
+            const fn = EASINGS[easing || 'linear'];
+            if (!fn) throw new Error(`Unknown easing: ${easing}`);
+            return fn(Math.max(0, Math.min(1, t)));
+        },
+
+        /**
+         * Interpolated value of one property of a layer
+         * @param {Object} layer - Layer
+         * @param {string} prop - Property name (see PROPERTIES)
+         * @param {number} frame - Frame index
+         * @returns {number} Property value (degrees, or 0-1 for contrast)
+         */
+        valueAt(layer, prop, frame) {
+            const keys = layer.keyframes
+                .filter((kf) => kf[prop] !== undefined)
+                .sort((a, b) => a.frame - b.frame);
+            if (keys.length === 0) return PROPERTY_DEFAULTS[prop];
+            if (frame <= keys[0].frame) return keys[0][prop];
+            for (let k = 0; k < keys.length - 1; k++) {
+                const a = keys[k];
+                const b = keys[k + 1];
+                if (frame < b.frame) {
+                    const w = this.ease(a.easing, (frame - a.frame) / (b.frame - a.frame));
+                    return a[prop] + w * (b[prop] - a[prop]);
+                }
+            }
+            return keys[keys.length - 1][prop];
+        },
+
+        /**
+         * All keyframed properties of a layer at a frame
+         * @param {Object} layer - Layer
+         * @param {number} frame - Frame index
+         * @returns {Object} { azimuth, elevation, width, height, contrast, phase }
+         */
+        propertiesAt(layer, frame) {
+            const out = {};
+            for (const prop of this.PROPERTIES) out[prop] = this.valueAt(layer, prop, frame);
+            return out;
+        },
+
+        /**
+         * Render a timeline to a pattern
+         * @param {Object} doc - Timeline document
+         * @param {Object} arena - Arena configuration
+         * @param {Object} [options] - { stretch }
+         * @returns {Object} Pattern data compatible with pat-encoder, plus `timeline` (the document)
+         */
+        render(doc, arena, options = {}) {
+            const gen = Generator;
+            if (!gen) {
+                throw new Error(
+                    'PatternGenerator module not available. Include generator.js before timeline.js.'
+                );
+            }
+            this.parse(doc);
+
+            const { numFrames, background, gsMode, aaSamples = 1, arenaModel = 'smooth' } = doc;
+            const dims = gen.getArenaDimensions(arena);
+            const { pixelRows, pixelCols, generation, rows, cols } = dims;
+            const maxLevel = gsMode === 2 ? 1 : 15;
+            const common = { gsMode, aaSamples, arenaModel };
+
+            const layers = doc.layers.filter((layer) => layer.visible !== false);
+            // Last rendered layer image, reused while a layer's properties don't change
+            const cache = new Map();
+            let directions = null;
+
+            const frames = [];
+            const stretchValues = [];
+            const acc = new Float64Array(pixelRows * pixelCols);
+
+            for (let f = 0; f < numFrames; f++) {
+                acc.fill(background);
+
+                for (const layer of layers) {
+                    const p = this.propertiesAt(layer, f);
+                    if (
+                        p.contrast === 0 ||
+                        p.width <= 0 ||
+                        (layer.type !== 'disc' && p.height <= 0)
+                    ) {
+                        continue;
+                    }
+                    const key = JSON.stringify(p);
+                    let drawn = cache.get(layer.id);
+                    if (!drawn || drawn.key !== key) {
+                        if (layer.type === 'image' && !directions) {
+                            directions = this._pixelDirections(dims, arena, arenaModel);
+                        }
+                        drawn = {
+                            key,
+                            ...this._drawLayer(gen, layer, p, arena, common, directions)
+                        };
+                        cache.set(layer.id, drawn);
+                    }
+                    const { coverage, value } = drawn;
+                    for (let i = 0; i < acc.length; i++) {
+                        const a = p.contrast * coverage[i];
+                        if (a) acc[i] += a * ((value === null ? layer.level : value[i]) - acc[i]);
+                    }
+                }
+
+                const frame = gen.createEmptyFrame(pixelRows, pixelCols);
+                for (let i = 0; i < acc.length; i++) {
+                    frame[i] = Math.max(0, Math.min(maxLevel, Math.round(acc[i])));
+                }
+                frames.push(frame);
+                // Per-LED duty_cycle byte written to the .pat (0-255, 128 = 50%).
+                // Caller passes options.stretch from the editor's brightness control;
+                // 128 default keeps patterns visible on hardware (see pat-encoder.js).
+                stretchValues.push(options.stretch ?? 128);
+            }
+
+            return {
+                generation,
+                gs_val: gsMode,
+                numFrames,
+                rowCount: rows,
+                colCount: cols,
+                pixelRows,
+                pixelCols,
+                frames,
+                stretchValues,
+                timeline: JSON.parse(JSON.stringify(doc))
+            };
+        },
+
+        /**
+         * Coverage (0-1 per pixel) and per-pixel value (null = layer.level) of one
+         * layer at one frame. Shapes are drawn by PatternGenerator as a bright
+         * figure at 0-255 on 0, so anti-aliased edges keep 8-bit coverage.
+         * @private
+         */
+        _drawLayer(gen, layer, p, arena, common, directions) {
+            const mask = { ...common, polarity: 'bright', high: 255, low: 0, gsMode: 16 };
+            const rect = (extra) =>
+                gen.generateObject(
+                    {
+                        ...mask,
+                        width: p.width * DEG,
+                        height: p.height * DEG,
+                        elevation: p.elevation * DEG,
+                        motion: 'trajectory',
+                        trajectory: [p.azimuth * DEG],
+                        ...extra
+                    },
+                    arena
+                ).frames[0];
+
+            let shape;
+            if (layer.type === 'bar') {
+                shape = gen.generateBar(
+                    {
+                        ...mask,
+                        width: p.width * DEG,
+                        motion: 'trajectory',
+                        trajectory: [p.azimuth * DEG]
+                    },
+                    arena
+                ).frames[0];
+            } else if (layer.type === 'disc') {
+                shape = gen.generateDisc(
+                    { ...mask, center: [p.azimuth * DEG, p.elevation * DEG], size: p.width * DEG },
+                    arena
+                ).frames[0];
+            } else {
+                shape = rect();
+            }
+            const coverage = Float64Array.from(shape, (v) => v / 255);
+
+            let value = null;
+            if (layer.type === 'grating') {
+                // Vertical stripes (rotation about the arena's vertical axis)
+                value = gen.generateSphericalGrating(
+                    {
+                        ...common,
+                        spatFreq: layer.wavelength * DEG,
+                        waveform: layer.waveform || 'square',
+                        dutyCycle: layer.dutyCycle ?? 50,
+                        high: layer.high ?? 15,
+                        low: layer.low ?? 0,
+                        poleCoord: [0, -Math.PI / 2],
+                        numFrames: 1,
+                        phaseShift: (p.phase / layer.wavelength) * 100
+                    },
+                    arena
+                ).frames[0];
+            } else if (layer.type === 'image') {
+                value = this._sampleImage(layer.image, p, directions);
+            }
+            return { coverage, value };
+        },
+
+        /**
+         * Azimuth and elevation (radians) of every pixel center
+         * @private
+         */
+        _pixelDirections(dims, arena, arenaModel) {
+            const geom = Geometry;
+            if (!geom) {
+                throw new Error(
+                    'ArenaGeometry module not available. Include arena-geometry.js before using image layers.'
+                );
+            }
+            const { pixelRows, pixelCols, rows, cols, installedCols, panelSize } = dims;
+            const numCircle = arena.numCircle || arena.num_cols_full || arena.Pcircle || cols;
+            const coords = geom.arenaCoordinates({
+                panelSize,
+                numCols: installedCols,
+                numRows: rows,
+                numCircle,
+                model: arenaModel
+            });
+            const az = new Float64Array(pixelRows * pixelCols);
+            const el = new Float64Array(pixelRows * pixelCols);
+            for (let row = 0; row < pixelRows; row++) {
+                for (let col = 0; col < pixelCols; col++) {
+                    const x = coords.x[row][col];
+                    const y = coords.y[row][col];
+                    az[row * pixelCols + col] = Math.atan2(x, y);
+                    el[row * pixelCols + col] = Math.atan2(
+                        coords.z[row][col],
+                        Math.sqrt(x * x + y * y)
+                    );
+                }
+            }
+            return { az, el };
+        },
+
+        /**
+         * Nearest-neighbour sample of an image (row 0 = top) stretched over the
+         * layer's azimuth × elevation rectangle
+         * @private
+         */
+        _sampleImage(image, p, directions) {
+            const { az, el } = directions;
+            const value = new Float64Array(az.length);
+            const w = p.width * DEG;
+            const h = p.height * DEG;
+            for (let i = 0; i < az.length; i++) {
+                let dAz = az[i] - p.azimuth * DEG;
+                dAz -= 2 * Math.PI * Math.floor((dAz + Math.PI) / (2 * Math.PI));
+                const u = Math.floor((dAz / w + 0.5) * image.width);
+                const v = Math.floor((0.5 - (el[i] - p.elevation * DEG) / h) * image.height);
+                const cu = Math.max(0, Math.min(image.width - 1, u));
+                const cv = Math.max(0, Math.min(image.height - 1, v));
+                value[i] = image.pixels[cv * image.width + cu];
+            }
+            return value;
+        }
+    };
+
+    // Export for both browser and Node.js
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PatternTimeline;
+    }
+    // Make available globally in browser
+    if (typeof window !== 'undefined') {
+        window.PatternTimeline = PatternTimeline;
+    }
+})();
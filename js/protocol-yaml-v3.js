@@ -40,6 +40,7 @@ import * as YAML from 'yaml';
 
 const KNOWN_TOP_LEVEL_KEYS = [
     'version',
+    'requires',
     'experiment_info',
     'rig',
     'variables',
@@ -51,10 +52,78 @@ const KNOWN_TOP_LEVEL_KEYS = [
 
 const KNOWN_EXPERIMENT_INFO_KEYS = ['name', 'date_created', 'author', 'pattern_library'];
 
-const KNOWN_BLOCK_KEYS = ['name', 'trials', 'repetitions', 'randomize', 'intertrial'];
+const KNOWN_BLOCK_KEYS = [
+    'name',
+    'trials',
+    'repetitions',
+    'randomize',
+    'intertrial',
+    'trial_check',
+    // `repeat_until` (design doc §4) lives flat on the block.
+    'flow_control',
+    'min_repeats',
+    'max_repeats',
+    'criterion'
+];
+
+// Entry-level flow control (docs/development/v3-flow-control-design.md §3): a
+// `condition:`-first mapping in `experiment:`. Without `flow_control:` it is
+// just a long-hand bare ref.
+const KNOWN_CHECK_ENTRY_KEYS = [
+    'condition',
+    'flow_control',
+    'criterion',
+    'on_fail',
+    'max_attempts',
+    'on_exhausted'
+];
 
 const KNOWN_CONDITION_KEYS = ['name', 'commands'];
 
+// ── Flow control (docs/development/v3-flow-control-design.md) ──
+//
+// Capability tokens this parser/runner understands in top-level `requires:`
+// (§7). A protocol naming any other token is refused rather than run wrong.
+const SUPPORTED_CAPABILITIES = ['flow_control'];
+
+const TRIAL_CHECK_KEYS = ['criterion', 'on_fail', 'max_attempts', 'on_exhausted'];
+const REPEAT_UNTIL_KEYS = ['criterion', 'min_repeats', 'max_repeats'];
+const KNOWN_CRITERION_KEYS = [
+    'metric',
+    'statistic',
+    'stop_when',
+    'level',
+    'threshold',
+    'baseline',
+    'fraction'
+];
+
+// Every metric a Stage 1 criterion may name (§2 "Metrics"). Whether the
+// current rig can actually supply it is a runner question; an unknown name is
+// an authoring error here. Mirrors js/criterion-eval.js METRICS (the browser
+// runner's set) plus the MATLAB-only and device-health names.
+const CRITERION_METRICS = [
+    'walking_speed',
+    'forward_speed',
+    'speed',
+    'turning_speed',
+    'turning_velocity',
+    'heading',
+    'wingbeat_frequency',
+    'tracking_dropouts',
+    'tracking_quality',
+    'link_status'
+];
+// The subset the browser runner cannot supply yet (soft export warning).
+const WEB_UNSUPPORTED_METRICS = ['wingbeat_frequency', 'tracking_quality', 'link_status'];
+// Angles (js/criterion-eval.js `circular`): mean only (the circular mean), and
+// only against an absolute threshold — no fraction_* and no baseline × fraction.
+const CIRCULAR_CRITERION_METRICS = ['heading'];
+const CRITERION_STATISTICS = ['mean', 'fraction_below', 'fraction_above'];
+const CRITERION_STOP_WHEN = ['below', 'above'];
+const BASELINE_UNITS = ['minutes', 'seconds'];
+const ON_EXHAUSTED = ['advance', 'abort'];
+
 const KNOWN_COMMAND_KEYS_BY_TYPE = {
     controller: [
         'type',
@@ -199,6 +268,10 @@ function parseV3Protocol(yamlText) {
     // Build the in-memory model
     const experiment = {
         version: 3,
+        // Capability tokens (flow-control design §7). Parsed as declared; an
+        // unsupported or missing token is a blocking error, not a parse error,
+        // so such a protocol still opens for editing.
+        requires: extractRequires(data.requires),
         experiment_info: extractExperimentInfo(data.experiment_info),
         rig_path: String(data.rig),
         variables: extractVariables(doc),
@@ -387,10 +460,94 @@ function extractCommand(cmd) {
     return out;
 }
 
+function extractRequires(raw) {
+    if (raw === undefined || raw === null) return [];
+    if (!Array.isArray(raw) || raw.some((t) => typeof t !== 'string' || !t)) {
+        throw new V3ParseError(
+            '`requires` must be a list of capability names, e.g. [flow_control]',
+            'INVALID_SCHEMA'
+        );
+    }
+    return raw.slice();
+}
+
+// Copy `keys` of `raw` into a detached plain object (nested maps deep-copied).
+function _pickDetached(raw, keys) {
+    const out = {};
+    for (const k of keys) {
+        if (raw[k] === undefined) continue;
+        out[k] =
+            raw[k] !== null && typeof raw[k] === 'object'
+                ? JSON.parse(JSON.stringify(raw[k]))
+                : raw[k];
+    }
+    return out;
+}
+
+/**
+ * Pull the four `trial_check` fields out of a block-level `trial_check:` map or
+ * an entry-level `condition:` mapping into a detached plain object. Values are
+ * checked by validateFlowControl (so a half-authored check still opens for
+ * editing); the runner re-checks and fails closed. When `knownKeys` is given
+ * (block level), stray keys of the `trial_check:` map land in `_unknownKeys`.
+ */
+function extractTrialCheck(raw, where, knownKeys) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new V3ParseError(where + ': `trial_check` must be a mapping', 'INVALID_SCHEMA');
+    }
+    const out = _pickDetached(raw, TRIAL_CHECK_KEYS);
+    if (knownKeys) out._unknownKeys = extractUnknownKeys(raw, knownKeys);
+    return out;
+}
+
+/**
+ * Pull the `repeat_until` fields off a block mapping (they sit flat on the
+ * block, beside `trials:`) into a detached plain object. Shape only, like
+ * extractTrialCheck.
+ */
+function extractRepeatUntil(raw) {
+    return _pickDetached(raw, REPEAT_UNTIL_KEYS);
+}
+
 function extractSequenceEntry(entry) {
     if (typeof entry === 'string') {
         return { kind: 'ref', condition_name: entry };
     }
+    if (entry && typeof entry === 'object' && entry.trials === undefined && 'condition' in entry) {
+        // Entry-level `condition:` mapping — a ref that may carry a trial_check.
+        if (typeof entry.condition !== 'string' || !entry.condition.trim()) {
+            throw new V3ParseError(
+                'Sequence entry `condition:` must be a non-empty condition name',
+                'INVALID_SCHEMA'
+            );
+        }
+        const where = 'Entry "' + entry.condition + '"';
+        const out = { kind: 'ref', condition_name: entry.condition };
+        if (entry.flow_control !== undefined && entry.flow_control !== 'trial_check') {
+            throw new V3ParseError(
+                where +
+                    ': unsupported `flow_control: ' +
+                    JSON.stringify(entry.flow_control) +
+                    '` (a condition entry supports trial_check)',
+                'INVALID_SCHEMA'
+            );
+        }
+        if (entry.flow_control === undefined) {
+            // Check fields without the construct name would be silently ignored.
+            const stray = TRIAL_CHECK_KEYS.filter((k) => entry[k] !== undefined);
+            if (stray.length) {
+                throw new V3ParseError(
+                    where + ': ' + stray.join(', ') + ' need `flow_control: trial_check`',
+                    'INVALID_SCHEMA'
+                );
+            }
+        } else {
+            out.flow_control = entry.flow_control;
+            out.trial_check = extractTrialCheck(entry, where);
+        }
+        out._unknownKeys = extractUnknownKeys(entry, KNOWN_CHECK_ENTRY_KEYS);
+        return out;
+    }
     if (entry && typeof entry === 'object') {
         // Block object
         if (!Array.isArray(entry.trials) || entry.trials.length === 0) {
@@ -420,7 +577,7 @@ function extractSequenceEntry(entry) {
             }
             repetitions = entry.repetitions;
         }
-        return {
+        const block = {
             kind: 'block',
             name: typeof entry.name === 'string' ? entry.name : null,
             trials: entry.trials.map(String),
@@ -429,6 +586,40 @@ function extractSequenceEntry(entry) {
             intertrial: typeof entry.intertrial === 'string' ? entry.intertrial : null,
             _unknownKeys: extractUnknownKeys(entry, KNOWN_BLOCK_KEYS)
         };
+        // Block-level check: applies to every trial in the block (not the ITI).
+        const where = 'Block "' + (entry.name || '?') + '"';
+        if (entry.trial_check !== undefined) {
+            block.trial_check = extractTrialCheck(entry.trial_check, where, TRIAL_CHECK_KEYS);
+        }
+        if (entry.flow_control !== undefined && entry.flow_control !== 'repeat_until') {
+            throw new V3ParseError(
+                where +
+                    ': unsupported `flow_control: ' +
+                    JSON.stringify(entry.flow_control) +
+                    '` (a block supports repeat_until; put a per-trial check under `trial_check:`)',
+                'INVALID_SCHEMA'
+            );
+        }
+        if (entry.flow_control === 'repeat_until') {
+            // `repetitions: N` is the degenerate min = max = N case (§4).
+            if (entry.repetitions !== undefined) {
+                throw new V3ParseError(
+                    where + ' sets both `repetitions` and `repeat_until` — use one or the other',
+                    'INVALID_SCHEMA'
+                );
+            }
+            block.flow_control = entry.flow_control;
+            block.repeat_until = extractRepeatUntil(entry);
+        } else {
+            const stray = REPEAT_UNTIL_KEYS.filter((k) => entry[k] !== undefined);
+            if (stray.length) {
+                throw new V3ParseError(
+                    where + ': ' + stray.join(', ') + ' need `flow_control: repeat_until`',
+                    'INVALID_SCHEMA'
+                );
+            }
+        }
+        return block;
     }
     throw new V3ParseError(
         'Experiment sequence entry must be a string or mapping; got ' + typeof entry,
@@ -496,6 +687,225 @@ function validateReferences(experiment) {
                 );
             }
         }
+        // A trial_check's recovery condition is a reference like any other.
+        const check = entry.trial_check;
+        const run = check && check.on_fail && check.on_fail.run;
+        if (typeof run === 'string' && run && !condNames.has(run)) {
+            errors.push(
+                'sequence[' +
+                    i +
+                    '].trial_check.on_fail.run: "' +
+                    run +
+                    '" not in conditions library'
+            );
+        }
+    }
+    return { ok: errors.length === 0, errors };
+}
+
+// True when the sequence uses either Stage 1 flow-control construct.
+function usesFlowControl(experiment) {
+    return ((experiment && experiment.sequence) || []).some(
+        (e) => e.trial_check !== undefined || e.repeat_until !== undefined
+    );
+}
+
+function _isMapping(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Push every schema problem of one `criterion:` mapping (design doc §2, §9).
+function _criterionErrors(c, where, errors) {
+    if (!_isMapping(c)) {
+        errors.push(
+            where + ': `criterion` is required (a {metric, statistic, stop_when, …} mapping)'
+        );
+        return;
+    }
+    if (c.window !== undefined) {
+        errors.push(
+            where +
+                '.criterion.window: the evaluation window is implied by the construct ' +
+                '(the trial or repetition just run) and is not a field'
+        );
+    }
+    for (const k of Object.keys(c)) {
+        if (k !== 'window' && !KNOWN_CRITERION_KEYS.includes(k)) {
+            errors.push(where + '.criterion: unknown field "' + k + '"');
+        }
+    }
+    if (!CRITERION_METRICS.includes(c.metric)) {
+        errors.push(
+            where +
+                '.criterion.metric: ' +
+                (c.metric === undefined
+                    ? 'required'
+                    : 'unknown metric ' + JSON.stringify(c.metric)) +
+                ' (one of ' +
+                CRITERION_METRICS.join(', ') +
+                ')'
+        );
+    }
+    if (!CRITERION_STATISTICS.includes(c.statistic)) {
+        errors.push(
+            where + '.criterion.statistic: must be one of ' + CRITERION_STATISTICS.join(' | ')
+        );
+    }
+    if (!CRITERION_STOP_WHEN.includes(c.stop_when)) {
+        errors.push(where + '.criterion.stop_when: must be below | above');
+    }
+    const fractionStat = c.statistic === 'fraction_below' || c.statistic === 'fraction_above';
+    const circular = CIRCULAR_CRITERION_METRICS.includes(c.metric);
+    if (circular && fractionStat) {
+        errors.push(
+            where + '.criterion.statistic: ' + c.metric + ' is an angle; only mean applies'
+        );
+    }
+    if (fractionStat && !Number.isFinite(c.level)) {
+        errors.push(where + '.criterion.level: required (a number) for ' + c.statistic);
+    } else if (c.statistic === 'mean' && c.level !== undefined) {
+        errors.push(where + '.criterion.level: only applies to fraction_below / fraction_above');
+    }
+
+    // Absolute XOR relative (§9): threshold, or baseline + fraction.
+    const hasThreshold = c.threshold !== undefined;
+    const hasRelative = c.baseline !== undefined || c.fraction !== undefined;
+    if (hasThreshold && hasRelative) {
+        errors.push(
+            where + '.criterion: `threshold` and `baseline`+`fraction` are mutually exclusive'
+        );
+    } else if (!hasThreshold && !hasRelative) {
+        errors.push(where + '.criterion: needs `threshold`, or `baseline` + `fraction`');
+    }
+    if (hasThreshold) {
+        if (!Number.isFinite(c.threshold)) {
+            errors.push(where + '.criterion.threshold: must be a number');
+        } else if (fractionStat && (c.threshold < 0 || c.threshold > 1)) {
+            errors.push(where + '.criterion.threshold: a fraction statistic compares against 0..1');
+        }
+    }
+    if (!hasRelative) return;
+    if (circular) {
+        errors.push(where + '.criterion.baseline: ' + c.metric + ' needs an absolute threshold');
+    }
+    if (c.statistic !== 'mean') {
+        errors.push(where + '.criterion.baseline: relative comparison is defined for mean only');
+    }
+    if (!Number.isFinite(c.fraction) || c.fraction <= 0) {
+        errors.push(where + '.criterion.fraction: required with baseline (a number > 0)');
+    }
+    const b = c.baseline;
+    if (!_isMapping(b)) {
+        errors.push(where + '.criterion.baseline: required with fraction ({window, units})');
+        return;
+    }
+    if (b.units !== undefined && !BASELINE_UNITS.includes(b.units)) {
+        errors.push(where + '.criterion.baseline.units: must be minutes | seconds');
+    }
+    const w = b.window;
+    if (
+        !Array.isArray(w) ||
+        w.length !== 2 ||
+        !Number.isFinite(w[0]) ||
+        !Number.isFinite(w[1]) ||
+        w[0] < 0 ||
+        w[1] <= w[0]
+    ) {
+        errors.push(
+            where +
+                '.criterion.baseline.window: must be [start, end] with 0 <= start < end, got ' +
+                JSON.stringify(w)
+        );
+    }
+}
+
+function _trialCheckErrors(check, unknownKeys, where, errors) {
+    _criterionErrors(check.criterion, where, errors);
+    if (!Number.isInteger(check.max_attempts) || check.max_attempts < 1) {
+        errors.push(
+            where + '.max_attempts: required, an integer >= 1 (total attempts, including the first)'
+        );
+    }
+    if (!ON_EXHAUSTED.includes(check.on_exhausted)) {
+        errors.push(where + '.on_exhausted: required, advance | abort (no default)');
+    }
+    if (check.on_fail !== undefined && check.on_fail !== null) {
+        if (!_isMapping(check.on_fail)) {
+            errors.push(where + '.on_fail: must be a mapping {run: <condition>}');
+        } else if (
+            check.on_fail.run !== undefined &&
+            (typeof check.on_fail.run !== 'string' || !check.on_fail.run)
+        ) {
+            errors.push(where + '.on_fail.run: must be a condition name');
+        }
+    }
+    // Retry timing (§3): a failed trial is retried immediately, after the
+    // recovery condition. Requeued retries are deliberately not built.
+    if (unknownKeys && unknownKeys.retry !== undefined) {
+        errors.push(
+            where +
+                '.retry: not supported — a failed trial is retried immediately after on_fail.run'
+        );
+    }
+}
+
+/**
+ * Validate the Stage 1 flow-control constructs against the design doc's field
+ * requirements (docs/development/v3-flow-control-design.md §9): `requires:`
+ * capabilities, every `criterion` (metric name, statistic, level, absolute vs
+ * baseline-relative threshold, baseline window bounds), trial_check caps and
+ * retry timing, and repeat_until caps. References (`on_fail.run`) are checked
+ * by validateReferences.
+ *
+ * Returns { ok, errors } — the same shape as validateReferences. Never throws.
+ * A runner must refuse a protocol that fails this rather than run it wrong.
+ */
+function validateFlowControl(experiment) {
+    const errors = [];
+    if (!experiment || !Array.isArray(experiment.sequence)) {
+        return { ok: false, errors: ['experiment.sequence missing or not an array'] };
+    }
+    const requires = Array.isArray(experiment.requires) ? experiment.requires : [];
+    for (const token of requires) {
+        if (!SUPPORTED_CAPABILITIES.includes(token)) {
+            errors.push('requires: unsupported capability "' + token + '"');
+        }
+    }
+    if (usesFlowControl(experiment) && !requires.includes('flow_control')) {
+        errors.push(
+            'requires: [flow_control] must be declared at the top level of a protocol ' +
+                'using trial_check or repeat_until'
+        );
+    }
+    for (let i = 0; i < experiment.sequence.length; i++) {
+        const entry = experiment.sequence[i];
+        const where = 'sequence[' + i + ']';
+        if (entry.trial_check !== undefined) {
+            const check = entry.trial_check;
+            if (entry.kind === 'ref') {
+                _trialCheckErrors(check, entry._unknownKeys, where, errors);
+            } else {
+                _trialCheckErrors(check, check._unknownKeys, where + '.trial_check', errors);
+                for (const k of Object.keys(check._unknownKeys || {})) {
+                    if (k !== 'retry')
+                        errors.push(where + '.trial_check: unknown field "' + k + '"');
+                }
+            }
+        }
+        if (entry.repeat_until !== undefined) {
+            const r = entry.repeat_until;
+            _criterionErrors(r.criterion, where, errors);
+            if (!Number.isInteger(r.max_repeats) || r.max_repeats < 1) {
+                errors.push(where + '.max_repeats: required, an integer >= 1');
+            } else if (
+                r.min_repeats !== undefined &&
+                (!Number.isInteger(r.min_repeats) ||
+                    r.min_repeats < 1 ||
+                    r.min_repeats > r.max_repeats)
+            ) {
+                errors.push(where + '.min_repeats: must be an integer in [1, max_repeats]');
+            }
+        }
     }
     return { ok: errors.length === 0, errors };
 }
@@ -503,8 +913,9 @@ function validateReferences(experiment) {
 /**
  * Collect blocking (hard) errors that should gate export. A blocking sibling to
  * the soft-warn collectExportWarnings: this composes validateReferences (all of
- * its structural reference errors) and adds two CST-level anchor checks that
- * only the YAML.Document can surface:
+ * its structural reference errors) and validateFlowControl (the flow-control
+ * field requirements), and adds two CST-level anchor checks that only the
+ * YAML.Document can surface:
  *
  *   - Duplicate anchor names: yaml@2 silently accepts two `&dup` declarations
  *     (the later one wins on resolution), so we count anchor names ourselves.
@@ -526,9 +937,12 @@ function _linesSuffix(lines) {
 }
 
 function collectBlockingErrors(experiment) {
-    // Fold in all structural reference errors first.
+    // Fold in all structural reference errors first, then flow-control schema.
     const base = validateReferences(experiment);
     const errors = base.ok ? [] : base.errors.slice();
+    if (experiment && Array.isArray(experiment.sequence)) {
+        errors.push(...validateFlowControl(experiment).errors);
+    }
 
     // The two anchor checks need the CST; skip gracefully when it's absent.
     if (experiment && experiment._doc && typeof YAML.visit === 'function') {
@@ -625,6 +1039,8 @@ function collectBlockingErrors(experiment) {
  *     in `plugins:` and isn't the built-in 'log'
  *   - raw-command: command preserved as forward-compat unknown type
  *     (informational only — designer can't edit it semantically)
+ *   - web-unsupported-metric: a flow-control criterion names a metric the
+ *     browser runner cannot supply
  *
  * Returns { warnings: [{kind, message, ...meta}], totalCount }. Never throws.
  */
@@ -643,6 +1059,8 @@ function collectExportWarnings(experiment, arenaGeneration) {
             for (const t of entry.trials) usedCondNames.add(t);
             if (entry.intertrial) usedCondNames.add(entry.intertrial);
         }
+        const onFail = entry.trial_check && entry.trial_check.on_fail;
+        if (onFail && typeof onFail.run === 'string') usedCondNames.add(onFail.run);
     }
     for (const c of experiment.conditions) {
         if (!usedCondNames.has(c.name)) {
@@ -778,6 +1196,26 @@ function collectExportWarnings(experiment, arenaGeneration) {
         }
     }
 
+    // 6. Flow-control metrics the browser runner cannot supply (MATLAB-only or
+    // not yet streamed). Valid protocol; the web runner would fail closed.
+    const metricsSeen = new Set();
+    for (const entry of experiment.sequence || []) {
+        for (const spec of [entry.trial_check, entry.repeat_until]) {
+            const metric = spec && spec.criterion && spec.criterion.metric;
+            if (WEB_UNSUPPORTED_METRICS.includes(metric) && !metricsSeen.has(metric)) {
+                metricsSeen.add(metric);
+                warnings.push({
+                    kind: 'web-unsupported-metric',
+                    name: metric,
+                    message:
+                        'Criterion metric "' +
+                        metric +
+                        '" is not available to the browser runner (MATLAB only for now).'
+                });
+            }
+        }
+    }
+
     return { warnings, totalCount: warnings.length };
 }
 
@@ -1274,6 +1712,14 @@ function _buildSequenceEntry(doc, entry) {
         if (typeof entry.condition_name !== 'string' || !entry.condition_name) {
             throw new V3ParseError('ref entry needs a condition_name', 'INVALID_INPUT');
         }
+        if (entry.trial_check) {
+            // An entry-level check turns the bare ref into a `condition:` map.
+            const refShape = Object.assign(
+                { condition: entry.condition_name, flow_control: 'trial_check' },
+                _pickDetached(entry.trial_check, TRIAL_CHECK_KEYS)
+            );
+            return { node: doc.createNode(refShape), jsEntry: extractSequenceEntry(refShape) };
+        }
         return {
             node: doc.createNode(entry.condition_name),
             jsEntry: { kind: 'ref', condition_name: entry.condition_name }
@@ -1307,6 +1753,24 @@ function _buildSequenceEntry(doc, entry) {
         if (entry.randomize === true) blockShape.randomize = true;
         if (typeof entry.intertrial === 'string' && entry.intertrial)
             blockShape.intertrial = entry.intertrial;
+        // Flow-control fields ride along so a replace (ref↔block convert)
+        // doesn't silently drop them. Mirror via the parser's own extractor.
+        if (entry.trial_check || entry.repeat_until) {
+            if (entry.trial_check) {
+                blockShape.trial_check = _pickDetached(entry.trial_check, TRIAL_CHECK_KEYS);
+            }
+            if (entry.repeat_until) {
+                if (blockShape.repetitions !== undefined) {
+                    throw new V3ParseError(
+                        '_buildSequenceEntry: a block sets either repetitions or repeat_until',
+                        'INVALID_SCHEMA'
+                    );
+                }
+                blockShape.flow_control = 'repeat_until';
+                Object.assign(blockShape, _pickDetached(entry.repeat_until, REPEAT_UNTIL_KEYS));
+            }
+            return { node: doc.createNode(blockShape), jsEntry: extractSequenceEntry(blockShape) };
+        }
         return {
             node: doc.createNode(blockShape),
             jsEntry: {
@@ -1440,6 +1904,218 @@ function docReplaceSequenceEntry(experiment, idx, newEntry) {
     experiment.sequence[idx] = built.jsEntry;
 }
 
+// ════════════════════════════════════════════════════
+// Flow-control editing (docs/development/v3-flow-control-design.md)
+//
+// These edit the entry's existing YAML map IN PLACE — a key whose value is
+// unchanged keeps its node (so an `*alias`, an `&anchor` and any comments on
+// it survive), and only changed keys get fresh nodes. A changed value that was
+// an alias is replaced rather than written through, so editing one entry's
+// check never mutates a shared anchor. The JS mirror is re-derived from the
+// node with the parser's own extractor, and `requires: [flow_control]` is kept
+// in step with whether any construct remains.
+// ════════════════════════════════════════════════════
+
+function _flowControlSeqNode(experiment, idx, fn) {
+    if (!experiment || !experiment._doc) {
+        throw new V3ParseError(fn + ': experiment has no _doc handle', 'NO_DOC');
+    }
+    const n = experiment.sequence.length;
+    if (idx < 0 || idx >= n) {
+        throw new V3ParseError(fn + ': idx ' + idx + ' out of bounds [0, ' + n + ')', 'BAD_PATH');
+    }
+    const seqNode = experiment._doc.getIn(['experiment'], true);
+    if (!seqNode || !Array.isArray(seqNode.items)) {
+        throw new V3ParseError(
+            fn + ': doc/model divergence — no experiment seq node',
+            'DOC_MODEL_DIVERGENCE'
+        );
+    }
+    return seqNode;
+}
+
+function _sameJS(doc, node, value) {
+    let cur;
+    try {
+        cur = node && typeof node.toJS === 'function' ? node.toJS(doc) : node;
+    } catch (_e) {
+        return false;
+    }
+    return JSON.stringify(cur) === JSON.stringify(value);
+}
+
+// Write `obj[k]` for each of `keys` into `mapNode` (undefined ⇒ delete),
+// keeping unchanged nodes and recursing into a non-alias nested map.
+function _setMapKeys(doc, mapNode, obj, keys) {
+    for (const k of keys) {
+        const cur = mapNode.get(k, true);
+        const val = obj[k];
+        if (val === undefined) {
+            if (mapNode.has(k)) mapNode.delete(k);
+        } else if (cur !== undefined && _sameJS(doc, cur, val)) {
+            continue;
+        } else if (
+            YAML.isMap?.(cur) &&
+            val !== null &&
+            typeof val === 'object' &&
+            !Array.isArray(val)
+        ) {
+            const existing = cur.items.map((p) =>
+                p.key && p.key.value !== undefined ? p.key.value : String(p.key)
+            );
+            _setMapKeys(doc, cur, val, [...new Set([...existing, ...Object.keys(val)])]);
+        } else {
+            mapNode.set(k, doc.createNode(val));
+        }
+    }
+}
+
+// Re-derive sequence[idx] from its node (aliases resolved against the doc).
+function _remirrorSequenceEntry(experiment, seqNode, idx) {
+    const node = seqNode.items[idx];
+    const js = node && typeof node.toJS === 'function' ? node.toJS(experiment._doc) : node;
+    experiment.sequence[idx] = extractSequenceEntry(js);
+}
+
+// Add or drop the `flow_control` capability token to match the sequence.
+function _syncFlowControlRequires(experiment) {
+    const doc = experiment._doc;
+    const requires = Array.isArray(experiment.requires) ? experiment.requires : [];
+    const needed = usesFlowControl(experiment);
+    if (needed && !requires.includes('flow_control')) {
+        const node = ensureTopLevelSection(experiment, 'requires', 'seq');
+        node.flow = true;
+        node.items.push(doc.createNode('flow_control'));
+        experiment.requires = requires.concat('flow_control');
+    } else if (!needed && requires.includes('flow_control')) {
+        const node = doc.getIn(['requires'], true);
+        if (node && Array.isArray(node.items)) {
+            node.items = node.items.filter((it) => !_sameJS(doc, it, 'flow_control'));
+            if (node.items.length === 0) doc.delete('requires');
+        }
+        experiment.requires = requires.filter((t) => t !== 'flow_control');
+    }
+}
+
+/**
+ * docSetTrialCheck(experiment, idx, check)
+ *
+ * Attach or update the trial_check on sequence entry `idx`. `check` is
+ * {criterion, on_fail?, max_attempts, on_exhausted} (YAML field names; omit
+ * on_fail to retry with no recovery). On a block it is written under
+ * `trial_check:`; on a ref it is written flat beside `condition:` with
+ * `flow_control: trial_check`, turning a bare `- "name"` into that mapping
+ * (the scalar's comments move onto the map). Values are not validated here —
+ * validateFlowControl reports them, so a half-authored check can be saved.
+ */
+function docSetTrialCheck(experiment, idx, check) {
+    const seqNode = _flowControlSeqNode(experiment, idx, 'docSetTrialCheck');
+    if (!check || typeof check !== 'object' || Array.isArray(check)) {
+        throw new V3ParseError('docSetTrialCheck: check must be an object', 'INVALID_INPUT');
+    }
+    const doc = experiment._doc;
+    const entry = experiment.sequence[idx];
+    let node = seqNode.items[idx];
+    if (entry.kind === 'block') {
+        const cur = node.get('trial_check', true);
+        if (YAML.isMap?.(cur)) {
+            _setMapKeys(doc, cur, check, TRIAL_CHECK_KEYS);
+        } else {
+            node.set('trial_check', doc.createNode(_pickDetached(check, TRIAL_CHECK_KEYS)));
+        }
+    } else {
+        if (!YAML.isMap?.(node)) {
+            const mapNode = doc.createNode({ condition: entry.condition_name });
+            mapNode.commentBefore = node.commentBefore;
+            mapNode.comment = node.comment;
+            seqNode.items[idx] = node = mapNode;
+        }
+        _setMapKeys(doc, node, { flow_control: 'trial_check' }, ['flow_control']);
+        _setMapKeys(doc, node, check, TRIAL_CHECK_KEYS);
+    }
+    _remirrorSequenceEntry(experiment, seqNode, idx);
+    _syncFlowControlRequires(experiment);
+}
+
+/**
+ * docClearTrialCheck(experiment, idx)
+ *
+ * Remove the trial_check from sequence entry `idx` (no-op when it has none).
+ * A `condition:` map left with no other keys collapses back to a bare ref.
+ */
+function docClearTrialCheck(experiment, idx) {
+    const seqNode = _flowControlSeqNode(experiment, idx, 'docClearTrialCheck');
+    const doc = experiment._doc;
+    const entry = experiment.sequence[idx];
+    const node = seqNode.items[idx];
+    if (entry.trial_check === undefined || !YAML.isMap?.(node)) return;
+    if (entry.kind === 'block') {
+        node.delete('trial_check');
+    } else {
+        _setMapKeys(doc, node, {}, ['flow_control', ...TRIAL_CHECK_KEYS]);
+        if (node.items.length === 1 && !node.anchor) {
+            const scalar = doc.createNode(entry.condition_name);
+            scalar.commentBefore = node.commentBefore;
+            scalar.comment = node.comment;
+            seqNode.items[idx] = scalar;
+        }
+    }
+    _remirrorSequenceEntry(experiment, seqNode, idx);
+    _syncFlowControlRequires(experiment);
+}
+
+/**
+ * docSetRepeatUntil(experiment, idx, spec)
+ *
+ * Make block `idx` a repeat_until block, or update it. `spec` is
+ * {criterion, min_repeats?, max_repeats}. The keys sit flat on the block
+ * (design doc §4); `repetitions:` is removed because a block sets one or the
+ * other. Throws on a ref entry.
+ */
+function docSetRepeatUntil(experiment, idx, spec) {
+    const seqNode = _flowControlSeqNode(experiment, idx, 'docSetRepeatUntil');
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new V3ParseError('docSetRepeatUntil: spec must be an object', 'INVALID_INPUT');
+    }
+    if (experiment.sequence[idx].kind !== 'block') {
+        throw new V3ParseError(
+            'docSetRepeatUntil: sequence[' + idx + '] is not a block',
+            'INVALID_INPUT'
+        );
+    }
+    const doc = experiment._doc;
+    const node = seqNode.items[idx];
+    _setMapKeys(doc, node, { flow_control: 'repeat_until' }, ['repetitions', 'flow_control']);
+    _setMapKeys(doc, node, spec, REPEAT_UNTIL_KEYS);
+    _remirrorSequenceEntry(experiment, seqNode, idx);
+    _syncFlowControlRequires(experiment);
+}
+
+/**
+ * docClearRepeatUntil(experiment, idx, repetitions)
+ *
+ * Turn a repeat_until block back into a fixed one. `repetitions` (optional,
+ * positive integer) is written as the static count; omitted ⇒ 1 (implicit).
+ */
+function docClearRepeatUntil(experiment, idx, repetitions) {
+    const seqNode = _flowControlSeqNode(experiment, idx, 'docClearRepeatUntil');
+    if (repetitions !== undefined && (!Number.isInteger(repetitions) || repetitions < 1)) {
+        throw new V3ParseError(
+            'docClearRepeatUntil: invalid repetitions (must be positive integer): ' +
+                JSON.stringify(repetitions),
+            'INVALID_SCHEMA'
+        );
+    }
+    const entry = experiment.sequence[idx];
+    if (entry.repeat_until === undefined) return;
+    const doc = experiment._doc;
+    const node = seqNode.items[idx];
+    _setMapKeys(doc, node, {}, ['flow_control', ...REPEAT_UNTIL_KEYS]);
+    if (repetitions !== undefined) _setMapKeys(doc, node, { repetitions }, ['repetitions']);
+    _remirrorSequenceEntry(experiment, seqNode, idx);
+    _syncFlowControlRequires(experiment);
+}
+
 /**
  * docInsertTrialInBlock(experiment, blockIdx, atIdx, condName)
  *
@@ -2252,6 +2928,8 @@ const ProtocolV3 = {
     validateReferences,
     collectBlockingErrors,
     collectExportWarnings,
+    validateFlowControl,
+    usesFlowControl,
     V3ParseError,
     docSet,
     docDelete,
@@ -2288,7 +2966,12 @@ const ProtocolV3 = {
     docInsertConditionNode,
     docInsertVariableNode,
     docInsertPluginNode,
-    docRemovePlugin
+    docRemovePlugin,
+    // Flow control
+    docSetTrialCheck,
+    docClearTrialCheck,
+    docSetRepeatUntil,
+    docClearRepeatUntil
 };
 
 // Browser global
@@ -2309,6 +2992,8 @@ export {
     validateReferences,
     collectBlockingErrors,
     collectExportWarnings,
+    validateFlowControl,
+    usesFlowControl,
     V3ParseError,
     docSet,
     docDelete,
@@ -2345,6 +3030,11 @@ export {
     docInsertConditionNode,
     docInsertVariableNode,
     docInsertPluginNode,
-    docRemovePlugin
+    docRemovePlugin,
+    // Flow control
+    docSetTrialCheck,
+    docClearTrialCheck,
+    docSetRepeatUntil,
+    docClearRepeatUntil
 };
 export default ProtocolV3;
@@ -49,6 +49,7 @@
     function deriveOutcome(summary, override) {
         if (override) return override;
         if (!summary) return 'UNKNOWN';
+        if (summary.abortReason) return 'ABORTED_BY_FLOW_CONTROL';
         if (summary.aborted) return 'ABORTED_BY_USER';
         if (summary.errors > 0) return 'ERRORED';
         if (summary.completed) return 'COMPLETED';
@@ -71,7 +72,8 @@
                     '▸ ' +
                     where +
                     (step.conditionName || step.label || '') +
-                    (step.kind ? ' · ' + step.kind : '')
+                    (step.kind ? ' · ' + step.kind : '') +
+                    (step.attempt ? ' · attempt ' + step.attempt + '/' + step.maxAttempts : '')
                 );
             case 'trial-running':
                 return (
@@ -129,6 +131,65 @@
                 return (
                     stamp + '   runtime Apply NOT USED — run ended before another trial boundary'
                 );
+            case 'trial-check': {
+                const tc = ev.trialCheck || {};
+                return (
+                    stamp +
+                    '   ' +
+                    where +
+                    'trial_check ' +
+                    (tc.valid ? 'VALID' : 'INVALID (' + tc.invalid_reason + ')') +
+                    ' — attempt ' +
+                    tc.attempt +
+                    ' of ' +
+                    tc.max_attempts +
+                    ', ' +
+                    tc.metric +
+                    ' ' +
+                    tc.statistic +
+                    '=' +
+                    tc.value +
+                    ' (' +
+                    tc.valid_samples +
+                    ' samples) → ' +
+                    tc.exit +
+                    (tc.randomized_adjacency ? ' [adjacent repeat in randomized block]' : '')
+                );
+            }
+            case 'repeat-until': {
+                const ru = ev.repeatUntil || {};
+                return (
+                    stamp +
+                    '   ' +
+                    where +
+                    'repeat_until ' +
+                    (ru.block || '') +
+                    ' — repetition ' +
+                    ru.repetition +
+                    ' (min ' +
+                    ru.min_repeats +
+                    ', max ' +
+                    ru.max_repeats +
+                    ')' +
+                    (ru.evaluated
+                        ? ', ' +
+                          ru.metric +
+                          ' ' +
+                          ru.statistic +
+                          '=' +
+                          ru.value +
+                          ' vs ' +
+                          ru.threshold +
+                          (ru.baseline ? ' (baseline ' + ru.baseline.value + ')' : '') +
+                          ' (' +
+                          ru.valid_samples +
+                          ' samples)'
+                        : '') +
+                    ' → ' +
+                    (ru.decision || '').toUpperCase() +
+                    (ru.reason ? ' (' + ru.reason + ')' : '')
+                );
+            }
             case 'skip':
                 return (
                     stamp +
@@ -160,11 +221,35 @@
         return keys.length ? JSON.stringify(out) : '';
     }
 
+    // Header lines for an SD read-back verification (SdVerify.toHeader shape):
+    // the verdict, then one indented line per failing or extra file.
+    function formatSdVerification(v) {
+        const out = [
+            'sd_verification: ' +
+                v.result +
+                ' — ' +
+                v.passed +
+                '/' +
+                v.checked +
+                ' patterns match the set (' +
+                v.via +
+                ', set ' +
+                v.set_id +
+                (v.card_set_id && v.card_set_id !== v.set_id ? ', card ' + v.card_set_id : '') +
+                (v.verified_at ? ', ' + v.verified_at : '') +
+                ')'
+        ];
+        for (const f of v.failures || []) out.push('  ✗ ' + f.name + ': ' + f.problems.join('; '));
+        for (const name of v.extra || []) out.push('  ✗ ' + name + ': on the card, not in the set');
+        return out;
+    }
+
     /**
      * Create a run-log accumulator.
      * @param {object} [opts]
      * @param {object} [opts.meta]   per-run metadata: run_id, experimenter, genotype,
-     *     notes, protocol_filename, protocol_sha256, arena_config, rig, firmware, tool_version
+     *     notes, protocol_filename, protocol_sha256, arena_config, rig, firmware, tool_version,
+     *     sd_verification (SdVerify.toHeader() of the pre-run SD read-back)
      * @param {string} [opts.intent] 'experiment' (default) | 'test'
      * @param {Function} [opts.now]  () => ms-since-epoch (injectable for tests; default Date.now)
      */
@@ -250,10 +335,12 @@
                 for (const k of order) {
                     if (meta[k] != null && meta[k] !== '') L.push(k + ': ' + meta[k]);
                 }
+                if (meta.sd_verification) L.push(...formatSdVerification(meta.sd_verification));
                 L.push('');
                 for (const ev of events) L.push(formatLine(ev));
                 if (summary) {
                     L.push('');
+                    if (summary.abortReason) L.push('abort reason: ' + summary.abortReason);
                     L.push(
                         '— ' +
                             (summary.outcome || 'DONE') +
@@ -263,6 +350,9 @@
                             ' errors · ' +
                             (summary.skipped || 0) +
                             ' skipped · ' +
+                            (summary.invalidAttempts
+                                ? summary.invalidAttempts + ' invalid attempts · '
+                                : '') +
                             (summary.duration_s != null ? summary.duration_s + 's' : '')
                     );
                     L.push(
@@ -0,0 +1,437 @@
+/**
+ * runlog-nwb.js — export a parsed run log as an NWB (Neurodata Without Borders)
+ * document for collaborators outside the rig tooling.
+ *
+ * INPUT: either parser's result —
+ *   - dashboard analysis-core.js parseJsonl(): {metadata, frames, steps, analogChanges}
+ *   - js/runlog-replay.js parseRunLog():       {metadata, samples, events, arenaFrames}
+ * Both are reduced to one intermediate (samples, steps with their stimulus
+ * intervals, setAnalogOut levels, commanded frame positions) so the same log
+ * exports identically whichever parser read it.
+ *
+ * OUTPUT: "NWB-JSON" — an HDF5-free JSON document laid out like the NWB 2.x file
+ * tree, so a short pynwb script (or any reader) maps it 1:1 onto an .nwb file:
+ *   /general/subject, /general/devices      Subject + Device
+ *   /acquisition/fictrac_*                  behavior_v1 channels (SpatialSeries /
+ *                                           TimeSeries with SI units)
+ *   /stimulus/presentation/*                displayed + commanded frame positions
+ *   /intervals/trials                       one row per runner step
+ *   /intervals/epochs                       stimulus intervals (trialParams) per step
+ *   /intervals/analog_output                setAnalogOut levels (LED drive) as intervals
+ * Every neurodata object carries `neurodata_type`. Dynamic tables are column-wise
+ * ({colnames, columns, column_descriptions}). Series recorded on the sample clock
+ * share one timestamps array; the others point at it with {link: '<path>'}, the
+ * JSON form of an NWB soft link. Times are seconds from the run's logging start,
+ * which is also `timestamps_reference_time`.
+ *
+ * Arena frames decoded from raw arena_command records only exist in parseRunLog
+ * output; runner setFramePosition commands are exported from either parser.
+ *
+ * LOADING: classic <script src> (window-global + CommonJS dual-export, no ES
+ * `export`) — same pattern as runlog-replay.js. The dashboard loads an exact copy
+ * from dashboard/data-browser/vendor/.
+ */
+(function (global) {
+    'use strict';
+
+    const NWB_VERSION = '2.8.0';
+    const FORMAT = 'nwb-json';
+    const FORMAT_VERSION = 1;
+    const SAMPLE_TIMESTAMPS = '/acquisition/fictrac_position/timestamps';
+
+    function _num(value) {
+        const n = Number(value);
+        return value === null || value === undefined || value === '' || !Number.isFinite(n)
+            ? null
+            : n;
+    }
+
+    function _text(value) {
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    // Seconds from ms, rounded to the microsecond so exports are stable.
+    function _sec(ms) {
+        const n = _num(ms);
+        return n === null ? null : Math.round(n * 1000) / 1e6;
+    }
+
+    function _step(steps, index) {
+        if (!steps.has(index)) {
+            steps.set(index, {
+                index: index,
+                condition: '',
+                startMs: NaN,
+                endMs: NaN,
+                intervals: []
+            });
+        }
+        return steps.get(index);
+    }
+
+    // analysis-core.js parseJsonl() result
+    function _fromAnalysisRun(run) {
+        const framePositions = [];
+        const steps = run.steps.map((s) => {
+            for (const c of s.commands || []) {
+                if (c.op === 'setFramePosition' && _num(c.value) !== null) {
+                    framePositions.push({ ms: c.ms, index: _num(c.value) });
+                }
+            }
+            return {
+                index: s.index,
+                condition: _text(s.condition),
+                startMs: s.startMs,
+                endMs: s.endMs,
+                intervals: (s.intervals || []).map((i) => ({
+                    startMs: i.startMs,
+                    endMs: i.endMs,
+                    params: i.params || {}
+                }))
+            };
+        });
+        return {
+            metadata: run.metadata || {},
+            samples: run.frames.map((f) => ({
+                ms: f.ms,
+                fc: f.fc,
+                idx: f.index,
+                ft: f.ft,
+                x: f.x,
+                y: f.y,
+                hd: f.hd
+            })),
+            steps: steps,
+            analog: (run.analogChanges || []).map((c) => ({ ms: c.ms, value: c.value })),
+            framePositions: framePositions,
+            arenaFrames: [],
+            // Same relative clock as analysis-core's relativeEventMs()
+            eventMs: run.events
+                .filter((e) => e.event === 'runner')
+                .map((e) => {
+                    const raw = _num(e.rx_ms ?? e.ms ?? e.t);
+                    const origin = _num(run.sessionStartMs);
+                    return raw !== null && origin !== null && raw > 1e9 ? raw - origin : raw;
+                })
+        };
+    }
+
+    // runlog-replay.js parseRunLog() result
+    function _fromReplay(parsed) {
+        const steps = new Map();
+        const analog = [];
+        const framePositions = [];
+        for (const e of parsed.events) {
+            const s = e.status || {};
+            if (s.phase === 'step-start' && _num(s.index) !== null) {
+                const step = _step(steps, s.index);
+                step.startMs = e.ms;
+                step.condition = _text(s.condition);
+            } else if (s.phase === 'step-done' && _num(s.index) !== null) {
+                _step(steps, s.index).endMs = e.ms;
+            } else if (s.phase === 'command') {
+                if (s.op === 'trialParams' && _num(s.index) !== null) {
+                    const seconds = _num(s.durationSec ?? s.value) || 0;
+                    _step(steps, s.index).intervals.push({
+                        startMs: e.ms,
+                        endMs: e.ms + seconds * 1000,
+                        params: s.params || {}
+                    });
+                } else if (s.op === 'setAnalogOut' && _num(s.value) !== null) {
+                    analog.push({ ms: e.ms, value: _num(s.value) });
+                } else if (s.op === 'setFramePosition' && _num(s.value) !== null) {
+                    framePositions.push({ ms: e.ms, index: _num(s.value) });
+                }
+            }
+        }
+        return {
+            metadata: parsed.metadata || {},
+            samples: parsed.samples,
+            steps: [...steps.values()].sort((a, b) => a.index - b.index),
+            analog: analog,
+            framePositions: framePositions,
+            arenaFrames: (parsed.arenaFrames || []).map((f) => ({ ms: f.ms, index: f.index })),
+            eventMs: parsed.events.map((e) => e.ms)
+        };
+    }
+
+    function _normalize(run) {
+        if (run && Array.isArray(run.frames) && Array.isArray(run.steps)) {
+            return _fromAnalysisRun(run);
+        }
+        if (run && Array.isArray(run.samples) && Array.isArray(run.events)) {
+            return _fromReplay(run);
+        }
+        throw new Error('Expected a run from parseJsonl (analysis-core) or parseRunLog');
+    }
+
+    // Last timestamp of the run (ms), scanned without spreading large arrays.
+    function _endMs(src) {
+        let end = -Infinity;
+        const include = (ms) => {
+            const n = _num(ms);
+            if (n !== null && n > end) end = n;
+        };
+        for (const s of src.samples) include(s.ms);
+        for (const ms of src.eventMs) include(ms);
+        for (const step of src.steps) for (const i of step.intervals) include(i.endMs);
+        return end === -Infinity ? 0 : end;
+    }
+
+    // Steps without step-start begin at their first stimulus interval (as in
+    // analysis-core). Steps without step-done end at their last stimulus
+    // interval, else at the next step's start, else at the end of the run.
+    function _closeSteps(steps, runEndMs) {
+        for (const step of steps) {
+            if (_num(step.startMs) !== null || !step.intervals.length) continue;
+            step.startMs = Math.min(...step.intervals.map((i) => i.startMs));
+        }
+        const sorted = steps
+            .filter((s) => _num(s.startMs) !== null)
+            .sort((a, b) => a.startMs - b.startMs);
+        sorted.forEach((step, k) => {
+            if (_num(step.endMs) !== null) return;
+            const ends = step.intervals.map((i) => i.endMs).filter((ms) => _num(ms) !== null);
+            if (ends.length) step.endMs = Math.max(...ends);
+            else step.endMs = k + 1 < sorted.length ? sorted[k + 1].startMs : runEndMs;
+        });
+        return sorted;
+    }
+
+    // Each setAnalogOut level holds until the next one (or the end of the run).
+    function _analogIntervals(analog, steps, runEndMs) {
+        const changes = analog
+            .filter((c) => _num(c.ms) !== null)
+            .slice()
+            .sort((a, b) => a.ms - b.ms);
+        const stepAt = (ms) => {
+            const step = steps.find((s) => ms >= s.startMs && ms <= s.endMs);
+            return step ? step.index : -1;
+        };
+        return changes.map((c, k) => ({
+            startMs: c.ms,
+            endMs: k + 1 < changes.length ? changes[k + 1].ms : Math.max(runEndMs, c.ms),
+            value: c.value,
+            stepIndex: stepAt(c.ms)
+        }));
+    }
+
+    function _sex(value) {
+        const s = _text(value).trim().toLowerCase();
+        if (/^f/.test(s)) return 'F';
+        if (/^m/.test(s)) return 'M';
+        return 'U';
+    }
+
+    // NWB wants ISO 8601 durations; "3", "3d" and "3 days" become "P3D".
+    function _age(value) {
+        const s = _text(value).trim();
+        const days = s.match(/^(\d+(?:\.\d+)?)\s*(?:d|days?)?$/i);
+        return days ? `P${days[1]}D` : s;
+    }
+
+    function _table(description, columns, descriptions) {
+        return {
+            neurodata_type: 'TimeIntervals',
+            description: description,
+            colnames: Object.keys(columns),
+            columns: columns,
+            column_descriptions: descriptions
+        };
+    }
+
+    /**
+     * Build the NWB-JSON document for one parsed run.
+     * @param {object} run  parseJsonl() or parseRunLog() result
+     * @param {object} [opts] {species, lab, institution, sessionDescription}
+     * @returns {object} NWBFile-shaped plain object (JSON-serializable)
+     */
+    function buildNwb(run, opts) {
+        opts = opts || {};
+        const src = _normalize(run);
+        const meta = src.metadata;
+        const runEndMs = _endMs(src);
+        const steps = _closeSteps(src.steps, runEndMs);
+        const analog = _analogIntervals(src.analog, steps, runEndMs);
+        const identifier = _text(meta.run_id) || _text(opts.identifier) || 'run';
+        const protocol = _text(meta.protocol_filename);
+        const start = _text(meta.timestamp_start) || null;
+        const samples = src.samples;
+        const experimenter = _text(meta.experimenter);
+
+        const epochs = [];
+        for (const step of steps) {
+            for (const i of step.intervals) epochs.push({ step: step, interval: i });
+        }
+
+        return {
+            neurodata_type: 'NWBFile',
+            nwb_version: NWB_VERSION,
+            format: FORMAT,
+            format_version: FORMAT_VERSION,
+            identifier: identifier,
+            session_id: identifier,
+            session_description:
+                _text(opts.sessionDescription) ||
+                `Arena run ${identifier}${protocol ? ` (${protocol})` : ''}`,
+            session_start_time: start,
+            timestamps_reference_time: start,
+            experimenter: experimenter ? [experimenter] : [],
+            experiment_description: protocol,
+            lab: _text(opts.lab),
+            institution: _text(opts.institution),
+            notes: _text(meta.notes),
+            general: {
+                subject: {
+                    neurodata_type: 'Subject',
+                    subject_id: _text(meta.animal_id || meta.fly_number),
+                    species: _text(opts.species) || 'Drosophila melanogaster',
+                    genotype: _text(meta.genotype),
+                    sex: _sex(meta.sex),
+                    age: _age(meta.age)
+                },
+                devices: {
+                    arena: {
+                        neurodata_type: 'Device',
+                        description: 'LED arena',
+                        name: _text(meta.rig_id || meta.bench)
+                    },
+                    fictrac: {
+                        neurodata_type: 'Device',
+                        description: 'FicTrac ball tracker (behavior_v1 stream)'
+                    }
+                },
+                protocol_sha256: _text(meta.protocol_sha256),
+                run_metadata: meta
+            },
+            acquisition: {
+                fictrac_position: {
+                    neurodata_type: 'SpatialSeries',
+                    description: 'Integrated lab-frame ball position (FicTrac cols 15-16)',
+                    reference_frame: 'FicTrac lab frame, origin at tracking start',
+                    unit: 'radians',
+                    data: samples.map((s) => [_num(s.x), _num(s.y)]),
+                    timestamps: samples.map((s) => _sec(s.ms))
+                },
+                fictrac_heading: {
+                    neurodata_type: 'SpatialSeries',
+                    description: 'Integrated heading (FicTrac col 17)',
+                    reference_frame: 'FicTrac lab frame, origin at tracking start',
+                    unit: 'radians',
+                    data: samples.map((s) => _num(s.hd)),
+                    timestamps: { link: SAMPLE_TIMESTAMPS }
+                },
+                fictrac_time: {
+                    neurodata_type: 'TimeSeries',
+                    description: 'FicTrac camera timestamp (col 22), relative to the first frame',
+                    unit: 'seconds',
+                    data: samples.map((s) => _sec(s.ft)),
+                    timestamps: { link: SAMPLE_TIMESTAMPS }
+                },
+                fictrac_frame_counter: {
+                    neurodata_type: 'TimeSeries',
+                    description: 'FicTrac frame counter (col 1); gaps are dropped frames',
+                    unit: 'frames',
+                    data: samples.map((s) => _num(s.fc)),
+                    timestamps: { link: SAMPLE_TIMESTAMPS }
+                }
+            },
+            stimulus: {
+                presentation: {
+                    frame_position: {
+                        neurodata_type: 'TimeSeries',
+                        description: 'Arena pattern frame index reported with each sample',
+                        unit: 'frame index',
+                        data: samples.map((s) => _num(s.idx)),
+                        timestamps: { link: SAMPLE_TIMESTAMPS }
+                    },
+                    commanded_frame_position: {
+                        neurodata_type: 'TimeSeries',
+                        description: 'Runner setFramePosition commands',
+                        unit: 'frame index',
+                        data: src.framePositions.map((f) => f.index),
+                        timestamps: src.framePositions.map((f) => _sec(f.ms))
+                    },
+                    arena_frame_position: {
+                        neurodata_type: 'TimeSeries',
+                        description:
+                            'SET_FRAME_POSITION requests decoded from arena_command records',
+                        unit: 'frame index',
+                        data: src.arenaFrames.map((f) => f.index),
+                        timestamps: src.arenaFrames.map((f) => _sec(f.ms))
+                    }
+                }
+            },
+            intervals: {
+                trials: _table(
+                    'Runner steps',
+                    {
+                        start_time: steps.map((s) => _sec(s.startMs)),
+                        stop_time: steps.map((s) => _sec(s.endMs)),
+                        step_index: steps.map((s) => s.index),
+                        condition: steps.map((s) => s.condition)
+                    },
+                    {
+                        start_time: 'Step start (s)',
+                        stop_time: 'Step end (s)',
+                        step_index: 'Runner step index',
+                        condition: 'Protocol condition name'
+                    }
+                ),
+                epochs: _table(
+                    'Stimulus intervals (trialParams) within each step',
+                    {
+                        start_time: epochs.map((e) => _sec(e.interval.startMs)),
+                        stop_time: epochs.map((e) => _sec(e.interval.endMs)),
+                        tags: epochs.map((e) => [e.step.condition]),
+                        step_index: epochs.map((e) => e.step.index),
+                        parameters: epochs.map((e) => JSON.stringify(e.interval.params))
+                    },
+                    {
+                        start_time: 'Stimulus start (s)',
+                        stop_time: 'Stimulus end (s)',
+                        tags: 'Condition name',
+                        step_index: 'Runner step index',
+                        parameters: 'trialParams as JSON (mode, pattern, frameRate, gain, ...)'
+                    }
+                ),
+                analog_output: _table(
+                    'setAnalogOut levels; each holds until the next command',
+                    {
+                        start_time: analog.map((a) => _sec(a.startMs)),
+                        stop_time: analog.map((a) => _sec(a.endMs)),
+                        value: analog.map((a) => a.value),
+                        step_index: analog.map((a) => a.stepIndex)
+                    },
+                    {
+                        start_time: 'Level set (s)',
+                        stop_time: 'Next level set or end of run (s)',
+                        value: 'Analog output level (mV)',
+                        step_index: 'Runner step the command ran in (-1 outside steps)'
+                    }
+                )
+            }
+        };
+    }
+
+    /** File name for a built document: "<identifier>.nwb.json". */
+    function nwbFilename(nwb) {
+        const id = _text(nwb && nwb.identifier).replace(/[^A-Za-z0-9._-]+/g, '_') || 'run';
+        return `${id}.nwb.json`;
+    }
+
+    const RunlogNwb = {
+        NWB_VERSION,
+        FORMAT,
+        FORMAT_VERSION,
+        buildNwb,
+        nwbFilename
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = RunlogNwb;
+    }
+    if (typeof global !== 'undefined') {
+        global.RunlogNwb = RunlogNwb;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,561 @@
+/**
+ * sd-sync.js — bring the controller's SD card in line with a built Pattern Set.
+ *
+ * Reads what /patterns holds (GET_FILE_COUNT 0x80, then GET_PATTERN_FILENAME
+ * 0x82 + GET_PATTERN_INFO 0x88 per index), diffs it against the set's files by
+ * name, size and CRC-32, and sends only the difference:
+ *
+ *   overwrite  same name, different bytes → SET_PATTERN_FILE (0x85) at its index
+ *   delete     on the card, not in the set → DELETE_PATTERN_FILE (0x86)
+ *   rename     in the set, on the card under another name with the same size
+ *              and CRC → SET_PATTERN_FILENAME (0x83) at its index, no upload
+ *   upload     in the set, not on the card → 0x85 to pattern.temp, then
+ *              SET_PATTERN_FILENAME (0x83) to its name
+ *
+ * then re-lists the card and reads back every file it wrote (GET_PATTERN_FILE
+ * 0x84) to confirm name, size and CRC. Size comes free with the listing; the CRC
+ * of a file already on the card needs a read-back, so it is only fetched when
+ * name and size already match, or for a file not in the set that has the size
+ * of a missing one (it may only need a rename). Anything else is rewritten.
+ *
+ * Order matters because an SD index is an alphabetical position: overwrites go
+ * first (indices from the fresh listing still hold), deletes run highest index
+ * first (nothing below shifts), then renames one after another (each re-sorts
+ * the card, so every index is worked out from the names before it), uploads
+ * last (the rename reports the new index).
+ * All requests go through link.sendPipelined, so a 50-pattern set costs a few
+ * round trips per batch rather than one per file.
+ *
+ * Resumable by construction: every run re-diffs the live card, so after an
+ * interruption (unplug, timeout, opts.shouldStop) running it again does only
+ * what is left. A pattern.temp stranded by a cut-off upload is deleted first.
+ * Pass the previous result's `known` map back as opts.known to skip re-reading
+ * files that were already checksummed (matched by name AND size).
+ *
+ * The card's MANIFEST.txt / MANIFEST.bin sit outside /patterns and have no wire
+ * read besides the whole-card archive (0x8A), so the card side of the manifest
+ * comparison is the Pattern Set ID recomputed from the listing — the same FNV-1a
+ * over sorted filenames the firmware's patternSetId() reports
+ * (PatternSet.computePatternSetId).
+ *
+ *   const result = await SdSync.sync(session, bundle.patterns, {
+ *       onProgress: (p) => status(p.phase + ' ' + p.done + '/' + p.total)
+ *   });
+ *   if (!result.verify.ok) ...
+ *
+ * `link` is anything with send() + sendPipelined() — an ArenaSession (which
+ * refuses non-SD opcodes in a batch) or a bare ArenaLink. The display must be
+ * stopped: the firmware refuses SD writes while a pattern plays.
+ *
+ * LOADING: classic <script src> after arena-wire-g6.js, crc.js and
+ * pattern-set.js (reads window.ArenaWireG6 / G6CRC / PatternSet), or require()
+ * under Node.
+ */
+
+const SdSync = (function () {
+    'use strict';
+
+    const Wire =
+        typeof window !== 'undefined' && window.ArenaWireG6
+            ? window.ArenaWireG6
+            : require('./arena-wire-g6.js');
+    const G6CRC =
+        typeof window !== 'undefined' && window.G6CRC ? window.G6CRC : require('./crc.js');
+    const PatternSet =
+        typeof window !== 'undefined' && window.PatternSet
+            ? window.PatternSet
+            : require('./pattern-set.js');
+
+    const OP = Wire.OPCODES;
+
+    const LIST_TIMEOUT_MS = 2000; // SD can be slow right after connect
+    const UPLOAD_TIMEOUT_MS = 120000;
+    const RENAME_TIMEOUT_MS = 10000;
+    const READ_TIMEOUT_MS = 60000;
+
+    // ── helpers ──────────────────────────────────────────────────────────────
+
+    function toBytes(bytes) {
+        if (bytes instanceof Uint8Array) return bytes;
+        if (bytes instanceof ArrayBuffer) return new Uint8Array(bytes);
+        if (bytes && bytes.buffer instanceof ArrayBuffer) {
+            return new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        }
+        throw new Error('sd-sync: expected ArrayBuffer / TypedArray / Buffer');
+    }
+
+    // The controller's reason for a refusal ([len, status, echo, ASCII…]).
+    function refusal(frame) {
+        const r = frame ? Wire.decodeResponse(frame) : null;
+        if (!r) return 'no reply';
+        let msg = '';
+        for (let i = 0; i < r.payload.length; i++) {
+            const b = r.payload[i];
+            if (b >= 0x20 && b < 0x7f) msg += String.fromCharCode(b);
+        }
+        return 'status ' + r.status + (msg ? ' «' + msg + '»' : '');
+    }
+
+    function why(result) {
+        if (result.skipped) return 'skipped (upload failed)';
+        return result.error ? result.error.message : refusal(result.frame);
+    }
+
+    /** Normalize a target set → [{name, bytes: Uint8Array, size, crc32}], sorted like the card. */
+    function normalizeTarget(target) {
+        const list = Array.isArray(target) ? target : target && target.patterns;
+        if (!Array.isArray(list))
+            throw new Error('sd-sync: target must be a list of {name, bytes}');
+        const seen = {};
+        const out = list.map((p) => {
+            if (!p || !p.name || !/\.pat$/i.test(p.name) || /[\\/]/.test(p.name)) {
+                throw new Error('sd-sync: bad target filename ' + JSON.stringify(p && p.name));
+            }
+            if (seen[p.name]) throw new Error('sd-sync: duplicate target ' + p.name);
+            seen[p.name] = true;
+            const bytes = toBytes(p.bytes);
+            return { name: p.name, bytes, size: bytes.length, crc32: G6CRC.crc32(bytes) };
+        });
+        return out.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    }
+
+    // ── card side ────────────────────────────────────────────────────────────
+
+    /**
+     * List /patterns: names, sizes and header metadata, plus the Pattern Set ID
+     * the firmware would report for that listing.
+     * @returns {Promise<{files: Array<{index, name, size, frames, gsVal}>, setId, metrics}>}
+     *   size/frames/gsVal are null when GET_PATTERN_INFO can't parse the file
+     */
+    async function readCard(link, opts) {
+        const o = opts || {};
+        const timeoutMs = o.timeoutMs || LIST_TIMEOUT_MS;
+        const countFrame = await link.send(Wire.encodeGetFileCount(), { timeoutMs });
+        const count = Wire.decodeFileCount(countFrame);
+        if (count == null)
+            throw new Error('sd-sync: GET_FILE_COUNT failed: ' + refusal(countFrame));
+
+        const batch = [];
+        for (let idx = 1; idx <= count; idx++) {
+            batch.push(
+                { bytes: Wire.encodeGetPatternFilename(idx), timeoutMs },
+                { bytes: Wire.encodeGetPatternInfo(idx), timeoutMs }
+            );
+        }
+        const { results, metrics } = await link.sendPipelined(batch, { window: o.window || 8 });
+        const files = [];
+        for (let i = 0; i < count; i++) {
+            const nameRes = results[2 * i];
+            const infoRes = results[2 * i + 1];
+            const name = nameRes.ok ? Wire.decodePatternFilename(nameRes.frame) : null;
+            const info = infoRes.ok ? Wire.decodePatternInfo(infoRes.frame) : null;
+            if (name == null) {
+                throw new Error('sd-sync: could not list pattern ' + (i + 1) + ': ' + why(nameRes));
+            }
+            // An unparseable file has no info reply; size null ⇒ it is rewritten.
+            files.push({
+                index: i + 1,
+                name,
+                size: info ? info.fileSize : null,
+                frames: info ? info.frameCount : null,
+                gsVal: info ? info.gsVal : null
+            });
+        }
+        return {
+            files,
+            setId: PatternSet.computePatternSetId(files.map((f) => f.name)),
+            metrics
+        };
+    }
+
+    /**
+     * Read back `files` (card entries) with GET_PATTERN_FILE and set each one's
+     * crc32 (and bytes when opts.keepBytes). Entries whose read fails get
+     * crc32 = null and an `error`.
+     */
+    async function checksumFiles(link, files, opts) {
+        const o = opts || {};
+        if (!files.length) return files;
+        const { results, metrics } = await link.sendPipelined(
+            files.map((f) => ({
+                bytes: Wire.encodeGetPatternFile(f.index),
+                bulk: true,
+                timeoutMs: o.timeoutMs || READ_TIMEOUT_MS
+            })),
+            { window: o.window || 4, onProgress: o.onProgress }
+        );
+        files.forEach((f, i) => {
+            const r = results[i];
+            if (r.ok && r.data) {
+                f.crc32 = G6CRC.crc32(r.data);
+                if (o.keepBytes) f.bytes = r.data;
+            } else {
+                f.crc32 = null;
+                f.error = why(r);
+            }
+        });
+        files.metrics = metrics;
+        return files;
+    }
+
+    // ── diff ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Pure diff of a listed card against a target set. Card entries need a
+     * crc32 to count as unchanged; a name+size match without one is reported
+     * under `unchecked` (call checksumFiles first — sync() does).
+     * @param {{files: Array}} card  readCard() result
+     * @param {Array<{name, bytes}>|{patterns}} target  e.g. PatternSet.buildBundle().patterns
+     * @returns {{keep, overwrite, remove, rename, upload, unchecked, cardSetId, targetSetId, inSync}}
+     *   keep: names; overwrite: [{name, index, bytes, reason}]; remove: [{name, index}]
+     *   (highest index first); rename: [{name, from, index}] (index as listed);
+     *   upload: [{name, bytes}]
+     */
+    function planSync(card, target) {
+        const want = normalizeTarget(target);
+        const onCard = {};
+        for (const f of card.files) onCard[f.name] = f;
+        const plan = {
+            keep: [],
+            overwrite: [],
+            remove: [],
+            rename: [],
+            upload: [],
+            unchecked: [],
+            cardSetId: PatternSet.computePatternSetId(card.files.map((f) => f.name)),
+            targetSetId: PatternSet.computePatternSetId(want.map((w) => w.name)),
+            inSync: false
+        };
+        const wanted = {};
+        for (const w of want) {
+            wanted[w.name] = w;
+            const f = onCard[w.name];
+            if (!f) {
+                plan.upload.push({ name: w.name, bytes: w.bytes });
+            } else if (f.size !== w.size) {
+                plan.overwrite.push({
+                    name: w.name,
+                    index: f.index,
+                    bytes: w.bytes,
+                    reason: 'size'
+                });
+            } else if (f.crc32 == null) {
+                plan.unchecked.push(w.name);
+            } else if (f.crc32 !== w.crc32) {
+                plan.overwrite.push({
+                    name: w.name,
+                    index: f.index,
+                    bytes: w.bytes,
+                    reason: 'crc'
+                });
+            } else {
+                plan.keep.push(w.name);
+            }
+        }
+        // A leftover file holding a missing file's bytes is renamed rather than
+        // deleted and uploaded again.
+        const leftover = card.files.filter((f) => !wanted[f.name]);
+        plan.upload = plan.upload.filter((u) => {
+            const w = wanted[u.name];
+            const i = leftover.findIndex(
+                (f) => f.crc32 != null && f.size === w.size && f.crc32 === w.crc32
+            );
+            if (i < 0) return true;
+            plan.rename.push({ name: u.name, from: leftover[i].name, index: leftover[i].index });
+            leftover.splice(i, 1);
+            return false;
+        });
+        for (const f of leftover) plan.remove.push({ name: f.name, index: f.index });
+        plan.remove.sort((a, b) => b.index - a.index);
+        plan.inSync =
+            !plan.overwrite.length &&
+            !plan.remove.length &&
+            !plan.rename.length &&
+            !plan.upload.length &&
+            !plan.unchecked.length;
+        return plan;
+    }
+
+    // ── sync ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Diff, apply and verify. Never throws for a per-file failure — those land
+     * in `failed` and `verify.ok` is false; throws only when the card can't be
+     * listed at all (not connected, SD missing).
+     * @param {object} link        ArenaSession / ArenaLink
+     * @param {Array<{name, bytes}>|{patterns}} target
+     * @param {object} [opts]
+     * @param {object} [opts.known]        {name: {size, crc32}} from a previous result —
+     *   skips the read-back for files still matching by name and size
+     * @param {boolean} [opts.dryRun]      plan only; nothing is written
+     * @param {boolean} [opts.verify=true] post-sync re-list + read-back of written files
+     * @param {number} [opts.window]       pipeline window for writes (default ArenaLink's)
+     * @param {function(): boolean} [opts.shouldStop] checked between phases
+     * @param {function(object): void} [opts.onProgress]
+     *   {phase: 'list'|'checksum'|'overwrite'|'delete'|'rename'|'upload'|'verify', done, total, metrics?}
+     * @returns {Promise<{plan, done: {overwritten, removed, renamed, uploaded}, failed: Array<{name, op, error}>,
+     *   stopped: boolean, verify: {ok, setId, problems}|null, known, elapsedMs}>}
+     */
+    async function sync(link, target, opts) {
+        const o = opts || {};
+        const t0 = Date.now();
+        const want = normalizeTarget(target);
+        const progress = (phase, done, total, metrics) => {
+            if (o.onProgress) o.onProgress({ phase, done, total, metrics });
+        };
+        const stopped = () => !!(o.shouldStop && o.shouldStop());
+        const result = {
+            plan: null,
+            done: { overwritten: [], removed: [], renamed: [], uploaded: [] },
+            failed: [],
+            stopped: false,
+            verify: null,
+            known: {},
+            elapsedMs: 0
+        };
+        const finish = () => {
+            result.elapsedMs = Date.now() - t0;
+            return result;
+        };
+
+        // A cut-off upload leaves pattern.temp behind; clear it so the next
+        // rename can't pick up stale bytes. (Unlisted, so harmless if absent.)
+        if (!o.dryRun)
+            await link.send(Wire.encodeDeletePatternFile(0), { timeoutMs: LIST_TIMEOUT_MS });
+
+        progress('list', 0, 1);
+        const card = await readCard(link, o);
+        progress('list', 1, 1, card.metrics);
+
+        // Checksum only what could still be unchanged: same name, same size; or
+        // a file not in the set with the size of a missing one (a rename).
+        const sizes = {};
+        for (const w of want) sizes[w.name] = w.size;
+        const listed = {};
+        for (const f of card.files) listed[f.name] = true;
+        const missingSizes = new Set(want.filter((w) => !listed[w.name]).map((w) => w.size));
+        const known = o.known || {};
+        const toRead = [];
+        for (const f of card.files) {
+            const candidate =
+                sizes[f.name] === undefined ? missingSizes.has(f.size) : sizes[f.name] === f.size;
+            if (!candidate) continue;
+            const k = known[f.name];
+            if (k && k.size === f.size && k.crc32 != null) f.crc32 = k.crc32;
+            else toRead.push(f);
+        }
+        if (toRead.length) {
+            progress('checksum', 0, toRead.length);
+            await checksumFiles(link, toRead, {
+                onProgress: (m) => progress('checksum', m.completed + m.failed, toRead.length, m)
+            });
+        }
+        for (const f of card.files) {
+            if (f.crc32 != null) result.known[f.name] = { size: f.size, crc32: f.crc32 };
+        }
+
+        const plan = planSync(card, want);
+        // A failed read-back leaves a file unchecked: rewrite it rather than trust it.
+        for (const name of plan.unchecked) {
+            const f = card.files.find((c) => c.name === name);
+            const w = want.find((x) => x.name === name);
+            plan.overwrite.push({ name, index: f.index, bytes: w.bytes, reason: 'unreadable' });
+        }
+        plan.unchecked = [];
+        plan.inSync =
+            !plan.overwrite.length &&
+            !plan.remove.length &&
+            !plan.rename.length &&
+            !plan.upload.length;
+        result.plan = plan;
+        if (o.dryRun || plan.inSync) {
+            if (plan.inSync) result.verify = { ok: true, setId: plan.cardSetId, problems: [] };
+            return finish();
+        }
+
+        const crcOf = {};
+        for (const w of want) crcOf[w.name] = w.crc32;
+        const wrote = (name, size) => {
+            result.known[name] = { size, crc32: crcOf[name] };
+        };
+        const pipelineOpts = (phase, total) => ({
+            window: o.window,
+            onProgress: (m) => progress(phase, m.completed + m.failed + m.skipped, total, m)
+        });
+
+        // 1. Overwrites, by the indices just listed.
+        if (plan.overwrite.length && !(result.stopped = stopped())) {
+            const { results } = await link.sendPipelined(
+                plan.overwrite.map((w) => ({
+                    bytes: Wire.encodeSetPatternFile(w.index, w.bytes),
+                    expectedCmd: OP.SET_PATTERN_FILE,
+                    timeoutMs: UPLOAD_TIMEOUT_MS
+                })),
+                pipelineOpts('overwrite', plan.overwrite.length)
+            );
+            plan.overwrite.forEach((w, i) => {
+                if (results[i].ok) {
+                    result.done.overwritten.push(w.name);
+                    wrote(w.name, w.bytes.length);
+                } else {
+                    delete result.known[w.name];
+                    result.failed.push({ name: w.name, op: 'overwrite', error: why(results[i]) });
+                }
+            });
+        }
+
+        // 2. Deletes, highest index first.
+        if (plan.remove.length && !(result.stopped = stopped())) {
+            const { results } = await link.sendPipelined(
+                plan.remove.map((r) => ({
+                    bytes: Wire.encodeDeletePatternFile(r.index),
+                    timeoutMs: RENAME_TIMEOUT_MS
+                })),
+                pipelineOpts('delete', plan.remove.length)
+            );
+            plan.remove.forEach((r, i) => {
+                delete result.known[r.name];
+                if (results[i].ok) result.done.removed.push(r.name);
+                else result.failed.push({ name: r.name, op: 'delete', error: why(results[i]) });
+            });
+        }
+
+        // 3. Renames, each held until the one before it is in: an index is the
+        //    name's place in the listing left by the deletes and earlier renames
+        //    (SD order is plain filename order, as in the Pattern Set ID).
+        if (plan.rename.length && !(result.stopped = stopped())) {
+            const gone = new Set(result.done.removed);
+            const names = card.files.map((f) => f.name).filter((name) => !gone.has(name));
+            const batch = plan.rename.map((r, k) => {
+                const at = names.indexOf(r.from);
+                names[at] = r.name;
+                names.sort();
+                return {
+                    bytes: Wire.encodeSetPatternFilename(at + 1, r.name),
+                    expectedCmd: OP.SET_PATTERN_FILENAME,
+                    timeoutMs: RENAME_TIMEOUT_MS,
+                    requireOk: k > 0
+                };
+            });
+            const { results } = await link.sendPipelined(
+                batch,
+                pipelineOpts('rename', batch.length)
+            );
+            plan.rename.forEach((r, k) => {
+                if (results[k].ok) {
+                    result.done.renamed.push(r.name);
+                    delete result.known[r.from];
+                    wrote(r.name, sizes[r.name]);
+                } else {
+                    result.failed.push({ name: r.name, op: 'rename', error: why(results[k]) });
+                }
+            });
+        }
+
+        // 4. Uploads: pattern.temp, then rename (held until its upload is in).
+        if (plan.upload.length && !(result.stopped = stopped())) {
+            const batch = [];
+            for (const u of plan.upload) {
+                batch.push(
+                    {
+                        bytes: Wire.encodeSetPatternFile(0, u.bytes),
+                        expectedCmd: OP.SET_PATTERN_FILE,
+                        timeoutMs: UPLOAD_TIMEOUT_MS
+                    },
+                    {
+                        bytes: Wire.encodeSetPatternFilename(0, u.name),
+                        expectedCmd: OP.SET_PATTERN_FILENAME,
+                        timeoutMs: RENAME_TIMEOUT_MS,
+                        requireOk: true
+                    }
+                );
+            }
+            const { results } = await link.sendPipelined(
+                batch,
+                pipelineOpts('upload', batch.length)
+            );
+            plan.upload.forEach((u, k) => {
+                const up = results[2 * k];
+                const ren = results[2 * k + 1];
+                if (up.ok && ren.ok) {
+                    result.done.uploaded.push(u.name);
+                    wrote(u.name, u.bytes.length);
+                } else {
+                    result.failed.push({
+                        name: u.name,
+                        op: up.ok ? 'rename' : 'upload',
+                        error: why(up.ok ? ren : up)
+                    });
+                }
+            });
+        }
+
+        if (o.verify !== false && !result.stopped) {
+            result.verify = await verifyCard(link, want, {
+                // Files this run wrote are read back; untouched ones were just checked.
+                readBack: result.done.overwritten.concat(result.done.uploaded),
+                onProgress: (done, total, m) => progress('verify', done, total, m)
+            });
+        }
+        return finish();
+    }
+
+    /**
+     * Post-sync check: the listing must be exactly the target (names, in SD
+     * order, and sizes), and every file named in opts.readBack must read back
+     * with the target's CRC-32.
+     * @returns {Promise<{ok, setId, problems: string[]}>}
+     */
+    async function verifyCard(link, target, opts) {
+        const o = opts || {};
+        const want = normalizeTarget(target);
+        const card = await readCard(link);
+        const problems = [];
+        const byName = {};
+        for (const f of card.files) byName[f.name] = f;
+        for (const w of want) {
+            const f = byName[w.name];
+            if (!f) problems.push(w.name + ': missing');
+            else if (f.size !== w.size)
+                problems.push(w.name + ': size ' + f.size + ' (expected ' + w.size + ')');
+        }
+        const wanted = {};
+        for (const w of want) wanted[w.name] = w;
+        for (const f of card.files) if (!wanted[f.name]) problems.push(f.name + ': not in the set');
+
+        const readBack = (o.readBack || want.map((w) => w.name))
+            .map((name) => byName[name])
+            .filter((f) => f && wanted[f.name] && f.size === wanted[f.name].size);
+        if (readBack.length) {
+            await checksumFiles(link, readBack, {
+                onProgress: (m) =>
+                    o.onProgress && o.onProgress(m.completed + m.failed, readBack.length, m)
+            });
+            for (const f of readBack) {
+                if (f.crc32 == null) problems.push(f.name + ': read-back failed (' + f.error + ')');
+                else if (f.crc32 !== wanted[f.name].crc32) problems.push(f.name + ': CRC mismatch');
+            }
+        }
+        const targetSetId = PatternSet.computePatternSetId(want.map((w) => w.name));
+        if (card.setId !== targetSetId && !problems.length) {
+            problems.push('Pattern Set ID ' + card.setId + ' (expected ' + targetSetId + ')');
+        }
+        return { ok: problems.length === 0, setId: card.setId, problems };
+    }
+
+    return {
+        normalizeTarget,
+        readCard,
+        checksumFiles,
+        planSync,
+        sync,
+        verifyCard
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SdSync;
+}
+if (typeof window !== 'undefined') {
+    window.SdSync = SdSync;
+}
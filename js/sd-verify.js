@@ -0,0 +1,337 @@
+/**
+ * sd-verify.js — read-back verification of the patterns on the SD card.
+ *
+ * Pulls every file back off the card and checks it three ways before a run:
+ *
+ *   bytes   identical to the Pattern Set's source file (size + byte compare,
+ *           CRC-32 of both reported for the log)
+ *   parse   the card copy goes through pat-parser's parsePatFile(…, {strict})
+ *           — a G6 file with a bad CRC-8 header byte or a bad CRC-16 frame
+ *           trailer fails even if the set's copy is equally broken
+ *   index   the card holds exactly the set (no missing or extra .pat files),
+ *           so every pattern_ID in the protocol addresses the file it means
+ *
+ * Two read paths:
+ *
+ *   'file'     GET_PATTERN_FILENAME / GET_PATTERN_INFO listing, then one
+ *              GET_PATTERN_FILE (0x84) per file, pipelined (SdSync.readCard +
+ *              checksumFiles) — the default
+ *   'archive'  one GET_SD_ARCHIVE (0x8A) and the patterns/*.pat members of the
+ *              store-only ZIP it streams — a single request, but some firmware
+ *              builds drop the link on large cards
+ *
+ * The report is plain JSON, kept whole on the caller's side and condensed by
+ * toHeader() for the run log header (RunLog meta.sd_verification):
+ *
+ *   const report = await SdVerify.verifyPatterns(session, bundle.patterns, {
+ *       parsePatFile: PatParser.parsePatFile
+ *   });
+ *   runLog = RunLog.createRunLog({ meta: { ...meta, sd_verification: SdVerify.toHeader(report) } });
+ *
+ * Read-only: nothing is written to the card. The archive path needs the display
+ * stopped (the firmware refuses 0x8A while a pattern plays).
+ *
+ * LOADING: classic <script src> after arena-wire-g6.js, crc.js, pattern-set.js
+ * and sd-sync.js (reads window.ArenaWireG6 / G6CRC / PatternSet / SdSync), or
+ * require() under Node. parsePatFile is passed in (opts.parsePatFile) because
+ * pat-parser.js is an ES module in the browser; window.PatParser is used when
+ * it isn't.
+ */
+
+const SdVerify = (function () {
+    'use strict';
+
+    const Wire =
+        typeof window !== 'undefined' && window.ArenaWireG6
+            ? window.ArenaWireG6
+            : require('./arena-wire-g6.js');
+    const G6CRC =
+        typeof window !== 'undefined' && window.G6CRC ? window.G6CRC : require('./crc.js');
+    const PatternSet =
+        typeof window !== 'undefined' && window.PatternSet
+            ? window.PatternSet
+            : require('./pattern-set.js');
+    const SdSync =
+        typeof window !== 'undefined' && window.SdSync ? window.SdSync : require('./sd-sync.js');
+
+    const ARCHIVE_TIMEOUT_MS = 300000;
+    const SOURCE_LABELS = { file: 'GET_PATTERN_FILE', archive: 'GET_SD_ARCHIVE' };
+
+    // ── helpers ──────────────────────────────────────────────────────────────
+
+    function hex32(n) {
+        return n == null ? null : (n >>> 0).toString(16).toUpperCase().padStart(8, '0');
+    }
+
+    function sameBytes(a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+        return true;
+    }
+
+    function firstDifference(a, b) {
+        const n = Math.min(a.length, b.length);
+        for (let i = 0; i < n; i++) if (a[i] !== b[i]) return i;
+        return n;
+    }
+
+    function toArrayBuffer(bytes) {
+        return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    }
+
+    /**
+     * Files of a store-only ZIP (the 0x8A archive) → {path: Uint8Array}.
+     * Walks the central directory; members that are compressed are listed in
+     * `unsupported` instead (the firmware never deflates, so that means the
+     * archive came from somewhere else).
+     * @param {Uint8Array} zip
+     * @returns {{files: Object<string, Uint8Array>, unsupported: string[]}}
+     */
+    function readStoredZip(zip) {
+        const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+        let end = -1;
+        // End-of-central-directory record: 22 bytes + up to 64 KiB of comment.
+        for (let i = zip.length - 22; i >= 0 && i >= zip.length - 22 - 0xffff; i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0)
+            throw new Error('sd-verify: archive is not a ZIP (no end-of-directory record)');
+        const count = view.getUint16(end + 10, true);
+        let at = view.getUint32(end + 16, true);
+        const files = {};
+        const unsupported = [];
+        const ascii = (from, len) => {
+            let s = '';
+            for (let i = 0; i < len; i++) s += String.fromCharCode(zip[from + i]);
+            return s;
+        };
+        for (let n = 0; n < count; n++) {
+            if (at + 46 > zip.length || view.getUint32(at, true) !== 0x02014b50) {
+                throw new Error('sd-verify: archive central directory is truncated');
+            }
+            const method = view.getUint16(at + 10, true);
+            const size = view.getUint32(at + 20, true);
+            const nameLen = view.getUint16(at + 28, true);
+            const extraLen = view.getUint16(at + 30, true);
+            const commentLen = view.getUint16(at + 32, true);
+            const local = view.getUint32(at + 42, true);
+            const name = ascii(at + 46, nameLen);
+            at += 46 + nameLen + extraLen + commentLen;
+            if (method !== 0) {
+                unsupported.push(name);
+                continue;
+            }
+            if (local + 30 > zip.length || view.getUint32(local, true) !== 0x04034b50) {
+                throw new Error('sd-verify: archive entry ' + name + ' has no local header');
+            }
+            const data =
+                local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+            if (data + size > zip.length) {
+                throw new Error('sd-verify: archive entry ' + name + ' is truncated');
+            }
+            files[name] = zip.subarray(data, data + size);
+        }
+        return { files, unsupported };
+    }
+
+    /** Strict parse of one card copy → {ok, generation, frames, error}. */
+    function checkParse(bytes, parsePatFile) {
+        try {
+            const p = parsePatFile(toArrayBuffer(bytes), { strict: true, quiet: true });
+            return { ok: true, generation: p.generation, frames: p.numFrames, error: null };
+        } catch (e) {
+            return { ok: false, generation: null, frames: null, error: e.message };
+        }
+    }
+
+    // ── card side ────────────────────────────────────────────────────────────
+
+    // Card files as [{index, name, bytes|null, error?}] via 0x82/0x88 + 0x84.
+    async function readByFile(link, o) {
+        const card = await SdSync.readCard(link, { window: o.window });
+        await SdSync.checksumFiles(link, card.files, {
+            keepBytes: true,
+            window: o.window,
+            onProgress: (m) =>
+                o.onProgress &&
+                o.onProgress({
+                    phase: 'read',
+                    done: m.completed + m.failed,
+                    total: card.files.length
+                })
+        });
+        return card.files.map((f) => ({
+            index: f.index,
+            name: f.name,
+            bytes: f.bytes || null,
+            error: f.bytes ? null : f.error
+        }));
+    }
+
+    // Card files via one 0x8A archive; index = alphabetical position, as listed.
+    async function readByArchive(link, o) {
+        if (o.onProgress) o.onProgress({ phase: 'read', done: 0, total: 1 });
+        const zip = await link.sendBulkRead(Wire.encodeGetSdArchive(), {
+            timeoutMs: o.timeoutMs || ARCHIVE_TIMEOUT_MS
+        });
+        if (!zip || !zip.length) throw new Error('sd-verify: empty SD archive');
+        const { files, unsupported } = readStoredZip(zip);
+        const out = [];
+        for (const path of Object.keys(files)) {
+            const m = /^patterns\/([^/]+\.pat)$/i.exec(path);
+            if (m && m[1][0] !== '.') out.push({ name: m[1], bytes: files[path], error: null });
+        }
+        for (const path of unsupported) {
+            const m = /^patterns\/([^/]+\.pat)$/i.exec(path);
+            if (m && m[1][0] !== '.') {
+                out.push({ name: m[1], bytes: null, error: 'compressed archive entry' });
+            }
+        }
+        out.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+        out.forEach((f, i) => (f.index = i + 1));
+        if (o.onProgress) o.onProgress({ phase: 'read', done: 1, total: 1 });
+        return out;
+    }
+
+    // ── verification ─────────────────────────────────────────────────────────
+
+    /**
+     * Read the card back and check it against the set.
+     * @param {object} link  ArenaSession / ArenaLink (send, sendPipelined, sendBulkRead)
+     * @param {Array<{name, bytes}>|{patterns}} target  the Pattern Set's source files;
+     *   an entry with bytes null has no source copy — it is still read and parsed,
+     *   but can't pass
+     * @param {object} [opts]
+     * @param {function(ArrayBuffer, object):object} [opts.parsePatFile]  defaults to
+     *   window.PatParser.parsePatFile
+     * @param {'file'|'archive'} [opts.source='file']
+     * @param {function({phase, done, total}):void} [opts.onProgress]
+     * @param {function():number} [opts.now]  clock for elapsedMs (ms)
+     * @returns {Promise<object>} {ok, source, setId, cardSetId, checked, passed,
+     *   files: [{name, index, ok, size, expectedSize, crc32, expectedCrc32,
+     *   generation, frames, problems}], missing, extra, verifiedAt, elapsedMs}
+     */
+    async function verifyPatterns(link, target, opts) {
+        const o = opts || {};
+        const parsePatFile =
+            o.parsePatFile ||
+            (typeof window !== 'undefined' && window.PatParser && window.PatParser.parsePatFile);
+        if (typeof parsePatFile !== 'function') {
+            throw new Error('sd-verify: opts.parsePatFile is required (pat-parser.js)');
+        }
+        const source = o.source || 'file';
+        if (!SOURCE_LABELS[source]) throw new Error('sd-verify: unknown source ' + source);
+        const now = o.now || (() => Date.now());
+        const t0 = now();
+
+        const list = Array.isArray(target) ? target : (target && target.patterns) || [];
+        const want = SdSync.normalizeTarget(list.filter((p) => !p || p.bytes != null));
+        for (const p of list) {
+            if (p && p.bytes == null)
+                want.push({ name: p.name, bytes: null, size: null, crc32: null });
+        }
+        want.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+        const card =
+            source === 'archive' ? await readByArchive(link, o) : await readByFile(link, o);
+        const onCard = {};
+        for (const f of card) onCard[f.name] = f;
+
+        const files = [];
+        const missing = [];
+        want.forEach((w, i) => {
+            const f = onCard[w.name];
+            const entry = {
+                name: w.name,
+                index: f ? f.index : null,
+                ok: false,
+                size: f && f.bytes ? f.bytes.length : null,
+                expectedSize: w.size,
+                crc32: f && f.bytes ? hex32(G6CRC.crc32(f.bytes)) : null,
+                expectedCrc32: hex32(w.crc32),
+                generation: null,
+                frames: null,
+                problems: []
+            };
+            if (!f) {
+                missing.push(w.name);
+                entry.problems.push('missing on card');
+            } else if (!f.bytes) {
+                entry.problems.push('read-back failed (' + f.error + ')');
+            } else {
+                if (f.index !== i + 1) {
+                    entry.problems.push('at SD index ' + f.index + ', set expects ' + (i + 1));
+                }
+                if (!w.bytes) {
+                    entry.problems.push('no source copy to compare against');
+                } else if (f.bytes.length !== w.size) {
+                    entry.problems.push('size ' + f.bytes.length + ' B, set has ' + w.size + ' B');
+                } else if (!sameBytes(f.bytes, w.bytes)) {
+                    entry.problems.push(
+                        'bytes differ from the set from offset ' + firstDifference(f.bytes, w.bytes)
+                    );
+                }
+                const parsed = checkParse(f.bytes, parsePatFile);
+                entry.generation = parsed.generation;
+                entry.frames = parsed.frames;
+                if (!parsed.ok) entry.problems.push('parse: ' + parsed.error);
+            }
+            entry.ok = entry.problems.length === 0;
+            files.push(entry);
+            if (o.onProgress) o.onProgress({ phase: 'check', done: i + 1, total: want.length });
+        });
+
+        const wanted = {};
+        for (const w of want) wanted[w.name] = true;
+        const extra = card.filter((f) => !wanted[f.name]).map((f) => f.name);
+        const passed = files.filter((f) => f.ok).length;
+        return {
+            ok: passed === files.length && extra.length === 0,
+            source,
+            setId: PatternSet.computePatternSetId(want.map((w) => w.name)),
+            cardSetId: PatternSet.computePatternSetId(card.map((f) => f.name)),
+            checked: files.length,
+            passed,
+            files,
+            missing,
+            extra,
+            verifiedAt: new Date().toISOString(),
+            elapsedMs: now() - t0
+        };
+    }
+
+    /**
+     * Condense a report for the run log header (RunLog meta.sd_verification):
+     * the verdict and counts, plus only the files that failed.
+     */
+    function toHeader(report) {
+        return {
+            result: report.ok ? 'PASS' : 'FAIL',
+            via: SOURCE_LABELS[report.source] || report.source,
+            checked: report.checked,
+            passed: report.passed,
+            set_id: report.setId,
+            card_set_id: report.cardSetId,
+            verified_at: report.verifiedAt,
+            failures: report.files
+                .filter((f) => !f.ok)
+                .map((f) => ({ name: f.name, problems: f.problems.slice() })),
+            extra: report.extra.slice()
+        };
+    }
+
+    return {
+        verifyPatterns,
+        toHeader,
+        readStoredZip
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SdVerify;
+}
+if (typeof window !== 'undefined') {
+    window.SdVerify = SdVerify;
+}
@@ -25,6 +25,8 @@
         'trial-resolved': 1,
         'trial-running': 1,
         'led-activation': 1,
+        'trial-check': 1,
+        'repeat-until': 1,
         command: 1,
         skip: 1,
         error: 1,
@@ -57,7 +59,10 @@
         }
         const ev = log.event(phase, s);
         if (isTerminal(phase)) {
-            const override = phase === 'aborted' ? 'ABORTED_BY_USER' : undefined;
+            // A flow-control abort (trial_check exhausted / unevaluable) carries
+            // its reason on the summary — let deriveOutcome name it, not STOP.
+            const flowAbort = !!(s.summary && s.summary.abortReason);
+            const override = phase === 'aborted' && !flowAbort ? 'ABORTED_BY_USER' : undefined;
             const summary = log.finish(s.summary || null, override);
             return { event: ev, terminal: true, summary: summary };
         }
@@ -0,0 +1,561 @@
+#!/usr/bin/env node
+/**
+ * run-protocol.js — headless v3 protocol runner (no browser).
+ *
+ * Loads a v3 protocol YAML and drives it through the SAME
+ * ArenaRunner.runSequence the Arena Studio uses (js/arena-runner-g6.js), over
+ * either the controller's Ethernet TCP path (:62222 — same [len, cmd, ...]
+ * framing as USB serial) or a local simulated controller. Writes the same
+ * runlog.json + runlog.txt pair the Studio saves (js/run-log.js, fed through
+ * js/studio-runlog-adapter.js), so overnight batches and CI smoke runs don't
+ * need a browser.
+ *
+ * Usage:
+ *   node scripts/run-protocol.js <protocol.yaml> --sim [options]
+ *   node scripts/run-protocol.js <protocol.yaml> --host 192.168.10.62 [--port 62222] [options]
+ *   pixi run run-protocol -- <protocol.yaml> --sim --fast
+ *
+ * Options:
+ *   --sim                 simulated controller (js/arena-sim-g6.js; its SD card
+ *                         holds blank patterns named after the protocol's, in first-use order)
+ *   --host H, --port P    controller over TCP (port defaults to 62222)
+ *   --out DIR             directory for the run log pair (default: .)
+ *   --test                record as a TEST run (no protocol hash) instead of an experiment
+ *   --fast                skip host-side trial waits (smoke runs; commands still go out)
+ *   --seed N              deterministic shuffle for `randomize: true` blocks
+ *   --verify-sd DIR       before the run, read every pattern back off the SD card and
+ *                         check it against the Pattern Set bundle in DIR (MANIFEST.txt +
+ *                         patterns/): byte-identical, strict CRC parse, no missing or
+ *                         extra files (js/sd-verify.js). The PASS/FAIL report goes in
+ *                         the run log header; a FAIL is reported, not fatal.
+ *   --verify-via V        file (GET_PATTERN_FILE per file, default) | archive (GET_SD_ARCHIVE)
+ *   --experimenter, --genotype, --age, --sex, --fly, --notes   run metadata
+ *
+ * Same gates as Studio.beginRun: the protocol must parse, its references must
+ * resolve, and validateFlowControl must pass. There is no behavior stream here
+ * (no FicTrac bridge), so a protocol using trial_check / repeat_until is refused
+ * by the runner itself (fail closed) rather than run with its checks ignored.
+ *
+ * Exit status: 0 COMPLETED · 1 any other outcome · 2 usage error, protocol refused,
+ * or controller unreachable (no run log is written then).
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const crypto = require('crypto');
+const { register } = require('node:module');
+const { pathToFileURL } = require('url');
+
+const ROOT = path.join(__dirname, '..');
+const ArenaLink = require('../js/arena-link.js');
+const Wire = require('../js/arena-wire-g6.js');
+const RunnerLib = require('../js/arena-runner-g6.js');
+const Sim = require('../js/arena-sim-g6.js');
+const RunLog = require('../js/run-log.js');
+const StudioMeta = require('../js/studio-meta.js');
+const Adapter = require('../js/studio-runlog-adapter.js');
+const PatternSet = require('../js/pattern-set.js');
+const SdVerify = require('../js/sd-verify.js');
+const _pp = require('../js/pat-parser.js');
+const PatParser = _pp.default || _pp;
+
+const DEFAULT_PORT = 62222;
+const TOOL_VERSION = 'run-protocol (headless)';
+
+const USAGE =
+    'usage: run-protocol.js <protocol.yaml> (--sim | --host H [--port P]) [--out DIR]\n' +
+    '       [--test] [--fast] [--seed N] [--experimenter S] [--genotype S] [--age S]\n' +
+    '       [--sex S] [--fly S] [--notes S] [--verify-sd DIR [--verify-via file|archive]]';
+
+// Flags that take a value → the option key they set.
+const VALUE_FLAGS = {
+    '--host': 'host',
+    '--port': 'port',
+    '--out': 'out',
+    '--seed': 'seed',
+    '--experimenter': 'experimenter',
+    '--genotype': 'genotype',
+    '--age': 'age',
+    '--sex': 'sex',
+    '--fly': 'fly_number',
+    '--notes': 'notes',
+    '--verify-sd': 'verifySd',
+    '--verify-via': 'verifyVia'
+};
+const BOOL_FLAGS = { '--sim': 'sim', '--test': 'test', '--fast': 'fast', '--help': 'help' };
+
+/**
+ * Parse argv (without node + script). Throws on a usage error.
+ * @param {string[]} argv
+ * @returns {object} {protocol, sim, host, port, out, test, fast, seed, help, panel,
+ *   verifySd, verifyVia}
+ */
+function parseArgs(argv) {
+    const o = { protocol: null, sim: false, host: null, port: DEFAULT_PORT, out: '.' };
+    const panel = {};
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (BOOL_FLAGS[a]) {
+            o[BOOL_FLAGS[a]] = true;
+        } else if (VALUE_FLAGS[a]) {
+            if (i + 1 >= argv.length) throw new Error(a + ' needs a value');
+            const key = VALUE_FLAGS[a];
+            const v = argv[++i];
+            if (key === 'port' || key === 'seed') {
+                const n = Number(v);
+                if (!Number.isInteger(n) || n < 0) throw new Error(a + ' must be an integer');
+                o[key] = n;
+            } else if (key === 'verifyVia') {
+                if (v !== 'file' && v !== 'archive') {
+                    throw new Error(a + ' must be file or archive');
+                }
+                o[key] = v;
+            } else if (key === 'host' || key === 'out' || key === 'verifySd') {
+                o[key] = v;
+            } else {
+                panel[key] = v;
+            }
+        } else if (a.startsWith('--')) {
+            throw new Error('unknown option ' + a);
+        } else if (o.protocol) {
+            throw new Error('only one protocol file per run');
+        } else {
+            o.protocol = a;
+        }
+    }
+    o.panel = panel;
+    if (o.help) return o;
+    if (!o.protocol) throw new Error('no protocol file given');
+    if (o.sim === !!o.host) throw new Error('give exactly one of --sim or --host');
+    if (o.verifyVia && !o.verifySd) throw new Error('--verify-via needs --verify-sd');
+    return o;
+}
+
+// Deterministic Fisher–Yates for `--seed` (mulberry32), matching the Studio's
+// shuffleInPlace contract; without a seed it uses Math.random like the Studio.
+function makeShuffle(seed) {
+    let s = seed >>> 0;
+    const rand =
+        seed == null
+            ? Math.random
+            : () => {
+                  s = (s + 0x6d2b79f5) >>> 0;
+                  let t = s;
+                  t = Math.imul(t ^ (t >>> 15), t | 1);
+                  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+              };
+    return function shuffleInPlace(arr) {
+        for (let i = arr.length - 1; i > 0; i--) {
+            const j = Math.floor(rand() * (i + 1));
+            const t = arr[i];
+            arr[i] = arr[j];
+            arr[j] = t;
+        }
+        return arr;
+    };
+}
+
+// ---- links ---------------------------------------------------------------
+
+/**
+ * ArenaLink transport over a TCP socket — the firmware's NetworkManager speaks
+ * the same length-prefixed framing as USB serial, so the socket's 'data'
+ * chunks feed the shared de-framer / single-flight correlator unchanged.
+ */
+class TcpTransport {
+    constructor() {
+        this.kind = 'tcp';
+        this._socket = null;
+    }
+
+    /**
+     * @param {object} opts {host, port=62222, connectTimeoutMs=3000}
+     */
+    async open(opts, sink) {
+        const host = opts && opts.host;
+        const port = (opts && opts.port) || DEFAULT_PORT;
+        const connectTimeoutMs = (opts && opts.connectTimeoutMs) || 3000;
+        const socket = await new Promise((resolve, reject) => {
+            const s = net.connect({ host, port });
+            const timer = setTimeout(() => {
+                s.destroy();
+                reject(new Error('connect timeout after ' + connectTimeoutMs + ' ms'));
+            }, connectTimeoutMs);
+            s.once('connect', () => {
+                clearTimeout(timer);
+                resolve(s);
+            });
+            s.once('error', (err) => {
+                clearTimeout(timer);
+                reject(err);
+            });
+        });
+        socket.setNoDelay(true);
+        socket.on('data', (buf) => sink.data(new Uint8Array(buf)));
+        socket.on('error', (err) => sink.lost(err, true));
+        socket.on('close', () => sink.lost(new Error('socket closed'), false));
+        this._socket = socket;
+    }
+
+    write(bytes) {
+        const socket = this._socket;
+        if (!socket) return Promise.reject(new Error('socket closed'));
+        return new Promise((resolve, reject) => {
+            socket.write(Buffer.from(bytes), (err) => (err ? reject(err) : resolve()));
+        });
+    }
+
+    release() {
+        const socket = this._socket;
+        this._socket = null;
+        if (socket) socket.destroy();
+    }
+
+    async close() {
+        const socket = this._socket;
+        this._socket = null;
+        if (socket) {
+            socket.removeAllListeners('close');
+            socket.destroy();
+        }
+    }
+}
+
+const TcpArenaLink = ArenaLink.withTransport(TcpTransport);
+
+/**
+ * The --sim controller: a js/arena-sim-g6.js SimController whose SD card holds
+ * one blank pattern per referenced name ("001_<name>.pat", … in first-use
+ * order, so pattern_ID fallbacks line up with the listing), sized to the rig's
+ * arena and long enough for every frame_index / posX the protocol addresses.
+ * An unknown rig leaves the arena unchecked and the patterns 2x10.
+ */
+function makeSimController(exp) {
+    const geometry = /G6_(\d+)x(\d+)/.exec(
+        rigInfoForPath(exp.rig_path || exp.rig).arenaConfig || ''
+    );
+    const arena = geometry ? { rows: Number(geometry[1]), cols: Number(geometry[2]) } : null;
+    let frames = 1;
+    for (const c of exp.conditions || []) {
+        for (const cmd of c.commands || []) {
+            for (const v of [cmd && cmd.frame_index, cmd && cmd.posX]) {
+                if (Number.isInteger(v) && v >= frames) frames = v + 1;
+            }
+        }
+    }
+    const patterns = {};
+    referencedPatterns(exp).forEach((name, i) => {
+        const file = String(i + 1).padStart(3, '0') + '_' + name + '.pat';
+        patterns[file] = Sim.blankPattern(Object.assign({ frames }, arena));
+    });
+    return new Sim.SimController({ arena, patterns });
+}
+
+// ---- pattern resolution (mirrors arena_studio.html) ------------------------
+
+// SD filename → the logical name protocols reference ("003_grating.pat" → "grating").
+function sdLogicalName(fn) {
+    return String(fn == null ? '' : fn)
+        .replace(/\.pat$/i, '')
+        .replace(/^\d+[_-]/, '');
+}
+
+/**
+ * Read the controller's SD listing (GET_FILE_COUNT + GET_PATTERN_FILENAME
+ * 1..count) into a logical-name → 1-based index map. A name that occurs more
+ * than once maps to null — resolution refuses to guess, like the Studio.
+ */
+async function readSdIndex(link) {
+    const count = Wire.decodeFileCount(
+        Wire.decodeResponse(await link.send(Wire.encodeGetFileCount(), { timeoutMs: 2000 }))
+    );
+    if (count == null) throw new Error('GET_FILE_COUNT failed');
+    const byName = new Map();
+    for (let i = 1; i <= count; i++) {
+        const raw = await link.send(Wire.encodeGetPatternFilename(i), { timeoutMs: 2000 });
+        const name = sdLogicalName(Wire.decodePatternFilename(Wire.decodeResponse(raw)));
+        if (!name) continue;
+        byName.set(name, byName.has(name) ? null : i);
+    }
+    return byName;
+}
+
+/**
+ * Load a Pattern Set bundle directory (as written by the designer / the default
+ * set generator) → [{name, bytes}] in SD order. The names come from
+ * MANIFEST.txt when present, else every *.pat under patterns/ (or DIR itself).
+ */
+function loadPatternSetDir(dir) {
+    const patDir = fs.existsSync(path.join(dir, 'patterns')) ? path.join(dir, 'patterns') : dir;
+    const manifest = path.join(dir, 'MANIFEST.txt');
+    const names = fs.existsSync(manifest)
+        ? PatternSet.parseManifestTxt(fs.readFileSync(manifest, 'utf8')).patterns.map(
+              (p) => p.sd_name
+          )
+        : fs
+              .readdirSync(patDir)
+              .filter((n) => /\.pat$/i.test(n) && n[0] !== '.')
+              .sort();
+    if (!names.length) throw new Error('no patterns in ' + dir);
+    return names.map((name) => {
+        const file = path.join(patDir, name);
+        if (!fs.existsSync(file)) throw new Error('pattern set ' + dir + ' has no ' + name);
+        return { name, bytes: new Uint8Array(fs.readFileSync(file)) };
+    });
+}
+
+// Pattern names referenced by trialParams commands, in first-use order.
+function referencedPatterns(exp) {
+    const seen = new Set();
+    for (const c of exp.conditions || []) {
+        for (const cmd of c.commands || []) {
+            if (cmd && cmd.command_name === 'trialParams' && cmd.pattern) {
+                seen.add(sdLogicalName(cmd.pattern));
+            }
+        }
+    }
+    return Array.from(seen);
+}
+
+function makeResolvePatternId(sdIndex) {
+    return function resolvePatternId(cmd) {
+        const id = cmd && cmd.pattern ? sdIndex.get(sdLogicalName(cmd.pattern)) : null;
+        if (id != null) return id;
+        const pid = Number(cmd && cmd.pattern_ID);
+        return Number.isInteger(pid) && pid >= 1 ? pid : null;
+    };
+}
+
+function fictracPluginNames(exp) {
+    if (!exp || !Array.isArray(exp.plugins)) return [];
+    return exp.plugins
+        .filter(
+            (p) => p && ((p.matlab && p.matlab.class === 'FicTracPlugin') || p.name === 'fictrac')
+        )
+        .map((p) => p.name);
+}
+
+// rig_path basename → {name, arenaConfig} via configs/rigs/index.json (as the Studio).
+function rigInfoForPath(rigPath) {
+    if (!rigPath) return { name: null, arenaConfig: null };
+    const base = String(rigPath).split('/').pop();
+    let rigs = [];
+    try {
+        rigs = JSON.parse(
+            fs.readFileSync(path.join(ROOT, 'configs', 'rigs', 'index.json'), 'utf8')
+        ).rigs;
+    } catch (_) {
+        /* no index — fall back to the basename */
+    }
+    const hit = (rigs || []).find((r) => String(r.path).split('/').pop() === base);
+    return hit
+        ? { name: hit.name, arenaConfig: hit.arena }
+        : { name: base.replace(/\.ya?ml$/i, ''), arenaConfig: null };
+}
+
+// ---- protocol loading ------------------------------------------------------
+
+let _v3 = null;
+// protocol-yaml-v3.js is an ES module importing the bare `yaml` specifier; map
+// it to the vendored copy (tests/vendor-yaml.hooks.mjs) before importing.
+async function loadProtocolModule() {
+    if (_v3) return _v3;
+    register(pathToFileURL(path.join(ROOT, 'tests', 'vendor-yaml.hooks.mjs')));
+    _v3 = await import(pathToFileURL(path.join(ROOT, 'js', 'protocol-yaml-v3.js')).href);
+    return _v3;
+}
+
+/**
+ * Parse + gate a protocol text. Throws an Error (message ready for the
+ * operator) when the Studio would refuse to run it.
+ */
+async function loadProtocol(text, filename) {
+    const V3 = await loadProtocolModule();
+    let exp;
+    try {
+        exp = V3.parseV3Protocol(text);
+    } catch (err) {
+        throw new Error('Could not load "' + filename + '": ' + err.message);
+    }
+    const refs = V3.validateReferences(exp);
+    if (!refs.ok) throw new Error('Could not load "' + filename + '": ' + refs.errors[0]);
+    const fc = V3.validateFlowControl(exp);
+    if (!fc.ok) throw new Error('Cannot run this protocol: ' + fc.errors[0]);
+    return exp;
+}
+
+// ---- run -------------------------------------------------------------------
+
+/**
+ * Run one protocol end to end and write its run log pair.
+ * @param {object} o  parseArgs() result, plus optional injections:
+ *   {link?, sleep?, now?, runId?, onLine?(text)}
+ * @returns {Promise<{summary:object, files:string[], log:object}>}
+ */
+async function runProtocol(o) {
+    const text = fs.readFileSync(o.protocol, 'utf8');
+    const filename = path.basename(o.protocol);
+    const exp = await loadProtocol(text, filename);
+    const verifySet = o.verifySd ? loadPatternSetDir(o.verifySd) : null;
+    const say = o.onLine || ((s) => console.log(s));
+
+    const link =
+        o.link ||
+        (o.sim ? new Sim.SimArenaLink({ controller: makeSimController(exp) }) : new TcpArenaLink());
+    await link.open({ host: o.host, port: o.port });
+    const runner = new RunnerLib.ArenaRunner(link, Wire);
+    const onSigint = () => {
+        say('^C — stopping');
+        runner.stop();
+    };
+    process.once('SIGINT', onSigint);
+    try {
+        let firmware = null;
+        let controllerId = null;
+        try {
+            const info = Wire.decodeControllerInfo(
+                Wire.decodeResponse(await link.send(Wire.encodeGetControllerInfo()))
+            );
+            if (info) {
+                firmware = 'v' + info.version;
+                controllerId = info.mac;
+            }
+        } catch (_) {
+            /* older firmware: provenance stays null */
+        }
+        let sdVerification = null;
+        if (verifySet) {
+            const report = await SdVerify.verifyPatterns(link, verifySet, {
+                parsePatFile: PatParser.parsePatFile,
+                source: o.verifyVia || 'file'
+            });
+            sdVerification = SdVerify.toHeader(report);
+            say(
+                'SD verification ' +
+                    sdVerification.result +
+                    ': ' +
+                    report.passed +
+                    '/' +
+                    report.checked +
+                    ' patterns match ' +
+                    o.verifySd
+            );
+            for (const f of sdVerification.failures) {
+                say('  ✗ ' + f.name + ': ' + f.problems.join('; '));
+            }
+            for (const name of sdVerification.extra) say('  ✗ ' + name + ': not in the set');
+        }
+        const sdIndex = await readSdIndex(link);
+
+        const meta = StudioMeta.buildMeta({
+            runId: o.runId || StudioMeta.makeRunId(),
+            panel: o.panel,
+            doc: {
+                filename,
+                sha256: crypto.createHash('sha256').update(text, 'utf8').digest('hex')
+            },
+            session: { firmware, controllerId },
+            rig: rigInfoForPath(exp.rig_path || exp.rig),
+            toolVersion: TOOL_VERSION
+        });
+        if (sdVerification) meta.sd_verification = sdVerification;
+        const log = RunLog.createRunLog({
+            intent: o.test ? 'test' : 'experiment',
+            meta,
+            now: o.now
+        });
+        const { steps } = RunnerLib.flattenStructure(exp, {
+            shuffle: makeShuffle(o.seed == null ? null : o.seed)
+        });
+        say(
+            (o.test ? 'TEST' : 'EXPERIMENT') +
+                ' ' +
+                filename +
+                ' · ' +
+                steps.length +
+                ' steps · ' +
+                (o.sim ? 'simulator' : o.host + ':' + o.port)
+        );
+
+        try {
+            await runner.runSequence({
+                steps,
+                conditionsByName: new Map((exp.conditions || []).map((c) => [c.name, c])),
+                resolvePatternId: makeResolvePatternId(sdIndex),
+                fictracPluginNames: new Set(fictracPluginNames(exp)),
+                sleep: o.sleep || (o.fast ? () => Promise.resolve() : undefined),
+                onProgress: (s) => {
+                    Adapter.feedRunStatus(log, s);
+                    if (s.phase === 'step-start') {
+                        say('[' + (s.index + 1) + '/' + s.total + '] ' + (s.step && s.step.label));
+                    } else if (s.phase === 'error' || s.phase === 'skip') {
+                        say('  ' + s.phase + ': ' + (s.reason || ''));
+                    }
+                }
+            });
+        } catch (e) {
+            say('run error: ' + (e && e.message ? e.message : e));
+            if (!log.summary) {
+                Adapter.finishDisconnected(log, { aborted: true, errors: 1, steps: 0, skipped: 0 });
+            }
+        }
+
+        fs.mkdirSync(o.out, { recursive: true });
+        const files = [
+            path.join(o.out, log.filename('json')),
+            path.join(o.out, log.filename('txt'))
+        ];
+        fs.writeFileSync(files[0], JSON.stringify(log.toJSON(), null, 2));
+        fs.writeFileSync(files[1], log.toText());
+        say('— ' + log.summary.outcome + ' — ' + files.join(', '));
+        return { summary: log.summary, files, log };
+    } finally {
+        process.removeListener('SIGINT', onSigint);
+        await link.close();
+    }
+}
+
+async function main() {
+    let o;
+    try {
+        o = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error('run-protocol: ' + e.message + '\n' + USAGE);
+        return 2;
+    }
+    if (o.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    let r;
+    try {
+        r = await runProtocol(o);
+    } catch (e) {
+        console.error('run-protocol: ' + e.message);
+        return 2;
+    }
+    return r.summary.outcome === 'COMPLETED' ? 0 : 1;
+}
+
+module.exports = {
+    parseArgs,
+    makeShuffle,
+    TcpTransport,
+    TcpArenaLink,
+    makeSimController,
+    sdLogicalName,
+    readSdIndex,
+    loadPatternSetDir,
+    referencedPatterns,
+    rigInfoForPath,
+    loadProtocol,
+    runProtocol,
+    DEFAULT_PORT
+};
+
+if (require.main === module) {
+    main().then((code) => process.exit(code));
+}
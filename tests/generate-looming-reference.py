@@ -0,0 +1,159 @@
+#!/usr/bin/env python3
+"""Reference data for the looming generator (PatternGenerator.generateLooming).
+
+There is no MATLAB looming generator to export from, so this is an independent
+implementation of the same geometry: the smooth-cylinder arena coordinates of
+arena-geometry.js (stored as float32, as the JS does), the l/v time course
+theta(tau) = 2*atan((l/v)/tau) sampled at the frame rate, and a binary disc test
+on pixel centers (no anti-aliasing). validate-pattern-generation.js checks the
+JS output against it.
+
+Cases are chosen so that no pixel center sits within MARGIN of the disc rim in
+the stored frames (float32 vs float64 rounding can't flip a pixel); the script
+refuses to write a case that violates this.
+
+Run: python3 tests/generate-looming-reference.py   → data/looming_reference.json
+"""
+import json
+import math
+import os
+import struct
+from datetime import datetime
+
+OUT = os.path.join(os.path.dirname(__file__), "..", "data", "looming_reference.json")
+PANEL_SIZE = {"G3": 8, "G4": 16, "G4.1": 16, "G6": 20}
+MARGIN = 1e-5  # radians
+
+CASES = {
+    "looming_lv40_front_90deg": {
+        "arena": {"generation": "G6", "rows": 2, "cols": 10},
+        "params": {
+            "lOverV": 40,
+            "center_deg": [0, 0],
+            "initialSize_deg": 10,
+            "finalSize_deg": 90,
+            "frameRate": 100,
+            "high": 15,
+            "low": 0,
+        },
+    },
+    "looming_lv20_az45_el10_120deg": {
+        "arena": {"generation": "G6", "rows": 2, "cols": 10},
+        "params": {
+            "lOverV": 20,
+            "center_deg": [45, 10],
+            "initialSize_deg": 5,
+            "finalSize_deg": 120,
+            "frameRate": 200,
+            "high": 12,
+            "low": 2,
+        },
+    },
+}
+
+
+def f32(v):
+    return struct.unpack("f", struct.pack("f", v))[0]
+
+
+def arena_coordinates(panel_size, num_cols, num_rows):
+    """Smooth model of arena-geometry.js arenaCoordinates (numCircle = numCols)."""
+    rows, cols = panel_size * num_rows, panel_size * num_cols
+    pan_rad = 2 * math.pi / num_cols
+    p_rad = pan_rad / panel_size
+    pts = []
+    for r in range(rows):
+        z = f32(p_rad * (r - (rows - 1) / 2))
+        row = []
+        for c in range(cols):
+            panel, pix = divmod(c, panel_size)
+            phi = -pan_rad * (num_cols - 1) / 2 + pan_rad * panel + p_rad * (pix - (panel_size - 1) / 2)
+            row.append((f32(math.sin(phi)), f32(math.cos(phi)), z))
+        pts.append(row)
+    return pts, p_rad
+
+
+def build(case):
+    a, p = case["arena"], case["params"]
+    size = PANEL_SIZE[a["generation"]]
+    pts, _ = arena_coordinates(size, a["cols"], a["rows"])
+    az, el = (math.radians(v) for v in p["center_deg"])
+    cx, cy, cz = math.cos(el) * math.sin(az), math.cos(el) * math.cos(az), math.sin(el)
+    dist = [
+        [math.acos(max(-1.0, min(1.0, (x * cx + y * cy + z * cz) / math.sqrt(x * x + y * y + z * z)))) for (x, y, z) in row]
+        for row in pts
+    ]
+
+    lv = p["lOverV"] / 1000
+    final = math.radians(p["finalSize_deg"])
+    tau_start = lv / math.tan(math.radians(p["initialSize_deg"]) / 2)
+    tau_end = lv / math.tan(final / 2)
+    n = max(2, math.ceil((tau_start - tau_end) * p["frameRate"]) + 1)
+    sizes = []
+    for f in range(n):
+        tau = tau_start - f / p["frameRate"]
+        sizes.append(final if f == n - 1 or tau <= tau_end else 2 * math.atan(lv / tau))
+
+    frames = {}
+    for f in (n // 2, n - 1):
+        radius = sizes[f] / 2
+        closest = min(abs(d - radius) for row in dist for d in row)
+        if closest < MARGIN:
+            raise SystemExit(f"frame {f}: a pixel center is {closest:.2e} rad from the rim — pick another case")
+        frames[str(f)] = [p["low"] if d <= radius else p["high"] for row in dist for d in row]
+
+    return {
+        "type": "looming",
+        "params": p,
+        "arena": dict(a, panelSize=size, pixelRows=size * a["rows"], pixelCols=size * a["cols"]),
+        "result": {
+            "totalFrames": n,
+            "gsMode": 16,
+            "angularSizes_deg": [round(math.degrees(s), 9) for s in sizes],
+            "frames": frames,
+        },
+    }
+
+
+def main():
+    data = {
+        "generated": datetime.now().strftime("%Y-%m-%dT%H:%M:%S"),
+        "source": "tests/generate-looming-reference.py (independent Python implementation; no MATLAB counterpart)",
+        "convention": {
+            "origin": "bottom-left",
+            "rowOrder": "row 0 = bottom",
+            "pixelOrder": "row-major",
+            "notes": "frames maps a frame index to its pixels (1D, row-major, row 0 first). "
+            "center_deg is [azimuth, elevation]; azimuth 0 = arena front. No anti-aliasing.",
+        },
+        "patterns": {name: build(case) for name, case in CASES.items()},
+    }
+    with open(OUT, "w") as fh:
+        fh.write(compact_arrays(json.dumps(data, indent=2)) + "\n")
+    print("wrote", os.path.relpath(OUT))
+
+
+def compact_arrays(text):
+    """Collapse arrays of plain numbers onto one line."""
+    out, buf = [], None
+    for line in text.split("\n"):
+        s = line.strip()
+        if buf is not None:
+            if s in ("]", "],"):
+                out.append(buf[0] + ", ".join(buf[1]) + s)
+                buf = None
+            elif s.rstrip(",").replace(".", "", 1).replace("-", "", 1).isdigit():
+                buf[1].append(s.rstrip(","))
+            else:
+                out.extend([buf[0].rstrip()] + ["  " + v for v in buf[1]] + [line])
+                buf = None
+            continue
+        if line.endswith("["):
+            buf = (line, [])
+        else:
+            out.append(line)
+    return "\n".join(out)
+
+
+if __name__ == "__main__":
+    main()
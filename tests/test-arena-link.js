@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 /**
- * Hardware-free tests for js/arena-link.js (the Web Serial transport).
+ * Hardware-free tests for js/arena-link.js (link logic + its transports).
  *
  * Run: node tests/test-arena-link.js
  *
@@ -8,7 +8,8 @@
  * de-framing across chunk boundaries, single-flight + echo-verified
  * correlation, timeout cleanup + rx flush, read-error/disconnect teardown, and
  * partial-open rollback — is all exercised here with a fake reader/writer/port
- * and an injected `navigator.serial`. No browser, no hardware.
+ * and an injected `navigator.serial`; the WebSocket relay transport with a fake
+ * WebSocket, and a bare custom transport. No browser, no hardware.
  *
  * Exits 0 on PASS, 1 on any FAIL. Wired into `npm test` for CI.
  */
@@ -136,6 +137,40 @@ class FakePort {
     }
 }
 
+// Minimal browser-WebSocket double: the test drives open / message / close.
+class FakeWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        this.closedWith = null;
+        FakeWebSocket.last = this;
+    }
+    send(bytes) {
+        this.sent.push(Uint8Array.from(bytes));
+    }
+    close(code) {
+        this.readyState = 3;
+        this.closedWith = code;
+    }
+    // Test drivers.
+    accept() {
+        this.readyState = 1;
+        this.onopen && this.onopen({});
+    }
+    refuse(reason) {
+        this.readyState = 3;
+        this.onclose && this.onclose({ code: 1013, reason });
+    }
+    deliver(bytes) {
+        this.onmessage && this.onmessage({ data: Uint8Array.from(bytes).buffer });
+    }
+    drop(reason) {
+        this.readyState = 3;
+        this.onclose && this.onclose({ code: 1011, reason });
+    }
+}
+
 // Build a fresh link + injected navigator.serial for one scenario.
 function setup(opts) {
     opts = opts || {};
@@ -344,6 +379,318 @@ async function main() {
         checkBool('not connected after failed open', link.connected === false);
     }
 
+    console.log('\n=== WebSocket transport (relay) ===');
+    {
+        delete global.navigator; // no Web Serial — the relay path needs none
+        const events = { errors: 0, disconnects: 0 };
+        const WsLink = ArenaLink.withTransport(ArenaLink.WebSocketTransport, {
+            url: 'ws://relay.test:8766',
+            WebSocket: FakeWebSocket
+        });
+        checkBool(
+            'withTransport: isSupported follows the transport',
+            WsLink.isSupported() === ArenaLink.WebSocketTransport.isSupported()
+        );
+        const link = new WsLink({
+            onError: () => events.errors++,
+            onDisconnect: () => events.disconnects++
+        });
+        const opening = link.connect();
+        await flush();
+        const ws = FakeWebSocket.last;
+        checkBool('dials the relay url', ws.url === 'ws://relay.test:8766');
+        checkBool('binary frames as ArrayBuffer', ws.binaryType === 'arraybuffer');
+        ws.accept();
+        await opening;
+        checkBool(
+            'connected over WebSocket',
+            link.connected === true && link.port === 'ws://relay.test:8766'
+        );
+
+        // Reply split across two messages + a text message that is not stream data.
+        const p = link.send(Wire.encodeGetControllerInfo());
+        await flush();
+        checkBytes('request written as one binary message', ws.sent[0], REQ_INFO);
+        ws.deliver(RESP_INFO.subarray(0, 2));
+        ws.onmessage({ data: '{"type":"hello"}' });
+        ws.deliver(RESP_INFO.subarray(2));
+        checkBytes('reply de-framed across messages', await p, '04 00 c2 02 11');
+
+        // Bulk read: header and raw bytes arrive coalesced in one message.
+        const bulk = link.sendBulkRead(Wire.encodeGetPatternFile(1));
+        await flush();
+        ws.deliver([10, 0, 0x84, 3, 0, 0, 0, 0, 0, 0, 0, 0xaa, 0xbb, 0xcc]);
+        checkBytes('bulk read over WebSocket', await bulk, 'aa bb cc');
+
+        // Relay drop → involuntary disconnect, in-flight request rejected.
+        const lost = link.send(Wire.encodeGetSpiClock());
+        await flush();
+        ws.drop('controller closed the connection');
+        await checkRejects(
+            'in-flight rejected on relay drop',
+            lost,
+            /controller closed the connection/
+        );
+        checkBool(
+            'onDisconnect fired once, no onError',
+            events.disconnects === 1 && events.errors === 0
+        );
+        await checkRejects(
+            'send after drop rejects',
+            link.send(Wire.encodeGetSpiClock()),
+            /not connected/
+        );
+        await link.close();
+    }
+    {
+        const link = new ArenaLink({
+            transport: new ArenaLink.WebSocketTransport({ WebSocket: FakeWebSocket })
+        });
+        const opening = link.open({ url: 'ws://other:1' });
+        await flush();
+        checkBool('open({url}) overrides the default', FakeWebSocket.last.url === 'ws://other:1');
+        FakeWebSocket.last.refuse('relay busy: another client holds the controller');
+        await checkRejects('busy relay refuses the connection', opening, /relay busy/);
+        checkBool('not connected after refusal', link.connected === false);
+    }
+    {
+        const link = new ArenaLink({
+            transport: new ArenaLink.WebSocketTransport({
+                WebSocket: FakeWebSocket,
+                connectTimeoutMs: 20
+            })
+        });
+        await checkRejects('unanswered relay times out', link.connect(), /timeout after 20 ms/);
+    }
+    {
+        // Clean close: the socket is closed with 1000 and no disconnect is reported.
+        let disconnects = 0;
+        const link = new ArenaLink({
+            transport: new ArenaLink.WebSocketTransport({ WebSocket: FakeWebSocket }),
+            onDisconnect: () => disconnects++
+        });
+        const opening = link.connect();
+        await flush();
+        const ws = FakeWebSocket.last;
+        ws.accept();
+        await opening;
+        await link.close();
+        checkBool(
+            'close() closes the socket 1000, no onDisconnect',
+            ws.closedWith === 1000 && disconnects === 0
+        );
+    }
+
+    console.log('\n=== custom transport ===');
+    {
+        // Any object with open/write/close carries the same semantics.
+        let sink = null;
+        const written = [];
+        const transport = {
+            kind: 'loopback',
+            open: async (opts, s) => {
+                sink = s;
+            },
+            write: async (bytes) => {
+                written.push(bytes);
+                // Echo a wrong opcode to prove the desync check still applies.
+                setTimeout(() => sink.data(Uint8Array.from([2, 0, 0x99])), 0);
+            },
+            close: async () => {}
+        };
+        const logs = [];
+        const link = new ArenaLink({ transport, onLog: (l) => logs.push(l) });
+        await link.connect();
+        checkBool('select() is optional', link.port === null && link.connected);
+        checkBool('log names the transport', logs.includes('-- connected (loopback)'));
+        await checkRejects(
+            'echo check applies to any transport',
+            link.send(Wire.encodeGetControllerInfo()),
+            /desync/
+        );
+        await link.close();
+    }
+
+    console.log('\n=== pipelined batches ===');
+    {
+        // Scripted device: records writes; the test replies when it chooses.
+        let sink = null;
+        const written = [];
+        const transport = {
+            kind: 'scripted',
+            open: async (opts, s) => {
+                sink = s;
+            },
+            write: async (bytes) => {
+                written.push(bytes);
+            },
+            close: async () => {}
+        };
+        const link = new ArenaLink({ transport });
+        await link.connect();
+        const reply = (cmd, status = 0) => Uint8Array.from([2, status, cmd]);
+        const concat = (...parts) => {
+            const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+            let off = 0;
+            for (const p of parts) {
+                out.set(p, off);
+                off += p.length;
+            }
+            return out;
+        };
+
+        const names = [1, 2, 3, 4, 5, 6].map((i) => ({ bytes: Wire.encodeGetPatternFilename(i) }));
+        const progress = [];
+        const p1 = link.sendPipelined(names, { window: 3, onProgress: (m) => progress.push(m) });
+        await flush();
+        checkBool('window caps requests written ahead of replies', written.length === 3);
+        sink.data(reply(0x82));
+        await flush();
+        checkBool('a reply frees one slot', written.length === 4);
+        // Answer everything written so far in one chunk (matched FIFO), twice.
+        sink.data(concat(reply(0x82), reply(0x82), reply(0x82)));
+        await flush();
+        checkBool('slots refill after a burst of replies', written.length === 6);
+        sink.data(concat(reply(0x82), reply(0x82)));
+        const r1 = await p1;
+        checkBool(
+            'all results ok, in request order',
+            r1.results.length === 6 && r1.results.every((r) => r.ok && r.frame[2] === 0x82)
+        );
+        checkBool(
+            'metrics count requests, bytes and peak window',
+            r1.metrics.completed === 6 &&
+                r1.metrics.maxInFlight === 3 &&
+                r1.metrics.bytesOut === 6 * 4 &&
+                r1.metrics.bytesIn === 6 * 3
+        );
+        checkBool(
+            'onProgress after every reply',
+            progress.length === 6 && progress[5].completed === 6
+        );
+
+        // requireOk: a rename is held until its upload replies, skipped on failure.
+        written.length = 0;
+        const upload = (data) => ({
+            bytes: Wire.encodeSetPatternFile(0, Uint8Array.from(data)),
+            expectedCmd: 0x85
+        });
+        const rename = (name) => ({
+            bytes: Wire.encodeSetPatternFilename(0, name),
+            expectedCmd: 0x83,
+            requireOk: true
+        });
+        const p2 = link.sendPipelined([
+            upload([1, 2]),
+            rename('a.pat'),
+            upload([3]),
+            rename('b.pat')
+        ]);
+        await flush();
+        checkBool('rename held until its upload replies', written.length === 1);
+        sink.data(reply(0x85, 1)); // upload 1 refused
+        await flush();
+        checkBool(
+            'skipped rename is never written',
+            written.length === 2 && written[1][0] === 0x85
+        );
+        sink.data(reply(0x85));
+        await flush();
+        sink.data(Uint8Array.from([4, 0, 0x83, 1, 0]));
+        const r2 = await p2;
+        checkBool(
+            'failed upload, skipped rename, then the next pair succeeds',
+            !r2.results[0].ok &&
+                r2.results[1].skipped &&
+                r2.results[2].ok &&
+                r2.results[3].ok &&
+                r2.metrics.failed === 1 &&
+                r2.metrics.skipped === 1
+        );
+
+        // Byte budget: a 1-byte-per-slot budget forces one request at a time.
+        written.length = 0;
+        const p3 = link.sendPipelined(names.slice(0, 2), { maxBytesInFlight: 1 });
+        await flush();
+        checkBool('maxBytesInFlight backpressure', written.length === 1);
+        sink.data(reply(0x82));
+        await flush();
+        sink.data(reply(0x82));
+        checkBool('oversize request still goes out alone', (await p3).metrics.maxInFlight === 1);
+
+        // A timeout aborts the rest (alignment is lost), the link stays usable.
+        written.length = 0;
+        const p4 = link.sendPipelined(names.slice(0, 4), { timeoutMs: 30 });
+        await flush();
+        sink.data(reply(0x82));
+        const r4 = await p4;
+        checkBool(
+            'head timeout fails that request',
+            r4.results[0].ok && /response timeout after 30 ms/.test(r4.results[1].error.message)
+        );
+        checkBool(
+            'requests behind it are aborted, not guessed at',
+            r4.results
+                .slice(2)
+                .every((r) => /^pipeline aborted: response timeout/.test(r.error.message))
+        );
+        checkBool('link still connected after abort', link.connected === true);
+
+        // Desync mid-batch aborts the same way.
+        const p5 = link.sendPipelined(names.slice(0, 3));
+        await flush();
+        sink.data(reply(0x86));
+        const r5 = await p5;
+        checkBool(
+            'desync aborts the batch',
+            /desync/.test(r5.results[0].error.message) &&
+                /^pipeline aborted: .*desync/.test(r5.results[2].error.message)
+        );
+
+        // Bulk read: header + raw bytes + the NEXT reply in one chunk.
+        const p6 = link.sendPipelined([
+            { bytes: Wire.encodeGetPatternFile(1), bulk: true },
+            { bytes: Wire.encodeGetPatternFilename(2) }
+        ]);
+        await flush();
+        const header = Uint8Array.from([10, 0, 0x84, 3, 0, 0, 0, 0, 0, 0, 0]);
+        // The raw payload starts with bytes that would parse as a frame.
+        sink.data(concat(header, Uint8Array.from([2, 0, 0x82]), reply(0x82)));
+        const r6 = await p6;
+        checkBytes('bulk payload drained raw', r6.results[0].data, '02 00 82');
+        checkBool('reply after the payload matched to the next request', r6.results[1].ok);
+        checkBool('bulk bytes counted in metrics', r6.metrics.bytesIn === 11 + 3 + 3);
+
+        // Single-flight send() queues behind the batch.
+        written.length = 0;
+        const p7 = link.sendPipelined(names.slice(0, 2));
+        const single = link.send(Wire.encodeGetControllerInfo());
+        await flush();
+        checkBool('send() waits for the batch', written.length === 2);
+        sink.data(concat(reply(0x82), reply(0x82)));
+        await p7;
+        await flush();
+        checkBool('then goes out', written.length === 3);
+        sink.data(RESP_INFO);
+        checkBool('send() after a batch resolves', (await single)[2] === 0xc2);
+
+        // Disconnect mid-batch rejects everything outstanding.
+        const p8 = link.sendPipelined(names.slice(0, 3));
+        await flush();
+        sink.lost(new Error('cable pulled'), false);
+        const r8 = await p8;
+        checkBool(
+            'disconnect fails the head and aborts the rest',
+            /cable pulled/.test(r8.results[0].error.message) &&
+                /^pipeline aborted: cable pulled/.test(r8.results[2].error.message)
+        );
+        await checkRejects(
+            'sendPipelined() rejects when not connected',
+            link.sendPipelined(names),
+            /not connected/
+        );
+    }
+
     console.log(`\n=== Summary ===\n${totalChecks - failures} / ${totalChecks} checks passed`);
     process.exit(failures > 0 ? 1 : 0);
 }
@@ -1297,6 +1297,541 @@ async function main() {
         check('closed-loop timing = 2s (fictrac ops add no time)', slept, 2000);
     }
 
+    console.log('\n=== normalizeTrialCheck: validation (fail closed on malformed specs) ===');
+    {
+        const ok = Runner.normalizeTrialCheck({
+            criterion: {
+                metric: 'forward_speed',
+                statistic: 'mean',
+                stop_when: 'below',
+                threshold: 2
+            },
+            on_fail: { run: 'recover' },
+            max_attempts: '3',
+            on_exhausted: 'advance'
+        });
+        check('max_attempts coerced from string', ok.maxAttempts, 3);
+        check('on_fail.run → onFailRun', ok.onFailRun, 'recover');
+        check('onExhausted kept', ok.onExhausted, 'advance');
+        check('absent → null', Runner.normalizeTrialCheck(undefined), null);
+        checkThrows('missing criterion throws', () =>
+            Runner.normalizeTrialCheck({ max_attempts: 2, on_exhausted: 'abort' })
+        );
+        checkThrows('missing on_exhausted throws (no default)', () =>
+            Runner.normalizeTrialCheck({ criterion: { metric: 'm' }, max_attempts: 2 })
+        );
+        checkThrows('max_attempts 0 throws', () =>
+            Runner.normalizeTrialCheck({
+                criterion: { metric: 'm' },
+                max_attempts: 0,
+                on_exhausted: 'advance'
+            })
+        );
+        checkThrows('on_fail.run non-string throws', () =>
+            Runner.normalizeTrialCheck({
+                criterion: { metric: 'm' },
+                max_attempts: 2,
+                on_exhausted: 'advance',
+                on_fail: { run: 5 }
+            })
+        );
+    }
+
+    console.log('\n=== flattenStructure: trial_check carried onto ref + block-trial steps ===');
+    {
+        const spec = { criterion: { metric: 'm' }, max_attempts: 2, on_exhausted: 'advance' };
+        const { steps } = Runner.flattenStructure({
+            conditions: [realCond, intertrialCond],
+            sequence: [
+                { kind: 'ref', condition_name: 'sine_grating', trial_check: spec },
+                {
+                    kind: 'block',
+                    name: 'b',
+                    trials: ['sine_grating'],
+                    repetitions: 2,
+                    intertrial: 'intertrial',
+                    trial_check: spec
+                }
+            ]
+        });
+        checkBool('ref step carries trialCheck', steps[0].trialCheck === spec);
+        check('block-trial steps carry trialCheck', steps.filter((s) => s.trialCheck).length, 3);
+        checkBool(
+            'iti never carries trialCheck',
+            !steps.some((s) => s.kind === 'iti' && s.trialCheck)
+        );
+    }
+
+    // Shared fixture for the trial_check runs: a checked trial + a recovery.
+    const tcConds = new Map([
+        ['show', { name: 'show', commands: [trialCmd, { type: 'wait', duration: 2 }] }],
+        [
+            'recover',
+            { name: 'recover', commands: [{ type: 'controller', command_name: 'allOff' }] }
+        ],
+        ['after', { name: 'after', commands: [{ type: 'controller', command_name: 'allOn' }] }]
+    ]);
+    const tcSteps = (tc, extra) => [
+        Object.assign(
+            { kind: 'ref', conditionName: 'show', label: 'show', seqIdx: 0, dur: 5 },
+            extra,
+            { trialCheck: tc }
+        ),
+        { kind: 'ref', conditionName: 'after', label: 'after', seqIdx: 1, dur: 0 }
+    ];
+    const tcSpec = (over) =>
+        Object.assign(
+            {
+                criterion: {
+                    metric: 'forward_speed',
+                    statistic: 'mean',
+                    stop_when: 'below',
+                    threshold: 2
+                },
+                on_fail: { run: 'recover' },
+                max_attempts: 3,
+                on_exhausted: 'advance'
+            },
+            over
+        );
+    // Scripted evaluator: returns `met` values in order, records its calls.
+    const scripted = (mets, extra) => {
+        const calls = [];
+        const fn = async (criterion, ctx) => {
+            calls.push({ criterion, ctx });
+            const met = mets[calls.length - 1];
+            return Object.assign({ met, value: met ? 1 : 5, valid_samples: 120 }, extra);
+        };
+        fn.calls = calls;
+        return fn;
+    };
+    let clock = 0;
+    const tick = () => (clock += 1000);
+
+    console.log('\n=== runSequence trial_check: pass on the first attempt ===');
+    {
+        const link = makeFakeLink();
+        const runner = new Runner.ArenaRunner(link, Wire);
+        const evaluate = scripted([false]);
+        const events = [];
+        const summary = await runner.runSequence({
+            steps: tcSteps(tcSpec()),
+            conditionsByName: tcConds,
+            resolvePatternId: () => 1,
+            sleep: () => Promise.resolve(),
+            evaluateCriterion: evaluate,
+            now: tick,
+            onProgress: (s) => events.push(s)
+        });
+        const tc = events.filter((e) => e.phase === 'trial-check');
+        check('evaluated once', evaluate.calls.length, 1);
+        check('one trial-check event', tc.length, 1);
+        check('exit pass', tc[0].trialCheck.exit, 'pass');
+        checkBool('valid attempt', tc[0].trialCheck.valid === true);
+        check('valid_samples recorded', tc[0].trialCheck.valid_samples, 120);
+        checkBool(
+            'evaluator got the attempt span',
+            evaluate.calls[0].ctx.endMs > evaluate.calls[0].ctx.startMs
+        );
+        check('no invalid attempts', summary.invalidAttempts, 0);
+        checkBool('completed', summary.completed === true);
+    }
+
+    console.log('\n=== runSequence trial_check: retry with recovery, then pass ===');
+    {
+        const link = makeFakeLink();
+        const runner = new Runner.ArenaRunner(link, Wire);
+        const evaluate = scripted([true, false]);
+        const events = [];
+        const summary = await runner.runSequence({
+            steps: tcSteps(tcSpec(), { randomize: true }),
+            conditionsByName: tcConds,
+            resolvePatternId: () => 1,
+            sleep: () => Promise.resolve(),
+            evaluateCriterion: evaluate,
+            now: tick,
+            onProgress: (s) => events.push(s)
+        });
+        const tc = events.filter((e) => e.phase === 'trial-check').map((e) => e.trialCheck);
+        const starts = events.filter((e) => e.phase === 'step-start').map((e) => e.step);
+        check('two attempts evaluated', evaluate.calls.length, 2);
+        check('1st attempt exit retry', tc[0].exit, 'retry');
+        check('1st attempt biological', tc[0].invalid_reason, 'biological');
+        check('1st attempt names recovery', tc[0].recovery, 'recover');
+        checkBool('retry in randomized block flagged adjacent', tc[0].randomized_adjacency);
+        check('2nd attempt exit pass', tc[1].exit, 'pass');
+        check(
+            'step order: show, recover, show, after',
+            starts.map((s) => s.conditionName).join(','),
+            'show,recover,show,after'
+        );
+        check('recovery step kind', starts[1].kind, 'recovery');
+        check('attempts share parentIndex', starts[2].parentIndex, 0);
+        check('2nd attempt numbered', starts[2].attempt, 2);
+        check('summary.invalidAttempts 1', summary.invalidAttempts, 1);
+        checkBool('completed', summary.completed === true);
+    }
+
+    console.log('\n=== runSequence trial_check: exhausted → advance / abort ===');
+    {
+        const link = makeFakeLink();
+        const runner = new Runner.ArenaRunner(link, Wire);
+        const events = [];
+        const summary = await runner.runSequence({
+            steps: tcSteps(tcSpec({ max_attempts: 2 })),
+            conditionsByName: tcConds,
+            resolvePatternId: () => 1,
+            sleep: () => Promise.resolve(),
+            evaluateCriterion: scripted([true, true]),
+            now: tick,
+            onProgress: (s) => events.push(s)
+        });
+        const tc = events.filter((e) => e.phase === 'trial-check').map((e) => e.trialCheck);
+        check('advance: last exit', tc[1].exit, 'exhausted-advance');
+        check('advance: no recovery after the final attempt', tc[1].recovery, null);
+        checkBool(
+            'advance: next step still ran',
+            events.some((e) => e.phase === 'step-start' && e.step.conditionName === 'after')
+        );
+        checkBool('advance: completed', summary.completed === true);
+        check('advance: invalidAttempts 2', summary.invalidAttempts, 2);
+    }
+    {
+        const link = makeFakeLink();
+        const runner = new Runner.ArenaRunner(link, Wire);
+        const events = [];
+        const summary = await runner.runSequence({
+            steps: tcSteps(
+                tcSpec({
+                    max_attempts: 1,
+                    on_exhausted: 'abort',
+                    criterion: { metric: 'tracking_dropouts', statistic: 'mean', threshold: 0.1 }
+                })
+            ),
+            conditionsByName: tcConds,
+            resolvePatternId: () => 1,
+            sleep: () => Promise.resolve(),
+            evaluateCriterion: scripted([true]),
+            now: tick,
+            onProgress: (s) => events.push(s)
+        });
+        const tc = events.filter((e) => e.phase === 'trial-check').map((e) => e.trialCheck);
+        check('abort: exit', tc[0].exit, 'exhausted-abort');
+        check('abort: device-health metric → technical', tc[0].invalid_reason, 'technical');
+        checkBool('abort: run aborted', summary.aborted === true);
+        checkBool('abort: abortReason set', /on_exhausted: abort/.test(summary.abortReason));
+        checkBool(
+            'abort: next step never ran',
+            !events.some((e) => e.phase === 'step-start' && e.step.conditionName === 'after')
+        );
+        checkBytes('abort: final STOP still sent', link.sent[link.sent.length - 1], '01 30');
+    }
+
+    console.log('\n=== runSequence trial_check: fail closed ===');
+    {
+        const link = makeFakeLink();
+        const runner = new Runner.ArenaRunner(link, Wire);
+        const summary = await runner.runSequence({
+            steps: tcSteps(tcSpec()),
+            conditionsByName: tcConds,
+            resolvePatternId: () => 1,
+            sleep: () => Promise.resolve()
+        });
+        checkBool('no evaluator: aborted', summary.aborted === true);
+        checkBool('no evaluator: reason names it', /criterion evaluator/.test(summary.abortReason));
+        check('no evaluator: only the final STOP sent', link.sent.length, 1);
+    }
+    {
+        const link = makeFakeLink();
+        const runner = new Runner.ArenaRunner(link, Wire);
+        const summary = await runner.runSequence({
+            steps: tcSteps(tcSpec({ on_exhausted: 'retry' })),
+            conditionsByName: tcConds,
+            resolvePatternId: () => 1,
+            sleep: () => Promise.resolve(),
+            evaluateCriterion: scripted([false])
+        });
+        checkBool('malformed check: aborted before sending', link.sent.length === 1);
+        checkBool('malformed check: reason', /invalid trial_check/.test(summary.abortReason));
+    }
+    {
+        const link = makeFakeLink();
+        const runner = new Runner.ArenaRunner(link, Wire);
+        const summary = await runner.runSequence({
+            steps: tcSteps(tcSpec()),
+            conditionsByName: tcConds,
+            resolvePatternId: () => 1,
+            sleep: () => Promise.resolve(),
+            evaluateCriterion: async () => ({ met: false, value: NaN, valid_samples: 0 })
+        });
+        checkBool('NaN statistic: aborted', summary.aborted === true);
+        checkBool('NaN statistic: reason', /unevaluable/.test(summary.abortReason));
+    }
+    {
+        const link = makeFakeLink();
+        const runner = new Runner.ArenaRunner(link, Wire);
+        const summary = await runner.runSequence({
+            steps: tcSteps(tcSpec()),
+            conditionsByName: tcConds,
+            resolvePatternId: () => 1,
+            sleep: () => Promise.resolve(),
+            evaluateCriterion: async () => {
+                throw new Error('no tracking data');
+            }
+        });
+        checkBool('evaluator throws: aborted', summary.aborted === true);
+        checkBool(
+            'evaluator throws: reason carries message',
+            /no tracking data/.test(summary.abortReason)
+        );
+    }
+
+    console.log('\n=== normalizeRepeatUntil: validation ===');
+    {
+        const ok = Runner.normalizeRepeatUntil({
+            criterion: {
+                metric: 'walking_speed',
+                statistic: 'mean',
+                stop_when: 'below',
+                baseline: { window: [2, 6], units: 'minutes' },
+                fraction: 0.7
+            },
+            max_repeats: 5
+        });
+        check('min_repeats defaults to 1', ok.minRepeats, 1);
+        check('max_repeats kept', ok.maxRepeats, 5);
+        check(
+            'baseline window resolved to ms',
+            JSON.stringify(ok.baselineWindowMs),
+            '[120000,360000]'
+        );
+        check('absent → null', Runner.normalizeRepeatUntil(null), null);
+        checkThrows('missing max_repeats throws', () =>
+            Runner.normalizeRepeatUntil({ criterion: { metric: 'm' } })
+        );
+        checkThrows('min_repeats > max_repeats throws', () =>
+            Runner.normalizeRepeatUntil({
+                criterion: { metric: 'm' },
+                min_repeats: 4,
+                max_repeats: 2
+            })
+        );
+        checkThrows('inverted baseline window throws', () =>
+            Runner.normalizeRepeatUntil({
+                criterion: { metric: 'm', baseline: { window: [6, 2] } },
+                max_repeats: 2
+            })
+        );
+    }
+
+    console.log('\n=== flattenStructure: repeat_until expands to the cap ===');
+    const ruBlock = (until) => ({
+        conditions: [realCond, intertrialCond, arenaCheckCond],
+        sequence: [
+            {
+                kind: 'block',
+                name: 'training',
+                trials: ['sine_grating', 'arena check'],
+                repetitions: 1,
+                intertrial: 'intertrial',
+                flow_control: 'repeat_until',
+                repeat_until: until
+            },
+            { kind: 'ref', condition_name: 'arena check' }
+        ]
+    });
+    const ruSpec = (over) =>
+        Object.assign(
+            {
+                criterion: {
+                    metric: 'walking_speed',
+                    statistic: 'mean',
+                    stop_when: 'below',
+                    threshold: 2
+                },
+                min_repeats: 2,
+                max_repeats: 4
+            },
+            over
+        );
+    {
+        const { steps } = Runner.flattenStructure(ruBlock(ruSpec()));
+        const trials = steps.filter((s) => s.kind === 'block-trial');
+        check('4 reps × 2 trials planned', trials.length, 8);
+        check('repEnd on the last trial of each rep', trials.filter((s) => s.repEnd).length, 4);
+        checkBool(
+            'every trial carries repeatUntil',
+            trials.every((s) => !!s.repeatUntil)
+        );
+        const bad = Runner.flattenStructure(ruBlock(ruSpec({ max_repeats: 'lots' })));
+        check(
+            'bad cap plans one rep (never throws)',
+            bad.steps.filter((s) => s.kind === 'block-trial').length,
+            2
+        );
+    }
+
+    // Run a repeat_until block with a scripted evaluator; returns what happened.
+    async function runRepeat(spec, evaluator, clockStep) {
+        const link = makeFakeLink();
+        const runner = new Runner.ArenaRunner(link, Wire);
+        const { steps } = Runner.flattenStructure(ruBlock(spec));
+        const events = [];
+        let t = 0;
+        const summary = await runner.runSequence({
+            steps,
+            conditionsByName: new Map(
+                [realCond, intertrialCond, arenaCheckCond].map((c) => [c.name, c])
+            ),
+            resolvePatternId: () => 1,
+            sleep: () => Promise.resolve(),
+            evaluateCriterion: evaluator,
+            now: () => (t += clockStep || 1000),
+            onProgress: (s) => events.push(s)
+        });
+        const decisions = events
+            .filter((e) => e.phase === 'repeat-until')
+            .map((e) => e.repeatUntil);
+        const ran = events
+            .filter((e) => e.phase === 'step-start')
+            .map((e) => e.step.kind + ':' + e.step.conditionName);
+        return { summary, decisions, ran, link };
+    }
+
+    console.log('\n=== runSequence repeat_until: min_repeats, then stop on criterion ===');
+    {
+        const calls = [];
+        const r = await runRepeat(ruSpec(), async (criterion, ctx) => {
+            calls.push(ctx);
+            return { met: ctx.repetition >= 3, value: 1, valid_samples: 50, threshold: 2 };
+        });
+        check(
+            'decisions: min, not-met, met',
+            r.decisions.map((d) => d.reason).join(','),
+            'min_repeats,criterion_not_met,criterion_met'
+        );
+        check('below min not evaluated', calls[0].repetition, 2);
+        check('evaluator kind', calls[0].kind, 'repeat_until');
+        checkBool(
+            'evaluated over the repetition span',
+            calls[0].endMs > calls[0].startMs,
+            JSON.stringify([calls[0].startMs, calls[0].endMs])
+        );
+        check('stopped after 3 reps', r.decisions[2].decision, 'stop');
+        check('3 reps × 2 trials ran', r.ran.filter((s) => s.startsWith('block-trial')).length, 6);
+        check('no trailing ITI after the stop', r.ran[r.ran.length - 2], 'block-trial:arena check');
+        check('skipped the capped remainder (2 trials + 2 ITIs)', r.decisions[2].skipped_steps, 4);
+        check('next entry still runs', r.ran[r.ran.length - 1], 'ref:arena check');
+        checkBool('completed', r.summary.completed === true);
+    }
+
+    console.log('\n=== runSequence repeat_until: cap reached ===');
+    {
+        const r = await runRepeat(ruSpec({ min_repeats: 1, max_repeats: 2 }), async () => ({
+            met: false,
+            value: 9,
+            valid_samples: 50,
+            threshold: 2
+        }));
+        check(
+            'decisions: not-met, cap',
+            r.decisions.map((d) => d.reason).join(','),
+            'criterion_not_met,max_repeats'
+        );
+        checkBool('cap decision not evaluated', r.decisions[1].evaluated === false);
+        check('ran both reps', r.ran.filter((s) => s.startsWith('block-trial')).length, 4);
+    }
+
+    console.log('\n=== runSequence repeat_until: baseline-relative criterion ===');
+    {
+        const baseSpec = ruSpec({
+            min_repeats: 1,
+            criterion: {
+                metric: 'walking_speed',
+                statistic: 'mean',
+                stop_when: 'below',
+                baseline: { window: [0, 2], units: 'seconds' },
+                fraction: 0.5
+            }
+        });
+        const kinds = [];
+        // 5 s per clock read ⇒ the 0–2 s baseline window has elapsed by block start.
+        const r = await runRepeat(
+            baseSpec,
+            async (criterion, ctx) => {
+                kinds.push(ctx.kind);
+                if (ctx.kind === 'baseline') return { value: 10, valid_samples: 200 };
+                return {
+                    met: true,
+                    value: 4,
+                    valid_samples: 50,
+                    threshold: 0.5 * ctx.baseline.value
+                };
+            },
+            5000
+        );
+        check('baseline computed once, then judged', kinds.join(','), 'baseline,repeat_until');
+        check('baseline value logged', r.decisions[0].baseline.value, 10);
+        check(
+            'baseline window is run-relative',
+            r.decisions[0].baseline.window_ms[1] - r.decisions[0].baseline.window_ms[0],
+            2000
+        );
+        check('threshold from baseline', r.decisions[0].threshold, 5);
+        check('stopped on criterion', r.decisions[0].reason, 'criterion_met');
+    }
+    {
+        // Baseline window (10 min) not elapsed when the block begins ⇒ the
+        // criterion is inactive and the block runs on min_repeats alone.
+        const pending = ruSpec({
+            criterion: {
+                metric: 'walking_speed',
+                statistic: 'mean',
+                stop_when: 'below',
+                baseline: { window: [2, 10], units: 'minutes' },
+                fraction: 0.7
+            }
+        });
+        let called = 0;
+        const r = await runRepeat(pending, async () => {
+            called++;
+            return { met: false, value: 1, valid_samples: 1 };
+        });
+        check('evaluator never called', called, 0);
+        checkBool('criterion recorded inactive', r.decisions[0].criterion_active === false);
+        check(
+            'min_repeats governs',
+            r.decisions.map((d) => d.reason).join(','),
+            'min_repeats,baseline_pending'
+        );
+        check(
+            'ran exactly min_repeats',
+            r.ran.filter((s) => s.startsWith('block-trial')).length,
+            4
+        );
+    }
+
+    console.log('\n=== runSequence repeat_until: fail closed ===');
+    {
+        const r = await runRepeat(ruSpec({ min_repeats: 1 }), async () => ({
+            met: true,
+            value: NaN,
+            valid_samples: 0
+        }));
+        checkBool('NaN statistic aborts', r.summary.aborted === true);
+        checkBool('reason recorded', /unevaluable/.test(r.summary.abortReason));
+        checkBool('next entry never ran', !r.ran.includes('ref:arena check'));
+    }
+    {
+        const r = await runRepeat(ruSpec(), undefined);
+        checkBool('no evaluator: refused', /criterion evaluator/.test(r.summary.abortReason));
+        check('no evaluator: nothing ran', r.ran.length, 0);
+    }
+    {
+        const r = await runRepeat(ruSpec({ max_repeats: 0 }), async () => ({}));
+        checkBool('malformed spec: refused', /invalid repeat_until/.test(r.summary.abortReason));
+    }
+
     console.log('\n=== Summary ===');
     console.log(`${totalChecks - failures} / ${totalChecks} checks passed`);
     process.exit(failures === 0 ? 0 : 1);
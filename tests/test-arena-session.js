@@ -17,6 +17,7 @@
 'use strict';
 
 const ArenaSession = require('../js/arena-session.js');
+const Wire = require('../js/arena-wire-g6.js');
 
 let totalChecks = 0;
 let failures = 0;
@@ -70,6 +71,11 @@ function makeMocks() {
             calls.push('link.sendBulkRead');
             return Promise.resolve(new Uint8Array(bytes));
         }
+        sendPipelined(requests, opts) {
+            this.sent.push([requests.map((r) => Array.from(r.bytes)), opts]);
+            calls.push('link.sendPipelined');
+            return Promise.resolve({ results: [], metrics: { requests: requests.length } });
+        }
     }
     class MockRunner {
         constructor(link, wire) {
@@ -468,6 +474,41 @@ function newSession(m) {
         checkBool("stop emits 'state'", states === 1);
     }
 
+    // ── sendPipelined: SD opcodes only ──────────────────────────────────────────
+    console.log('=== sendPipelined ===');
+    {
+        const m = makeMocks();
+        const s = new ArenaSession({ wire: Wire, LinkClass: m.MockLink, RunnerLib: m.RunnerLib });
+        await s.connect();
+        const r = await s.sendPipelined(
+            [
+                { bytes: Wire.encodeGetPatternFilename(1) },
+                {
+                    bytes: Wire.encodeSetPatternFile(0, [1, 2, 3]),
+                    expectedCmd: Wire.OPCODES.SET_PATTERN_FILE
+                }
+            ],
+            { window: 2 }
+        );
+        check('SD batch delegated to the link', m.calls.includes('link.sendPipelined'), true);
+        check('link result passed through', r.metrics.requests, 2);
+        let threw = null;
+        try {
+            await s.sendPipelined([
+                { bytes: Wire.encodeGetFileCount() },
+                { bytes: Wire.encodeAllOn() }
+            ]);
+        } catch (e) {
+            threw = e.message;
+        }
+        checkBool(
+            'non-SD opcode refused before anything is sent',
+            /0xff is not pipeline-safe/.test(threw || '') &&
+                m.calls.filter((c) => c === 'link.sendPipelined').length === 1,
+            threw
+        );
+    }
+
     // ── running / runConditionName getters ──────────────────────────────────────
     console.log('=== getters ===');
     {
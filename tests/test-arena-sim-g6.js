@@ -0,0 +1,513 @@
+#!/usr/bin/env node
+/**
+ * Tests for js/arena-sim-g6.js — the software G6 controller. Every request
+ * goes through the REAL ArenaWireG6 encoders and the REAL ArenaLink
+ * de-framer / echo correlation (SimArenaLink), so these pin both the
+ * simulator's replies and that they are framed the way the link expects:
+ *   - raw byte-stream de-framing (split and coalesced chunks, opcode-first)
+ *   - every OPCODES request: reply payload or error status
+ *   - virtual SD card: upload → rename → list/info/read-back → delete/purge,
+ *     0x8A ZIP archive, busy-display refusals
+ *   - display state from a fake clock: Mode 2/3/4 frames, duration auto-stop,
+ *     frames-sent, AO frame_number mode, ARENA_MISMATCH
+ *   - ArenaSession driven through linkClassFor(), and simulateDisconnect()
+ *
+ * Run: node tests/test-arena-sim-g6.js   (wired into `pixi run test`)
+ */
+'use strict';
+
+const Sim = require('../js/arena-sim-g6.js');
+const Wire = require('../js/arena-wire-g6.js');
+const ArenaSession = require('../js/arena-session.js');
+const RunnerLib = require('../js/arena-runner-g6.js');
+
+const OP = Wire.OPCODES;
+
+let total = 0;
+let failures = 0;
+function check(name, got, expected) {
+    total++;
+    const ok = JSON.stringify(got) === JSON.stringify(expected);
+    console.log(
+        `  ${ok ? 'PASS' : 'FAIL'}  ${name}${ok ? '' : `: got ${JSON.stringify(got)}, expected ${JSON.stringify(expected)}`}`
+    );
+    if (!ok) failures++;
+}
+function checkBool(name, ok, info) {
+    total++;
+    console.log(`  ${ok ? 'PASS' : 'FAIL'}  ${name}${info ? ' — ' + info : ''}`);
+    if (!ok) failures++;
+}
+
+const text = (payload) => String.fromCharCode.apply(null, Array.from(payload));
+
+// A link + controller on a hand-driven clock.
+async function rig(simOpts) {
+    const clock = { t: 1000 };
+    const controller = new Sim.SimController(
+        Object.assign({ now: () => clock.t, arena: { rows: 2, cols: 10 } }, simOpts)
+    );
+    const link = new Sim.SimArenaLink({ controller });
+    await link.connect();
+    const send = async (bytes, opts) => Wire.decodeResponse(await link.send(bytes, opts));
+    return { clock, controller, link, send };
+}
+
+(async () => {
+    console.log('\n=== Byte stream ===');
+    {
+        const c = new Sim.SimController();
+        const out = [];
+        c.onData((b) => out.push(Array.from(b)));
+        // Two requests coalesced, then one split across three writes.
+        c.write(Uint8Array.from([...Wire.encodeGetRefreshRate(), ...Wire.encodeGetFileCount()]));
+        const info = Wire.encodeGetControllerInfo();
+        c.write(info.slice(0, 1));
+        check('split frame waits for its body', out.length, 2);
+        c.write(info.slice(1));
+        check('coalesced + split frames each answered', out.length, 3);
+        check('refresh-rate reply framed', out[0], [4, 0, OP.GET_REFRESH_RATE, 200, 0]);
+        check('file-count reply framed', out[1], [4, 0, OP.GET_FILE_COUNT, 0, 0]);
+        const pat = Sim.blankPattern();
+        const upload = Wire.encodeSetPatternFile(0, pat);
+        c.write(upload.slice(0, 5)); // header incomplete (no length yet)
+        c.write(upload.slice(5, 500));
+        check('opcode-first upload not answered until complete', out.length, 3);
+        c.write(upload.slice(500));
+        check('opcode-first upload answered', out[3], [2, 0, OP.SET_PATTERN_FILE]);
+        check('request log', c.requests.length, 4);
+    }
+
+    console.log('\n=== Controller info / settings ===');
+    {
+        const { send, link } = await rig({ version: 7, mac: '04:E9:E5:01:02:03' });
+        const info = Wire.decodeControllerInfo(await send(Wire.encodeGetControllerInfo()));
+        check('version', info.version, 7);
+        check('capabilities', info.capabilities, ['g6_mode', 'v2_local_storage', 'io_ext']);
+        check('mac', info.mac, '04:E9:E5:01:02:03');
+        check('ip', Wire.decodeIp(await send(Wire.encodeGetIp())), '192.168.10.62');
+        check(
+            'set refresh echoes',
+            Wire.decodeRefreshRate(await send(Wire.encodeSetRefreshRate(500))),
+            500
+        );
+        check('get refresh', Wire.decodeRefreshRate(await send(Wire.encodeGetRefreshRate())), 500);
+        check(
+            'set panel display mode echoes',
+            Wire.decodePanelDisplayMode(await send(Wire.encodeSetPanelDisplayMode(1))),
+            1
+        );
+        check(
+            'get panel display mode',
+            Wire.decodePanelDisplayMode(await send(Wire.encodeGetPanelDisplayMode())),
+            1
+        );
+        check('set SPI echoes', Wire.decodeSpiClock(await send(Wire.encodeSetSpiClock(12))), 12);
+        check('get SPI', Wire.decodeSpiClock(await send(Wire.encodeGetSpiClock())), 12);
+        check('diag set', (await send([2, OP.SET_DIAG_OUTPUT, 1])).ok, true);
+        check('diag get', Array.from((await send([1, OP.GET_DIAG_OUTPUT])).payload), [1]);
+        const eth = await send([5, OP.SET_ETHERNET_IP, 10, 0, 0, 1]);
+        check(
+            'SET_ETHERNET_IP refused',
+            [eth.status, text(eth.payload)],
+            [1, 'SET_ETHERNET_IP not implemented']
+        );
+        const unk = await send([1, 0x55]);
+        check(
+            'unknown opcode ⇒ status 1',
+            [unk.status, text(unk.payload)],
+            [1, 'unknown command 0x55']
+        );
+        const bad = await send([2, OP.GET_REFRESH_RATE, 9]);
+        checkBool(
+            'bad length ⇒ status 1',
+            bad.status === 1 && /bad length/.test(text(bad.payload))
+        );
+        check('SYSTEM_RESET acks', (await send(Wire.encodeSystemReset())).ok, true);
+        check(
+            'reset restores boot refresh',
+            Wire.decodeRefreshRate(await send(Wire.encodeGetRefreshRate())),
+            200
+        );
+        await link.close();
+    }
+    {
+        const { send, link } = await rig({ capabilities: ['g6_mode'], mac: null });
+        const info = Wire.decodeControllerInfo(await send(Wire.encodeGetControllerInfo()));
+        check('no MAC ⇒ short reply', info.mac, null);
+        const r = await send(Wire.encodeGetDioRole());
+        check('io_ext opcode without capability ⇒ unknown', r.status, 1);
+        await link.close();
+    }
+
+    console.log('\n=== Virtual SD card ===');
+    {
+        const { send, link, controller } = await rig();
+        const grating = Sim.blankPattern({ frames: 4 });
+        const opts = (cmd) => ({ expectedCmd: cmd, timeoutMs: 2000 });
+        check(
+            'upload to pattern.temp',
+            (await send(Wire.encodeSetPatternFile(0, grating), opts(OP.SET_PATTERN_FILE))).ok,
+            true
+        );
+        let r = await send(
+            Wire.encodeSetPatternFilename(0, 'b_grating.pat'),
+            opts(OP.SET_PATTERN_FILENAME)
+        );
+        check('rename temp ⇒ new index', Wire.decodeSetPatternFilenameResponse(r), 1);
+        controller.addPattern('a_dark.pat', Sim.blankPattern());
+        controller.addPattern('.hidden.pat', Sim.blankPattern());
+        controller.addPattern('notes.txt', [1, 2, 3]);
+        check('listing sorted, dotfiles / non-.pat hidden', controller.listPatterns(), [
+            'a_dark.pat',
+            'b_grating.pat'
+        ]);
+        check('file count', Wire.decodeFileCount(await send(Wire.encodeGetFileCount())), 2);
+        check(
+            'filename 2',
+            Wire.decodePatternFilename(await send(Wire.encodeGetPatternFilename(2))),
+            'b_grating.pat'
+        );
+        const info = Wire.decodePatternInfo(await send(Wire.encodeGetPatternInfo(2)));
+        check('pattern info', info, {
+            frameCount: 4,
+            gsVal: 1,
+            rows: 2,
+            cols: 10,
+            arenaId: 0,
+            observerId: 0,
+            fileSize: grating.length,
+            stretch: 0x80
+        });
+        r = await send(Wire.encodeGetPatternFilename(9));
+        check('filename out of range ⇒ status 1', r.status, 1);
+
+        const back = await link.sendBulkRead(Wire.encodeGetPatternFile(2));
+        check('0x84 read-back byte-exact', Buffer.from(back).equals(Buffer.from(grating)), true);
+
+        const zip = await link.sendBulkRead(Wire.encodeGetSdArchive());
+        check('0x8A archive is a ZIP', Array.from(zip.slice(0, 4)), [0x50, 0x4b, 0x03, 0x04]);
+        const z = Buffer.from(zip);
+        const names = [];
+        const locals = [];
+        let at = 0;
+        while (z.readUInt32LE(at) === 0x04034b50) {
+            const size = z.readUInt32LE(at + 18);
+            const nameLen = z.readUInt16LE(at + 26);
+            const name = z.toString('latin1', at + 30, at + 30 + nameLen);
+            const data = zip.slice(at + 30 + nameLen, at + 30 + nameLen + size);
+            names.push(name);
+            locals.push([at, name]);
+            if (name === 'patterns/b_grating.pat') {
+                check('archive entry CRC', z.readUInt32LE(at + 14), Sim.crc32(data));
+            }
+            at += 30 + nameLen + size;
+        }
+        check('archive covers the card', names, [
+            'patterns/.hidden.pat',
+            'patterns/a_dark.pat',
+            'patterns/b_grating.pat',
+            'patterns/notes.txt'
+        ]);
+        // Central directory: 46-byte records (+ name/extra/comment) then the
+        // 22-byte end record, which must point back at the directory.
+        const eocd = z.length - 22;
+        check('end record signature', z.readUInt32LE(eocd), 0x06054b50);
+        check('end record entry count', z.readUInt16LE(eocd + 10), locals.length);
+        check('central directory follows the entries', z.readUInt32LE(eocd + 16), at);
+        const centrals = [];
+        let cd = at;
+        while (cd < eocd && z.readUInt32LE(cd) === 0x02014b50) {
+            const nameLen = z.readUInt16LE(cd + 28);
+            const extraLen = z.readUInt16LE(cd + 30);
+            const commentLen = z.readUInt16LE(cd + 32);
+            centrals.push([
+                z.readUInt32LE(cd + 42),
+                z.toString('latin1', cd + 46, cd + 46 + nameLen)
+            ]);
+            cd += 46 + nameLen + extraLen + commentLen;
+        }
+        check('central directory size', [cd, z.readUInt32LE(eocd + 12)], [eocd, eocd - at]);
+        check('central records match the local headers', centrals, locals);
+
+        // Overwrite slot 1, then rename it after b_ — index moves in the sort.
+        await send(Wire.encodeSetPatternFile(1, grating), opts(OP.SET_PATTERN_FILE));
+        check('overwrite in place', controller.readPattern('a_dark.pat').length, grating.length);
+        r = await send(
+            Wire.encodeSetPatternFilename(1, 'c_moved.pat'),
+            opts(OP.SET_PATTERN_FILENAME)
+        );
+        check('rename re-sorts', Wire.decodeSetPatternFilenameResponse(r), 2);
+        r = await send(Wire.encodeSetPatternFilename(0, 'x.pat'), opts(OP.SET_PATTERN_FILENAME));
+        check('rename with no pattern.temp ⇒ status 1', r.status, 1);
+
+        // SD writes refused while the display runs.
+        await send(Wire.encodeAllOn());
+        r = await send(Wire.encodeDeletePatternFile(1));
+        check(
+            'delete while displaying ⇒ status 1',
+            [r.status, text(r.payload)],
+            [1, 'display must be stopped']
+        );
+        r = await send(Wire.encodeSetPatternFile(0, grating), opts(OP.SET_PATTERN_FILE));
+        check('upload while displaying ⇒ status 1', r.status, 1);
+        await send(Wire.encodeStop());
+        check('delete after STOP', (await send(Wire.encodeDeletePatternFile(1))).ok, true);
+        check('deleted', controller.listPatterns(), ['c_moved.pat']);
+        check('purge', (await send(Wire.encodePurgeMemory())).ok, true);
+        check('card empty', Wire.decodeFileCount(await send(Wire.encodeGetFileCount())), 0);
+        await link.close();
+    }
+
+    console.log('\n=== Pipelined SD sync ===');
+    {
+        const { link, controller } = await rig();
+        const pats = [];
+        const batch = [];
+        for (let i = 0; i < 12; i++) {
+            const name = String(i + 1).padStart(3, '0') + '_p.pat';
+            const pat = Sim.blankPattern({ frames: 1 + (i % 3), duty: i });
+            pats.push([name, pat]);
+            batch.push(
+                {
+                    bytes: Wire.encodeSetPatternFile(0, pat),
+                    expectedCmd: OP.SET_PATTERN_FILE,
+                    timeoutMs: 2000
+                },
+                {
+                    bytes: Wire.encodeSetPatternFilename(0, name),
+                    expectedCmd: OP.SET_PATTERN_FILENAME,
+                    timeoutMs: 2000,
+                    requireOk: true
+                }
+            );
+        }
+        const up = await link.sendPipelined(batch);
+        check(
+            'upload + rename pairs all ok',
+            up.results.every((r) => r.ok),
+            true
+        );
+        check(
+            'card holds the set',
+            controller.listPatterns(),
+            pats.map(([n]) => n)
+        );
+        const back = await link.sendPipelined(
+            pats.map((_, i) => ({ bytes: Wire.encodeGetPatternFile(i + 1), bulk: true })),
+            { window: 4 }
+        );
+        check(
+            'pipelined 0x84 read-backs byte-exact',
+            back.results.every((r, i) => Buffer.from(r.data).equals(Buffer.from(pats[i][1]))),
+            true
+        );
+        checkBool('window was used', back.metrics.maxInFlight > 1, back.metrics.maxInFlight);
+        await link.close();
+    }
+
+    console.log('\n=== Display state ===');
+    {
+        const { send, clock, controller, link } = await rig({
+            patterns: {
+                '001_grating.pat': Sim.blankPattern({ frames: 8 }),
+                '002_wide.pat': Sim.blankPattern({ rows: 3, cols: 12 })
+            }
+        });
+        check('boot display', controller.display().kind, 'idle');
+        check('no frame buffer at boot', controller.frameBuffer(), null);
+
+        // Mode 2: 20 fps from frame 2, 5 s duration.
+        let r = await send(
+            Wire.encodeTrialParams({
+                mode: 2,
+                patternId: 1,
+                frameRate: 20,
+                initPos: 2,
+                duration: 5,
+                duty: 9
+            })
+        );
+        check('mode 2 accepted', r.ok, true);
+        clock.t += 250; // 5 frames
+        let d = controller.display();
+        check('mode 2 advance', [d.kind, d.frameIndex, d.frameCount, d.duty], ['trial', 7, 8, 9]);
+        const fb = controller.frameBuffer();
+        check(
+            'frame buffer is the current frame',
+            [fb[0], fb[1], fb[2] | (fb[3] << 8)],
+            [0x46, 0x52, 7]
+        );
+        check('frame buffer excludes CRC', fb.length, 4 + 20 * 53);
+        check(
+            'frames sent at refresh rate',
+            Wire.decodeFramesSent(await send(Wire.encodeGetFramesSent())),
+            50
+        );
+        clock.t += 5000;
+        check('duration auto-stop', controller.display().kind, 'idle');
+        check('frames stop counting at auto-stop', controller.framesSent(), 1000);
+        await send(Wire.encodeResetFramesSent());
+        check('reset frames sent', controller.framesSent(), 0);
+
+        // Reverse wraps.
+        await send(Wire.encodeTrialParams({ mode: 2, patternId: 1, frameRate: -10, initPos: 0 }));
+        clock.t += 100;
+        check('mode 2 reverse wraps', controller.display().frameIndex, 7);
+
+        // Mode 3: host-set frames.
+        await send(Wire.encodeTrialParams({ mode: 3, patternId: 1, initPos: 1 }));
+        check('mode 3 init', controller.display().frameIndex, 1);
+        await send(Wire.encodeSetFramePosition(6));
+        clock.t += 1000;
+        check('mode 3 holds set frame', controller.display().frameIndex, 6);
+        r = await send(Wire.encodeSetFramePosition(8));
+        check('frame out of range ⇒ status 1', r.status, 1);
+
+        // Mode 4: AIN1 2 V × gain 2 ⇒ 40 fps.
+        controller.setAnalogIn(2000);
+        await send(Wire.encodeTrialParams({ mode: 4, patternId: 1, gain: 2 }));
+        clock.t += 100;
+        check('mode 4 from analog in', controller.display().frameIndex, 4);
+
+        // AO frame_number mode tracks the frame.
+        await send(Wire.encodeSetAoMode(1));
+        await send(Wire.encodeTrialParams({ mode: 3, patternId: 1, initPos: 7 }));
+        check(
+            'AO follows frame',
+            Wire.decodeAoVoltage(await send(Wire.encodeGetAoVoltage())),
+            5000
+        );
+        r = await send(Wire.encodeSetAoVoltage(100));
+        checkBool(
+            'AO set refused in frame_number mode',
+            r.status === 1 && /frame_number/.test(text(r.payload))
+        );
+
+        // Errors.
+        r = await send(Wire.encodeTrialParams({ mode: 2, patternId: 2 }));
+        check('geometry mismatch ⇒ ARENA_MISMATCH', r.status, Sim.STATUS.ARENA_MISMATCH);
+        r = await send(Wire.encodeTrialParams({ mode: 2, patternId: 3 }));
+        check(
+            'missing pattern ⇒ status 1',
+            [r.status, text(r.payload)],
+            [1, 'pattern 3 not on SD']
+        );
+        r = await send([12, OP.TRIAL_PARAMS, 5, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+        check('bad mode ⇒ status 1', r.status, 1);
+        r = await send(Wire.encodeTrialParams({ mode: 3, patternId: 1, initPos: 8 }));
+        check('init_pos out of range ⇒ status 1', r.status, 1);
+
+        // Stream frames.
+        const frame = new Uint8Array(Wire.STREAM_FRAME_BYTES.GS2);
+        frame.set([0x46, 0x52, 3, 0]);
+        r = await send(Wire.encodeStreamFrame(frame), { expectedCmd: OP.STREAM_FRAME });
+        check('stream frame acked', r.ok, true);
+        check('stream frame displayed', controller.display(), { kind: 'stream', frameIndex: 3 });
+        r = await send([OP.STREAM_FRAME, 2, 0, 0, 0], { expectedCmd: OP.STREAM_FRAME });
+        check('wrong stream size ⇒ status 1', r.status, 1);
+        await send(Wire.encodeAllOff());
+        check('all off', controller.display().kind, 'all_off');
+        await link.close();
+    }
+
+    console.log('\n=== Analog / digital IO ===');
+    {
+        const { send, link, controller } = await rig();
+        check('AO set', Wire.decodeAoVoltage(await send(Wire.encodeSetAoVoltage(2500))), 2500);
+        check('AO get', Wire.decodeAoVoltage(await send(Wire.encodeGetAoVoltage())), 2500);
+        controller.setAnalogIn(-1500, 750);
+        check('analog in', Wire.decodeAnalogIn(await send(Wire.encodeGetAnalogIn())), {
+            ain1Mv: -1500,
+            ain2Mv: 750
+        });
+        const roles = Wire.decodeDioRole(await send(Wire.encodeGetDioRole()));
+        check(
+            'boot DIO roles',
+            roles.map((p) => p.role),
+            ['out_programmable', 'in_trigger']
+        );
+        check('DO1 high', (await send(Wire.encodeSetDigitalOut(1, 1))).ok, true);
+        let r = await send(Wire.encodeSetDigitalOut(2, 1));
+        check(
+            'DO2 refused as in_trigger',
+            [r.status, text(r.payload)],
+            [1, 'port 2 role is in_trigger - SET_DIO_ROLE (0xAC) first']
+        );
+        await send(Wire.encodeSetDioRole(2, 'out_programmable'));
+        check('DO2 after role change', (await send(Wire.encodeSetDigitalOut(2, 1))).ok, true);
+        check('digital out', Wire.decodeDigitalOut(await send(Wire.encodeGetDigitalOut())), {
+            do1: 1,
+            do2: 1
+        });
+        await send(Wire.encodeSetDioRole(1, 'in_trigger'));
+        controller.setDioInput(1, 1);
+        const after = Wire.decodeDioRole(await send(Wire.encodeGetDioRole()));
+        check('input level reported', [after[0].role, after[0].level], ['in_trigger', 1]);
+        await link.close();
+    }
+
+    console.log('\n=== Panel firmware ===');
+    {
+        const { send, link } = await rig();
+        let r = await send(Wire.encodeGetFirmwareInfo());
+        check('no firmware ⇒ status 1', r.status, 1);
+        const image = new Uint8Array(64 + 32);
+        image.fill(0xab, 0, 64);
+        const footer = Buffer.alloc(32);
+        footer.write('G6PANFW', 0, 'latin1');
+        footer.write('1.2.3', 8, 'latin1');
+        footer.writeUInt32LE(0xdeadbeef, 24);
+        footer.writeUInt32LE(64, 28);
+        image.set(footer, 64);
+        r = await send(Wire.encodeSetFirmwareFile(image), { expectedCmd: OP.SET_FIRMWARE_FILE });
+        check('firmware upload CRC', Wire.decodeSetFirmwareFileResponse(r), Sim.crc32(image));
+        check('footer', Wire.decodeFirmwareInfo(await send(Wire.encodeGetFirmwareInfo())), {
+            magic: 'G6PANFW',
+            version: '1.2.3',
+            imageCrc32: 0xdeadbeef,
+            imageSize: 64
+        });
+        r = Wire.decodeProgramPanelResponse(await send(Wire.encodeG6VerifyPanel(3)));
+        check('verify before program fails', r.ok, false);
+        r = Wire.decodeProgramPanelResponse(await send(Wire.encodeG6ProgramPanel(3)));
+        check('program', [r.ok, r.message], [true, 'panel 3 programmed']);
+        r = Wire.decodeProgramPanelResponse(await send(Wire.encodeG6VerifyPanel(3)));
+        check('verify after program', r.ok, true);
+        r = await send(Wire.encodeG6ProgramPanel(21));
+        check('panel out of range', r.status, 1);
+        await link.close();
+    }
+
+    console.log('\n=== ArenaSession over the simulator ===');
+    {
+        const clock = { t: 0 };
+        const controller = new Sim.SimController({
+            now: () => clock.t,
+            patterns: { '001_grating.pat': Sim.blankPattern({ frames: 4 }) }
+        });
+        const session = new ArenaSession({
+            LinkClass: Sim.linkClassFor(controller),
+            wire: Wire,
+            RunnerLib
+        });
+        await session.connect();
+        checkBool('session connected', session.connected);
+        const resp = await session.runTrial({ params: { mode: 2, patternId: 1, frameRate: 10 } });
+        checkBool('runTrial accepted', resp && resp.ok !== false, JSON.stringify(resp));
+        check('controller running the trial', controller.display().patternName, '001_grating.pat');
+        await session.stop();
+        check('session stop reaches the controller', controller.display().kind, 'idle');
+        let lost = 0;
+        session.on('disconnect', () => lost++);
+        session._link.simulateDisconnect();
+        check('simulated disconnect surfaces', [lost, session.connected], [1, false]);
+    }
+
+    console.log('\n=== Summary ===');
+    console.log(`${total - failures} / ${total} checks passed`);
+    process.exit(failures ? 1 : 0);
+})().catch((e) => {
+    console.error('test crashed:', e);
+    process.exit(1);
+});
@@ -558,5 +558,19 @@ checkBool(
     Wire.decodePanelDisplayMode(Uint8Array.from([0x03, 0x01, 0x1c, 0x02])) === null
 );
 
+console.log('\n=== pipeline-safe opcodes ===');
+check(
+    'PIPELINE_SAFE_OPCODES = the SD file set',
+    Wire.PIPELINE_SAFE_OPCODES.slice()
+        .sort((x, y) => x - y)
+        .map((c) => c.toString(16))
+        .join(' '),
+    '80 82 83 84 85 86 88'
+);
+checkBool('isPipelineSafe(0x85 upload)', Wire.isPipelineSafe(Wire.OPCODES.SET_PATTERN_FILE));
+checkBool('isPipelineSafe(0x32 stream) false', !Wire.isPipelineSafe(Wire.OPCODES.STREAM_FRAME));
+checkBool('isPipelineSafe(0x8A archive) false', !Wire.isPipelineSafe(Wire.OPCODES.GET_SD_ARCHIVE));
+checkBool('isPipelineSafe(0x08 trial) false', !Wire.isPipelineSafe(Wire.OPCODES.TRIAL_PARAMS));
+
 console.log(`\n=== Summary ===\n${totalChecks - failures} / ${totalChecks} checks passed`);
 process.exit(failures > 0 ? 1 : 0);
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * Tests for js/behavior-events.js — saccade and walking-bout detection shared
+ * by the live scope marks and the analysis dashboard.
+ *
+ * Covers: saccade hysteresis, direction, amplitude and duration limits, gaps and
+ * underivable samples; bout/stop hysteresis and absorption of short segments;
+ * the end-to-end detector on behavior_v1 samples; per-window summaries; and the
+ * dashboard's per-step events and opt-in "Saccades and walking bouts" page.
+ *
+ * Run: node tests/test-behavior-events.js
+ */
+'use strict';
+
+const E = require('../js/behavior-events.js');
+const A = require('../dashboard/data-browser/analysis-core.js');
+const P = require('../dashboard/data-browser/plot-specs.js');
+
+let total = 0;
+let failures = 0;
+function check(name, got, expected) {
+    total++;
+    const ok = JSON.stringify(got) === JSON.stringify(expected);
+    console.log(
+        `  ${ok ? 'PASS' : 'FAIL'}  ${name}${ok ? '' : ` — got ${JSON.stringify(got)}, expected ${JSON.stringify(expected)}`}`
+    );
+    if (!ok) failures++;
+}
+function approx(name, got, expected, tol) {
+    total++;
+    const ok = Math.abs(got - expected) <= tol;
+    console.log(
+        `  ${ok ? 'PASS' : 'FAIL'}  ${name}${ok ? '' : ` — got ${got}, expected ${expected}`}`
+    );
+    if (!ok) failures++;
+}
+
+// A derivedSeries()-shaped series from turning values, one row per stepMs.
+const turning = (values, stepMs = 10) =>
+    values.map((v, i) => ({ ms: i * stepMs, turning_deg_s: v, speed_mm_s: 0, forward_mm_s: 0 }));
+// ...and from speed values (forward = speed), one row per 50 ms.
+const walking = (values) =>
+    values.map((v, i) => ({ ms: i * 50, turning_deg_s: 0, speed_mm_s: v, forward_mm_s: v }));
+const repeat = (value, n) => Array(n).fill(value);
+const spans = (list) => list.map((event) => [event.startMs, event.endMs]);
+
+console.log('=== saccades ===');
+const one = E.detectSaccades(turning([0, 0, 150, 300, 300, 300, 150, 0, 0]));
+check('one saccade', one.length, 1);
+check(
+    'span extends to the offset threshold',
+    [one[0].startMs, one[0].endMs, one[0].durationMs],
+    [20, 60, 40]
+);
+check(
+    'peak and direction',
+    [one[0].peakMs, one[0].peakVelocityDegS, one[0].direction],
+    [30, 300, 1]
+);
+approx('amplitude = ∫ turning dt', one[0].amplitudeDeg, 10.5, 1e-12);
+const left = E.detectSaccades(turning([0, 0, -150, -300, -300, -300, -150, 0, 0]));
+check('leftward saccade', [left[0].direction, left[0].peakVelocityDegS], [-1, 300]);
+approx('amplitude is unsigned', left[0].amplitudeDeg, 10.5, 1e-12);
+check(
+    'below onset never triggers',
+    E.detectSaccades(turning([0, 150, 150, 150, 150, 150, 0])).length,
+    0
+);
+check('too short', E.detectSaccades(turning([0, 150, 300, 150, 0])).length, 0);
+check(
+    'too long (sustained turning)',
+    E.detectSaccades(turning([0, ...repeat(300, 60), 0])).length,
+    0
+);
+check(
+    'sign reversal splits',
+    E.detectSaccades(turning([0, 300, 300, 300, 300, -300, -300, -300, -300, 0])).map(
+        (s) => s.direction
+    ),
+    [1, -1]
+);
+const gapped = turning(repeat(300, 10)).map((row, i) =>
+    i < 5 ? row : { ...row, ms: row.ms + 150 }
+);
+check('a data gap ends the event', spans(E.detectSaccades(gapped)), [
+    [0, 40],
+    [200, 240]
+]);
+check(
+    'an underivable sample ends the event',
+    spans(E.detectSaccades(turning([300, 300, 300, 300, NaN, 300, 300, 300, 300, 300]))),
+    [
+        [0, 30],
+        [50, 90]
+    ]
+);
+check(
+    'threshold override',
+    E.detectSaccades(turning([0, 0, 150, 300, 300, 300, 150, 0, 0]), {
+        saccade: { onsetDegS: 400 }
+    }).length,
+    0
+);
+
+console.log('=== bouts and stops ===');
+// 1 s still, 2 s at 5 mm/s, 1 s still (50 ms rows).
+const walk = E.detectBouts(walking([...repeat(0, 21), ...repeat(5, 40), ...repeat(0, 20)]));
+check('stops tile around the bout', spans(walk.stops), [
+    [0, 1050],
+    [3050, 4000]
+]);
+check('bout span', [walk.bouts[0].startMs, walk.bouts[0].durationMs], [1050, 2000]);
+approx('bout distance', walk.bouts[0].distanceMm, 9.875, 1e-12);
+approx('mean speed = distance / duration', walk.bouts[0].meanSpeedMmS, 9.875 / 2, 1e-12);
+check(
+    'hysteresis: between thresholds keeps walking',
+    spans(E.detectBouts(walking([...repeat(0, 10), ...repeat(5, 10), ...repeat(1.5, 20)])).bouts),
+    [[500, 1950]]
+);
+check(
+    'hysteresis: between thresholds never starts',
+    E.detectBouts(walking([...repeat(0, 10), ...repeat(1.5, 20)])).bouts.length,
+    0
+);
+check(
+    'a short pause is absorbed into the bout',
+    spans(
+        E.detectBouts(walking([...repeat(0, 10), ...repeat(5, 10), 0, 0, ...repeat(5, 10)])).bouts
+    ),
+    [[500, 1550]]
+);
+const blip = E.detectBouts(walking([...repeat(0, 10), 5, 5, ...repeat(0, 10)]));
+check(
+    'a short step is absorbed into the stop',
+    [blip.bouts.length, spans(blip.stops)],
+    [0, [[0, 1050]]]
+);
+check(
+    'short edge segments are dropped',
+    E.detectBouts(walking([...repeat(5, 3), ...repeat(0, 20)])).bouts.length,
+    0
+);
+
+console.log('=== detectEvents ===');
+// 100 Hz, heading 0 apart from a 30 deg turn over 1000–1100 ms; walking forward
+// at 1 rad/s of ball rotation from 1500 ms on.
+const samples = [];
+for (let ms = 0, fc = 0; ms <= 3000; ms += 10, fc++) {
+    const turn = Math.min(1, Math.max(0, (ms - 1000) / 100));
+    const x = Math.max(0, (ms - 1500) / 1000);
+    samples.push({ ms, fc, idx: 0, ft: ms, x, y: 0, hd: (turn * 30 * Math.PI) / 180 });
+}
+const events = E.detectEvents(samples, 0, 3000, { ballRadiusMm: 4.5 });
+check('one saccade, positive', [events.saccades.length, events.saccades[0].direction], [1, 1]);
+check(
+    'saccade within the turn',
+    events.saccades[0].startMs >= 960 && events.saccades[0].endMs <= 1140,
+    true
+);
+approx('amplitude near the 30 deg turn', events.saccades[0].amplitudeDeg, 30, 5);
+check('one bout', events.bouts.length, 1);
+approx('bout starts with walking', events.bouts[0].startMs, 1500, 40);
+approx('bout speed = ω r', events.bouts[0].meanSpeedMmS, 4.5, 0.05);
+approx(
+    'forward speed after the 30 deg turn',
+    events.bouts[0].meanForwardMmS,
+    4.5 * Math.cos(Math.PI / 6),
+    0.05
+);
+check(
+    'turningSign flips direction',
+    E.detectEvents(samples, 0, 3000, { turningSign: -1 }).saccades[0].direction,
+    -1
+);
+check(
+    'no ball radius: no bouts or stops',
+    [E.detectEvents(samples, 0, 3000).bouts, E.detectEvents(samples, 0, 3000).stops],
+    [[], []]
+);
+check(
+    'window limits the samples',
+    E.detectEvents(samples, 1500, 3000, { ballRadiusMm: 4.5 }).saccades.length,
+    0
+);
+
+console.log('=== summarize ===');
+const summary = E.summarize(
+    {
+        saccades: [
+            { amplitudeDeg: 10, durationMs: 40, direction: 1 },
+            { amplitudeDeg: 20, durationMs: 60, direction: -1 },
+            { amplitudeDeg: 30, durationMs: 50, direction: 1 }
+        ],
+        bouts: [{ durationMs: 2000 }],
+        stops: [{ durationMs: 2000 }]
+    },
+    0,
+    10000
+);
+check(
+    'rates and means',
+    [
+        summary.saccadeCount,
+        summary.saccadeRateHz,
+        summary.meanSaccadeAmplitudeDeg,
+        summary.meanSaccadeDurationMs,
+        summary.boutRateHz,
+        summary.meanBoutDurationS,
+        summary.walkingFraction
+    ],
+    [3, 0.3, 20, 50, 0.1, 2, 0.5]
+);
+approx('bias = mean direction', summary.saccadeBias, 1 / 3, 1e-12);
+const empty = E.summarize({ saccades: [], bouts: [], stops: [] }, 0, 1000);
+check(
+    'empty window',
+    [empty.saccadeCount, empty.saccadeRateHz, empty.meanSaccadeAmplitudeDeg, empty.walkingFraction],
+    [0, 0, NaN, NaN]
+);
+
+console.log('=== dashboard ===');
+const lines = [
+    { event: 'run_metadata', run_id: 'fly1', protocol_filename: 'p9_turns.yaml' },
+    { type: 'frame_schema', cols: ['ms', 'fc', 'idx', 'ft', 'x', 'y', 'hd'] },
+    { event: 'runner', index: 0, phase: 'step-start', condition: 'turns', ms: 500 },
+    { event: 'runner', index: 0, phase: 'trial-running', ms: 500, durationSec: 2.5 },
+    { event: 'runner', index: 0, phase: 'step-done', ms: 3000 }
+];
+for (const s of samples) lines.push([s.ms, s.fc, s.idx, s.ft, s.x, s.y, s.hd]);
+const run = A.parseJsonl(lines.map((line) => JSON.stringify(line)).join('\n'), 'fly1.jsonl');
+const step = run.steps.find((candidate) => candidate.condition === 'turns');
+const stepEvents = A.stepBehaviorEvents(run, step);
+check(
+    'step events',
+    [stepEvents.saccades.length, stepEvents.bouts.length, stepEvents.summary.saccadeCount],
+    [1, 1, 1]
+);
+check('cached per step', A.stepBehaviorEvents(run, step) === stepEvents, true);
+check(
+    'ball diameter option re-detects',
+    A.stepBehaviorEvents(run, step, { ballDiameterMm: 6 }) === stepEvents,
+    false
+);
+check(
+    'page only when opted in',
+    P.buildPages([run], {}).some((page) => page.id === 'behavior-events'),
+    false
+);
+const page = P.buildPages([run], { behaviorEvents: true }).pop();
+check(
+    'page id and title',
+    [page.id, page.title],
+    ['behavior-events', 'Saccades and walking bouts']
+);
+const rate = page.csvRows.find((row) => row.level === 'fly_mean' && row.metric === 'saccadeRateHz');
+check('csv row per condition', [rate.x, rate.plot], ['Turns', 'behavior-events']);
+approx('csv value', rate.y, stepEvents.summary.saccadeRateHz, 1e-12);
+
+console.log('\n=== Summary ===');
+console.log(`${total - failures} / ${total} checks passed`);
+process.exit(failures ? 1 : 0);
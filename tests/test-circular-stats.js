@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+/**
+ * Tests for js/circular-stats.js — circular statistics shared by the live scope
+ * and the analysis dashboard.
+ *
+ * Covers: the mean resultant vector (weights, axial order 2, empty input),
+ * variance / SD, the Rayleigh and V tests against textbook values, the normal
+ * CDF, the von Mises κ estimate and density, circular-linear correlation, the
+ * METRICS table, and the dashboard's use of it (preference harmonic,
+ * circular-statistics page).
+ *
+ * Run: node tests/test-circular-stats.js
+ */
+'use strict';
+
+const C = require('../js/circular-stats.js');
+const A = require('../dashboard/data-browser/analysis-core.js');
+const P = require('../dashboard/data-browser/plot-specs.js');
+
+let total = 0;
+let failures = 0;
+function check(name, got, expected) {
+    total++;
+    const ok = JSON.stringify(got) === JSON.stringify(expected);
+    console.log(
+        `  ${ok ? 'PASS' : 'FAIL'}  ${name}${ok ? '' : ` — got ${JSON.stringify(got)}, expected ${JSON.stringify(expected)}`}`
+    );
+    if (!ok) failures++;
+}
+function approx(name, got, expected, tol) {
+    total++;
+    const ok = Math.abs(got - expected) <= tol;
+    console.log(
+        `  ${ok ? 'PASS' : 'FAIL'}  ${name}${ok ? '' : ` — got ${got}, expected ${expected}`}`
+    );
+    if (!ok) failures++;
+}
+function errorOf(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return e.message;
+    }
+    return null;
+}
+const rad = (deg) => (deg * Math.PI) / 180;
+
+// Ten directions at 94 ± 30 deg: R = cos 30 deg exactly, mean 94 deg.
+const pair = Array.from({ length: 10 }, (_, i) => rad(94 + (i % 2 ? 30 : -30)));
+
+console.log('=== mean resultant vector ===');
+const res = C.meanResultant(pair);
+approx('r = cos δ', res.r, Math.cos(rad(30)), 1e-12);
+approx('mean direction', (res.mean * 180) / Math.PI, 94, 1e-9);
+check(
+    'opposite pair cancels; mean undefined',
+    [C.meanResultant([0, Math.PI]).r < 1e-12, C.meanResultant([0, Math.PI]).mean],
+    [true, NaN]
+);
+approx(
+    'order 2 treats opposite angles as one axis',
+    C.meanResultant([0, Math.PI], { order: 2 }).r,
+    1,
+    1e-12
+);
+approx(
+    'order 2 mean is on the original axis',
+    C.meanResultant([rad(80), rad(-100)], { order: 2 }).mean,
+    rad(80),
+    1e-12
+);
+approx(
+    'mean wraps across ±π',
+    Math.abs(C.meanResultant([rad(170), rad(-170)]).mean),
+    Math.PI,
+    1e-12
+);
+approx(
+    'weights',
+    C.meanResultant([0, Math.PI / 2], { weights: [3, 1] }).mean,
+    Math.atan2(1, 3),
+    1e-12
+);
+check('non-finite angles are dropped', C.meanResultant([0, NaN, null, 0]).n, 2);
+check('empty sample', C.meanResultant([]), { n: 0, c: NaN, s: NaN, r: NaN, mean: NaN });
+
+console.log('=== dispersion ===');
+approx('variance = 1 − R', C.circularVariance(pair), 1 - res.r, 1e-12);
+approx('SD = √(−2 ln R)', C.circularStd(pair), Math.sqrt(-2 * Math.log(res.r)), 1e-12);
+approx(
+    'axial SD is halved',
+    C.circularStd([0.1, -0.1, Math.PI + 0.1, Math.PI - 0.1], { order: 2 }),
+    Math.sqrt(-2 * Math.log(Math.cos(0.2))) / 2,
+    1e-12
+);
+
+console.log('=== Rayleigh and V tests ===');
+// n = 10 at ±60 deg: R = 0.5, z = 2.5. Zar's p against Greenwood's series.
+const halfR = Array.from({ length: 10 }, (_, i) => rad(i % 2 ? 60 : -60));
+const rayleigh = C.rayleighTest(halfR);
+const z = 2.5;
+const greenwood =
+    Math.exp(-z) *
+    (1 + (2 * z - z ** 2) / 40 - (24 * z - 132 * z ** 2 + 76 * z ** 3 - 9 * z ** 4) / 28800);
+approx('z = nR²', rayleigh.z, z, 1e-12);
+approx('p', rayleigh.p, greenwood, 5e-4);
+check(
+    'uniform sample is not significant',
+    C.rayleighTest([0, 1, 2, 3, 4, 5].map((k) => (k * Math.PI) / 3)).p > 0.9,
+    true
+);
+const v = C.vTest(pair, rad(90));
+approx('V = nR cos(mean − μ)', v.v, 10 * Math.cos(rad(30)) * Math.cos(rad(4)), 1e-9);
+approx('u = V √(2/n)', v.u, v.v * Math.sqrt(0.2), 1e-12);
+approx('p = 1 − Φ(u), one-sided', v.p, 0.0000559, 1e-6);
+approx('opposite mean direction gives p near 1', C.vTest(pair, rad(-90)).p, 1, 1e-3);
+approx('Φ(1.96)', C.normalCdf(1.96), 0.9750021, 2e-7);
+approx('Φ(−z) = 1 − Φ(z)', C.normalCdf(-1.2) + C.normalCdf(1.2), 1, 1e-12);
+
+console.log('=== von Mises ===');
+// A1(3) = I1(3) / I0(3); 20 samples at ±acos(A1(3)) have exactly that R.
+const a1 = 3.95337 / 4.880793;
+const spread = Array.from({ length: 20 }, (_, i) => (i % 2 ? 1 : -1) * Math.acos(a1));
+const fit = C.vonMisesFit(spread);
+approx('κ from R (n ≥ 15, no correction)', fit.kappa, 3, 0.02);
+approx('μ', fit.mu, 0, 1e-12);
+const small = C.vonMisesFit(spread.slice(0, 10));
+approx(
+    'n < 15 bias correction shrinks κ',
+    small.kappa,
+    (9 ** 3 * fit.kappa) / (10 ** 3 + 10),
+    1e-9
+);
+check('R = 1 gives infinite κ', C.vonMisesFit([0.3, 0.3]).kappa, null);
+approx('κ = 0 is uniform', C.vonMisesPdf(1, 0, 0), 1 / (2 * Math.PI), 1e-12);
+approx(
+    'density at the mode, κ = 2',
+    C.vonMisesPdf(0, 0, 2),
+    Math.exp(2) / (2 * Math.PI * 2.279585),
+    1e-6
+);
+let integral = 0;
+for (let i = 0; i < 3600; i++)
+    integral += C.vonMisesPdf(-Math.PI + (i + 0.5) * (Math.PI / 1800), 0.5, 8) * (Math.PI / 1800);
+approx('density integrates to 1 (κ = 8)', integral, 1, 1e-5);
+check('large κ stays finite', Number.isFinite(C.vonMisesPdf(0, 0, 5000)), true);
+
+console.log('=== circular-linear correlation ===');
+const theta = Array.from({ length: 12 }, (_, i) => (i * Math.PI) / 6);
+const perfect = C.circularLinearCorrelation(
+    theta,
+    theta.map((t) => 3 * Math.cos(t - 0.4) + 1)
+);
+approx('sinusoidal dependence: r = 1', perfect.r, 1, 1e-9);
+approx('p = exp(−n r² / 2)', perfect.p, Math.exp(-6), 1e-9);
+approx(
+    'no dependence: r = 0',
+    C.circularLinearCorrelation(
+        theta,
+        theta.map((t, i) => (i % 2 ? 1 : 0) + 0 * t)
+    ).r,
+    0,
+    1e-9
+);
+check('needs three pairs', C.circularLinearCorrelation([0, 1], [1, 2]).n, 2);
+
+console.log('=== metrics ===');
+check('metric names', Object.keys(C.METRICS), [
+    'mean_direction',
+    'resultant_length',
+    'circular_variance',
+    'circular_sd',
+    'rayleigh_p',
+    'von_mises_kappa'
+]);
+approx('mean_direction in degrees', C.metric('mean_direction', pair), 94, 1e-9);
+approx('rayleigh_p matches the test', C.metric('rayleigh_p', halfR), rayleigh.p, 1e-15);
+check('empty sample yields NaN', C.metric('resultant_length', []), NaN);
+check(
+    'unknown metric throws',
+    errorOf(() => C.metric('mode', pair)),
+    'circular metric "mode" is not available'
+);
+
+console.log('=== dashboard ===');
+const choice = [10, -20, 175, 190, 80, -95];
+approx(
+    'preference harmonic = mean cos 2θ',
+    A.preferenceMetrics(choice).harmonic,
+    choice.reduce((sum, angle) => sum + Math.cos(rad(2 * angle)), 0) / choice.length,
+    1e-12
+);
+check(
+    'metric labels',
+    [A.metricLabel('circular_sd'), A.metricLabel('rayleigh_p')],
+    ['Circular SD (deg)', 'Rayleigh p']
+);
+// One condition, heading held near 30 deg for two seconds.
+const lines = [
+    { event: 'run_metadata', run_id: 'fly1', protocol_filename: 'p9_hold.yaml' },
+    { type: 'frame_schema', cols: ['ms', 'fc', 'idx', 'ft', 'x', 'y', 'hd'] },
+    { event: 'runner', index: 0, phase: 'step-start', condition: 'hold', ms: 1000 },
+    { event: 'runner', index: 0, phase: 'trial-running', ms: 1000, durationSec: 2 },
+    { event: 'runner', index: 0, phase: 'step-done', ms: 3000 }
+];
+for (let ms = 0, fc = 0; ms <= 4000; ms += 20, fc++) {
+    lines.push([ms, fc, 0, ms, 0, 0, rad(30 + (fc % 2 ? 5 : -5))]);
+}
+const run = A.parseJsonl(lines.map((line) => JSON.stringify(line)).join('\n'), 'fly1.jsonl');
+const step = run.steps.find((candidate) => candidate.condition === 'hold');
+check(
+    'heading source outside p2/p3',
+    [A.circularStepAngles(run, step).source, A.circularStepAngles(run, step).order],
+    ['heading', 1]
+);
+approx('step metric', A.circularStepMetric(run, step, 'mean_direction'), 30, 1e-9);
+check(
+    'page only when a metric is chosen',
+    P.buildPages([run], {}).some((page) => page.id.startsWith('circular-')),
+    false
+);
+const page = P.buildPages([run], { circularMetric: 'resultant_length' }).pop();
+const groupMean = page.csvRows.find((row) => row.level === 'fly_mean' && row.run_id === 'fly1');
+check(
+    'page id and title',
+    [page.id, page.title],
+    ['circular-resultant_length', 'Circular statistics: Resultant length R']
+);
+check(
+    'csv row per condition',
+    [groupMean.x, groupMean.metric, groupMean.plot],
+    ['Hold', 'resultant_length', 'circular-resultant_length']
+);
+approx('csv value', groupMean.y, Math.cos(rad(5)), 1e-9);
+
+console.log('\n=== Summary ===');
+console.log(`${total - failures} / ${total} checks passed`);
+process.exit(failures ? 1 : 0);
@@ -51,6 +51,8 @@ console.log('=== CRC universal checks ===');
 const enc = new TextEncoder();
 check('CRC-8/AUTOSAR("123456789")', G6CRC.crc8Autosar(enc.encode('123456789')), 0xdf);
 check('CRC-16/CCITT-FALSE("123456789")', G6CRC.crc16CcittFalse(enc.encode('123456789')), 0x29b1);
+check('CRC-32("123456789")', G6CRC.crc32(enc.encode('123456789')), 0xcbf43926);
+check('CRC-32(empty)', G6CRC.crc32(new Uint8Array(0)), 0);
 
 console.log('\n=== CRC-8 protocol vectors ===');
 const v2L = new Uint8Array(53);
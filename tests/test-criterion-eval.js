@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * Tests for js/criterion-eval.js — the shared flow-control criterion evaluator
+ * used by BOTH the live runner (evaluateCriterion injection) and the offline
+ * dashboard (re-evaluating logged decisions). Pins the cross-runner contract of
+ * docs/development/v3-flow-control-design.md §2: strict comparisons, NaN
+ * samples excluded, fraction-of-valid statistics, baseline-relative threshold,
+ * the circular mean for heading, and that the dashboard's audit agrees with a
+ * live decision on the same rows.
+ *
+ * Run: node tests/test-criterion-eval.js   (wired into `pixi run test`)
+ */
+'use strict';
+
+const CE = require('../js/criterion-eval.js');
+const Runner = require('../js/arena-runner-g6.js');
+const DashboardAnalysis = require('../dashboard/data-browser/analysis-core.js');
+
+let total = 0;
+let failures = 0;
+function approx(name, got, expected, tol) {
+    total++;
+    const t = tol == null ? 1e-9 : tol;
+    const ok = got != null && Math.abs(got - expected) <= t;
+    console.log(`  ${ok ? 'PASS' : 'FAIL'}  ${name}: got ${got}, expected ${expected} (±${t})`);
+    if (!ok) failures++;
+}
+function checkBool(name, ok, info) {
+    total++;
+    console.log(`  ${ok ? 'PASS' : 'FAIL'}  ${name}${info ? ' — ' + info : ''}`);
+    if (!ok) failures++;
+}
+function checkThrows(name, fn) {
+    let threw = false;
+    try {
+        fn();
+    } catch (_) {
+        threw = true;
+    }
+    checkBool(name, threw, threw ? 'threw' : 'did NOT throw');
+}
+
+// Straight walk along heading 0 at `vf` rad/s for the first half, then stopped:
+// forward speed (mm/s) = vf × R, then 0. 100 Hz, 4 s.
+const R = 4.5;
+function walkThenStop(vf, n, dtMs) {
+    const s = [];
+    let x = 0;
+    for (let i = 0; i < n; i++) {
+        const tMs = i * dtMs;
+        if (i > 0 && i <= n / 2) x += vf * (dtMs / 1000);
+        s.push({ ms: tMs, ft: tMs, fc: i + 1, idx: 0, x, y: 0, hd: 0 });
+    }
+    return s;
+}
+const walk = walkThenStop(2.0, 400, 10);
+
+console.log('=== metricSeries ===');
+{
+    const fwd = CE.metricSeries(walk, 'walking_speed', 100, 1000, { ballRadiusMm: R });
+    approx('walking_speed = vf·R while walking', fwd[10], 2.0 * R, 1e-6);
+    checkBool('one value per sample in the window', fwd.length === 91, fwd.length + ' values');
+    const stopped = CE.metricSeries(walk, 'walking_speed', 3000, 3900, { ballRadiusMm: R });
+    approx('stopped ⇒ 0 mm/s', stopped[5], 0, 1e-9);
+    checkThrows('unknown metric throws', () => CE.metricSeries(walk, 'wingbeat_frequency', 0, 100));
+    // tracking_dropouts: a 3-frame fc jump = 2 missing frames before that sample.
+    const gappy = [
+        { ms: 0, fc: 1 },
+        { ms: 10, fc: 2 },
+        { ms: 20, fc: 5 },
+        { ms: 30, fc: 6 }
+    ];
+    const drops = CE.metricSeries(gappy, 'tracking_dropouts', 10, 30);
+    checkBool('dropouts per sample', JSON.stringify(drops) === '[0,2,0]', JSON.stringify(drops));
+}
+
+console.log('=== reduce: NaN excluded, fraction of VALID samples ===');
+{
+    const vals = [1, NaN, 3, 5, NaN];
+    const m = CE.reduce(vals, { statistic: 'mean' });
+    approx('mean over valid only', m.value, 3);
+    checkBool('valid_samples counts non-NaN', m.valid_samples === 3);
+    approx(
+        'fraction_below strict (3 not < 3)',
+        CE.reduce(vals, { statistic: 'fraction_below', level: 3 }).value,
+        1 / 3
+    );
+    approx(
+        'fraction_above strict (3 not > 3)',
+        CE.reduce(vals, { statistic: 'fraction_above', level: 3 }).value,
+        1 / 3
+    );
+    const empty = CE.reduce([NaN], { statistic: 'mean' });
+    checkBool('empty window ⇒ NaN value', Number.isNaN(empty.value) && empty.valid_samples === 0);
+}
+
+console.log('=== thresholdFor / compare ===');
+{
+    approx('absolute threshold', CE.thresholdFor({ threshold: 2 }), 2);
+    approx(
+        'relative: fraction × baseline',
+        CE.thresholdFor({ fraction: 0.7 }, { value: 10 }),
+        7,
+        1e-12
+    );
+    checkBool('no threshold, no baseline ⇒ NaN', Number.isNaN(CE.thresholdFor({ fraction: 0.7 })));
+    checkBool('below is strict', CE.compare(2, { stop_when: 'below' }, 2) === false);
+    checkBool('above is strict', CE.compare(2, { stop_when: 'above' }, 2) === false);
+    checkBool('below true', CE.compare(1.9, { stop_when: 'below' }, 2) === true);
+    checkBool('NaN never meets', CE.compare(NaN, { stop_when: 'below' }, 2) === false);
+}
+
+console.log('=== evaluate (runner contract) ===');
+const slow = {
+    metric: 'walking_speed',
+    statistic: 'mean',
+    stop_when: 'below',
+    threshold: 1
+};
+{
+    const walking = CE.evaluate(slow, walk, { startMs: 100, endMs: 1900, ballRadiusMm: R });
+    checkBool('walking window: not met', walking.met === false, JSON.stringify(walking));
+    const resting = CE.evaluate(slow, walk, { startMs: 2100, endMs: 3900, ballRadiusMm: R });
+    checkBool('stopped window: met', resting.met === true, JSON.stringify(resting));
+    approx('threshold echoed', resting.threshold, 1);
+    const base = CE.evaluate(slow, walk, {
+        kind: 'baseline',
+        startMs: 100,
+        endMs: 1900,
+        ballRadiusMm: R
+    });
+    approx('baseline kind returns the statistic', base.value, 2.0 * R, 1e-6);
+    checkBool('baseline kind carries no decision', base.met === undefined);
+    const rel = CE.evaluate(
+        { metric: 'walking_speed', statistic: 'mean', stop_when: 'below', fraction: 0.5 },
+        walk,
+        { startMs: 2100, endMs: 3900, ballRadiusMm: R, baseline: base }
+    );
+    approx('relative threshold = 0.5 × baseline', rel.threshold, R, 1e-6);
+    checkBool('relative: faded ⇒ met', rel.met === true);
+    const none = CE.evaluate(slow, walk, { startMs: 99999, endMs: 100000 });
+    checkBool('empty window ⇒ NaN (runner fails closed)', Number.isNaN(none.value));
+    checkThrows('no usable threshold throws', () =>
+        CE.evaluate({ metric: 'walking_speed', statistic: 'mean' }, walk, {
+            startMs: 0,
+            endMs: 100
+        })
+    );
+}
+
+console.log('=== heading: circular mean ===');
+{
+    // Standing still, heading flickering across ±180: +179, −179, +179, …
+    const held = (degA, degB) =>
+        Array.from({ length: 100 }, (_, i) => ({
+            ms: i * 10,
+            ft: i * 10,
+            fc: i + 1,
+            idx: 0,
+            x: 0,
+            y: 0,
+            hd: ((i % 2 ? degA : degB) * Math.PI) / 180
+        }));
+    const across = held(179, -179);
+    const facing = { metric: 'heading', statistic: 'mean', stop_when: 'above', threshold: 170 };
+    const r = CE.evaluate(facing, across, { startMs: 0, endMs: 990 });
+    approx('mean across ±180 is 180, not 0', Math.abs(r.value), 180, 1e-9);
+    checkBool('decided on 180', r.met === true, JSON.stringify(r));
+    approx(
+        'mean of 165 / 175 is 170',
+        CE.evaluate(facing, held(165, 175), { startMs: 0, endMs: 990 }).value,
+        170,
+        1e-9
+    );
+    checkBool(
+        'opposite headings cancel ⇒ NaN',
+        Number.isNaN(CE.evaluate(facing, held(0, 180), { startMs: 0, endMs: 990 }).value)
+    );
+    checkBool('heading is circular', CE.isCircular('heading') && !CE.isCircular('speed'));
+    checkThrows('fraction statistic on heading throws', () =>
+        CE.evaluate(
+            {
+                metric: 'heading',
+                statistic: 'fraction_below',
+                level: 90,
+                stop_when: 'above',
+                threshold: 0.5
+            },
+            across,
+            { startMs: 0, endMs: 990 }
+        )
+    );
+    checkThrows('relative heading criterion throws', () =>
+        CE.evaluate(
+            { metric: 'heading', statistic: 'mean', stop_when: 'below', fraction: 0.5 },
+            across,
+            { startMs: 0, endMs: 990, baseline: { value: 90 } }
+        )
+    );
+}
+
+console.log('=== live decision ⇒ offline audit agree ===');
+(async () => {
+    // Drive a real trial_check through the runner with a makeEvaluator over the
+    // walk buffer and a clock that lands the attempt in the stopped half, then
+    // re-evaluate the logged record exactly as the dashboard would.
+    const link = {
+        connected: true,
+        async send(bytes) {
+            return new Uint8Array([0x02, 0x00, bytes[1]]);
+        }
+    };
+    const runner = new Runner.ArenaRunner(link, require('../js/arena-wire-g6.js'));
+    const clock = [0, 2100, 3900];
+    const events = [];
+    await runner.runSequence({
+        steps: [
+            {
+                kind: 'ref',
+                conditionName: 'rest',
+                label: 'rest',
+                seqIdx: 0,
+                dur: 0,
+                trialCheck: { criterion: slow, max_attempts: 1, on_exhausted: 'advance' }
+            }
+        ],
+        conditionsByName: new Map([['rest', { name: 'rest', commands: [] }]]),
+        sleep: () => Promise.resolve(),
+        now: () => (clock.length ? clock.shift() : 3900),
+        evaluateCriterion: CE.makeEvaluator(() => walk, { ballRadiusMm: () => R }),
+        onProgress: (s) => events.push(s)
+    });
+    const tc = events.find((e) => e.phase === 'trial-check').trialCheck;
+    checkBool('live: attempt rejected (slow)', tc.valid === false, JSON.stringify(tc.window_ms));
+    checkBool('record carries the full criterion', tc.criterion && tc.criterion.threshold === 1);
+    const audit = CE.reevaluate(tc, walk, { ballRadiusMm: R });
+    checkBool('offline re-evaluation agrees', audit.agrees === true, JSON.stringify(audit));
+    checkBool('pre-audit record ⇒ null', CE.reevaluate({ metric: 'walking_speed' }, walk) === null);
+
+    // The dashboard path: the logged runner event + frames ⇒ the same verdict.
+    const run = {
+        frames: walk.map((s) => ({ ms: s.ms, ftMs: s.ft, x: s.x, y: s.y, hd: s.hd, fc: s.fc })),
+        events: [
+            { event: 'runner', phase: 'trial-check', index: 0, condition: 'rest', trialCheck: tc }
+        ],
+        analysisSettings: { ballDiameterMm: 2 * R }
+    };
+    const decisions = DashboardAnalysis.flowControlDecisions(run);
+    checkBool(
+        'dashboard finds the decision',
+        decisions.length === 1 && decisions[0].kind === 'trial_check'
+    );
+    checkBool('dashboard audit agrees', decisions[0].reevaluated.agrees === true);
+
+    console.log('\n=== Summary ===');
+    console.log(`${total - failures} / ${total} checks passed`);
+    process.exit(failures ? 1 : 0);
+})().catch((e) => {
+    console.error('test crashed:', e);
+    process.exit(1);
+});
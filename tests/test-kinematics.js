@@ -138,6 +138,25 @@ const wdMid = K.windowedDerived(sl, sl[100].ms, { windowMs: 250, ballRadiusMm: R
 approx('forward agrees', wdMid.forward_rad_s, cdMid.forward_rad_s, 1e-6);
 approx('turning agrees', wdMid.turning_deg_s, cdMid.turning_deg_s, 1e-6);
 
+console.log('=== derivedBetween (criterion window series) ===');
+// Samples whose ms lies in [500, 1000] on the straight-line data; every
+// interior sample derives, so the series is all non-null and recovers vf.
+const win = K.derivedBetween(sl, 500, 1000, { ballRadiusMm: R });
+checkBool(
+    'window sample count',
+    win.length === sl.filter((s) => s.ms >= 500 && s.ms <= 1000).length,
+    win.length + ' samples'
+);
+checkBool(
+    'interior samples all derive',
+    win.every((d) => d !== null)
+);
+approx('window forward_mm_s = vf·R', win[0].forward_mm_s, vf * R, 1e-6);
+// The buffer's first sample has no left neighbour ⇒ a null entry, kept.
+const head = K.derivedBetween(sl, -Infinity, sl[1].ms);
+checkBool('edge sample kept as null', head[0] === null);
+checkBool('empty window ⇒ empty series', K.derivedBetween(sl, 999999, 1000000).length === 0);
+
 console.log('=== ballRadiusMm ===');
 approx('default 9 mm dia → 4.5 mm radius', K.ballRadiusMm(), 4.5, 1e-12);
 approx('12 mm dia → 6 mm radius', K.ballRadiusMm(12), 6, 1e-12);
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/**
+ * Pattern combiner (js/pattern-editor/tools/combiner.js).
+ *
+ * Covers: the pixelwise operations (add with clipping, min, max, XOR,
+ * difference) in GS16 and GS2, frame interleaving, the timing shared by
+ * every mode (B's offset; loop, hold and truncate for different frame
+ * counts), that the original modes still loop the shorter pattern by default,
+ * N-way combination with its per-step results, and errors.
+ *
+ * Run: node tests/test-pattern-combiner.js
+ */
+
+'use strict';
+
+const {
+    alignFrames,
+    combinePatterns,
+    combineChain
+} = require('../js/pattern-editor/tools/combiner.js');
+
+let total = 0;
+let failures = 0;
+function check(name, got, expected) {
+    total++;
+    const ok = JSON.stringify(got) === JSON.stringify(expected);
+    console.log(
+        `  ${ok ? 'PASS' : 'FAIL'}  ${name}${ok ? '' : `: got ${JSON.stringify(got)}, expected ${JSON.stringify(expected)}`}`
+    );
+    if (!ok) failures++;
+}
+function errorOf(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return e.message;
+    }
+    return null;
+}
+
+// 1×N patterns: each frame is a row of levels
+const pattern = (frames, gsMode = 16) => ({
+    generation: 'G6',
+    gsMode,
+    numFrames: frames.length,
+    pixelRows: 1,
+    pixelCols: frames[0].length,
+    frames: frames.map((f) => Uint8Array.from(f))
+});
+const levels = (p) => p.frames.map((f) => [...f]);
+// Single-pixel patterns whose value is the frame index, for timing checks
+const counter = (n, base = 0) => pattern(Array.from({ length: n }, (_, f) => [base + f]));
+const pairs = (a, b, options) => alignFrames(a, b, options).map(([fa, fb]) => [fa[0], fb[0]]);
+
+console.log('\n=== pixel operations ===');
+{
+    const A = pattern([[0, 5, 10, 15, 12]]);
+    const B = pattern([[3, 7, 9, 4, 12]]);
+    check(
+        'GS16',
+        ['add', 'min', 'max', 'xor', 'difference'].map(
+            (op) => levels(combinePatterns(A, B, op))[0]
+        ),
+        [
+            [3, 12, 15, 15, 15],
+            [0, 5, 9, 4, 12],
+            [3, 7, 10, 15, 12],
+            [3, 2, 3, 11, 0],
+            [3, 2, 1, 11, 0]
+        ]
+    );
+    const A2 = pattern([[0, 0, 1, 1]], 2);
+    const B2 = pattern([[0, 1, 0, 1]], 2);
+    check(
+        'GS2 truth tables',
+        ['add', 'min', 'max', 'xor', 'difference'].map(
+            (op) => levels(combinePatterns(A2, B2, op))[0]
+        ),
+        [
+            [0, 1, 1, 1],
+            [0, 0, 0, 1],
+            [0, 1, 1, 1],
+            [0, 1, 1, 0],
+            [0, 1, 1, 0]
+        ]
+    );
+    const result = combinePatterns(A, B, 'max');
+    check(
+        "result keeps A's header, clears the filename",
+        [result.gsMode, result.filename],
+        [16, null]
+    );
+}
+
+console.log('\n=== timing ===');
+{
+    const A = counter(4);
+    const B = counter(2, 10);
+    check('loop (default) wraps the shorter pattern', pairs(A, B), [
+        [0, 10],
+        [1, 11],
+        [2, 10],
+        [3, 11]
+    ]);
+    check('hold keeps the last frame', pairs(A, B, { length: 'hold' }), [
+        [0, 10],
+        [1, 11],
+        [2, 11],
+        [3, 11]
+    ]);
+    check('truncate stops at the shorter', pairs(A, B, { length: 'truncate' }), [
+        [0, 10],
+        [1, 11]
+    ]);
+    check('loop offset is a phase shift of B', pairs(A, B, { offset: 1 }), [
+        [0, 11],
+        [1, 10],
+        [2, 11],
+        [3, 10]
+    ]);
+    check(
+        'hold offset delays B, holding its first frame and running past A',
+        pairs(A, counter(4, 10), { length: 'hold', offset: 2 }),
+        [
+            [0, 10],
+            [1, 10],
+            [2, 10],
+            [3, 11],
+            [3, 12],
+            [3, 13]
+        ]
+    );
+    check(
+        'negative offset starts B early',
+        pairs(counter(3), counter(3, 10), { length: 'truncate', offset: -1 }),
+        [
+            [0, 11],
+            [1, 12],
+            [2, 12]
+        ]
+    );
+    check(
+        'original modes take the same timing options',
+        levels(combinePatterns(A, B, 'blend', { length: 'hold', offset: 1 })),
+        [[5], [6], [7], [7]]
+    );
+    check('mask still loops by default', levels(combinePatterns(A, B, 'mask', { threshold: 1 })), [
+        [0],
+        [1],
+        [10],
+        [11]
+    ]);
+}
+
+console.log('\n=== interleave ===');
+{
+    check(
+        'A0, B0, A1, B1, ...',
+        levels(combinePatterns(counter(3), counter(3, 10), 'interleave')),
+        [[0], [10], [1], [11], [2], [12]]
+    );
+    check(
+        'interleave with offset and hold',
+        levels(
+            combinePatterns(counter(2), counter(2, 10), 'interleave', { length: 'hold', offset: 1 })
+        ),
+        [[0], [10], [1], [10], [1], [11]]
+    );
+    check(
+        'frames are copies',
+        (() => {
+            const A = counter(1);
+            const out = combinePatterns(A, counter(1, 5), 'interleave');
+            out.frames[0][0] = 9;
+            return A.frames[0][0];
+        })(),
+        0
+    );
+}
+
+console.log('\n=== N-way ===');
+{
+    const A = pattern([[2, 8, 14]]);
+    const B = pattern([[6, 6, 6]]);
+    const C = pattern([[0, 15, 3]]);
+    const chained = combineChain([A, B, C], [{ mode: 'max' }, { mode: 'min' }]);
+    check('steps fold left to right', chained.steps.map(levels), [[[6, 8, 14]], [[0, 8, 3]]]);
+    check('final pattern is the last step', chained.pattern === chained.steps[1], true);
+    check('one step for every join', levels(combineChain([A, B, C, B], { mode: 'add' }).pattern), [
+        [14, 15, 15]
+    ]);
+    check(
+        'sequential chains concatenate',
+        combineChain([counter(2), counter(3), counter(1)], { mode: 'sequential' }).pattern
+            .numFrames,
+        6
+    );
+}
+
+console.log('\n=== errors ===');
+{
+    const A = counter(2);
+    check(
+        'bad input',
+        [
+            errorOf(() => combinePatterns(A, A, 'multiply')),
+            errorOf(() => alignFrames(A, A, { length: 'stretch' })),
+            errorOf(() => alignFrames(A, A, { offset: 0.5 })),
+            errorOf(() => combineChain([A], { mode: 'add' })),
+            errorOf(() => combineChain([A, A, A], [{ mode: 'add' }])),
+            errorOf(() =>
+                combineChain([A, A, pattern([[0, 0]])], [{ mode: 'add' }, { mode: 'min' }])
+            ),
+            errorOf(() => combinePatterns(A, pattern([[0]], 2), 'xor'))
+        ],
+        [
+            'Unknown combine mode: multiply',
+            'Unknown length policy: stretch',
+            'Offset must be a whole number of frames, got 0.5',
+            'Combining needs at least two patterns',
+            '3 patterns need 2 steps, got 1',
+            'Step 2 (min): Pattern dimensions must match. A: 1x1, B: 2x1',
+            'Grayscale modes must match. A: GS16, B: GS2'
+        ]
+    );
+}
+
+console.log('\n=== Summary ===');
+console.log(`${total - failures} / ${total} checks passed`);
+process.exit(failures ? 1 : 0);
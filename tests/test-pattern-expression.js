@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Pattern expression language (js/pattern-editor/tools/expression.js) and
+ * PatternGenerator.generateExpression.
+ *
+ * Covers: operator precedence and associativity, floored modulo, the function
+ * table and its arity checks, errors with their column, that names outside
+ * the variable/function tables (including Object.prototype members) are
+ * refused, per-pixel variables (az/el/row/col/t), Low–High mapping, the
+ * non-finite-value error, and the sidecar regenerating the same frames.
+ *
+ * Run: node tests/test-pattern-expression.js
+ */
+
+'use strict';
+
+const PatternExpression = require('../js/pattern-editor/tools/expression.js');
+const PatternGenerator = require('../js/pattern-editor/tools/generator.js');
+
+const ARENA = { generation: 'G6', rows: 2, cols: 10 };
+
+let total = 0;
+let failures = 0;
+function check(name, got, expected) {
+    total++;
+    const ok = JSON.stringify(got) === JSON.stringify(expected);
+    console.log(
+        `  ${ok ? 'PASS' : 'FAIL'}  ${name}${ok ? '' : `: got ${JSON.stringify(got)}, expected ${JSON.stringify(expected)}`}`
+    );
+    if (!ok) failures++;
+}
+const evalAt = (src, scope = {}) => PatternExpression.compile(src).evaluate(scope);
+function errorOf(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return [e.name, e.message, e.position];
+    }
+    return null;
+}
+
+console.log('\n=== evaluation ===');
+check(
+    'precedence',
+    ['1 + 2 * 3', '(1 + 2) * 3', '-2^2', '2^3^2', '2 * -3', '10 - 4 - 3', '12 / 3 / 2'].map((s) =>
+        evalAt(s)
+    ),
+    [7, 9, -4, 512, -6, 3, 2]
+);
+check(
+    'floored modulo',
+    ['7 % 3', '-1 % 3', 'mod(-370, 360)'].map((s) => evalAt(s)),
+    [1, 2, 350]
+);
+check(
+    'comparisons and logic give 1/0',
+    ['2 > 1', '2 < 1', '1 == 1 && 0 != 1', '0 || 0', '!3', '1 < 2 ? 5 : 6'].map((s) => evalAt(s)),
+    [1, 0, 1, 0, 0, 5]
+);
+check(
+    'functions and constants',
+    [
+        'max(1, 5, 3)',
+        'clamp(7, 0, 1)',
+        'step(0.5, 0.7)',
+        'fract(2.25)',
+        'hypot(3, 4)',
+        'round(pi * 100)',
+        'log(e)'
+    ].map((s) => evalAt(s)),
+    [5, 1, 1, 0.25, 5, 314, 1]
+);
+check(
+    'numbers',
+    ['.5', '1e2', '2.5E-1'].map((s) => evalAt(s)),
+    [0.5, 100, 0.25]
+);
+check(
+    'variables, with frame as an alias of t',
+    evalAt('az + 10*el + 100*row + 1000*col + 10000*frame', {
+        az: 1,
+        el: 2,
+        row: 3,
+        col: 4,
+        t: 5
+    }),
+    54321
+);
+check('variables used', PatternExpression.compile('sin(az) + frame * t + rows').variables, [
+    'az',
+    't',
+    'rows'
+]);
+
+console.log('\n=== errors ===');
+check(
+    'empty',
+    errorOf(() => PatternExpression.compile('  ')),
+    ['ExpressionError', 'Expression is empty', undefined]
+);
+check(
+    'dangling operator',
+    errorOf(() => PatternExpression.compile('az +')),
+    ['ExpressionError', 'Unexpected end of expression (column 5)', 4]
+);
+check(
+    'unclosed parenthesis',
+    errorOf(() => PatternExpression.compile('sin(az')),
+    ['ExpressionError', "Expected ')' but found end of expression (column 7)", 6]
+);
+check(
+    'stray character',
+    errorOf(() => PatternExpression.compile('az $ 2')),
+    ['ExpressionError', "Unexpected character '$' (column 4)", 3]
+);
+check(
+    'unknown variable',
+    errorOf(() => PatternExpression.compile('azimuth > 0')),
+    ['ExpressionError', "Unknown variable 'azimuth' (column 1)", 0]
+);
+check(
+    'function used as a variable',
+    errorOf(() => PatternExpression.compile('sin * 2')),
+    ['ExpressionError', "Unknown variable 'sin' ('sin' is a function) (column 1)", 0]
+);
+check(
+    'wrong argument count',
+    errorOf(() => PatternExpression.compile('1 + atan2(az)')),
+    ['ExpressionError', 'atan2() takes 2 arguments, got 1 (column 5)', 4]
+);
+check(
+    'chained comparison',
+    errorOf(() => PatternExpression.compile('0 < az < 10')),
+    ['ExpressionError', 'Comparisons cannot be chained; use && (column 8)', 7]
+);
+check(
+    'no reach into JavaScript',
+    ['constructor', 'toString(1)', '__proto__', 'eval(1)', 'Math'].map(
+        (s) => errorOf(() => PatternExpression.compile(s))[0]
+    ),
+    ['ExpressionError', 'ExpressionError', 'ExpressionError', 'ExpressionError', 'ExpressionError']
+);
+
+console.log('\n=== generateExpression ===');
+{
+    const p = PatternGenerator.generateExpression(
+        { expression: 'col == 0 || row == rows - 1', high: 12, low: 2 },
+        ARENA
+    );
+    check('single frame by default', p.numFrames, 1);
+    check(
+        'row 0 is the bottom, col 0 the left',
+        [p.frames[0][0], p.frames[0][1], p.frames[0][39 * 200 + 100], p.frames[0][20 * 200 + 100]],
+        [12, 2, 12, 2]
+    );
+
+    const ramp = PatternGenerator.generateExpression(
+        { expression: 't / (frames - 1)', numFrames: 4, high: 15, low: 0 },
+        ARENA
+    );
+    check(
+        'value 0-1 maps Low-High',
+        ramp.frames.map((f) => f[0]),
+        [0, 5, 10, 15]
+    );
+    const clamped = PatternGenerator.generateExpression(
+        { expression: 'el / 10', high: 15, low: 0 },
+        ARENA
+    );
+    check('values outside 0-1 clamp', [clamped.frames[0][0], clamped.frames[0][39 * 200]], [0, 15]);
+
+    const az = PatternGenerator.generateExpression(
+        { expression: 'az > 0', high: 1, low: 0, gsMode: 2 },
+        ARENA
+    );
+    check(
+        'azimuth is 0 between cols 99 and 100, positive to the right',
+        [az.frames[0][99], az.frames[0][100]],
+        [0, 1]
+    );
+
+    check(
+        'non-finite value names the pixel',
+        errorOf(() =>
+            PatternGenerator.generateExpression({ expression: '1 / col', high: 15, low: 0 }, ARENA)
+        ),
+        [
+            'Error',
+            'Expression is Infinity at frame 0, row 0, col 0 (az -179.10°, el -31.49°)',
+            undefined
+        ]
+    );
+
+    const source = PatternGenerator.generateExpression(
+        {
+            expression: '0.5 + 0.5*sin(2*pi*(az/45 - t/8))',
+            numFrames: 8,
+            high: 14,
+            low: 1,
+            gsMode: 16
+        },
+        ARENA
+    );
+    const sidecar = JSON.parse(JSON.stringify(PatternGenerator.expressionSidecar(source)));
+    check(
+        'sidecar records the expression',
+        sidecar.params.expression,
+        source.expression.expression
+    );
+    const again = PatternGenerator.generateExpression(sidecar.params, sidecar.arena);
+    check(
+        'sidecar regenerates the same frames',
+        PatternGenerator.framesChecksum(again.frames),
+        sidecar.checksum
+    );
+}
+
+console.log('\n=== Summary ===');
+console.log(`${total - failures} / ${total} checks passed`);
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * Equirectangular panorama projection (PatternGenerator.generatePanorama).
+ *
+ * Covers: each LED sampling the panorama at its own azimuth and elevation
+ * (checked against the arena geometry directly), horizontal wrap, the yaw
+ * offset as a column shift, rotating frames, inversion and GS2, coverage,
+ * and input errors.
+ *
+ * Run: node tests/test-pattern-panorama.js
+ */
+
+'use strict';
+
+const PatternGenerator = require('../js/pattern-editor/tools/generator.js');
+const ArenaGeometry = require('../js/arena-geometry.js');
+
+// Full G6 ring: 200 columns = 360°, so 90° is exactly 50 columns
+const ARENA = { generation: 'G6', rows: 2, cols: 10 };
+const COLS = 200;
+const DEG = Math.PI / 180;
+
+let total = 0;
+let failures = 0;
+function check(name, got, expected) {
+    total++;
+    const ok = JSON.stringify(got) === JSON.stringify(expected);
+    console.log(
+        `  ${ok ? 'PASS' : 'FAIL'}  ${name}${ok ? '' : `: got ${JSON.stringify(got)}, expected ${JSON.stringify(expected)}`}`
+    );
+    if (!ok) failures++;
+}
+function checkBool(name, ok, info) {
+    total++;
+    console.log(`  ${ok ? 'PASS' : 'FAIL'}  ${name}${info ? ' — ' + info : ''}`);
+    if (!ok) failures++;
+}
+function errorOf(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return e.message;
+    }
+    return null;
+}
+const panorama = (width, height, fn) => {
+    const pixels = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) pixels[y * width + x] = fn(x, y);
+    }
+    return { width, height, pixels };
+};
+const shifted = (frame, by) =>
+    frame.map((_, i) => frame[i - (i % COLS) + (((i % COLS) + by + COLS) % COLS)]);
+const same = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+// Direction of every pixel center straight from the geometry module
+const coords = ArenaGeometry.arenaCoordinates({
+    panelSize: 20,
+    numCols: 10,
+    numRows: 2,
+    numCircle: 10,
+    model: 'smooth'
+});
+const azOf = (i) =>
+    Math.atan2(coords.x[Math.floor(i / COLS)][i % COLS], coords.y[Math.floor(i / COLS)][i % COLS]);
+const elOf = (i) => {
+    const x = coords.x[Math.floor(i / COLS)][i % COLS];
+    const y = coords.y[Math.floor(i / COLS)][i % COLS];
+    return Math.atan2(coords.z[Math.floor(i / COLS)][i % COLS], Math.hypot(x, y));
+};
+
+console.log('\n=== projection ===');
+{
+    const flat = PatternGenerator.generatePanorama({ image: panorama(8, 4, () => 136) }, ARENA);
+    check(
+        'pattern shape',
+        [flat.numFrames, flat.pixelRows, flat.pixelCols, flat.gs_val, flat.stretchValues],
+        [1, 40, 200, 16, [128]]
+    );
+    check('uniform gray 136 → level 8', [...new Set(flat.frames[0])], [8]);
+
+    // Right half of the panorama (azimuth > 0) white
+    const halves = PatternGenerator.generatePanorama(
+        { image: panorama(360, 180, (x) => (x >= 180 ? 255 : 0)), gsMode: 2 },
+        ARENA
+    );
+    checkBool(
+        'left/right halves land on azimuth < 0 / > 0, across the ±180° seam too',
+        halves.frames[0].every((v, i) => v === (azOf(i) > 0 ? 1 : 0))
+    );
+
+    // Top half (elevation > 0) white
+    const sky = PatternGenerator.generatePanorama(
+        { image: panorama(360, 180, (x, y) => (y < 90 ? 255 : 0)), gsMode: 2 },
+        ARENA
+    );
+    checkBool(
+        'top/bottom halves land on elevation > 0 / < 0',
+        sky.frames[0].every((v, i) => v === (elOf(i) > 0 ? 1 : 0))
+    );
+
+    // Linear ramps sample exactly under bilinear interpolation, so each LED's
+    // level gives back the direction it looked in
+    const level = (gray) => Math.round((gray * 15) / 255);
+    const elRamp = PatternGenerator.generatePanorama(
+        { image: panorama(4, 180, (x, y) => 255 - y) },
+        ARENA
+    );
+    checkBool(
+        'each row samples its own elevation (not evenly spaced rows)',
+        elRamp.frames[0].every((v, i) => v === level(165.5 + elOf(i) / DEG))
+    );
+    const azRamp = PatternGenerator.generatePanorama({ image: panorama(256, 2, (x) => x) }, ARENA);
+    checkBool(
+        'each column samples its own azimuth',
+        azRamp.frames[0].every(
+            (v, i) =>
+                Math.abs(azOf(i)) > 178 * DEG ||
+                v === level((azOf(i) / (2 * Math.PI) + 0.5) * 256 - 0.5)
+        )
+    );
+}
+
+console.log('\n=== yaw and rotation ===');
+{
+    let seed = 7;
+    const rand = () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x80000000;
+    const image = panorama(72, 36, () => Math.floor(rand() * 256));
+    const base = PatternGenerator.generatePanorama({ image }, ARENA).frames[0];
+    const yawed = PatternGenerator.generatePanorama({ image, yaw: 90 * DEG }, ARENA).frames[0];
+    checkBool('base frame is not uniform', new Set(base).size > 8);
+    checkBool('yaw 90° looks 50 columns to the right', same(yawed, shifted(base, 50)));
+
+    const spin = PatternGenerator.generatePanorama({ image, numFrames: 4 }, ARENA);
+    checkBool(
+        'four frames default to a full turn, 90° (50 columns) each',
+        spin.frames.every((f, k) => same(f, shifted(base, 50 * k)))
+    );
+    const slow = PatternGenerator.generatePanorama(
+        { image, numFrames: 3, yaw: 9 * DEG, yawPerFrame: -1.8 * DEG },
+        ARENA
+    );
+    checkBool(
+        'yawPerFrame sets the step; negative turns left',
+        slow.frames.every((f, k) => same(f, shifted(base, 5 - k)))
+    );
+}
+
+console.log('\n=== levels ===');
+{
+    const ramp = panorama(200, 2, (x) => Math.round((x * 255) / 199));
+    const normal = PatternGenerator.generatePanorama({ image: ramp }, ARENA).frames[0];
+    const inverted = PatternGenerator.generatePanorama({ image: ramp, invert: true }, ARENA)
+        .frames[0];
+    checkBool(
+        'invert maps level v to 15 - v (up to rounding)',
+        normal.every((v, i) => Math.abs(inverted[i] - (15 - v)) <= 1) &&
+            inverted[0] > normal[0] &&
+            inverted[199] < normal[199]
+    );
+    check('range of levels', [Math.min(...normal), Math.max(...normal)], [0, 15]);
+}
+
+console.log('\n=== coverage and errors ===');
+{
+    const c = PatternGenerator.panoramaCoverage(ARENA);
+    check(
+        'full ring covers ±179.1°, symmetric in elevation',
+        [c.azMin / DEG, c.azMax / DEG, c.elMin + c.elMax].map((v) => Math.round(v * 10) / 10),
+        [-179.1, 179.1, 0]
+    );
+    check(
+        'bad input',
+        [
+            errorOf(() => PatternGenerator.generatePanorama({}, ARENA)),
+            errorOf(() =>
+                PatternGenerator.generatePanorama(
+                    { image: { width: 4, height: 2, pixels: [1, 2, 3] } },
+                    ARENA
+                )
+            ),
+            errorOf(() =>
+                PatternGenerator.generatePanorama(
+                    { image: panorama(4, 2, () => 0), numFrames: 0 },
+                    ARENA
+                )
+            )
+        ],
+        [
+            'Panorama needs an image with width and height',
+            'Panorama pixels must hold width×height = 8 values',
+            'Panorama patterns need numFrames ≥ 1'
+        ]
+    );
+}
+
+console.log('\n=== Summary ===');
+console.log(`${total - failures} / ${total} checks passed`);
+process.exit(failures ? 1 : 0);
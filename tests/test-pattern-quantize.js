@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+/**
+ * Shared quantization pipeline (js/pattern-editor/tools/quantize.js) and the
+ * pattern sources that use it.
+ *
+ * Covers: the Bayer and blue-noise threshold masks, each dither keeping the
+ * mean level of flat gray, histogram equalization, gamma, mean / RMS contrast
+ * normalization across frames, option errors, that the default options give
+ * the plain rounding every source used before, and the dither option reaching
+ * the generator (expression, panorama) and the combiner's blend.
+ *
+ * Run: node tests/test-pattern-quantize.js
+ */
+
+'use strict';
+
+const _pq = require('../js/pattern-editor/tools/quantize.js');
+const PatternQuantizer = _pq.default || _pq;
+const PatternGenerator = require('../js/pattern-editor/tools/generator.js');
+const { combinePatterns } = require('../js/pattern-editor/tools/combiner.js');
+const { quantizeGray } = require('../js/pattern-editor/tools/image-converter.js');
+
+const ARENA = { generation: 'G6', rows: 2, cols: 10 };
+
+let total = 0;
+let failures = 0;
+function check(name, got, expected) {
+    total++;
+    const ok = JSON.stringify(got) === JSON.stringify(expected);
+    console.log(
+        `  ${ok ? 'PASS' : 'FAIL'}  ${name}${ok ? '' : `: got ${JSON.stringify(got)}, expected ${JSON.stringify(expected)}`}`
+    );
+    if (!ok) failures++;
+}
+function checkBool(name, ok, info) {
+    total++;
+    console.log(`  ${ok ? 'PASS' : 'FAIL'}  ${name}${info ? ' — ' + info : ''}`);
+    if (!ok) failures++;
+}
+function errorOf(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return e.message;
+    }
+    return null;
+}
+const mean = (a) => a.reduce((s, v) => s + v, 0) / a.length;
+const flat = (n, g) => new Float64Array(n).fill(g);
+const isPermutation = (mask) => {
+    const ranks = Array.from(mask, (t) => Math.round(t * mask.length - 0.5)).sort((a, b) => a - b);
+    return ranks.every((r, i) => r === i);
+};
+
+console.log('\n=== threshold masks ===');
+{
+    const bayer = PatternQuantizer.bayerMatrix(4);
+    check(
+        'Bayer 4×4 ranks',
+        Array.from(bayer, (t) => t * 16 - 0.5),
+        [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5]
+    );
+    checkBool(
+        'Bayer 8×8 uses every threshold once',
+        isPermutation(PatternQuantizer.bayerMatrix(8))
+    );
+
+    const blue = PatternQuantizer.blueNoiseMask();
+    check('blue-noise mask is 64×64', blue.length, 64 * 64);
+    checkBool('blue-noise mask uses every threshold once', isPermutation(blue));
+
+    // Blue noise: any 50% threshold spreads the on pixels evenly, so every
+    // 8×8 block holds close to half of them
+    const blockCounts = [];
+    for (let by = 0; by < 64; by += 8) {
+        for (let bx = 0; bx < 64; bx += 8) {
+            let on = 0;
+            for (let y = by; y < by + 8; y++) {
+                for (let x = bx; x < bx + 8; x++) on += blue[y * 64 + x] < 0.5 ? 1 : 0;
+            }
+            blockCounts.push(on);
+        }
+    }
+    checkBool(
+        'blue-noise 50% threshold is even across 8×8 blocks',
+        Math.min(...blockCounts) >= 24 && Math.max(...blockCounts) <= 40,
+        `range ${Math.min(...blockCounts)}-${Math.max(...blockCounts)}`
+    );
+}
+
+console.log('\n=== dithering ===');
+{
+    const W = 64;
+    const H = 64;
+    // Gray 100 is level 5.88 in GS16, 0.39 in GS2
+    for (const dither of ['floyd-steinberg', 'bayer', 'blue-noise']) {
+        const gs16 = PatternQuantizer.quantize(flat(W * H, 100), W, H, { dither });
+        const gs2 = PatternQuantizer.quantize(flat(W * H, 100), W, H, { dither, gsMode: 2 });
+        checkBool(
+            `${dither} keeps the mean level of flat gray`,
+            Math.abs(mean(gs16) - (100 * 15) / 255) < 0.02 &&
+                Math.abs(mean(gs2) - 100 / 255) < 0.02 &&
+                new Set(gs16).size === 2,
+            `GS16 ${mean(gs16).toFixed(3)}, GS2 ${mean(gs2).toFixed(3)}`
+        );
+    }
+    check(
+        'no dither rounds flat gray to one level',
+        [...new Set(PatternQuantizer.quantize(flat(W * H, 100), W, H))],
+        [6]
+    );
+    const ordered = PatternQuantizer.quantize(flat(W * H, 100), W, H, { dither: 'bayer' });
+    const tiled = ordered.every((v, i) => v === ordered[(i % 8) + (Math.floor(i / W) % 8) * W]);
+    checkBool('Bayer output repeats every 8 pixels', tiled);
+    check(
+        'exact levels pass through any dither unchanged',
+        ['none', 'floyd-steinberg', 'bayer', 'blue-noise'].map((dither) => [
+            ...PatternQuantizer.quantize(PatternQuantizer.fromLevels([0, 3, 15, 8], 16), 2, 2, {
+                dither
+            })
+        ]),
+        [
+            [0, 3, 15, 8],
+            [0, 3, 15, 8],
+            [0, 3, 15, 8],
+            [0, 3, 15, 8]
+        ]
+    );
+}
+
+console.log('\n=== tone mapping ===');
+{
+    // Low-contrast ramp 100-131
+    const ramp = Float64Array.from({ length: 32 }, (_, i) => 100 + i);
+    const eq = PatternQuantizer.quantize(ramp, 32, 1, { equalize: true });
+    check('equalization stretches to the full range', [eq[0], eq[31]], [0, 15]);
+
+    check(
+        'gamma 2 darkens midtones, keeps the ends',
+        [...PatternQuantizer.quantize([0, 128, 255], 3, 1, { gamma: 2 })],
+        [0, 4, 15]
+    );
+
+    // Three two-level frames on exact GS16 levels: 2/4, 6/10 and 11/13
+    const twoLevel = (lo, hi) =>
+        Float64Array.from({ length: 100 }, (_, i) => (i % 2 ? hi : lo) * 17);
+    const frames = [twoLevel(2, 4), twoLevel(6, 10), twoLevel(11, 13)];
+    const stats = (opts) =>
+        PatternQuantizer.quantizeFrames(frames, 10, 10, opts).map((f) => {
+            const s = PatternQuantizer.frameStats(PatternQuantizer.fromLevels(f, 16));
+            return [s.mean * 15, s.rms * 15].map((v) => Math.round(v * 100) / 100);
+        });
+    check('frame mean / RMS in levels without normalization', stats({}), [
+        [3, 1],
+        [8, 2],
+        [12, 1]
+    ]);
+    check('mean matches mean luminance only', stats({ normalize: 'mean', targetMean: 0.6 }), [
+        [9, 1],
+        [9, 2],
+        [9, 1]
+    ]);
+    check(
+        'mean-rms matches mean and RMS contrast',
+        stats({ normalize: 'mean-rms', targetMean: 0.6, targetRms: 2 / 15 }),
+        [
+            [9, 2],
+            [9, 2],
+            [9, 2]
+        ]
+    );
+    const averaged = stats({ normalize: 'mean-rms' });
+    checkBool(
+        'targets default to the average over frames',
+        averaged.every(([m, r]) => Math.abs(m - 23 / 3) <= 0.5 && Math.abs(r - 4 / 3) <= 0.5),
+        JSON.stringify(averaged)
+    );
+}
+
+console.log('\n=== defaults and errors ===');
+{
+    let seed = 3;
+    const rand = () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x80000000;
+    const gray = Float64Array.from({ length: 400 }, () => rand() * 255);
+    checkBool(
+        'default options round gray × 15 / 255 (GS16) and threshold at 128 (GS2)',
+        PatternQuantizer.quantize(gray, 20, 20).every(
+            (v, i) => v === Math.round((gray[i] * 15) / 255)
+        ) &&
+            PatternQuantizer.quantize(gray, 20, 20, { gsMode: 2 }).every(
+                (v, i) => v === (gray[i] >= 127.5 ? 1 : 0)
+            )
+    );
+    check(
+        'image converter goes through the same pipeline',
+        [...quantizeGray([0, 100, 200, 255], 2, 2, { gsMode: 16, dither: 'bayer' })],
+        [...PatternQuantizer.quantize([0, 100, 200, 255], 2, 2, { dither: 'bayer' })]
+    );
+    check(
+        'bad options',
+        [
+            errorOf(() => PatternQuantizer.quantize([0], 1, 1, { dither: 'halftone' })),
+            errorOf(() => PatternQuantizer.quantize([0], 1, 1, { normalize: 'z-score' })),
+            errorOf(() => PatternQuantizer.quantize([0], 1, 1, { gamma: 0 })),
+            errorOf(() => PatternQuantizer.quantize([0], 1, 1, { targetMean: 2 })),
+            errorOf(() => PatternQuantizer.quantize([0], 1, 1, { gsMode: 4 })),
+            errorOf(() => PatternQuantizer.quantize([0, 0], 1, 1))
+        ],
+        [
+            'Unknown dither method: halftone',
+            'Unknown contrast normalization: z-score',
+            'Gamma must be > 0',
+            'targetMean must be between 0 and 1',
+            'gsMode must be 2 or 16, got 4',
+            'Frame has 2 values, expected 1'
+        ]
+    );
+}
+
+console.log('\n=== pattern sources ===');
+{
+    // Expression at a constant 0.4 of 0-15 = level 6
+    const plain = PatternGenerator.generateExpression(
+        { expression: '0.4', high: 15, low: 0 },
+        ARENA
+    );
+    const dithered = PatternGenerator.generateExpression(
+        { expression: '0.4', high: 1, low: 0, gsMode: 2, quantize: { dither: 'blue-noise' } },
+        ARENA
+    );
+    check('expression default rounds as before', [...new Set(plain.frames[0])], [6]);
+    checkBool(
+        'expression dither gives the fraction in GS2',
+        Math.abs(mean(dithered.frames[0]) - 0.4) < 0.02,
+        mean(dithered.frames[0]).toFixed(3)
+    );
+    const sidecar = JSON.parse(JSON.stringify(PatternGenerator.expressionSidecar(dithered)));
+    check(
+        'expression sidecar records the dither and regenerates the frames',
+        [
+            sidecar.params.quantize,
+            PatternGenerator.framesChecksum(
+                PatternGenerator.generateExpression(sidecar.params, sidecar.arena).frames
+            )
+        ],
+        [{ dither: 'blue-noise' }, sidecar.checksum]
+    );
+
+    const pano = PatternGenerator.generatePanorama(
+        {
+            image: { width: 8, height: 4, pixels: new Uint8Array(32).fill(100) },
+            gsMode: 2,
+            quantize: { dither: 'bayer' }
+        },
+        ARENA
+    );
+    checkBool(
+        'panorama dither',
+        Math.abs(mean(pano.frames[0]) - 100 / 255) < 0.02,
+        mean(pano.frames[0]).toFixed(3)
+    );
+
+    const pattern = (value) => ({
+        gsMode: 16,
+        numFrames: 1,
+        pixelRows: 16,
+        pixelCols: 16,
+        frames: [new Uint8Array(256).fill(value)]
+    });
+    check(
+        'blend rounds half levels up by default',
+        [...new Set(combinePatterns(pattern(8), pattern(9), 'blend').frames[0])],
+        [9]
+    );
+    const blended = combinePatterns(pattern(8), pattern(9), 'blend', {
+        quantize: { dither: 'bayer' }
+    }).frames[0];
+    check(
+        'blend dither keeps the 8.5 mean',
+        [mean(blended), [...new Set(blended)].sort()],
+        [8.5, [8, 9]]
+    );
+}
+
+console.log('\n=== Summary ===');
+console.log(`${total - failures} / ${total} checks passed`);
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+/**
+ * Keyframe timeline (js/pattern-editor/tools/timeline.js).
+ *
+ * Covers: easing curves, per-property interpolation with hold before the
+ * first and after the last keyframe, each layer type against a direct
+ * PatternGenerator call, contrast compositing, document validation, and the
+ * save/load round trip — the JSON description re-renders the same frames, and
+ * the rendered pattern survives pat-encoder → pat-parser.
+ *
+ * Run: node tests/test-pattern-timeline.js
+ */
+
+'use strict';
+
+const PatternTimeline = require('../js/pattern-editor/tools/timeline.js');
+const PatternGenerator = require('../js/pattern-editor/tools/generator.js');
+const PatEncoder = require('../js/pat-encoder.js');
+const _pp = require('../js/pat-parser.js');
+const PatParser = _pp.default || _pp;
+
+const ARENA = { generation: 'G6', rows: 2, cols: 10 };
+const DEG = Math.PI / 180;
+
+let total = 0;
+let failures = 0;
+function check(name, got, expected) {
+    total++;
+    const ok = JSON.stringify(got) === JSON.stringify(expected);
+    console.log(
+        `  ${ok ? 'PASS' : 'FAIL'}  ${name}${ok ? '' : `: got ${JSON.stringify(got)}, expected ${JSON.stringify(expected)}`}`
+    );
+    if (!ok) failures++;
+}
+function checkBool(name, ok, info) {
+    total++;
+    console.log(`  ${ok ? 'PASS' : 'FAIL'}  ${name}${info ? ' — ' + info : ''}`);
+    if (!ok) failures++;
+}
+const same = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+const round3 = (v) => Math.round(v * 1000) / 1000;
+
+console.log('\n=== easing ===');
+{
+    const T = PatternTimeline;
+    check(
+        'every curve runs 0 → 1',
+        T.EASINGS.filter((e) => e !== 'step').map((e) => [T.ease(e, 0), T.ease(e, 1)]),
+        T.EASINGS.filter((e) => e !== 'step').map(() => [0, 1])
+    );
+    check(
+        'midpoints',
+        ['linear', 'ease-in', 'ease-out', 'ease-in-out', 'step'].map((e) => T.ease(e, 0.5)),
+        [0.5, 0.125, 0.875, 0.5, 0]
+    );
+    let msg = '';
+    try {
+        T.ease('bounce', 0.5);
+    } catch (e) {
+        msg = e.message;
+    }
+    check('unknown easing refused', msg, 'Unknown easing: bounce');
+}
+
+console.log('\n=== interpolation ===');
+{
+    const layer = PatternTimeline.createLayer('bar', {
+        keyframes: [
+            { frame: 10, easing: 'linear', azimuth: -40, contrast: 0.5 },
+            { frame: 20, easing: 'ease-in', azimuth: 40 },
+            { frame: 30, azimuth: 0, width: 10 },
+            { frame: 40, contrast: 1 }
+        ]
+    });
+    const az = (f) => round3(PatternTimeline.valueAt(layer, 'azimuth', f));
+    check('holds before the first keyframe', az(0), -40);
+    check('linear segment', az(15), 0);
+    check('eased segment uses the earlier keyframe', az(25), 35);
+    check('holds after the last keyframe', az(50), 0);
+    check(
+        'properties interpolate between their own keyframes',
+        [10, 25, 40].map((f) => round3(PatternTimeline.valueAt(layer, 'contrast', f))),
+        [0.5, 0.75, 1]
+    );
+    check('unset properties take their defaults', PatternTimeline.propertiesAt(layer, 0), {
+        azimuth: -40,
+        elevation: 0,
+        width: 10,
+        height: 20,
+        contrast: 0.5,
+        phase: 0
+    });
+    const stepped = PatternTimeline.createLayer('disc', {
+        keyframes: [
+            { frame: 0, easing: 'step', width: 10 },
+            { frame: 4, width: 50 }
+        ]
+    });
+    check(
+        'step easing jumps at the next keyframe',
+        [0, 3, 4].map((f) => PatternTimeline.valueAt(stepped, 'width', f)),
+        [10, 10, 50]
+    );
+}
+
+console.log('\n=== layers render through the generator ===');
+{
+    const bar = PatternTimeline.createLayer('bar', {
+        id: 'bar',
+        level: 0,
+        keyframes: [
+            { frame: 0, azimuth: -30, width: 12 },
+            { frame: 6, azimuth: 30 }
+        ]
+    });
+    const doc = PatternTimeline.createDocument({ numFrames: 7, background: 15, layers: [bar] });
+    const pattern = PatternTimeline.render(doc, ARENA);
+    const direct = PatternGenerator.generateBar(
+        {
+            width: 12 * DEG,
+            motion: 'trajectory',
+            trajectory: [-30, -20, -10, 0, 10, 20, 30].map((a) => a * DEG),
+            high: 15,
+            low: 0
+        },
+        ARENA
+    );
+    check(
+        'pattern shape',
+        [pattern.numFrames, pattern.pixelRows, pattern.pixelCols, pattern.gs_val],
+        [7, 40, 200, 16]
+    );
+    checkBool(
+        'moving bar = generateBar on the same trajectory',
+        pattern.frames.every((f, i) => same(f, direct.frames[i]))
+    );
+
+    const disc = PatternTimeline.createLayer('disc', {
+        id: 'disc',
+        level: 15,
+        keyframes: [{ frame: 0, azimuth: 20, elevation: 10, width: 40 }]
+    });
+    const discPattern = PatternTimeline.render(
+        PatternTimeline.createDocument({ numFrames: 1, background: 3, layers: [disc] }),
+        ARENA
+    );
+    const discDirect = PatternGenerator.generateDisc(
+        { center: [20 * DEG, 10 * DEG], size: 40 * DEG, polarity: 'bright', high: 15, low: 3 },
+        ARENA
+    );
+    checkBool('disc = generateDisc', same(discPattern.frames[0], discDirect.frames[0]));
+
+    const patch = PatternTimeline.createLayer('grating', {
+        id: 'patch',
+        wavelength: 36,
+        keyframes: [{ frame: 0, width: 90, height: 30, phase: 9 }]
+    });
+    const patchPattern = PatternTimeline.render(
+        PatternTimeline.createDocument({ numFrames: 1, background: 7, layers: [patch] }),
+        ARENA
+    );
+    const grating = PatternGenerator.generateSphericalGrating(
+        {
+            spatFreq: 36 * DEG,
+            high: 15,
+            low: 0,
+            poleCoord: [0, -Math.PI / 2],
+            numFrames: 1,
+            phaseShift: 25
+        },
+        ARENA
+    ).frames[0];
+    const mask = PatternGenerator.generateObject(
+        {
+            width: 90 * DEG,
+            height: 30 * DEG,
+            motion: 'trajectory',
+            trajectory: [0],
+            polarity: 'bright',
+            high: 1,
+            low: 0
+        },
+        ARENA
+    ).frames[0];
+    checkBool(
+        'grating patch = spherical grating inside the rectangle, background outside',
+        patchPattern.frames[0].every((v, i) => v === (mask[i] ? grating[i] : 7))
+    );
+    checkBool(
+        'patch holds both grating levels',
+        patchPattern.frames[0].includes(0) && patchPattern.frames[0].includes(15)
+    );
+
+    const image = PatternTimeline.createLayer('image', {
+        id: 'img',
+        image: { width: 2, height: 1, pixels: [4, 12] },
+        keyframes: [{ frame: 0, width: 40, height: 20 }]
+    });
+    const img = PatternTimeline.render(
+        PatternTimeline.createDocument({ numFrames: 1, background: 0, layers: [image] }),
+        ARENA
+    ).frames[0];
+    // Row 20 is just above the equator; columns 99/100 straddle azimuth 0
+    const row = 20 * 200;
+    check(
+        'image: left half, right half, outside',
+        [img[row + 95], img[row + 104], img[row + 150], img[row + 99], img[row + 100]],
+        [4, 12, 0, 4, 12]
+    );
+}
+
+console.log('\n=== compositing ===');
+{
+    const layers = [
+        PatternTimeline.createLayer('bar', {
+            id: 'a',
+            level: 15,
+            keyframes: [{ frame: 0, width: 36, contrast: 0.5 }]
+        }),
+        PatternTimeline.createLayer('bar', {
+            id: 'b',
+            level: 0,
+            keyframes: [{ frame: 0, azimuth: 9, width: 18 }]
+        })
+    ];
+    const doc = PatternTimeline.createDocument({ numFrames: 1, background: 3, layers });
+    const f = PatternTimeline.render(doc, ARENA).frames[0];
+    const row = 10 * 200;
+    check('half-contrast bar over background', f[row + 92], 9);
+    check('upper layer covers the lower one', f[row + 104], 0);
+    check('background', f[row + 20], 3);
+    layers[1].visible = false;
+    check('hidden layer skipped', PatternTimeline.render(doc, ARENA).frames[0][row + 104], 9);
+}
+
+console.log('\n=== validation ===');
+{
+    const doc = PatternTimeline.createDocument({
+        numFrames: 0,
+        layers: [
+            PatternTimeline.createLayer('grating', {
+                id: 'x',
+                wavelength: 0,
+                keyframes: [
+                    { frame: 2, easing: 'wobble' },
+                    { frame: 2, azimuth: 'left' }
+                ]
+            }),
+            PatternTimeline.createLayer('image', {
+                id: 'x',
+                image: { width: 2, height: 2, pixels: [1] }
+            })
+        ]
+    });
+    const r = PatternTimeline.validate(doc);
+    check('invalid', r.valid, false);
+    check('every problem listed', r.errors, [
+        'numFrames must be an integer ≥ 1',
+        'layers[0]: wavelength must be > 0',
+        'layers[0].keyframes[0]: unknown easing "wobble"',
+        'layers[0].keyframes[1]: second keyframe at frame 2',
+        'layers[0].keyframes[1]: azimuth must be a number',
+        'layers[1]: duplicate id x',
+        'layers[1]: image needs width, height and width×height pixels'
+    ]);
+    let msg = '';
+    try {
+        PatternTimeline.parse('{"format":"something-else","version":1}');
+    } catch (e) {
+        msg = e.message;
+    }
+    checkBool(
+        'parse throws on a foreign file',
+        /^Invalid timeline:\nformat must be/.test(msg),
+        msg
+    );
+}
+
+console.log('\n=== save / load round trip ===');
+{
+    const doc = PatternTimeline.createDocument({
+        numFrames: 24,
+        background: 2,
+        layers: [
+            PatternTimeline.createLayer('grating', {
+                id: 'g',
+                wavelength: 30,
+                waveform: 'sine',
+                keyframes: [
+                    { frame: 0, easing: 'ease-in-out', width: 120, height: 40, phase: 0 },
+                    { frame: 23, phase: 60 }
+                ]
+            }),
+            PatternTimeline.createLayer('disc', {
+                id: 'd',
+                level: 15,
+                keyframes: [
+                    { frame: 0, easing: 'ease-out', azimuth: -60, width: 5, contrast: 0.2 },
+                    { frame: 18, azimuth: 60, width: 50, contrast: 1 }
+                ]
+            })
+        ]
+    });
+    const pattern = PatternTimeline.render(doc, ARENA, { stretch: 100 });
+    const json = PatternTimeline.stringify(pattern.timeline, {
+        patternFile: 'g6_2x10_timeline.pat',
+        checksum: PatternGenerator.framesChecksum(pattern.frames)
+    });
+    const loaded = PatternTimeline.parse(json);
+    check('layer description survives JSON', loaded.layers, doc.layers);
+    const again = PatternTimeline.render(loaded, ARENA, { stretch: 100 });
+    check(
+        'reloaded description re-renders the same frames',
+        PatternGenerator.framesChecksum(again.frames),
+        loaded.checksum
+    );
+
+    const bytes = PatEncoder.encode({ ...pattern, arena_id: 0, observer_id: 0 });
+    const parsed = PatParser.parsePatFile(bytes, { strict: true, quiet: true });
+    check(
+        'pat round trip: header',
+        [parsed.generation, parsed.numFrames, parsed.rowCount, parsed.colCount, parsed.gs_val],
+        ['G6', 24, 2, 10, 16]
+    );
+    checkBool(
+        'pat round trip: every frame',
+        parsed.frames.every((f, i) => same(Array.from(f), Array.from(pattern.frames[i])))
+    );
+}
+
+console.log('\n=== Summary ===');
+console.log(`${total - failures} / ${total} checks passed`);
+process.exit(failures ? 1 : 0);
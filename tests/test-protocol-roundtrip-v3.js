@@ -27,6 +27,8 @@ const {
     validateReferences,
     collectBlockingErrors,
     collectExportWarnings,
+    validateFlowControl,
+    usesFlowControl,
     V3ParseError,
     docSet,
     docDelete,
@@ -64,6 +66,11 @@ const {
     docInsertVariableNode,
     docInsertPluginNode,
     docRemovePlugin,
+    // Flow control
+    docSetTrialCheck,
+    docClearTrialCheck,
+    docSetRepeatUntil,
+    docClearRepeatUntil,
     parseRigYAMLText
 } = require('../js/protocol-yaml-v3.js');
 
@@ -4397,6 +4404,556 @@ console.log('\n--- Suite 36: trialParams led_activation (conditional LED) ---');
     );
 }
 
+// ─── Suite 37: flow-control trial_check (entry- and block-level) ────────────
+// docs/development/v3-flow-control-design.md §3. A `condition:` mapping with
+// `flow_control: trial_check` is a ref carrying the check; a block-level
+// `trial_check:` map governs every trial of the block. Both survive the
+// `_doc` round-trip untouched, and neither leaks into `_unknownKeys`.
+console.log('\n--- Suite 37: flow-control trial_check ---');
+{
+    const text = [
+        'version: 3',
+        'requires: [flow_control]',
+        '',
+        'experiment_info:',
+        '  name: "trial check"',
+        '',
+        'rig: "./configs/rigs/cshl_g6_2x10.yaml"',
+        '',
+        'experiment:',
+        '  - condition: "grating"',
+        '    flow_control: trial_check',
+        '    criterion:',
+        '      metric: forward_speed',
+        '      statistic: mean',
+        '      stop_when: below',
+        '      threshold: 2.0',
+        '    on_fail:',
+        '      run: "recover"',
+        '    max_attempts: 3',
+        '    on_exhausted: advance',
+        '  - name: "main"',
+        '    trials: ["grating"]',
+        '    repetitions: 2',
+        '    trial_check:',
+        '      criterion:',
+        '        metric: tracking_dropouts',
+        '        statistic: mean',
+        '        stop_when: above',
+        '        threshold: 0.2',
+        '      max_attempts: 2',
+        '      on_exhausted: abort',
+        '',
+        'conditions:',
+        '  - name: "grating"',
+        '    commands:',
+        '      - type: "wait"',
+        '        duration: 2',
+        '  - name: "recover"',
+        '    commands:',
+        '      - type: "wait"',
+        '        duration: 1',
+        ''
+    ].join('\n');
+    const exp = parseV3Protocol(text);
+    const ref = exp.sequence[0];
+    const block = exp.sequence[1];
+
+    check('37.1: condition: mapping parses as a ref', ref.kind, 'ref');
+    check('37.2: ref condition_name', ref.condition_name, 'grating');
+    check('37.3: flow_control kept', ref.flow_control, 'trial_check');
+    check('37.4: entry criterion metric', ref.trial_check.criterion.metric, 'forward_speed');
+    check('37.5: entry on_fail.run', ref.trial_check.on_fail.run, 'recover');
+    check('37.6: entry max_attempts', ref.trial_check.max_attempts, 3);
+    check('37.7: entry on_exhausted', ref.trial_check.on_exhausted, 'advance');
+    checkTrue(
+        '37.8: check keys not in ref _unknownKeys',
+        !ref._unknownKeys || !('criterion' in ref._unknownKeys)
+    );
+    check(
+        '37.9: block trial_check metric',
+        block.trial_check.criterion.metric,
+        'tracking_dropouts'
+    );
+    check('37.10: block on_exhausted', block.trial_check.on_exhausted, 'abort');
+    checkTrue(
+        '37.11: trial_check not in block _unknownKeys',
+        !block._unknownKeys || !('trial_check' in block._unknownKeys)
+    );
+    checkTrue(
+        '37.12: plain string refs carry no check',
+        parseV3Protocol(
+            text.replace(/ {2}- condition: "grating"[\s\S]*?advance\n/, '  - "grating"\n')
+        ).sequence[0].trial_check === undefined
+    );
+
+    const regen = generateV3Protocol(exp);
+    const exp2 = parseV3Protocol(regen);
+    check('37.13: re-parse keeps entry check', exp2.sequence[0].trial_check.max_attempts, 3);
+    check(
+        '37.14: re-parse keeps block check',
+        exp2.sequence[1].trial_check.criterion.threshold,
+        0.2
+    );
+
+    let threw = null;
+    try {
+        parseV3Protocol(
+            text.replace(
+                '    trial_check:\n      criterion:',
+                '    trial_check: 5\n    notes:\n      criterion:'
+            )
+        );
+    } catch (e) {
+        threw = e;
+    }
+    checkTrue('37.15: non-mapping block trial_check rejected', !!threw);
+}
+
+// ─── Suite 38: flow-control repeat_until (flat block keys) ──────────────────
+// Design doc §4: `flow_control: repeat_until` sits on the block beside
+// `trials:`, with min/max_repeats and the criterion flat alongside. The parser
+// gathers them into `block.repeat_until` (shape only — the runner validates).
+console.log('\n--- Suite 38: flow-control repeat_until ---');
+{
+    const text = [
+        'version: 3',
+        'requires: [flow_control]',
+        '',
+        'experiment_info:',
+        '  name: "vigor sized"',
+        '',
+        'rig: "./configs/rigs/cshl_g6_2x10.yaml"',
+        '',
+        'experiment:',
+        '  - name: "training blocks"',
+        '    trials: ["a", "b"]',
+        '    flow_control: repeat_until',
+        '    min_repeats: 2',
+        '    max_repeats: 5',
+        '    criterion:',
+        '      metric: walking_speed',
+        '      statistic: mean',
+        '      stop_when: below',
+        '      baseline: {window: [2, 6], units: minutes}',
+        '      fraction: 0.7',
+        '',
+        'conditions:',
+        '  - name: "a"',
+        '    commands:',
+        '      - type: "wait"',
+        '        duration: 2',
+        '  - name: "b"',
+        '    commands:',
+        '      - type: "wait"',
+        '        duration: 2',
+        ''
+    ].join('\n');
+    const exp = parseV3Protocol(text);
+    const block = exp.sequence[0];
+    check('38.1: flow_control kept', block.flow_control, 'repeat_until');
+    check('38.2: min_repeats', block.repeat_until.min_repeats, 2);
+    check('38.3: max_repeats', block.repeat_until.max_repeats, 5);
+    check('38.4: criterion metric', block.repeat_until.criterion.metric, 'walking_speed');
+    check(
+        '38.5: baseline window preserved',
+        JSON.stringify(block.repeat_until.criterion.baseline.window),
+        '[2,6]'
+    );
+    checkTrue(
+        '38.6: repeat_until keys not in _unknownKeys',
+        !block._unknownKeys ||
+            !['flow_control', 'min_repeats', 'max_repeats', 'criterion'].some(
+                (k) => k in block._unknownKeys
+            )
+    );
+    const exp2 = parseV3Protocol(generateV3Protocol(exp));
+    check('38.7: re-parse keeps the cap', exp2.sequence[0].repeat_until.max_repeats, 5);
+    let stray = null;
+    try {
+        parseV3Protocol(text.replace('    flow_control: repeat_until\n', ''));
+    } catch (e) {
+        stray = e;
+    }
+    checkTrue(
+        '38.8: repeat_until keys without flow_control are rejected, not ignored',
+        stray instanceof V3ParseError && /need `flow_control: repeat_until`/.test(stray.message)
+    );
+}
+
+// ─── Suite 39: flow-control schema validation ───────────────────────────────
+// Design doc §9 field requirements, surfaced by validateFlowControl and folded
+// into collectBlockingErrors. Shape ambiguities (which construct is this?)
+// throw at parse; field values are blocking errors so the file still opens.
+console.log('\n--- Suite 39: flow-control validation ---');
+const FC_BASE = [
+    'version: 3',
+    'requires: [flow_control]',
+    '',
+    'experiment_info:',
+    '  name: "fc"',
+    '',
+    'rig: "./configs/rigs/cshl_g6_2x10.yaml"',
+    '',
+    'variables:',
+    '  - &slow {metric: walking_speed, statistic: mean, stop_when: below, threshold: 1.5}',
+    '',
+    'experiment:',
+    '  # entry-level check',
+    '  - condition: "grating"',
+    '    flow_control: trial_check',
+    '    criterion: *slow',
+    '    on_fail: {run: "recover"}',
+    '    max_attempts: 3',
+    '    on_exhausted: advance',
+    '  - name: "train"',
+    '    trials: ["grating"]',
+    '    flow_control: repeat_until',
+    '    min_repeats: 2',
+    '    max_repeats: 4',
+    '    criterion:',
+    '      metric: walking_speed',
+    '      statistic: mean',
+    '      stop_when: below',
+    '      baseline: {window: [2, 6], units: minutes}',
+    '      fraction: 0.7',
+    '  - "grating" # plain ref',
+    '',
+    'conditions:',
+    '  - name: "grating"',
+    '    commands:',
+    '      - type: "wait"',
+    '        duration: 2',
+    '  - name: "recover"',
+    '    commands:',
+    '      - type: "wait"',
+    '        duration: 1',
+    ''
+].join('\n');
+function fcErrors(text) {
+    return collectBlockingErrors(parseV3Protocol(text)).errors;
+}
+function fcHas(label, text, re) {
+    const errs = fcErrors(text);
+    const ok = errs.some((e) => re.test(e));
+    checkTrue(label, ok, ok ? '' : JSON.stringify(errs));
+}
+function fcThrows(label, text, re) {
+    let err = null;
+    try {
+        parseV3Protocol(text);
+    } catch (e) {
+        err = e;
+    }
+    checkTrue(
+        label,
+        err instanceof V3ParseError && err.code === 'INVALID_SCHEMA' && re.test(err.message),
+        err ? err.message : 'did not throw'
+    );
+}
+{
+    const exp = parseV3Protocol(FC_BASE);
+    check('39.1: requires parsed', JSON.stringify(exp.requires), '["flow_control"]');
+    checkTrue(
+        '39.2: requires is not an unknown top-level key',
+        !('requires' in exp._unknownTopLevel)
+    );
+    checkTrue('39.3: usesFlowControl', usesFlowControl(exp));
+    const v = validateFlowControl(exp);
+    checkTrue('39.4: valid protocol passes', v.ok, JSON.stringify(v.errors));
+    checkTrue('39.5: collectBlockingErrors clean', collectBlockingErrors(exp).ok);
+    check(
+        '39.6: aliased criterion resolved in the mirror',
+        exp.sequence[0].trial_check.criterion.threshold,
+        1.5
+    );
+    check(
+        '39.7: no requires ⇒ []',
+        JSON.stringify(parseV3Protocol(FC_BASE.replace('requires: [flow_control]\n', '')).requires),
+        '[]'
+    );
+
+    fcHas(
+        '39.8: missing requires is blocking',
+        FC_BASE.replace('requires: [flow_control]\n', ''),
+        /requires: \[flow_control\] must be declared/
+    );
+    fcHas(
+        '39.9: unsupported capability refused',
+        FC_BASE.replace('[flow_control]', '[flow_control, branching]'),
+        /unsupported capability "branching"/
+    );
+    fcHas(
+        '39.10: unknown metric',
+        FC_BASE.replace('metric: walking_speed, statistic', 'metric: vigor, statistic'),
+        /sequence\[0\]\.criterion\.metric: unknown metric "vigor"/
+    );
+    fcHas(
+        '39.11: fraction statistic needs level',
+        FC_BASE.replace(
+            'statistic: mean, stop_when: below, threshold: 1.5',
+            'statistic: fraction_below, stop_when: above, threshold: 0.3'
+        ),
+        /level: required/
+    );
+    fcHas(
+        '39.12: fraction threshold outside 0..1',
+        FC_BASE.replace(
+            'statistic: mean, stop_when: below, threshold: 1.5',
+            'statistic: fraction_below, level: 1, stop_when: above, threshold: 30'
+        ),
+        /compares against 0\.\.1/
+    );
+    fcHas(
+        '39.13: threshold and baseline are mutually exclusive',
+        FC_BASE.replace('      fraction: 0.7', '      fraction: 0.7\n      threshold: 2'),
+        /mutually exclusive/
+    );
+    fcHas(
+        '39.14: baseline window bounds',
+        FC_BASE.replace('window: [2, 6]', 'window: [6, 2]'),
+        /baseline\.window: must be \[start, end\] with 0 <= start < end/
+    );
+    fcHas(
+        '39.15: baseline units',
+        FC_BASE.replace('units: minutes', 'units: hours'),
+        /units: must be minutes \| seconds/
+    );
+    fcHas(
+        '39.16: relative comparison is mean-only',
+        FC_BASE.replace(
+            '      statistic: mean\n      stop_when: below\n      baseline',
+            '      statistic: fraction_below\n      level: 1\n      stop_when: below\n      baseline'
+        ),
+        /defined for mean only/
+    );
+    fcHas(
+        '39.17: max_attempts must be a positive integer',
+        FC_BASE.replace('max_attempts: 3', 'max_attempts: 0'),
+        /max_attempts: required, an integer >= 1/
+    );
+    fcHas(
+        '39.18: on_exhausted has no default',
+        FC_BASE.replace('    on_exhausted: advance\n', ''),
+        /on_exhausted: required/
+    );
+    fcHas(
+        '39.19: on_fail.run must exist',
+        FC_BASE.replace('run: "recover"', 'run: "puff"'),
+        /on_fail\.run: "puff" not in conditions library/
+    );
+    fcHas(
+        '39.20: retry timing is immediate only',
+        FC_BASE.replace(
+            '    on_exhausted: advance\n',
+            '    on_exhausted: advance\n    retry: requeue\n'
+        ),
+        /\.retry: not supported/
+    );
+    fcHas(
+        '39.21: min_repeats above the cap',
+        FC_BASE.replace('min_repeats: 2', 'min_repeats: 5'),
+        /min_repeats: must be an integer in \[1, max_repeats\]/
+    );
+    fcHas(
+        '39.22: max_repeats required',
+        FC_BASE.replace('    max_repeats: 4\n', ''),
+        /sequence\[1\]\.max_repeats: required/
+    );
+    fcHas(
+        '39.23: the window is implied, not a field',
+        FC_BASE.replace('      fraction: 0.7', '      fraction: 0.7\n      window: last_2s'),
+        /window is implied by the construct/
+    );
+
+    fcThrows(
+        '39.24: repetitions + repeat_until rejected',
+        FC_BASE.replace('    min_repeats: 2', '    repetitions: 3\n    min_repeats: 2'),
+        /both `repetitions` and `repeat_until`/
+    );
+    fcThrows(
+        '39.25: check fields without flow_control rejected',
+        FC_BASE.replace('    flow_control: trial_check\n', ''),
+        /need `flow_control: trial_check`/
+    );
+    fcThrows(
+        '39.26: unknown flow_control value rejected',
+        FC_BASE.replace('flow_control: repeat_until', 'flow_control: branch'),
+        /unsupported `flow_control: "branch"`/
+    );
+    fcThrows(
+        '39.27: requires must be a list',
+        FC_BASE.replace('requires: [flow_control]', 'requires: flow_control'),
+        /`requires` must be a list/
+    );
+
+    const w = collectExportWarnings(
+        parseV3Protocol(
+            FC_BASE.replace(
+                'metric: walking_speed, statistic',
+                'metric: wingbeat_frequency, statistic'
+            )
+        )
+    ).warnings;
+    checkTrue(
+        '39.28: MATLAB-only metric is a soft warning',
+        w.some((x) => x.kind === 'web-unsupported-metric' && x.name === 'wingbeat_frequency')
+    );
+    checkTrue(
+        '39.29: on_fail.run counts as a use',
+        !collectExportWarnings(exp).warnings.some(
+            (x) => x.kind === 'unused-condition' && x.name === 'recover'
+        )
+    );
+    const heading = FC_BASE.replace(
+        'metric: walking_speed, statistic: mean, stop_when: below, threshold: 1.5',
+        'metric: heading, statistic: mean, stop_when: above, threshold: 170'
+    );
+    check(
+        '39.30: heading mean against a threshold is valid',
+        JSON.stringify(fcErrors(heading)),
+        '[]'
+    );
+    fcHas(
+        '39.31: heading has no fraction statistic',
+        heading.replace(
+            'statistic: mean, stop_when: above',
+            'statistic: fraction_below, level: 90, stop_when: above'
+        ),
+        /heading is an angle; only mean applies/
+    );
+    fcHas(
+        '39.32: heading has no relative form',
+        FC_BASE.replace('      metric: walking_speed', '      metric: heading'),
+        /heading needs an absolute threshold/
+    );
+}
+
+// ─── Suite 40: flow-control doc* editing helpers ────────────────────────────
+// Edits land in place in `_doc`: unchanged values keep their nodes (aliases,
+// anchors, comments), the mirror is re-derived by the parser's extractor, and
+// `requires: [flow_control]` tracks whether any construct remains.
+console.log('\n--- Suite 40: flow-control doc* helpers ---');
+{
+    const check2 = {
+        criterion: {
+            metric: 'walking_speed',
+            statistic: 'mean',
+            stop_when: 'below',
+            threshold: 1.5
+        },
+        on_fail: { run: 'recover' },
+        max_attempts: 4,
+        on_exhausted: 'advance'
+    };
+
+    // Update the aliased entry-level check: only max_attempts changes.
+    const exp = parseV3Protocol(FC_BASE);
+    docSetTrialCheck(exp, 0, check2);
+    const out = generateV3Protocol(exp);
+    checkTrue('40.1: unchanged aliased criterion keeps *slow', /criterion: \*slow/.test(out));
+    checkTrue('40.2: comment before the entry survives', out.includes('# entry-level check'));
+    check('40.3: mirror updated', exp.sequence[0].trial_check.max_attempts, 4);
+    check('40.4: re-parse agrees', parseV3Protocol(out).sequence[0].trial_check.max_attempts, 4);
+
+    // Changing the aliased criterion replaces the alias; the anchor is untouched.
+    docSetTrialCheck(
+        exp,
+        0,
+        Object.assign({}, check2, {
+            criterion: Object.assign({}, check2.criterion, { threshold: 2 })
+        })
+    );
+    const out2 = generateV3Protocol(exp);
+    checkTrue('40.5: edited criterion no longer aliases', !/criterion: \*slow/.test(out2));
+    checkTrue('40.6: anchor value unchanged', /&slow \{[^}]*threshold: 1\.5/.test(out2));
+
+    // A bare ref becomes a condition: map, keeping its trailing comment.
+    docSetTrialCheck(exp, 2, check2);
+    const out3 = generateV3Protocol(exp);
+    const re3 = parseV3Protocol(out3);
+    check('40.7: bare ref gains the check', re3.sequence[2].trial_check.on_exhausted, 'advance');
+    checkTrue('40.8: plain-ref comment survives', out3.includes('# plain ref'));
+    checkTrue('40.9: still valid', collectBlockingErrors(re3).ok);
+
+    // Clearing collapses it back to the bare scalar.
+    docClearTrialCheck(exp, 2);
+    const re4 = parseV3Protocol(generateV3Protocol(exp));
+    check('40.10: cleared ref is bare again', exp.sequence[2].trial_check, undefined);
+    check('40.11: re-parsed as bare ref', re4.sequence[2].condition_name, 'grating');
+
+    // Block-level check + repeat_until on a fresh protocol (no requires yet).
+    const plain = parseV3Protocol(
+        FC_BASE.replace('requires: [flow_control]\n', '')
+            .replace(/ {2}- condition: "grating"[\s\S]*?advance\n/, '')
+            .replace(
+                / {2}- name: "train"[\s\S]*?fraction: 0\.7\n/,
+                '  - name: "train"\n    trials: ["grating"]\n    repetitions: 3\n'
+            )
+    );
+    checkTrue('40.12: fixture starts without flow control', !usesFlowControl(plain));
+    docSetTrialCheck(plain, 0, check2);
+    check('40.13: requires added', JSON.stringify(plain.requires), '["flow_control"]');
+    docSetRepeatUntil(plain, 0, {
+        criterion: { metric: 'walking_speed', statistic: 'mean', stop_when: 'below', threshold: 1 },
+        max_repeats: 6
+    });
+    const out5 = generateV3Protocol(plain);
+    const re5 = parseV3Protocol(out5);
+    checkTrue('40.14: requires declared in the YAML', /^requires: \[ flow_control \]$/m.test(out5));
+    checkTrue(
+        '40.15: requires placed after version',
+        out5.indexOf('requires:') < out5.indexOf('experiment_info:')
+    );
+    check('40.16: repetitions removed', /repetitions:/.test(out5), false);
+    check('40.17: repeat_until cap', re5.sequence[0].repeat_until.max_repeats, 6);
+    check('40.18: block check kept', re5.sequence[0].trial_check.max_attempts, 4);
+    checkTrue(
+        '40.19: valid after edits',
+        collectBlockingErrors(re5).ok,
+        JSON.stringify(collectBlockingErrors(re5).errors)
+    );
+
+    docClearRepeatUntil(plain, 0, 2);
+    docClearTrialCheck(plain, 0);
+    const out6 = generateV3Protocol(plain);
+    check('40.20: repetitions restored', parseV3Protocol(out6).sequence[0].repetitions, 2);
+    check('40.21: requires dropped with the last construct', /requires:/.test(out6), false);
+    check('40.22: mirror requires cleared', JSON.stringify(plain.requires), '[]');
+
+    let threw = null;
+    try {
+        docSetRepeatUntil(plain, 1, { max_repeats: 2 });
+    } catch (e) {
+        threw = e;
+    }
+    checkTrue('40.23: repeat_until on a ref throws', threw instanceof V3ParseError);
+
+    // docReplaceSequenceEntry (ref↔block convert) carries the check across.
+    const conv = parseV3Protocol(FC_BASE);
+    docReplaceSequenceEntry(conv, 0, {
+        kind: 'block',
+        name: 'grating',
+        trials: ['grating'],
+        repetitions: 1,
+        trial_check: conv.sequence[0].trial_check
+    });
+    const re7 = parseV3Protocol(generateV3Protocol(conv));
+    check(
+        '40.24: converted block keeps the check',
+        re7.sequence[0].trial_check.on_fail.run,
+        'recover'
+    );
+    docReplaceSequenceEntry(conv, 0, {
+        kind: 'ref',
+        condition_name: 'grating',
+        trial_check: conv.sequence[0].trial_check
+    });
+    const re8 = parseV3Protocol(generateV3Protocol(conv));
+    check('40.25: converted ref keeps the check', re8.sequence[0].flow_control, 'trial_check');
+    check('40.26: …and its cap', re8.sequence[0].trial_check.max_attempts, 3);
+}
+
 // ─── Results ────────────────────────────────────────────────────────────────
 console.log('\n=== Results: ' + passedTests + '/' + totalTests + ' passed ===');
 if (failedTests.length > 0) {
@@ -58,6 +58,11 @@ check('baseName strips .yaml', RunLog.baseName('looming_v3.yaml'), 'looming_v3')
 check('baseName strips .yml', RunLog.baseName('x.yml'), 'x');
 check('deriveOutcome aborted', RunLog.deriveOutcome({ aborted: true }), 'ABORTED_BY_USER');
 check('deriveOutcome errors', RunLog.deriveOutcome({ errors: 2 }), 'ERRORED');
+check(
+    'deriveOutcome flow-control abort',
+    RunLog.deriveOutcome({ aborted: true, errors: 1, abortReason: 'trial_check exhausted' }),
+    'ABORTED_BY_FLOW_CONTROL'
+);
 check('deriveOutcome completed', RunLog.deriveOutcome({ completed: true }), 'COMPLETED');
 check(
     'deriveOutcome override',
@@ -154,6 +159,99 @@ console.log('=== toText ===');
     checkBool('flags host-side timing caveat', /host-side estimates/.test(txt));
 }
 
+// ── trial_check trace ────────────────────────────────────────────────────────
+console.log('=== trial_check ===');
+{
+    const log = RunLog.createRunLog({ meta: META, now: fixedClock() });
+    log.event('step-start', {
+        index: 0,
+        total: 1,
+        step: { conditionName: 'grating', kind: 'ref', attempt: 2, maxAttempts: 3 }
+    });
+    log.event('trial-check', {
+        index: 0,
+        total: 1,
+        trialCheck: {
+            attempt: 2,
+            max_attempts: 3,
+            valid: false,
+            invalid_reason: 'biological',
+            metric: 'forward_speed',
+            statistic: 'mean',
+            value: 0.4,
+            valid_samples: 118,
+            exit: 'exhausted-abort'
+        }
+    });
+    log.finish({
+        aborted: true,
+        steps: 1,
+        errors: 1,
+        skipped: 0,
+        invalidAttempts: 2,
+        abortReason: 'trial_check exhausted on "grating"'
+    });
+    const txt = log.toText();
+    checkBool('step line shows attempt n/m', /attempt 2\/3/.test(txt));
+    checkBool(
+        'trial-check line: validity + reason + attempt',
+        /trial_check INVALID \(biological\) — attempt 2 of 3/.test(txt)
+    );
+    checkBool('trial-check line: sample count', /118 samples/.test(txt));
+    checkBool('summary counts invalid attempts', /2 invalid attempts/.test(txt));
+    checkBool('abort reason printed', /abort reason: trial_check exhausted/.test(txt));
+    check('json keeps the record', log.toJSON().events[1].trialCheck.exit, 'exhausted-abort');
+}
+
+// ── repeat_until trace ───────────────────────────────────────────────────────
+console.log('=== repeat_until ===');
+{
+    const log = RunLog.createRunLog({ meta: META, now: fixedClock() });
+    log.event('repeat-until', {
+        index: 5,
+        total: 12,
+        repeatUntil: {
+            block: 'training',
+            repetition: 3,
+            min_repeats: 2,
+            max_repeats: 5,
+            evaluated: true,
+            metric: 'walking_speed',
+            statistic: 'mean',
+            value: 3.1,
+            threshold: 3.5,
+            baseline: { value: 5, window_ms: [120000, 360000] },
+            valid_samples: 900,
+            decision: 'stop',
+            reason: 'criterion_met'
+        }
+    });
+    log.event('repeat-until', {
+        index: 2,
+        repeatUntil: {
+            block: 'training',
+            repetition: 1,
+            min_repeats: 2,
+            max_repeats: 5,
+            evaluated: false,
+            decision: 'continue',
+            reason: 'min_repeats'
+        }
+    });
+    const txt = log.toText();
+    checkBool(
+        'decision line: block + repetition',
+        /repeat_until training — repetition 3/.test(txt)
+    );
+    checkBool('decision line: statistic vs threshold', /walking_speed mean=3\.1 vs 3\.5/.test(txt));
+    checkBool('decision line: baseline value', /baseline 5/.test(txt));
+    checkBool('decision line: exit', /→ STOP \(criterion_met\)/.test(txt));
+    checkBool(
+        'unevaluated boundary has no statistic',
+        /repetition 1 \(min 2, max 5\) → CONTINUE/.test(txt)
+    );
+}
+
 // ── filename convention ──────────────────────────────────────────────────────
 console.log('=== filename ===');
 {
@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+/**
+ * Tests for scripts/run-protocol.js — the headless v3 runner. Drives real
+ * protocols through ArenaRunner.runSequence over the in-process simulator AND
+ * over a TCP socket (a local net server answering like the controller's
+ * :62222 path), and checks the written runlog.json/txt pair, pattern
+ * resolution from the SD listing, the refusal gates and the exit codes.
+ *
+ * Run: node tests/test-run-protocol.js   (wired into `pixi run test`)
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { execFileSync } = require('child_process');
+
+const RP = require('../scripts/run-protocol.js');
+const Wire = require('../js/arena-wire-g6.js');
+const Sim = require('../js/arena-sim-g6.js');
+
+let total = 0;
+let failures = 0;
+function check(name, ok, info) {
+    total++;
+    console.log(`  ${ok ? 'PASS' : 'FAIL'}  ${name}${info ? ' — ' + info : ''}`);
+    if (!ok) failures++;
+}
+function checkThrows(name, fn, re) {
+    let msg = null;
+    try {
+        fn();
+    } catch (e) {
+        msg = e.message;
+    }
+    check(name, msg !== null && (!re || re.test(msg)), msg === null ? 'did NOT throw' : msg);
+}
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'v3_g6_2x10_smoke.yaml');
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'run-protocol-'));
+function writeTmp(name, text) {
+    const p = path.join(tmp, name);
+    fs.writeFileSync(p, text);
+    return p;
+}
+
+// Two named patterns, one with a pattern_ID fallback only.
+const TWO_PATTERNS = [
+    'version: 3',
+    'experiment_info:',
+    '  name: "two"',
+    'rig: "./configs/rigs/g6_3x10.yaml"',
+    'experiment:',
+    '  - "a"',
+    '  - "b"',
+    'conditions:',
+    '  - name: "a"',
+    '    commands:',
+    '      - {type: "controller", command_name: "trialParams", pattern: "grating.pat", duration: 1, mode: 2, frame_rate: 10}',
+    '  - name: "b"',
+    '    commands:',
+    '      - {type: "controller", command_name: "trialParams", pattern: "looming.pat", pattern_ID: 7, duration: 1, mode: 2, frame_rate: 10}',
+    ''
+].join('\n');
+
+const TRIAL_CHECK = [
+    'version: 3',
+    'requires: [flow_control]',
+    'experiment_info:',
+    '  name: "fc"',
+    'rig: "./configs/rigs/g6_3x10.yaml"',
+    'experiment:',
+    '  - condition: "a"',
+    '    flow_control: trial_check',
+    '    criterion: {metric: walking_speed, statistic: mean, stop_when: below, threshold: 1}',
+    '    max_attempts: 2',
+    '    on_exhausted: advance',
+    'conditions:',
+    '  - name: "a"',
+    '    commands:',
+    '      - {type: "wait", duration: 1}',
+    ''
+].join('\n');
+
+// A minimal controller on a TCP socket: acks every frame, answers the SD
+// listing from `files` and GET_CONTROLLER_INFO with version 7 + a MAC. Frames
+// may arrive split or coalesced, so it de-frames like the firmware does.
+function startController(files) {
+    const received = [];
+    const server = net.createServer((sock) => {
+        let buf = Buffer.alloc(0);
+        sock.on('data', (chunk) => {
+            buf = Buffer.concat([buf, chunk]);
+            while (buf.length && buf.length >= 1 + buf[0]) {
+                const req = buf.subarray(0, 1 + buf[0]);
+                buf = buf.subarray(1 + buf[0]);
+                received.push(Array.from(req));
+                const op = req[1];
+                let reply = [2, 0, op];
+                if (op === Wire.OPCODES.GET_FILE_COUNT) {
+                    reply = [4, 0, op, files.length, 0];
+                } else if (op === Wire.OPCODES.GET_PATTERN_FILENAME) {
+                    const f = files[req[2] - 1];
+                    reply = [3 + f.length, 0, op, f.length].concat(
+                        Array.from(f, (c) => c.charCodeAt(0))
+                    );
+                } else if (op === Wire.OPCODES.GET_CONTROLLER_INFO) {
+                    reply = [10, 0, op, 7, 0, 0x04, 0xe9, 0xe5, 0x01, 0x02, 0x03];
+                }
+                sock.write(Buffer.from(reply));
+            }
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () =>
+            resolve({ server, port: server.address().port, received })
+        );
+    });
+}
+
+const quiet = () => {};
+
+(async () => {
+    console.log('=== parseArgs ===');
+    {
+        const o = RP.parseArgs(['p.yaml', '--sim', '--fast', '--seed', '3', '--fly', '12']);
+        check('protocol + sim + fast', o.protocol === 'p.yaml' && o.sim && o.fast);
+        check('seed is numeric', o.seed === 3);
+        check('--fly → panel.fly_number', o.panel.fly_number === '12');
+        check('port defaults to 62222', RP.parseArgs(['p.yaml', '--host', 'h']).port === 62222);
+        checkThrows('needs --sim or --host', () => RP.parseArgs(['p.yaml']), /exactly one/);
+        checkThrows(
+            'not both',
+            () => RP.parseArgs(['p.yaml', '--sim', '--host', 'h']),
+            /exactly one/
+        );
+        checkThrows('unknown flag', () => RP.parseArgs(['p.yaml', '--sim', '--x']), /unknown/);
+        checkThrows('bad port', () => RP.parseArgs(['p.yaml', '--host', 'h', '--port', 'ab']));
+        checkThrows('missing protocol', () => RP.parseArgs(['--sim']), /no protocol/);
+        const v = RP.parseArgs([
+            'p.yaml',
+            '--sim',
+            '--verify-sd',
+            'set/',
+            '--verify-via',
+            'archive'
+        ]);
+        check('--verify-sd + --verify-via', v.verifySd === 'set/' && v.verifyVia === 'archive');
+        checkThrows(
+            'bad --verify-via',
+            () => RP.parseArgs(['p.yaml', '--sim', '--verify-sd', 's', '--verify-via', 'x']),
+            /file or archive/
+        );
+        checkThrows(
+            '--verify-via alone',
+            () => RP.parseArgs(['p.yaml', '--sim', '--verify-via', 'file']),
+            /needs --verify-sd/
+        );
+    }
+
+    console.log('=== helpers ===');
+    {
+        check(
+            'sdLogicalName strips index + ext',
+            RP.sdLogicalName('003_grating.pat') === 'grating'
+        );
+        const a = RP.makeShuffle(42)([1, 2, 3, 4, 5, 6]);
+        const b = RP.makeShuffle(42)([1, 2, 3, 4, 5, 6]);
+        check('seeded shuffle is deterministic', JSON.stringify(a) === JSON.stringify(b));
+        check('shuffle is a permutation', a.slice().sort().join() === '1,2,3,4,5,6');
+        const rig = RP.rigInfoForPath('/somewhere/cshl_g6_2x10.yaml');
+        check(
+            'rig by basename via index.json',
+            rig.name === 'cshl_g6_2x10' && rig.arenaConfig === 'G6_2x10'
+        );
+        check('unknown rig ⇒ basename', RP.rigInfoForPath('x/my_rig.yaml').name === 'my_rig');
+        const sim = RP.makeSimController({
+            rig_path: './configs/rigs/cshl_g6_2x10.yaml',
+            conditions: [
+                {
+                    commands: [
+                        { command_name: 'trialParams', pattern: 'grating', frame_index: 4 },
+                        { command_name: 'trialParams', pattern: 'all_on' },
+                        { command_name: 'setPositionX', posX: 9 }
+                    ]
+                }
+            ]
+        });
+        check(
+            'sim card: first-use order',
+            sim.listPatterns().join() === '001_grating.pat,002_all_on.pat',
+            sim.listPatterns().join()
+        );
+        check(
+            'sim card: rig geometry, frames cover posX',
+            JSON.stringify(sim.arena) === '{"rows":2,"cols":10}' &&
+                Sim.parsePatternHeader(sim.readPattern('001_grating.pat')).frameCount === 10
+        );
+    }
+
+    console.log('=== simulator run ===');
+    {
+        const out = path.join(tmp, 'sim');
+        const lines = [];
+        const r = await RP.runProtocol(
+            Object.assign(RP.parseArgs([FIXTURE, '--sim', '--fast', '--out', out]), {
+                panel: { experimenter: 'Bench Bot' },
+                onLine: (s) => lines.push(s)
+            })
+        );
+        check('outcome COMPLETED', r.summary.outcome === 'COMPLETED', r.summary.outcome);
+        check(
+            'json + txt written',
+            r.files.every((f) => fs.existsSync(f)),
+            r.files.join(', ')
+        );
+        const json = JSON.parse(fs.readFileSync(r.files[0], 'utf8'));
+        check('schema is the Studio run log', json.schema === 'arena-studio-runlog/1');
+        check('intent experiment', json.intent === 'experiment');
+        check('protocol sha256 recorded', /^[0-9a-f]{64}$/.test(json.meta.protocol_sha256 || ''));
+        check('rig from rig_path', json.meta.rig === 'cshl_g6_2x10');
+        check('experimenter in meta + filename', /__bench-bot__/.test(path.basename(r.files[0])));
+        check(
+            'ends with sequence-complete',
+            json.events[json.events.length - 1].phase === 'sequence-complete'
+        );
+        check('no errors', json.summary.errors === 0, String(json.summary.errors));
+        const txt = fs.readFileSync(r.files[1], 'utf8');
+        check('txt transcript closes COMPLETED', /— COMPLETED —/.test(txt));
+        check(
+            'progress lines printed',
+            lines.some((l) => /^\[1\/\d+\]/.test(l))
+        );
+    }
+
+    console.log('=== --verify-sd ===');
+    {
+        const setDir = path.join(__dirname, '..', 'patterns', 'g6_2x10');
+        const set = RP.loadPatternSetDir(setDir);
+        check(
+            'bundle dir loads in MANIFEST order',
+            set.map((p) => p.name).join() ===
+                '001_all_on.pat,002_grating_sq.pat,003_grating_sine.pat,004_frame2_h_ccw_200f.pat'
+        );
+        const card = (tweak) => {
+            const patterns = {};
+            for (const p of set) patterns[p.name] = Uint8Array.from(p.bytes);
+            if (tweak) tweak(patterns);
+            return new Sim.SimArenaLink({
+                controller: new Sim.SimController({ patterns, arena: { rows: 2, cols: 10 } })
+            });
+        };
+        const run = (link, out) =>
+            RP.runProtocol(
+                Object.assign(
+                    RP.parseArgs([FIXTURE, '--sim', '--fast', '--verify-sd', setDir, '--out', out]),
+                    { link, onLine: quiet }
+                )
+            );
+        const ok = await run(card(), path.join(tmp, 'verify-ok'));
+        const head = ok.log.meta.sd_verification;
+        check(
+            'PASS attached to the run log header',
+            head && head.result === 'PASS' && head.passed === 4,
+            JSON.stringify(head)
+        );
+        check(
+            'txt header carries the verdict',
+            /sd_verification: PASS — 4\/4 patterns match the set \(GET_PATTERN_FILE/.test(
+                fs.readFileSync(ok.files[1], 'utf8')
+            )
+        );
+        const bad = await run(
+            card((c) => {
+                c['003_grating_sine.pat'][40] ^= 0x01;
+            }),
+            path.join(tmp, 'verify-bad')
+        );
+        const badHead = bad.log.meta.sd_verification;
+        check(
+            'a flipped bit on the card ⇒ FAIL naming the file',
+            badHead.result === 'FAIL' &&
+                badHead.failures.length === 1 &&
+                badHead.failures[0].name === '003_grating_sine.pat',
+            JSON.stringify(badHead.failures)
+        );
+        check('a FAIL is recorded, not fatal', bad.summary.outcome === 'COMPLETED');
+    }
+
+    console.log('=== TCP run (:62222 framing over a socket) ===');
+    {
+        const ctl = await startController(['001_grating.pat', '002_other.pat']);
+        const out = path.join(tmp, 'tcp');
+        const r = await RP.runProtocol(
+            Object.assign(
+                RP.parseArgs([
+                    writeTmp('two.yaml', TWO_PATTERNS),
+                    '--host',
+                    '127.0.0.1',
+                    '--port',
+                    String(ctl.port),
+                    '--fast',
+                    '--test',
+                    '--out',
+                    out
+                ]),
+                { onLine: quiet }
+            )
+        );
+        ctl.server.close();
+        check('outcome COMPLETED', r.summary.outcome === 'COMPLETED', r.summary.outcome);
+        const meta = r.log.meta;
+        check('firmware from GET_CONTROLLER_INFO', meta.firmware === 'v7', meta.firmware);
+        check('controller_id is the MAC', meta.controller_id === '04:E9:E5:01:02:03');
+        check('test run carries no protocol hash', meta.protocol_sha256 === null);
+        const tps = ctl.received.filter((f) => f[1] === Wire.OPCODES.TRIAL_PARAMS);
+        const pat = (f) => f[3] | (f[4] << 8);
+        check('two trialParams sent', tps.length === 2, String(tps.length));
+        check('name resolves via the SD listing', tps[0] && pat(tps[0]) === 1);
+        check('absent name falls back to pattern_ID', tps[1] && pat(tps[1]) === 7);
+        check(
+            'STOP sent at the end',
+            ctl.received[ctl.received.length - 1][1] === Wire.OPCODES.STOP_DISPLAY
+        );
+    }
+
+    console.log('=== duplicate names on the card never guess ===');
+    {
+        const ctl = await startController(['001_grating.pat', '002_grating.pat']);
+        const link = new RP.TcpArenaLink();
+        await link.open({ host: '127.0.0.1', port: ctl.port });
+        const idx = await RP.readSdIndex(link);
+        await link.close();
+        ctl.server.close();
+        check('ambiguous name ⇒ null', idx.has('grating') && idx.get('grating') === null);
+    }
+
+    console.log('=== refusals ===');
+    {
+        let msg = '';
+        try {
+            await RP.runProtocol(
+                Object.assign(
+                    RP.parseArgs([writeTmp('bad.yaml', 'version: 3\nexperiment: ['), '--sim']),
+                    { onLine: quiet }
+                )
+            );
+        } catch (e) {
+            msg = e.message;
+        }
+        check('unparseable YAML refused', /Could not load "bad.yaml"/.test(msg), msg);
+        msg = '';
+        try {
+            await RP.runProtocol(
+                Object.assign(
+                    RP.parseArgs([
+                        writeTmp(
+                            'noreq.yaml',
+                            TRIAL_CHECK.replace('requires: [flow_control]\n', '')
+                        ),
+                        '--sim'
+                    ]),
+                    { onLine: quiet }
+                )
+            );
+        } catch (e) {
+            msg = e.message;
+        }
+        check('validateFlowControl gate', /^Cannot run this protocol/.test(msg), msg);
+        const r = await RP.runProtocol(
+            Object.assign(
+                RP.parseArgs([writeTmp('fc.yaml', TRIAL_CHECK), '--sim', '--fast', '--out', tmp]),
+                { onLine: quiet }
+            )
+        );
+        check(
+            'flow control with no behavior stream fails closed',
+            r.summary.outcome === 'ABORTED_BY_FLOW_CONTROL',
+            r.summary.outcome + ' · ' + r.summary.abortReason
+        );
+    }
+
+    console.log('=== CLI exit codes ===');
+    {
+        const script = path.join(__dirname, '..', 'scripts', 'run-protocol.js');
+        const run = (args) => {
+            try {
+                execFileSync(process.execPath, [script].concat(args), { stdio: 'pipe' });
+                return 0;
+            } catch (e) {
+                return e.status;
+            }
+        };
+        check('completed ⇒ 0', run([FIXTURE, '--sim', '--fast', '--out', tmp]) === 0);
+        check('usage error ⇒ 2', run([FIXTURE]) === 2);
+        check('refused protocol ⇒ 2', run([path.join(tmp, 'bad.yaml'), '--sim']) === 2);
+        check(
+            'flow-control abort ⇒ 1',
+            run([path.join(tmp, 'fc.yaml'), '--sim', '--fast', '--out', tmp]) === 1
+        );
+    }
+
+    fs.rmSync(tmp, { recursive: true, force: true });
+    console.log('\n=== Summary ===');
+    console.log(`${total - failures} / ${total} checks passed`);
+    process.exit(failures ? 1 : 0);
+})().catch((e) => {
+    console.error('test crashed:', e);
+    process.exit(1);
+});
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * Tests for js/runlog-nwb.js — NWB-JSON export of a parsed run log.
+ *
+ * Covers: subject and session metadata, the behavior_v1 channels with their
+ * units and shared timestamps, displayed / commanded / arena frame positions,
+ * trials and stimulus epochs per step, setAnalogOut (LED) intervals, that the
+ * analysis-core and runlog-replay parsers export the same document, and errors.
+ *
+ * Run: node tests/test-runlog-nwb.js
+ */
+'use strict';
+
+const N = require('../js/runlog-nwb.js');
+const R = require('../js/runlog-replay.js');
+const A = require('../dashboard/data-browser/analysis-core.js');
+
+let total = 0;
+let failures = 0;
+function check(name, got, expected) {
+    total++;
+    const ok = JSON.stringify(got) === JSON.stringify(expected);
+    console.log(
+        `  ${ok ? 'PASS' : 'FAIL'}  ${name}${ok ? '' : ` — got ${JSON.stringify(got)}, expected ${JSON.stringify(expected)}`}`
+    );
+    if (!ok) failures++;
+}
+function errorOf(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return e.message;
+    }
+    return null;
+}
+
+// Two steps: step 0 has a 2 s stimulus, LED on (0 mV) then off (5000 mV) and a
+// step-done; step 1 sets a frame position and has no step-done. Frames every
+// 100 ms from logging start to 7 s.
+const lines = [
+    {
+        event: 'run_metadata',
+        run_id: 'fly7_run2',
+        protocol_filename: 'p3_opto.yaml',
+        timestamp_start: '2026-10-19T10:00:00Z',
+        experimenter: 'mreiser',
+        animal_id: 'fly7',
+        genotype: 'w1118',
+        sex: 'female',
+        age: '3 days',
+        notes: 'test run'
+    },
+    { type: 'session', event: 'logging_started', ms: 0 },
+    { type: 'frame_schema', cols: ['ms', 'fc', 'idx', 'ft', 'x', 'y', 'hd'] },
+    { event: 'runner', phase: 'step-start', index: 0, condition: 'opto_cw', rx_ms: 1000 },
+    {
+        event: 'runner',
+        phase: 'trial-running',
+        index: 0,
+        durationSec: 2,
+        params: { mode: 2, pattern: 3, frameRate: 10 },
+        rx_ms: 1500
+    },
+    { event: 'runner', phase: 'command', index: 0, op: 'setAnalogOut', value: 0, rx_ms: 2000 },
+    { event: 'runner', phase: 'command', index: 0, op: 'setAnalogOut', value: 5000, rx_ms: 3000 },
+    { event: 'runner', phase: 'step-done', index: 0, rx_ms: 4000 },
+    { event: 'runner', phase: 'step-start', index: 1, condition: 'hold', rx_ms: 5000 },
+    { event: 'runner', phase: 'command', index: 1, op: 'setFramePosition', value: 12, rx_ms: 5100 },
+    {
+        event: 'runner',
+        phase: 'trial-running',
+        index: 1,
+        durationSec: 1,
+        params: { mode: 3, pattern: 3 },
+        rx_ms: 5500
+    },
+    { event: 'arena_command', frame_position: 12, t: 5110 }
+];
+for (let ms = 0, fc = 0; ms <= 7000; ms += 100, fc++) {
+    lines.push([ms, fc, fc % 96, ms, fc * 0.01, -fc * 0.02, fc * 0.005]);
+}
+const text = lines.map((line) => JSON.stringify(line)).join('\n');
+
+const fromReplay = N.buildNwb(R.parseRunLog(text));
+const fromCore = N.buildNwb(A.parseJsonl(text, 'fly7_run2.jsonl', 'fly7_run2.jsonl'));
+
+console.log('=== session and subject ===');
+check(
+    'session fields',
+    [
+        fromReplay.neurodata_type,
+        fromReplay.nwb_version,
+        fromReplay.identifier,
+        fromReplay.session_start_time,
+        fromReplay.experimenter,
+        fromReplay.experiment_description,
+        fromReplay.notes
+    ],
+    [
+        'NWBFile',
+        '2.8.0',
+        'fly7_run2',
+        '2026-10-19T10:00:00Z',
+        ['mreiser'],
+        'p3_opto.yaml',
+        'test run'
+    ]
+);
+check('subject', fromReplay.general.subject, {
+    neurodata_type: 'Subject',
+    subject_id: 'fly7',
+    species: 'Drosophila melanogaster',
+    genotype: 'w1118',
+    sex: 'F',
+    age: 'P3D'
+});
+check(
+    'species, lab and institution options',
+    (() => {
+        const nwb = N.buildNwb(R.parseRunLog(text), {
+            species: 'Drosophila simulans',
+            lab: 'Reiser'
+        });
+        return [nwb.general.subject.species, nwb.lab, nwb.institution];
+    })(),
+    ['Drosophila simulans', 'Reiser', '']
+);
+check('file name', N.nwbFilename(fromReplay), 'fly7_run2.nwb.json');
+
+console.log('=== behavior channels ===');
+const acq = fromReplay.acquisition;
+check(
+    'types and units',
+    Object.keys(acq).map((key) => [key, acq[key].neurodata_type, acq[key].unit]),
+    [
+        ['fictrac_position', 'SpatialSeries', 'radians'],
+        ['fictrac_heading', 'SpatialSeries', 'radians'],
+        ['fictrac_time', 'TimeSeries', 'seconds'],
+        ['fictrac_frame_counter', 'TimeSeries', 'frames']
+    ]
+);
+check(
+    'position rows are [x, y], timestamps in seconds',
+    [
+        acq.fictrac_position.data.length,
+        acq.fictrac_position.data[2],
+        acq.fictrac_position.timestamps[2]
+    ],
+    [71, [0.02, -0.04], 0.2]
+);
+check(
+    'other channels link the shared timestamps',
+    [acq.fictrac_heading.timestamps, acq.fictrac_frame_counter.data[70], acq.fictrac_time.data[70]],
+    [{ link: '/acquisition/fictrac_position/timestamps' }, 70, 7]
+);
+
+console.log('=== frame positions ===');
+const stim = fromReplay.stimulus.presentation;
+check('displayed frame index per sample', stim.frame_position.data.slice(5, 8), [5, 6, 7]);
+check(
+    'commanded setFramePosition',
+    [stim.commanded_frame_position.data, stim.commanded_frame_position.timestamps],
+    [[12], [5.1]]
+);
+check(
+    'decoded arena frames',
+    [stim.arena_frame_position.data, stim.arena_frame_position.timestamps],
+    [[12], [5.11]]
+);
+check(
+    'arena frames need raw records (parseJsonl has none)',
+    fromCore.stimulus.presentation.arena_frame_position.data,
+    []
+);
+
+console.log('=== intervals ===');
+const intervals = fromReplay.intervals;
+check('trials: step-done, else the last stimulus interval', intervals.trials.columns, {
+    start_time: [1, 5],
+    stop_time: [4, 6.5],
+    step_index: [0, 1],
+    condition: ['opto_cw', 'hold']
+});
+check('epochs: one per stimulus interval', intervals.epochs.columns, {
+    start_time: [1.5, 5.5],
+    stop_time: [3.5, 6.5],
+    tags: [['opto_cw'], ['hold']],
+    step_index: [0, 1],
+    parameters: ['{"mode":2,"pattern":3,"frameRate":10}', '{"mode":3,"pattern":3}']
+});
+check('analog output levels hold until the next command', intervals.analog_output.columns, {
+    start_time: [2, 3],
+    stop_time: [3, 7],
+    value: [0, 5000],
+    step_index: [0, 0]
+});
+check(
+    'tables list their columns and describe units',
+    [intervals.analog_output.colnames, intervals.analog_output.column_descriptions.value],
+    [['start_time', 'stop_time', 'value', 'step_index'], 'Analog output level (mV)']
+);
+
+console.log('=== parsers agree ===');
+check('intervals', fromCore.intervals, fromReplay.intervals);
+check('acquisition', fromCore.acquisition, fromReplay.acquisition);
+check('subject', fromCore.general.subject, fromReplay.general.subject);
+check('round-trips through JSON', JSON.parse(JSON.stringify(fromReplay)), fromReplay);
+
+console.log('=== errors and sparse metadata ===');
+check(
+    'unknown input',
+    [errorOf(() => N.buildNwb(null)), errorOf(() => N.buildNwb({ samples: [] }))],
+    [
+        'Expected a run from parseJsonl (analysis-core) or parseRunLog',
+        'Expected a run from parseJsonl (analysis-core) or parseRunLog'
+    ]
+);
+check(
+    'missing metadata falls back',
+    (() => {
+        const nwb = N.buildNwb(R.parseRunLog('[0, 0, 0, 0, 0, 0, 0]'));
+        return [
+            nwb.identifier,
+            nwb.session_start_time,
+            nwb.general.subject.sex,
+            nwb.general.subject.age
+        ];
+    })(),
+    ['run', null, 'U', '']
+);
+
+console.log('\n=== Summary ===');
+console.log(`${total - failures} / ${total} checks passed`);
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+/**
+ * SD card sync (js/sd-sync.js) against the simulated controller.
+ *
+ * Covers: an empty card filled from a set, a second run that writes nothing,
+ * a mixed diff (content change at the same size, size change, removal,
+ * addition, foreign file), the request order that keeps SD indices valid,
+ * renames of patterns already on the card under an old name, resume after a
+ * stop / stranded pattern.temp, dry runs, refusals surfacing
+ * as failures, and the pure planSync() diff.
+ *
+ * Run: node tests/test-sd-sync.js
+ */
+
+'use strict';
+
+const SdSync = require('../js/sd-sync.js');
+const Sim = require('../js/arena-sim-g6.js');
+const Wire = require('../js/arena-wire-g6.js');
+const PatternSet = require('../js/pattern-set.js');
+
+const OP = Wire.OPCODES;
+
+let total = 0;
+let failures = 0;
+function check(name, got, expected) {
+    total++;
+    const ok = JSON.stringify(got) === JSON.stringify(expected);
+    console.log(
+        `  ${ok ? 'PASS' : 'FAIL'}  ${name}${ok ? '' : `: got ${JSON.stringify(got)}, expected ${JSON.stringify(expected)}`}`
+    );
+    if (!ok) failures++;
+}
+function checkBool(name, ok, info) {
+    total++;
+    console.log(`  ${ok ? 'PASS' : 'FAIL'}  ${name}${info ? ' — ' + info : ''}`);
+    if (!ok) failures++;
+}
+
+// A set of n patterns named like PatternSet.assignIndices does.
+function makeSet(n, tweak) {
+    const out = [];
+    for (let i = 0; i < n; i++) {
+        const name = String(i + 1).padStart(3, '0') + '_p' + (i + 1) + '.pat';
+        out.push({ name, bytes: Sim.blankPattern({ frames: 1 + (i % 3), duty: 0x10 + i }) });
+    }
+    return tweak ? tweak(out) : out;
+}
+
+async function rig(patterns) {
+    const controller = new Sim.SimController({ patterns: patterns || {} });
+    const link = new Sim.SimArenaLink({ controller });
+    await link.connect();
+    return { controller, link };
+}
+
+// Opcode of each request the controller saw (opcode-first frames carry it in byte 0).
+const opsOf = (controller) =>
+    controller.requests.map((r) =>
+        r[0] === OP.SET_PATTERN_FILE || r[0] === OP.SET_PATTERN_FILENAME ? r[0] : r[1]
+    );
+const writesOf = (controller) =>
+    opsOf(controller).filter(
+        (op) =>
+            op === OP.SET_PATTERN_FILE ||
+            op === OP.SET_PATTERN_FILENAME ||
+            op === OP.DELETE_PATTERN_FILE
+    );
+const sameBytes = (a, b) => Buffer.from(a).equals(Buffer.from(b));
+
+(async () => {
+    console.log('\n=== empty card → full set ===');
+    const set = makeSet(6);
+    let known;
+    {
+        const { controller, link } = await rig();
+        const phases = [];
+        const r = await SdSync.sync(link, set, { onProgress: (p) => phases.push(p.phase) });
+        check(
+            'every file uploaded',
+            r.done.uploaded,
+            set.map((p) => p.name)
+        );
+        check('nothing failed', r.failed, []);
+        check(
+            'card holds the set',
+            controller.listPatterns(),
+            set.map((p) => p.name)
+        );
+        checkBool(
+            'bytes land intact',
+            set.every((p) => sameBytes(controller.readPattern(p.name), p.bytes))
+        );
+        checkBool('verification passed', r.verify && r.verify.ok, JSON.stringify(r.verify));
+        check(
+            'card Pattern Set ID = the set manifest ID',
+            r.verify.setId,
+            PatternSet.computePatternSetId(set.map((p) => p.name))
+        );
+        checkBool(
+            'progress walks list → upload → verify',
+            phases[0] === 'list' &&
+                phases.includes('upload') &&
+                phases[phases.length - 1] === 'verify'
+        );
+        known = r.known;
+        check(
+            'known map covers the set',
+            Object.keys(known).sort(),
+            set.map((p) => p.name)
+        );
+
+        console.log('\n=== second run is a no-op ===');
+        controller.requests.length = 0;
+        const again = await SdSync.sync(link, set);
+        checkBool('plan in sync', again.plan.inSync === true);
+        check('only the stale-temp clear is written', writesOf(controller), [
+            OP.DELETE_PATTERN_FILE
+        ]);
+        checkBool('verify ok without a write', again.verify.ok === true);
+        checkBool(
+            'name+size matches read back for CRC',
+            opsOf(controller).filter((op) => op === OP.GET_PATTERN_FILE).length === set.length
+        );
+        controller.requests.length = 0;
+        const cached = await SdSync.sync(link, set, { known });
+        checkBool(
+            'opts.known skips the read-backs',
+            cached.plan.inSync &&
+                opsOf(controller).filter((op) => op === OP.GET_PATTERN_FILE).length === 0
+        );
+        await link.close();
+    }
+
+    console.log('\n=== mixed diff ===');
+    {
+        const card = {};
+        for (const p of set) card[p.name] = p.bytes;
+        card['zzz_foreign.pat'] = Sim.blankPattern();
+        const { controller, link } = await rig(card);
+        const next = makeSet(6, (s) => {
+            s[1].bytes = Sim.blankPattern({ frames: 2, duty: 0x77 }); // same size, new bytes
+            s[2].bytes = Sim.blankPattern({ frames: 5 }); // new size
+            s.splice(4, 1); // 005_p5.pat dropped
+            s.push({ name: '007_new.pat', bytes: Sim.blankPattern({ gs: 16 }) });
+            return s;
+        });
+        check('same-size change really is same size', next[1].bytes.length, set[1].bytes.length);
+        const dry = await SdSync.sync(link, next, { dryRun: true });
+        check(
+            'dry run plans overwrites by reason',
+            dry.plan.overwrite.map((w) => [w.name, w.reason]),
+            [
+                ['002_p2.pat', 'crc'],
+                ['003_p3.pat', 'size']
+            ]
+        );
+        check(
+            'dry run plans deletes highest index first',
+            dry.plan.remove.map((r) => [r.name, r.index]),
+            [
+                ['zzz_foreign.pat', 7],
+                ['005_p5.pat', 5]
+            ]
+        );
+        check(
+            'dry run plans the upload',
+            dry.plan.upload.map((u) => u.name),
+            ['007_new.pat']
+        );
+        check('dry run keeps the rest', dry.plan.keep, ['001_p1.pat', '004_p4.pat', '006_p6.pat']);
+        check('dry run writes nothing', writesOf(controller), []);
+        checkBool('dry run has no verify', dry.verify === null);
+
+        controller.requests.length = 0;
+        const r = await SdSync.sync(link, next);
+        check('overwritten', r.done.overwritten, ['002_p2.pat', '003_p3.pat']);
+        check('removed', r.done.removed, ['zzz_foreign.pat', '005_p5.pat']);
+        check('uploaded', r.done.uploaded, ['007_new.pat']);
+        check(
+            'write order: temp clear, overwrites, deletes, upload + rename',
+            writesOf(controller),
+            [
+                OP.DELETE_PATTERN_FILE,
+                OP.SET_PATTERN_FILE,
+                OP.SET_PATTERN_FILE,
+                OP.DELETE_PATTERN_FILE,
+                OP.DELETE_PATTERN_FILE,
+                OP.SET_PATTERN_FILE,
+                OP.SET_PATTERN_FILENAME
+            ]
+        );
+        check('card now matches', controller.listPatterns(), next.map((p) => p.name).sort());
+        checkBool(
+            'changed bytes landed',
+            sameBytes(controller.readPattern('002_p2.pat'), next[1].bytes) &&
+                sameBytes(controller.readPattern('003_p3.pat'), next[2].bytes)
+        );
+        checkBool('verified', r.verify.ok, JSON.stringify(r.verify.problems));
+        await link.close();
+    }
+
+    console.log('\n=== renamed on the card ===');
+    {
+        // 001 and 003 sit on the card under old index names that sort last and
+        // first, so the second rename's index depends on the first.
+        const card = {};
+        for (const p of set) card[p.name] = p.bytes;
+        delete card['001_p1.pat'];
+        delete card['003_p3.pat'];
+        card['old_p1.pat'] = set[0].bytes;
+        card['000_p3.pat'] = set[2].bytes;
+        card['zzz_foreign.pat'] = Sim.blankPattern();
+        const { controller, link } = await rig(card);
+        const dry = await SdSync.sync(link, set, { dryRun: true });
+        check(
+            'dry run plans renames from the listed indices',
+            dry.plan.rename.map((r) => [r.from, r.name, r.index]),
+            [
+                ['old_p1.pat', '001_p1.pat', 6],
+                ['000_p3.pat', '003_p3.pat', 1]
+            ]
+        );
+        check(
+            'renamed files are neither uploaded nor deleted',
+            [dry.plan.upload, dry.plan.remove.map((r) => r.name)],
+            [[], ['zzz_foreign.pat']]
+        );
+
+        controller.requests.length = 0;
+        const r = await SdSync.sync(link, set, { known: dry.known });
+        check('renamed', r.done.renamed, ['001_p1.pat', '003_p3.pat']);
+        check('zero uploads', [r.done.uploaded, r.done.overwritten], [[], []]);
+        check('write order: temp clear, delete, renames', writesOf(controller), [
+            OP.DELETE_PATTERN_FILE,
+            OP.DELETE_PATTERN_FILE,
+            OP.SET_PATTERN_FILENAME,
+            OP.SET_PATTERN_FILENAME
+        ]);
+        check(
+            'card now matches',
+            controller.listPatterns(),
+            set.map((p) => p.name)
+        );
+        checkBool(
+            'renamed bytes kept',
+            sameBytes(controller.readPattern('001_p1.pat'), set[0].bytes) &&
+                sameBytes(controller.readPattern('003_p3.pat'), set[2].bytes)
+        );
+        checkBool('verified', r.verify.ok, JSON.stringify(r.verify.problems));
+        check(
+            'known follows the rename',
+            [!!r.known['001_p1.pat'], !!r.known['old_p1.pat']],
+            [true, false]
+        );
+        await link.close();
+    }
+
+    console.log('\n=== resume ===');
+    {
+        const { controller, link } = await rig();
+        controller.sd.temp = Uint8Array.from([1, 2, 3]); // a cut-off upload
+        let phase = null;
+        const first = await SdSync.sync(link, set, {
+            onProgress: (p) => (phase = p.phase),
+            shouldStop: () => phase === 'list'
+        });
+        checkBool(
+            'stop honored before any write',
+            first.stopped && first.done.uploaded.length === 0
+        );
+        checkBool('stale pattern.temp cleared', controller.sd.temp === null);
+        checkBool('no verify on a stopped run', first.verify === null);
+        // Half the set makes it on a second attempt, then the rest.
+        await SdSync.sync(link, set.slice(0, 3));
+        const rest = await SdSync.sync(link, set);
+        check(
+            'resume uploads only what is missing',
+            rest.done.uploaded,
+            set.slice(3).map((p) => p.name)
+        );
+        checkBool('resumed card verifies', rest.verify.ok);
+        await link.close();
+    }
+
+    console.log('\n=== refusals ===');
+    {
+        const { controller, link } = await rig();
+        await link.send(Wire.encodeAllOn()); // SD writes refused while displaying
+        const r = await SdSync.sync(link, set.slice(0, 2));
+        check(
+            'failed uploads reported with the controller reason',
+            r.failed.map((f) => [f.name, f.op, /display must be stopped/.test(f.error)]),
+            [
+                ['001_p1.pat', 'upload', true],
+                ['002_p2.pat', 'upload', true]
+            ]
+        );
+        checkBool('verify fails', r.verify.ok === false && r.verify.problems.length === 2);
+        checkBool('nothing half-written', controller.listPatterns().length === 0);
+        await link.close();
+    }
+
+    console.log('\n=== planSync ===');
+    {
+        const card = {
+            files: [
+                { index: 1, name: '001_a.pat', size: 3, crc32: null },
+                { index: 2, name: '002_b.pat', size: 4, crc32: 1 }
+            ]
+        };
+        const plan = SdSync.planSync(card, {
+            patterns: [
+                { name: '001_a.pat', bytes: new Uint8Array(3) },
+                { name: '002_b.pat', bytes: new Uint8Array(4) }
+            ]
+        });
+        check('name+size without a CRC is unchecked, not kept', plan.unchecked, ['001_a.pat']);
+        check(
+            'CRC mismatch overwrites',
+            plan.overwrite.map((w) => w.reason),
+            ['crc']
+        );
+        checkBool('not in sync', plan.inSync === false);
+        const leftover = SdSync.planSync(
+            { files: [{ index: 1, name: 'old.pat', size: 4, crc32: null }] },
+            [{ name: '001_a.pat', bytes: new Uint8Array(4) }]
+        );
+        check(
+            'a leftover without a CRC is deleted, not renamed',
+            [
+                leftover.rename,
+                leftover.remove.map((r) => r.name),
+                leftover.upload.map((u) => u.name)
+            ],
+            [[], ['old.pat'], ['001_a.pat']]
+        );
+        let threw = null;
+        try {
+            SdSync.planSync(card, [{ name: 'x.txt', bytes: new Uint8Array(1) }]);
+        } catch (e) {
+            threw = e.message;
+        }
+        checkBool('non-.pat target refused', /bad target filename/.test(threw || ''), threw);
+    }
+
+    console.log('\n=== Summary ===');
+    console.log(`${total - failures} / ${total} checks passed`);
+    process.exit(failures ? 1 : 0);
+})().catch((e) => {
+    console.error('test crashed:', e);
+    process.exit(1);
+});
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+/**
+ * SD read-back verification (js/sd-verify.js) against the simulated controller.
+ *
+ * Covers: a clean card passing over both read paths (GET_PATTERN_FILE and the
+ * GET_SD_ARCHIVE ZIP), a frame CRC-16 and a header CRC-8 broken on the card
+ * (caught by the strict parse even when the set's copy is broken the same
+ * way), a same-size byte change, missing and extra files, set entries with
+ * no source copy, the run-log header condensation, and that verification
+ * never writes to the card.
+ *
+ * Run: node tests/test-sd-verify.js
+ */
+
+'use strict';
+
+const SdVerify = require('../js/sd-verify.js');
+const Sim = require('../js/arena-sim-g6.js');
+const Wire = require('../js/arena-wire-g6.js');
+const PatternSet = require('../js/pattern-set.js');
+const RunLog = require('../js/run-log.js');
+const G6CRC = require('../js/crc.js');
+const _pp = require('../js/pat-parser.js');
+const PatParser = _pp.default || _pp;
+
+const OP = Wire.OPCODES;
+const parsePatFile = PatParser.parsePatFile;
+
+let total = 0;
+let failures = 0;
+function check(name, got, expected) {
+    total++;
+    const ok = JSON.stringify(got) === JSON.stringify(expected);
+    console.log(
+        `  ${ok ? 'PASS' : 'FAIL'}  ${name}${ok ? '' : `: got ${JSON.stringify(got)}, expected ${JSON.stringify(expected)}`}`
+    );
+    if (!ok) failures++;
+}
+function checkBool(name, ok, info) {
+    total++;
+    console.log(`  ${ok ? 'PASS' : 'FAIL'}  ${name}${info ? ' — ' + info : ''}`);
+    if (!ok) failures++;
+}
+
+// Header is 18 bytes (G6 v2); byte 17 is its CRC-8.
+const HEADER = 18;
+
+// Sim.blankPattern leaves the panel mask and both CRCs zero; a real file has them.
+function sealed(bytes) {
+    const frames = bytes[6] | (bytes[7] << 8);
+    const panels = bytes[8] * bytes[9];
+    for (let p = 0; p < panels; p++) bytes[11 + (p >> 3)] |= 1 << (p & 7);
+    bytes[17] = G6CRC.crc8Autosar(bytes.subarray(0, 17));
+    const frameBytes = (bytes.length - HEADER) / frames;
+    for (let f = 0; f < frames; f++) {
+        const end = HEADER + (f + 1) * frameBytes;
+        const crc = G6CRC.crc16CcittFalse(bytes.subarray(end - frameBytes, end - 2));
+        bytes[end - 2] = crc & 0xff;
+        bytes[end - 1] = crc >> 8;
+    }
+    return bytes;
+}
+
+function makeSet(n) {
+    const out = [];
+    for (let i = 0; i < n; i++) {
+        const name = String(i + 1).padStart(3, '0') + '_p' + (i + 1) + '.pat';
+        const bytes = Sim.blankPattern({ frames: 1 + (i % 3), duty: 0x10 + i });
+        out.push({ name, bytes: sealed(bytes) });
+    }
+    return out;
+}
+
+async function rig(set, tweak) {
+    const patterns = {};
+    for (const p of set) patterns[p.name] = Uint8Array.from(p.bytes);
+    if (tweak) tweak(patterns);
+    const controller = new Sim.SimController({ patterns });
+    const link = new Sim.SimArenaLink({ controller });
+    await link.connect();
+    return { controller, link };
+}
+
+const opsOf = (controller) =>
+    controller.requests.map((r) =>
+        r[0] === OP.SET_PATTERN_FILE || r[0] === OP.SET_PATTERN_FILENAME ? r[0] : r[1]
+    );
+
+(async () => {
+    const set = makeSet(4);
+
+    console.log('\n=== clean card ===');
+    for (const source of ['file', 'archive']) {
+        const { controller, link } = await rig(set);
+        const phases = [];
+        const r = await SdVerify.verifyPatterns(link, set, {
+            parsePatFile,
+            source,
+            onProgress: (p) => phases.push(p.phase)
+        });
+        checkBool(source + ': passes', r.ok, JSON.stringify(r.files.filter((f) => !f.ok)));
+        check(source + ': every file checked', [r.checked, r.passed], [4, 4]);
+        check(
+            source + ': parsed as G6 with the right frame counts',
+            r.files.map((f) => [f.generation, f.frames]),
+            [
+                ['G6', 1],
+                ['G6', 2],
+                ['G6', 3],
+                ['G6', 1]
+            ]
+        );
+        check(
+            source + ': card CRC-32 = set CRC-32',
+            r.files.map((f) => f.crc32),
+            r.files.map((f) => f.expectedCrc32)
+        );
+        check(
+            source + ': Pattern Set IDs agree',
+            r.cardSetId,
+            PatternSet.computePatternSetId(set.map((p) => p.name))
+        );
+        checkBool(source + ': progress reports read then check', phases[0] === 'read');
+        const writes = opsOf(controller).filter(
+            (op) =>
+                op === OP.SET_PATTERN_FILE ||
+                op === OP.SET_PATTERN_FILENAME ||
+                op === OP.DELETE_PATTERN_FILE
+        );
+        check(source + ': nothing written', writes, []);
+        checkBool(
+            source + ': read path used',
+            opsOf(controller).includes(source === 'file' ? OP.GET_PATTERN_FILE : OP.GET_SD_ARCHIVE)
+        );
+        await link.close();
+    }
+
+    console.log('\n=== corrupted on the card ===');
+    {
+        const { link } = await rig(set, (card) => {
+            // frame CRC-16 trailer of 001's only frame
+            const a = card['001_p1.pat'];
+            a[a.length - 1] ^= 0xff;
+            // pixel byte of 002 — same size, new bytes, CRC now wrong too
+            card['002_p2.pat'][HEADER + 4] ^= 0x01;
+            // header CRC-8 of 003
+            card['003_p3.pat'][HEADER - 1] ^= 0x5a;
+        });
+        const r = await SdVerify.verifyPatterns(link, set, { parsePatFile });
+        checkBool('fails', r.ok === false);
+        check('one of four passes', [r.checked, r.passed], [4, 1]);
+        const byName = {};
+        for (const f of r.files) byName[f.name] = f.problems.join(' | ');
+        checkBool(
+            'frame CRC-16 caught by the strict parse',
+            /bytes differ/.test(byName['001_p1.pat']) &&
+                /parse: .*CRC-16 mismatch/.test(byName['001_p1.pat']),
+            byName['001_p1.pat']
+        );
+        checkBool(
+            'same-size byte change reports the first differing offset',
+            /bytes differ from the set from offset 22/.test(byName['002_p2.pat']),
+            byName['002_p2.pat']
+        );
+        checkBool(
+            'header CRC-8 caught',
+            /parse: .*CRC-8 mismatch/.test(byName['003_p3.pat']),
+            byName['003_p3.pat']
+        );
+        checkBool('untouched file passes', byName['004_p4.pat'] === '');
+        await link.close();
+    }
+
+    console.log('\n=== set copy broken the same way ===');
+    {
+        const broken = set.map((p) => ({ name: p.name, bytes: Uint8Array.from(p.bytes) }));
+        broken[0].bytes[broken[0].bytes.length - 2] ^= 0x01;
+        const { link } = await rig(broken);
+        const r = await SdVerify.verifyPatterns(link, broken, { parsePatFile });
+        check(
+            'identical bytes still fail the CRC check',
+            r.files.map((f) => f.ok),
+            [false, true, true, true]
+        );
+        check('only the parse complains', r.files[0].problems.length, 1);
+        await link.close();
+    }
+
+    console.log('\n=== missing and extra files ===');
+    {
+        const { link } = await rig(set, (card) => {
+            delete card['002_p2.pat'];
+            card['005_stray.pat'] = sealed(Sim.blankPattern());
+        });
+        const r = await SdVerify.verifyPatterns(link, set, { parsePatFile, source: 'archive' });
+        check('missing listed', r.missing, ['002_p2.pat']);
+        check('extra listed', r.extra, ['005_stray.pat']);
+        checkBool(
+            'files after the gap are flagged at the wrong index',
+            /at SD index 2, set expects 3/.test(r.files[2].problems.join()),
+            r.files[2].problems.join()
+        );
+        checkBool('card Set ID differs', r.cardSetId !== r.setId);
+
+        const header = SdVerify.toHeader(r);
+        check(
+            'header: verdict, read path, counts',
+            [header.result, header.via, header.checked, header.passed],
+            ['FAIL', 'GET_SD_ARCHIVE', 4, 1]
+        );
+        check(
+            'header keeps only failures',
+            header.failures.map((f) => f.name),
+            ['002_p2.pat', '003_p3.pat', '004_p4.pat']
+        );
+        const log = RunLog.createRunLog({
+            meta: { run_id: 'r1', sd_verification: header },
+            now: () => 0
+        });
+        const txt = log.toText();
+        checkBool(
+            'run log header line',
+            /sd_verification: FAIL — 1\/4 patterns match the set \(GET_SD_ARCHIVE, set [0-9A-F]+, card [0-9A-F]+/.test(
+                txt
+            ),
+            txt.split('\n')[3]
+        );
+        checkBool('run log lists the missing file', /✗ 002_p2\.pat: missing on card/.test(txt));
+        checkBool(
+            'run log lists the extra file',
+            /✗ 005_stray\.pat: on the card, not in the set/.test(txt)
+        );
+        checkBool('JSON header carries the report', log.toJSON().meta.sd_verification === header);
+        await link.close();
+    }
+
+    console.log('\n=== no source copy ===');
+    {
+        const { link } = await rig(set);
+        const partial = set.map((p, i) => ({ name: p.name, bytes: i === 1 ? null : p.bytes }));
+        const r = await SdVerify.verifyPatterns(link, partial, { parsePatFile });
+        check(
+            'unsourced file is read and parsed but cannot pass',
+            [r.files[1].ok, r.files[1].problems, r.files[1].frames],
+            [false, ['no source copy to compare against'], 2]
+        );
+        check('the others pass', r.passed, 3);
+        check('not counted as extra', r.extra, []);
+        await link.close();
+    }
+
+    console.log('\n=== refusals ===');
+    {
+        const { link } = await rig(set);
+        let msg = '';
+        try {
+            await SdVerify.verifyPatterns(link, set, {});
+        } catch (e) {
+            msg = e.message;
+        }
+        checkBool('no parser ⇒ error', /parsePatFile is required/.test(msg), msg);
+        await link.send(Wire.encodeAllOn());
+        msg = '';
+        try {
+            await SdVerify.verifyPatterns(link, set, { parsePatFile, source: 'archive' });
+        } catch (e) {
+            msg = e.message;
+        }
+        checkBool('archive refused while displaying', msg !== '', msg);
+        await link.close();
+    }
+
+    console.log('\n=== readStoredZip ===');
+    {
+        let msg = '';
+        try {
+            SdVerify.readStoredZip(new Uint8Array(64));
+        } catch (e) {
+            msg = e.message;
+        }
+        checkBool('not a ZIP', /not a ZIP/.test(msg), msg);
+    }
+
+    console.log('\n=== Summary ===');
+    console.log(`${total - failures} / ${total} checks passed`);
+    process.exit(failures ? 1 : 0);
+})().catch((e) => {
+    console.error('test crashed:', e);
+    process.exit(1);
+});
@@ -143,6 +143,23 @@ const ab = A.feedRunStatus(log, {
 checkBool('aborted is terminal', ab.terminal, 'terminal');
 check('outcome ABORTED_BY_USER', log.summary.outcome, 'ABORTED_BY_USER');
 
+// ── ABORTED by flow control (trial_check) ────────────────────────────────────
+console.log('=== ABORTED by flow control ===');
+log = RunLog.createRunLog({ intent: 'experiment', now: fixedClock(), meta: { run_id: 'r2b' } });
+A.feedRunStatus(log, { phase: 'sequence-start', total: 1 });
+const tcr = A.feedRunStatus(log, {
+    phase: 'trial-check',
+    index: 0,
+    total: 1,
+    trialCheck: { attempt: 1, max_attempts: 1, valid: false, exit: 'exhausted-abort' }
+});
+checkBool('trial-check logged', !!tcr.event, JSON.stringify(tcr.event && tcr.event.trialCheck));
+A.feedRunStatus(log, {
+    phase: 'aborted',
+    summary: { aborted: true, steps: 1, errors: 1, skipped: 0, abortReason: 'exhausted' }
+});
+check('outcome ABORTED_BY_FLOW_CONTROL', log.summary.outcome, 'ABORTED_BY_FLOW_CONTROL');
+
 // ── DISCONNECTED (out-of-band) ───────────────────────────────────────────────
 console.log('=== DISCONNECTED ===');
 log = RunLog.createRunLog({ intent: 'experiment', now: fixedClock(), meta: { run_id: 'r3' } });
@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+/**
+ * Video / animated GIF import (js/pattern-editor/tools/gif-decoder.js and the
+ * pure parts of js/pattern-editor/tools/image-converter.js).
+ *
+ * Covers: GIF decoding (LZW through code-size growth and a full table,
+ * interlacing, transparency, local color tables, the three disposal methods,
+ * delays and loop count), malformed files, temporal sampling of a clip to a
+ * target frame count, quantization with and without Floyd-Steinberg
+ * dithering, and decoded frames surviving pat-encoder → pat-parser.
+ *
+ * Video decoding and the canvas region extraction need a browser and are not
+ * exercised here.
+ *
+ * Run: node tests/test-video-import.js
+ */
+
+'use strict';
+
+const { decodeGif } = require('../js/pattern-editor/tools/gif-decoder.js');
+const {
+    quantizeGray,
+    sampleTimes,
+    frameIndexAt
+} = require('../js/pattern-editor/tools/image-converter.js');
+const PatEncoder = require('../js/pat-encoder.js');
+const _pp = require('../js/pat-parser.js');
+const PatParser = _pp.default || _pp;
+
+let total = 0;
+let failures = 0;
+function check(name, got, expected) {
+    total++;
+    const ok = JSON.stringify(got) === JSON.stringify(expected);
+    console.log(
+        `  ${ok ? 'PASS' : 'FAIL'}  ${name}${ok ? '' : `: got ${JSON.stringify(got)}, expected ${JSON.stringify(expected)}`}`
+    );
+    if (!ok) failures++;
+}
+function checkBool(name, ok, info) {
+    total++;
+    console.log(`  ${ok ? 'PASS' : 'FAIL'}  ${name}${info ? ' — ' + info : ''}`);
+    if (!ok) failures++;
+}
+function errorOf(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return e.message;
+    }
+    return null;
+}
+
+// ---------------------------------------------------------------------------
+// Minimal GIF writer, so the fixtures are built here rather than checked in
+// ---------------------------------------------------------------------------
+
+function lzwEncode(indices, minCodeSize) {
+    const clear = 1 << minCodeSize;
+    const end = clear + 1;
+    const out = [];
+    let bits = 0;
+    let bitCount = 0;
+    let codeSize;
+    let next;
+    let dict;
+    const write = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            out.push(bits & 0xff);
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    };
+    const reset = () => {
+        codeSize = minCodeSize + 1;
+        next = end + 1;
+        dict = new Map();
+    };
+    reset();
+    write(clear);
+    let w = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = w * 256 + k;
+        if (dict.has(key)) {
+            w = dict.get(key);
+            continue;
+        }
+        write(w);
+        if (next < 4096) {
+            dict.set(key, next++);
+            if (next > 1 << codeSize && codeSize < 12) codeSize++;
+        } else {
+            write(clear);
+            reset();
+        }
+        w = k;
+    }
+    write(w);
+    write(end);
+    if (bitCount > 0) out.push(bits & 0xff);
+    return out;
+}
+
+const INTERLACE_ROWS = (h) =>
+    [
+        [0, 8],
+        [4, 8],
+        [2, 4],
+        [1, 2]
+    ].flatMap(([start, step]) => {
+        const rows = [];
+        for (let y = start; y < h; y += step) rows.push(y);
+        return rows;
+    });
+
+/**
+ * @param {Object} gif - {width, height, palette: [[r,g,b]...], loop?, frames:
+ *   [{indices, left?, top?, w?, h?, delay?, disposal?, transparent?,
+ *     interlace?, palette?}]}
+ */
+function buildGif(gif) {
+    const out = [...Buffer.from('GIF89a')];
+    const u16 = (v) => out.push(v & 0xff, v >> 8);
+    const tableBits = (palette) => Math.max(1, Math.ceil(Math.log2(palette.length)));
+    const writeTable = (palette) => {
+        for (let i = 0; i < 1 << tableBits(palette); i++) out.push(...(palette[i] || [0, 0, 0]));
+    };
+
+    u16(gif.width);
+    u16(gif.height);
+    out.push(0x80 | (tableBits(gif.palette) - 1), 0, 0);
+    writeTable(gif.palette);
+    if (gif.loop !== undefined) {
+        out.push(0x21, 0xff, 11, ...Buffer.from('NETSCAPE2.0'), 3, 1);
+        u16(gif.loop);
+        out.push(0);
+    }
+
+    for (const f of gif.frames) {
+        const { left = 0, top = 0, w = gif.width, h = gif.height } = f;
+        const transparent = f.transparent ?? -1;
+        out.push(0x21, 0xf9, 4, ((f.disposal || 0) << 2) | (transparent >= 0 ? 1 : 0));
+        u16(Math.round((f.delay || 0) / 10));
+        out.push(Math.max(transparent, 0), 0);
+
+        out.push(0x2c);
+        u16(left);
+        u16(top);
+        u16(w);
+        u16(h);
+        const palette = f.palette || gif.palette;
+        out.push((f.palette ? 0x80 | (tableBits(palette) - 1) : 0) | (f.interlace ? 0x40 : 0));
+        if (f.palette) writeTable(palette);
+
+        const stored = f.interlace
+            ? INTERLACE_ROWS(h).flatMap((y) => f.indices.slice(y * w, (y + 1) * w))
+            : f.indices;
+        const minCodeSize = Math.max(2, tableBits(palette));
+        const data = lzwEncode(stored, minCodeSize);
+        out.push(minCodeSize);
+        for (let i = 0; i < data.length; i += 255) {
+            const chunk = data.slice(i, i + 255);
+            out.push(chunk.length, ...chunk);
+        }
+        out.push(0);
+    }
+    out.push(0x3b);
+    return new Uint8Array(out);
+}
+
+/** Red channel of every pixel, or -1 where transparent */
+const reds = (frame) => {
+    const r = [];
+    for (let i = 0; i < frame.rgba.length; i += 4) r.push(frame.rgba[i + 3] ? frame.rgba[i] : -1);
+    return r;
+};
+const GRAYS = [
+    [0, 0, 0],
+    [80, 80, 80],
+    [160, 160, 160],
+    [240, 240, 240]
+];
+
+console.log('\n=== GIF decoding ===');
+{
+    // 4x3 base frame, then a 2x2 patch at (1,1) whose index 0 is transparent
+    const gif = decodeGif(
+        buildGif({
+            width: 4,
+            height: 3,
+            palette: GRAYS,
+            loop: 0,
+            frames: [
+                { indices: [1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3] },
+                { left: 1, top: 1, w: 2, h: 2, indices: [3, 0, 0, 1], transparent: 0, delay: 250 }
+            ]
+        })
+    );
+    check(
+        'size, frame count and loop count',
+        [gif.width, gif.height, gif.frames.length, gif.loopCount],
+        [4, 3, 2, 0]
+    );
+    check(
+        'first frame',
+        reds(gif.frames[0]),
+        [80, 80, 80, 80, 160, 160, 160, 160, 240, 240, 240, 240]
+    );
+    check(
+        'patch drawn over the previous frame, transparent pixels keep it',
+        reds(gif.frames[1]),
+        [80, 80, 80, 80, 160, 240, 160, 160, 240, 240, 80, 240]
+    );
+    check(
+        'delays in ms, 0 played as 100 ms',
+        gif.frames.map((f) => f.delay),
+        [100, 250]
+    );
+}
+{
+    const patch = { left: 0, top: 0, w: 2, h: 1, indices: [3, 3] };
+    const gif = decodeGif(
+        buildGif({
+            width: 2,
+            height: 2,
+            palette: GRAYS,
+            frames: [
+                { indices: [1, 1, 1, 1] },
+                { ...patch, disposal: 3 },
+                { left: 0, top: 1, w: 1, h: 1, indices: [2], disposal: 2 },
+                { left: 1, top: 1, w: 1, h: 1, indices: [0] }
+            ]
+        })
+    );
+    check(
+        'disposal: restore previous, then restore to background (transparent)',
+        gif.frames.map(reds),
+        [
+            [80, 80, 80, 80],
+            [240, 240, 80, 80],
+            [80, 80, 160, 80],
+            [80, 80, -1, 0]
+        ]
+    );
+    check('no NETSCAPE block plays once', gif.loopCount, 1);
+}
+{
+    const indices = Array.from({ length: 10 }, (_, y) => y % 4);
+    const gif = decodeGif(
+        buildGif({
+            width: 1,
+            height: 10,
+            palette: GRAYS,
+            frames: [{ indices, interlace: true }]
+        })
+    );
+    check(
+        'interlaced rows land in order',
+        reds(gif.frames[0]),
+        indices.map((i) => GRAYS[i][0])
+    );
+}
+{
+    // 256 colors in runs and noise: codes grow to 12 bits and the table fills
+    let seed = 12345;
+    const rand = () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x80000000;
+    const palette = Array.from({ length: 256 }, (_, i) => [i, 255 - i, i ^ 0x55]);
+    const indices = [];
+    while (indices.length < 128 * 128) {
+        const v = Math.floor(rand() * 256);
+        const run = rand() < 0.5 ? 1 : 1 + Math.floor(rand() * 40);
+        for (let k = 0; k < run && indices.length < 128 * 128; k++) indices.push(v);
+    }
+    const local = [
+        [9, 0, 0],
+        [19, 0, 0]
+    ];
+    const gif = decodeGif(
+        buildGif({
+            width: 128,
+            height: 128,
+            palette,
+            frames: [{ indices }, { left: 0, top: 0, w: 2, h: 1, indices: [1, 0], palette: local }]
+        })
+    );
+    const rgba = gif.frames[0].rgba;
+    checkBool(
+        '128x128, 256 colors: every pixel decoded',
+        indices.every(
+            (v, i) =>
+                rgba[i * 4] === v && rgba[i * 4 + 1] === 255 - v && rgba[i * 4 + 2] === (v ^ 0x55)
+        )
+    );
+    check('local color table', reds(gif.frames[1]).slice(0, 3), [19, 9, indices[2]]);
+}
+{
+    const good = buildGif({ width: 1, height: 1, palette: GRAYS, frames: [{ indices: [2] }] });
+    check(
+        'malformed files',
+        [
+            errorOf(() => decodeGif(new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0, 0, 0]))),
+            errorOf(() => decodeGif(good.subarray(0, good.length - 8))),
+            errorOf(() => decodeGif(new Uint8Array([...good.subarray(0, 25), 0x3b])))
+        ],
+        ['Not a GIF file', 'GIF file is truncated', 'GIF file has no frames']
+    );
+}
+
+console.log('\n=== temporal sampling ===');
+{
+    check('evenly spaced, end excluded', sampleTimes(1, 3, 4), [1, 1.5, 2, 2.5]);
+    const starts = [0, 0.1, 0.35, 0.4];
+    check(
+        'frame on screen at each time',
+        [0, 0.05, 0.1, 0.349, 0.35, 0.9].map((t) => frameIndexAt(starts, t)),
+        [0, 0, 1, 1, 2, 3]
+    );
+    // A 10 fps GIF sampled at its own rate keeps every frame; at half the
+    // rate every other frame
+    const gifStarts = Array.from({ length: 10 }, (_, i) => i * 0.1);
+    check(
+        'full rate keeps every frame',
+        sampleTimes(0, 1, 10).map((t) => frameIndexAt(gifStarts, t)),
+        [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]
+    );
+    check(
+        'half rate skips every other frame',
+        sampleTimes(0, 1, 5).map((t) => frameIndexAt(gifStarts, t)),
+        [0, 2, 4, 6, 8]
+    );
+}
+
+console.log('\n=== quantization ===');
+{
+    const ramp = [0, 8, 9, 127, 128, 247, 255];
+    check(
+        'GS16 rounds 0-255 to 0-15',
+        Array.from(quantizeGray(ramp, 7, 1, { gsMode: 16 })),
+        [0, 0, 1, 7, 8, 15, 15]
+    );
+    check(
+        'GS2 thresholds at 128',
+        Array.from(quantizeGray(ramp, 7, 1, { gsMode: 2 })),
+        [0, 0, 0, 0, 1, 1, 1]
+    );
+    check(
+        'invert',
+        Array.from(quantizeGray(ramp, 7, 1, { gsMode: 2, invert: true })),
+        [1, 1, 1, 1, 0, 0, 0]
+    );
+
+    const w = 64;
+    const h = 64;
+    const flat = new Uint8Array(w * h).fill(100);
+    const mean = (a) => a.reduce((s, v) => s + v, 0) / a.length;
+    check(
+        'flat 100 without dither is all dark in GS2',
+        mean(quantizeGray(flat, w, h, { gsMode: 2 })),
+        0
+    );
+    const dithered = quantizeGray(flat, w, h, { gsMode: 2, dither: 'floyd-steinberg' });
+    checkBool(
+        'Floyd-Steinberg keeps the mean of a flat 100 in GS2',
+        Math.abs(mean(dithered) - 100 / 255) < 0.005,
+        `mean ${mean(dithered).toFixed(4)} vs ${(100 / 255).toFixed(4)}`
+    );
+    const gradient = Array.from({ length: w * h }, (_, i) => Math.round(((i % w) * 255) / (w - 1)));
+    const gs16 = quantizeGray(gradient, w, h, { gsMode: 16, dither: 'floyd-steinberg' });
+    checkBool(
+        'Floyd-Steinberg GS16 gradient stays within one level and keeps the mean',
+        gs16.every((v, i) => Math.abs(v - (gradient[i] * 15) / 255) < 1) &&
+            Math.abs(mean(gs16) - (mean(gradient) * 15) / 255) < 0.01
+    );
+    check(
+        'unknown dither refused',
+        errorOf(() => quantizeGray(flat, w, h, { gsMode: 16, dither: 'halftone' })),
+        'Unknown dither method: halftone'
+    );
+}
+
+console.log('\n=== pat round trip ===');
+{
+    // Decoded GIF frames quantized to a 20x20 G6 panel, as the Image tab does
+    const size = 20;
+    const frames = [0, 1, 2].map((t) =>
+        Array.from({ length: size * size }, (_, i) => (Math.floor(i / size) + t) % 4)
+    );
+    const gif = decodeGif(
+        buildGif({
+            width: size,
+            height: size,
+            palette: GRAYS,
+            frames: frames.map((indices) => ({ indices, delay: 50 }))
+        })
+    );
+    const gray = (f) => Uint8Array.from({ length: size * size }, (_, i) => f.rgba[i * 4]);
+    const pattern = {
+        generation: 'G6',
+        gs_val: 16,
+        numFrames: gif.frames.length,
+        rowCount: 1,
+        colCount: 1,
+        pixelRows: size,
+        pixelCols: size,
+        frames: gif.frames.map((f) => quantizeGray(gray(f), size, size, { gsMode: 16 })),
+        stretchValues: [128, 128, 128],
+        arena_id: 0,
+        observer_id: 0
+    };
+    const parsed = PatParser.parsePatFile(PatEncoder.encode(pattern), {
+        strict: true,
+        quiet: true
+    });
+    check('header', [parsed.generation, parsed.numFrames, parsed.gs_val], ['G6', 3, 16]);
+    checkBool(
+        'every frame',
+        parsed.frames.every((f, i) => Array.from(f).every((v, k) => v === pattern.frames[i][k]))
+    );
+}
+
+console.log('\n=== Summary ===');
+console.log(`${total - failures} / ${total} checks passed`);
+process.exit(failures ? 1 : 0);
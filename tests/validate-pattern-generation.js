@@ -28,6 +28,7 @@ if (typeof PANEL_SPECS === 'undefined') {
 
 // Configuration
 const REFERENCE_FILE = path.join(__dirname, '..', 'data', 'pattern_generation_reference.json');
+const LOOMING_REFERENCE_FILE = path.join(__dirname, '..', 'data', 'looming_reference.json');
 
 // ANSI color codes for terminal output
 const colors = {
@@ -103,6 +104,17 @@ function runTests() {
         'generateStarfield',
         'generateEdge',
         'generateOffOn',
+        'generateLooming',
+        'generateDisc',
+        'generateBar',
+        'generateObject',
+        'generateOpticFlow',
+        'generateNoise',
+        'noiseSidecar',
+        'generateExpression',
+        'expressionSidecar',
+        'generatePanorama',
+        'panoramaCoverage',
         'validate'
     ];
     const missingMethods = requiredMethods.filter((m) => typeof PatternGenerator[m] !== 'function');
@@ -294,6 +306,500 @@ function runTests() {
         failures.push({ test: 'Starfield generation', error: error.message });
     }
 
+    // Looming: frame count follows the frame rate, disc grows to the final size
+    totalTests++;
+    try {
+        const deg = Math.PI / 180;
+        const loom = PatternGenerator.generateLooming(
+            {
+                lOverV: 40,
+                center: [0, 0],
+                initialSize: 10 * deg,
+                finalSize: 90 * deg,
+                frameRate: 100,
+                high: 15,
+                low: 0
+            },
+            testArena
+        );
+        // tau runs from 0.04/tan(5°) to 0.04/tan(45°): 417.2 ms → 42 steps at 100 Hz
+        const dark = loom.frames.map((f) => f.filter((v) => v === 0).length);
+        const growing = dark.every((n, i) => i === 0 || n >= dark[i - 1]);
+        const lastSize = loom.angularSizes[loom.numFrames - 1] / deg;
+        if (loom.numFrames === 43 && growing && Math.abs(lastSize - 90) < 1e-9) {
+            log('  ✓ Looming disc grows to its final size in 43 frames at 100 Hz', 'green');
+            passedTests++;
+        } else {
+            log(
+                `  ✗ Looming: ${loom.numFrames} frames, monotonic=${growing}, last size ${lastSize}°`,
+                'red'
+            );
+            failedTests++;
+            failures.push({ test: 'Looming timing', error: `${loom.numFrames} frames` });
+        }
+    } catch (error) {
+        log(`  ✗ Looming generation failed: ${error.message}`, 'red');
+        failedTests++;
+        failures.push({ test: 'Looming generation', error: error.message });
+    }
+
+    // Looming anti-aliasing shades the rim only
+    totalTests++;
+    try {
+        const params = { lOverV: 20, center: [0.5, 0.2], frameRate: 200, high: 15, low: 0 };
+        const hard = PatternGenerator.generateLooming(params, testArena);
+        const soft = PatternGenerator.generateLooming({ ...params, aaSamples: 5 }, testArena);
+        const f = hard.numFrames - 1;
+        let rim = 0;
+        let interiorChanged = 0;
+        for (let i = 0; i < hard.frames[f].length; i++) {
+            const v = soft.frames[f][i];
+            if (v > 0 && v < 15) rim++;
+            else if (v !== hard.frames[f][i]) interiorChanged++;
+        }
+        const valid = PatternGenerator.validate(soft).valid;
+        if (rim > 0 && interiorChanged === 0 && valid) {
+            log(`  ✓ Looming anti-aliasing shades ${rim} rim pixels`, 'green');
+            passedTests++;
+        } else {
+            log(
+                `  ✗ Looming AA: ${rim} rim pixels, ${interiorChanged} flipped, valid=${valid}`,
+                'red'
+            );
+            failedTests++;
+            failures.push({ test: 'Looming anti-aliasing', error: `${rim} rim pixels` });
+        }
+    } catch (error) {
+        log(`  ✗ Looming anti-aliasing failed: ${error.message}`, 'red');
+        failedTests++;
+        failures.push({ test: 'Looming anti-aliasing', error: error.message });
+    }
+
+    // Static disc matches the final looming frame
+    totalTests++;
+    try {
+        const params = { lOverV: 40, frameRate: 100, high: 15, low: 0 };
+        const looming = PatternGenerator.generateLooming(params, testArena);
+        const disc = PatternGenerator.generateDisc(
+            { center: [0, 0], size: Math.PI / 2, high: 15, low: 0 },
+            testArena
+        );
+        const bright = PatternGenerator.generateDisc(
+            { center: [0, 0], size: Math.PI / 2, polarity: 'bright', high: 15, low: 0 },
+            testArena
+        );
+        const last = looming.frames[looming.numFrames - 1];
+        const sameAsLooming = disc.frames[0].every((v, i) => v === last[i]);
+        const inverted = bright.frames[0].every((v, i) => v === 15 - last[i]);
+        if (sameAsLooming && inverted && disc.numFrames === 1) {
+            log('  ✓ 90° disc = final looming frame (dark and bright polarity)', 'green');
+            passedTests++;
+        } else {
+            log(`  ✗ Disc: same=${sameAsLooming}, inverted=${inverted}`, 'red');
+            failedTests++;
+            failures.push({ test: 'Static disc', error: 'does not match looming' });
+        }
+    } catch (error) {
+        log(`  ✗ Static disc failed: ${error.message}`, 'red');
+        failedTests++;
+        failures.push({ test: 'Static disc', error: error.message });
+    }
+
+    // Expression grating matches the spherical grating
+    totalTests++;
+    try {
+        const expr = PatternGenerator.generateExpression(
+            { expression: 'sin(2*pi*(az/30 - t/20)) > 0', numFrames: 1, high: 15, low: 0 },
+            testArena
+        );
+        const grating = PatternGenerator.generateSphericalGrating(
+            {
+                spatFreq: Math.PI / 6,
+                high: 15,
+                low: 0,
+                poleCoord: [0, -Math.PI / 2],
+                numFrames: 1
+            },
+            testArena
+        );
+        const mismatched = expr.frames[0].filter((v, i) => v !== grating.frames[0][i]).length;
+        if (mismatched === 0) {
+            log('  ✓ Expression sin(2π(az/30)) > 0 = 30° spherical grating', 'green');
+            passedTests++;
+        } else {
+            log(`  ✗ Expression grating: ${mismatched} pixels differ`, 'red');
+            failedTests++;
+            failures.push({ test: 'Expression grating', error: `${mismatched} pixels differ` });
+        }
+    } catch (error) {
+        log(`  ✗ Expression grating failed: ${error.message}`, 'red');
+        failedTests++;
+        failures.push({ test: 'Expression grating', error: error.message });
+    }
+
+    // Bar rotation: one pixel per frame for a full revolution, full height
+    totalTests++;
+    try {
+        const deg = Math.PI / 180;
+        const bar = PatternGenerator.generateBar(
+            { width: 4 * 1.8 * deg, high: 15, low: 0 },
+            testArena
+        );
+        const cols = bar.pixelCols;
+        // Pixel centers sit at half-pixel azimuths, so a 4-px bar at 0° covers cols 98-101.
+        const darkCols = (frame) => {
+            const out = [];
+            for (let c = 0; c < cols; c++) {
+                let dark = 0;
+                for (let r = 0; r < bar.pixelRows; r++) dark += frame[r * cols + c] === 0;
+                if (dark === bar.pixelRows) out.push(c);
+                else if (dark > 0) out.push(-1);
+            }
+            return out.join(',');
+        };
+        const first = darkCols(bar.frames[0]);
+        const shifted = darkCols(bar.frames[5]);
+        if (bar.numFrames === 200 && first === '98,99,100,101' && shifted === '103,104,105,106') {
+            log('  ✓ Bar rotates one pixel per frame over 200 frames', 'green');
+            passedTests++;
+        } else {
+            log(
+                `  ✗ Bar: ${bar.numFrames} frames, frame 0 [${first}], frame 5 [${shifted}]`,
+                'red'
+            );
+            failedTests++;
+            failures.push({ test: 'Bar rotation', error: `frame 0 [${first}]` });
+        }
+    } catch (error) {
+        log(`  ✗ Bar generation failed: ${error.message}`, 'red');
+        failedTests++;
+        failures.push({ test: 'Bar generation', error: error.message });
+    }
+
+    // Object oscillation, trajectory path and background grating
+    totalTests++;
+    try {
+        const deg = Math.PI / 180;
+        const obj = PatternGenerator.generateObject(
+            {
+                width: 9 * deg,
+                elevation: 10 * deg,
+                polarity: 'bright',
+                motion: 'oscillation',
+                amplitude: 30 * deg,
+                period: 40,
+                high: 15,
+                low: 0
+            },
+            testArena
+        );
+        const litRows = new Set();
+        obj.frames[0].forEach((v, i) => v && litRows.add(Math.floor(i / obj.pixelCols)));
+        const quarter = obj.azimuths[10] / deg;
+        const path = PatternGenerator.generateObject(
+            {
+                width: 9 * deg,
+                motion: 'trajectory',
+                trajectory: [0, 0.5, -0.5],
+                background: { spatFreq: 36 * deg },
+                high: 15,
+                low: 0
+            },
+            testArena
+        );
+        const groundLevels = new Set(path.frames[0]);
+        const ok =
+            obj.numFrames === 40 &&
+            Math.abs(quarter - 30) < 1e-9 &&
+            Math.min(...litRows) > 20 &&
+            Math.max(...litRows) < 32 &&
+            path.numFrames === 3 &&
+            path.azimuths[2] === -0.5 &&
+            groundLevels.has(0) &&
+            groundLevels.has(15) &&
+            PatternGenerator.validate(path).valid;
+        if (ok) {
+            log('  ✓ Object oscillates, follows a trajectory, sits on a grating', 'green');
+            passedTests++;
+        } else {
+            log(
+                `  ✗ Object: ${obj.numFrames} frames, az@10=${quarter}°, rows ${[...litRows]}`,
+                'red'
+            );
+            failedTests++;
+            failures.push({ test: 'Object motion', error: `${obj.numFrames} frames` });
+        }
+    } catch (error) {
+        log(`  ✗ Object generation failed: ${error.message}`, 'red');
+        failedTests++;
+        failures.push({ test: 'Object generation', error: error.message });
+    }
+
+    // A blank height (undefined/NaN from the form) falls back to the default
+    totalTests++;
+    try {
+        const deg = Math.PI / 180;
+        const base = { width: 9 * deg, high: 15, low: 0, numFrames: 1 };
+        const same = (a, b) => a.frames[0].every((v, i) => v === b.frames[0][i]);
+        const square = PatternGenerator.generateObject(base, testArena);
+        const bar = PatternGenerator.generateBar(base, testArena);
+        const ok =
+            same(
+                PatternGenerator.generateObject({ ...base, height: undefined }, testArena),
+                square
+            ) &&
+            same(PatternGenerator.generateObject({ ...base, height: NaN }, testArena), square) &&
+            same(PatternGenerator.generateBar({ ...base, height: undefined }, testArena), bar) &&
+            !same(square, bar);
+        if (ok) {
+            log(
+                '  ✓ Undefined or NaN height falls back to width (object) / full height (bar)',
+                'green'
+            );
+            passedTests++;
+        } else {
+            log('  ✗ Undefined or NaN height changed the figure', 'red');
+            failedTests++;
+            failures.push({ test: 'Figure height default', error: 'figure differs' });
+        }
+    } catch (error) {
+        log(`  ✗ Figure height default failed: ${error.message}`, 'red');
+        failedTests++;
+        failures.push({ test: 'Figure height default', error: error.message });
+    }
+
+    // Optic flow: turning right by one pixel moves the scene one column left
+    totalTests++;
+    try {
+        const pRad = (2 * Math.PI) / 200;
+        const flow = PatternGenerator.generateOpticFlow(
+            { velocity: { yaw: pRad }, numFrames: 3, high: 15, low: 0 },
+            testArena
+        );
+        const cols = flow.pixelCols;
+        let mismatches = 0;
+        for (let i = 0; i < flow.frames[0].length; i++) {
+            const row = Math.floor(i / cols);
+            const next = row * cols + (((i % cols) + 1) % cols);
+            if (flow.frames[1][i] !== flow.frames[0][next]) mismatches++;
+        }
+        const lit = flow.frames[0].filter((v) => v === 15).length;
+        if (mismatches === 0 && lit > 0) {
+            log('  ✓ Optic flow yaw shifts the dot field one column per frame', 'green');
+            passedTests++;
+        } else {
+            log(`  ✗ Optic flow yaw: ${mismatches} pixels off the shift, ${lit} lit`, 'red');
+            failedTests++;
+            failures.push({ test: 'Optic flow yaw', error: `${mismatches} mismatches` });
+        }
+    } catch (error) {
+        log(`  ✗ Optic flow generation failed: ${error.message}`, 'red');
+        failedTests++;
+        failures.push({ test: 'Optic flow generation', error: error.message });
+    }
+
+    // Optic flow: thrust over a ground plane and down a corridor
+    totalTests++;
+    try {
+        const common = { velocity: [0.05, 0, 0, 0, 0, 0], numFrames: 4, high: 15, low: 0 };
+        const ground = PatternGenerator.generateOpticFlow(
+            { ...common, environment: 'ground', background: 7 },
+            testArena
+        );
+        const corridor = PatternGenerator.generateOpticFlow(
+            { ...common, environment: 'corridor', background: 7 },
+            testArena
+        );
+        const cols = ground.pixelCols;
+        const half = (ground.pixelRows / 2) * cols;
+        const skyClear = ground.frames.every((f) => f.slice(half).every((v) => v === 7));
+        const groundMoves = ground.frames[0]
+            .slice(0, half)
+            .some((v, i) => v !== ground.frames[3][i]);
+        // Straight ahead down the corridor is past maxDistance; the side walls are close.
+        const ahead = corridor.frames.map((f) => f[half + cols / 2]);
+        const side = corridor.frames[0][half + cols / 4];
+        const moved = corridor.positions[3][1];
+        let threw = '';
+        try {
+            PatternGenerator.generateOpticFlow(
+                { velocities: [[1, 2]], high: 15, low: 0 },
+                testArena
+            );
+        } catch (e) {
+            threw = e.message;
+        }
+        const ok =
+            skyClear &&
+            groundMoves &&
+            ahead.every((v) => v === 7) &&
+            side !== 7 &&
+            Math.abs(moved - 0.15) < 1e-12 &&
+            /Velocity 0 must be/.test(threw);
+        if (ok) {
+            log('  ✓ Optic flow thrust: ground below the horizon, corridor walls beside', 'green');
+            passedTests++;
+        } else {
+            log(
+                `  ✗ Optic flow thrust: sky clear=${skyClear}, ground moves=${groundMoves}, ahead=${ahead}, side=${side}`,
+                'red'
+            );
+            failedTests++;
+            failures.push({ test: 'Optic flow environments', error: threw || 'see log' });
+        }
+    } catch (error) {
+        log(`  ✗ Optic flow environments failed: ${error.message}`, 'red');
+        failedTests++;
+        failures.push({ test: 'Optic flow environments', error: error.message });
+    }
+
+    // White and pink noise: seeded, check-sized, pink spatially correlated
+    totalTests++;
+    try {
+        const base = { numFrames: 20, checkSize: 2, high: 15, low: 0 };
+        const a = PatternGenerator.generateNoise({ ...base, seed: 7 }, testArena);
+        const b = PatternGenerator.generateNoise({ ...base, seed: 7 }, testArena);
+        const c = PatternGenerator.generateNoise({ ...base, seed: 8 }, testArena);
+        const sum = PatternGenerator.framesChecksum;
+        const levels = new Set(a.frames.flatMap((f) => Array.from(f)));
+        const cols = a.pixelCols;
+        // Pixels in one 2x2 check always match
+        const blocky = a.frames.every(
+            (f) => f[0] === f[1] && f[0] === f[cols] && f[2 * cols + 2] === f[3 * cols + 3]
+        );
+        // Neighbouring-check correlation: ~0 for white, clearly positive for 1/f
+        const neighbourCorr = (pattern, step) => {
+            let sxy = 0;
+            let sx = 0;
+            let sxx = 0;
+            let n = 0;
+            for (const f of pattern.frames) {
+                for (let i = 0; i + step < f.length; i += step) {
+                    if ((i % cols) + step >= cols) continue;
+                    sx += f[i];
+                    sxx += f[i] * f[i];
+                    sxy += f[i] * f[i + step];
+                    n++;
+                }
+            }
+            const mean = sx / n;
+            return (sxy / n - mean * mean) / (sxx / n - mean * mean);
+        };
+        const pink = PatternGenerator.generateNoise(
+            { noiseType: 'pink', numFrames: 10, high: 15, low: 0 },
+            testArena
+        );
+        const white = PatternGenerator.generateNoise(
+            { numFrames: 10, high: 15, low: 0 },
+            testArena
+        );
+        const rPink = neighbourCorr(pink, 1);
+        const rWhite = neighbourCorr(white, 1);
+        const ok =
+            sum(a.frames) === sum(b.frames) &&
+            sum(a.frames) !== sum(c.frames) &&
+            levels.size === 2 &&
+            blocky &&
+            rPink > 0.5 &&
+            Math.abs(rWhite) < 0.05;
+        if (ok) {
+            log(
+                `  ✓ Noise is seeded and check-sized; pink r=${rPink.toFixed(2)}, white r=${rWhite.toFixed(2)}`,
+                'green'
+            );
+            passedTests++;
+        } else {
+            log(
+                `  ✗ Noise: levels=${[...levels]}, blocky=${blocky}, pink r=${rPink}, white r=${rWhite}`,
+                'red'
+            );
+            failedTests++;
+            failures.push({ test: 'White/pink noise', error: 'see log' });
+        }
+    } catch (error) {
+        log(`  ✗ Noise generation failed: ${error.message}`, 'red');
+        failedTests++;
+        failures.push({ test: 'Noise generation', error: error.message });
+    }
+
+    // m-sequence: balanced, distinct offsets, rebuilt exactly from its sidecar
+    totalTests++;
+    try {
+        const mseq = PatternGenerator.generateNoise(
+            { noiseType: 'msequence', checkSize: 4, seed: 3, high: 15, low: 0 },
+            testArena
+        );
+        // 10x50 = 500 checks → order 9 (511 frames)
+        const { order, shifts, sequence } = mseq.noise;
+        const ones = sequence.filter((v) => v === 1).length;
+        const distinct = new Set(shifts).size === shifts.length;
+        // Two checks' time courses (±1) are nearly orthogonal: correlation −1/511
+        const course = (k) =>
+            mseq.frames.map((f) => {
+                const row = Math.floor(k / 50) * 4;
+                return f[row * mseq.pixelCols + (k % 50) * 4] ? 1 : -1;
+            });
+        const c0 = course(0);
+        const c1 = course(123);
+        const dot = c0.reduce((s, v, i) => s + v * c1[i], 0);
+
+        const sidecar = JSON.parse(JSON.stringify(PatternGenerator.noiseSidecar(mseq)));
+        const rebuilt = PatternGenerator.generateNoise(sidecar.params, sidecar.arena);
+        const white = PatternGenerator.generateNoise(
+            { numFrames: 3, levels: 'gray', seed: 9, high: 15, low: 0 },
+            testArena
+        );
+        const whiteCar = PatternGenerator.noiseSidecar(white);
+        const decoded = whiteCar.stimulus.matrix[2].split('').map((h) => parseInt(h, 16));
+        const ok =
+            order === 9 &&
+            mseq.numFrames === 511 &&
+            ones === 256 &&
+            distinct &&
+            dot === -1 &&
+            rebuilt.numFrames === 511 &&
+            PatternGenerator.framesChecksum(rebuilt.frames) === sidecar.checksum &&
+            decoded.every((v, i) => v === white.frames[2][i]);
+        if (ok) {
+            log('  ✓ m-sequence is balanced, orthogonal, and rebuilt from its sidecar', 'green');
+            passedTests++;
+        } else {
+            log(
+                `  ✗ m-sequence: order ${order}, ${mseq.numFrames} frames, ${ones} ones, distinct=${distinct}, dot=${dot}`,
+                'red'
+            );
+            failedTests++;
+            failures.push({ test: 'm-sequence', error: `order ${order}` });
+        }
+    } catch (error) {
+        log(`  ✗ m-sequence generation failed: ${error.message}`, 'red');
+        failedTests++;
+        failures.push({ test: 'm-sequence generation', error: error.message });
+    }
+
+    // m-sequence automatic order is capped: the whole arena at checkSize 1 is
+    // 8000 checks (order 13) and must throw instead of building 8191 frames
+    totalTests++;
+    {
+        let message = null;
+        try {
+            PatternGenerator.generateNoise(
+                { noiseType: 'msequence', checkSize: 1, seed: 3, high: 15, low: 0 },
+                testArena
+            );
+        } catch (error) {
+            message = error.message;
+        }
+        if (message && /needs order 13 \(8191 frames\).*limit of order 12/.test(message)) {
+            log('  ✓ m-sequence refuses an automatic order above 12', 'green');
+            passedTests++;
+        } else {
+            log(`  ✗ m-sequence order cap: ${message || 'no error thrown'}`, 'red');
+            failedTests++;
+            failures.push({ test: 'm-sequence order cap', error: message || 'no error' });
+        }
+    }
+
     // Pattern validation function works
     totalTests++;
     try {
@@ -513,6 +1019,71 @@ function runTests() {
         }
     }
 
+    // ================================================================
+    // Test 4: Looming against its Python reference (no MATLAB generator yet)
+    // ================================================================
+    log('\n── Looming Reference Comparison ──', 'cyan');
+
+    if (!fs.existsSync(LOOMING_REFERENCE_FILE)) {
+        log('  (Looming reference not found - run tests/generate-looming-reference.py)', 'yellow');
+    } else {
+        const loomRef = JSON.parse(fs.readFileSync(LOOMING_REFERENCE_FILE, 'utf8'));
+        log(`  Reference data from: ${loomRef.source}`, 'dim');
+        const deg = Math.PI / 180;
+
+        for (const [patternName, ref] of Object.entries(loomRef.patterns)) {
+            totalTests++;
+            try {
+                const p = ref.params;
+                const result = PatternGenerator.generateLooming(
+                    {
+                        lOverV: p.lOverV,
+                        center: [p.center_deg[0] * deg, p.center_deg[1] * deg],
+                        initialSize: p.initialSize_deg * deg,
+                        finalSize: p.finalSize_deg * deg,
+                        frameRate: p.frameRate,
+                        high: p.high,
+                        low: p.low
+                    },
+                    ref.arena
+                );
+
+                let error = null;
+                if (result.numFrames !== ref.result.totalFrames) {
+                    error = `frame count ${result.numFrames}, expected ${ref.result.totalFrames}`;
+                } else {
+                    const sizeDiff = result.angularSizes.findIndex(
+                        (s, i) => Math.abs(s / deg - ref.result.angularSizes_deg[i]) > 1e-6
+                    );
+                    if (sizeDiff >= 0) error = `angular size differs at frame ${sizeDiff}`;
+                }
+                for (const [f, pixels] of Object.entries(ref.result.frames)) {
+                    if (error) break;
+                    const cmp = comparePixels(Array.from(result.frames[f]), pixels);
+                    if (!cmp.pass) {
+                        const d = cmp.differences ? cmp.differences[0] : null;
+                        error = d
+                            ? `frame ${f} pixel[${d.index}] got ${d.computed}, expected ${d.reference}`
+                            : `frame ${f}: ${cmp.message}`;
+                    }
+                }
+
+                if (!error) {
+                    log(`  ✓ ${patternName}`, 'green');
+                    passedTests++;
+                } else {
+                    log(`  ✗ ${patternName}: ${error}`, 'red');
+                    failedTests++;
+                    failures.push({ test: patternName, error });
+                }
+            } catch (error) {
+                log(`  ✗ ${patternName}: ${error.message}`, 'red');
+                failedTests++;
+                failures.push({ test: patternName, error: error.message });
+            }
+        }
+    }
+
     // ================================================================
     // Summary
     // ================================================================